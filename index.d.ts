@@ -26,6 +26,37 @@ declare namespace WAWebJS {
         /** Template parser */
         templateParser: TemplateParser | null
 
+        /** Outbound message queue, if enabled */
+        outbox: Outbox | null
+
+        /** Delivery tracker for sent messages, if enabled */
+        deliveryTracker: DeliveryTracker | null
+
+        /** Scheduler for delayed and recurring messages */
+        scheduler: MessageScheduler
+
+        /** Routes events to handlers with declarative filters and middleware */
+        router: EventRouter
+
+        /** Per-chat event queue, if enabled */
+        eventQueue: ChatEventQueue | null
+
+        /** Debounced, throttled and batched event subscriptions */
+        coalescer: EventCoalescer
+
+        /** Webhook dispatcher, if enabled */
+        webhooks: WebhookDispatcher | null
+        /** REST API server, if enabled */
+        api: ApiServer | null
+        /** Session health monitor, if enabled */
+        health: HealthMonitor | null
+        /** Watches the browser and relaunches it after a crash */
+        supervisor: BrowserSupervisor
+        /** Retry policy applied to page calls */
+        retryPolicy: RetryPolicy
+        /** Login flow started with login(), until it settles */
+        loginFlow: LoginFlow | null
+
         /**Accepts an invitation to join a group */
         acceptInvite(inviteCode: string): Promise<string>
 
@@ -110,6 +141,21 @@ declare namespace WAWebJS {
         /** Sets up events and requirements, kicks off authentication request */
         initialize(): Promise<void>
 
+        /**
+         * Logs in with QR codes or a phone number pairing code, and resolves once the client is authenticated.
+         * Initializes the client, unless it was initialized already. Rejects with a LoginError
+         */
+        login(options?: LoginOptions): Promise<LoginResult>
+
+        /** Runs a function with different retry options for the page calls it makes */
+        withRetry<T>(options: RetryOptions, fn: () => Promise<T>): Promise<T>
+
+        /** Exports the authenticated session as a portable bundle. Only supported by LocalAuth and RemoteAuth */
+        exportSession(options?: SessionBundleOptions): Promise<Buffer>
+
+        /** Closes the browser and runs initialize() again, keeping listeners and client state. Concurrent calls share the same restart */
+        reinitialize(): Promise<void>
+
         /** Check if a given ID is registered in whatsapp */
         isRegisteredUser(contactId: string): Promise<boolean>
 
@@ -134,8 +180,27 @@ declare namespace WAWebJS {
         /** Force reset of connection state for the client */
         resetState(): Promise<void>
 
-        /** Send a message to a specific chatId */
+        /** Send a message to a specific chatId. If the outbox is enabled, resolves once the message has left the queue */
         sendMessage(chatId: string, content: MessageContent, options?: MessageSendOptions): Promise<Message>
+
+        /** Schedules a message to be sent later, once or repeatedly */
+        scheduleMessage(chatId: string, content: MessageContent, options: ScheduleOptions & MessageSendOptions): Promise<ScheduledMessage>
+
+        /** Returns the scheduled messages, ordered by their next run */
+        getScheduledMessages(chatId?: string): Promise<ScheduledMessage[]>
+
+        /** Cancels a scheduled message */
+        cancelScheduledMessage(jobId: string): Promise<boolean>
+
+        /** Changes when a scheduled message is sent */
+        rescheduleMessage(jobId: string, options: ScheduleOptions): Promise<ScheduledMessage>
+
+        /** Sends a message to many recipients with a randomized pause between them. The returned job can be paused, resumed or cancelled */
+        sendBulk<T = string | Contact | BulkRecipient>(
+            recipients: T[],
+            content: MessageContent | ((recipient: T, index: number) => MessageContent | null | Promise<MessageContent | null>),
+            options?: BulkSendOptions
+        ): BulkSendJob<T>
         
         /** Searches for messages */
         searchMessages(query: string, options?: { chatId?: string, page?: number, limit?: number }): Promise<Message[]>
@@ -394,6 +459,9 @@ declare namespace WAWebJS {
             qr: string
         ) => void): this
 
+        /** Emitted for every QR code or pairing code of a login flow started with login() */
+        on(event: 'login_code', listener: (code: LoginCode) => void): this
+
         /** Emitted when a call is received */
         on(event: 'call', listener: (
             /** The call that started */
@@ -406,6 +474,19 @@ declare namespace WAWebJS {
         /** Emitted when the RemoteAuth session is saved successfully on the external Database */
         on(event: 'remote_session_saved', listener: () => void): this
 
+        /** Emitted when a RemoteAuth backup could not be restored */
+        on(event: 'remote_session_restore_failed', listener: (
+            error: Error,
+            details: {
+                /** Session name */
+                session: string
+                /** Backup that failed verification, when the store reports it */
+                backup: RemoteAuthBackup | null
+                /** Whether an older backup is tried next. Otherwise a new session is started */
+                fallback: boolean
+            }
+        ) => void): this
+
         /**
          * Emitted when some poll option is selected or deselected,
          * shows a user's current selected option(s) on the poll
@@ -414,6 +495,109 @@ declare namespace WAWebJS {
             vote: PollVote
         ) => void): this
 
+        /** Emitted when a queued message leaves the outbox */
+        on(event: 'outbox_message_sent', listener: (
+            entry: OutboxEntry,
+            message: Message
+        ) => void): this
+
+        /** Emitted when a queued message could not be sent */
+        on(event: 'outbox_message_failed', listener: (
+            entry: OutboxEntry,
+            error: Error
+        ) => void): this
+
+        /** Emitted when a sent message could not be delivered, even after retrying */
+        on(event: 'message_delivery_failed', listener: (
+            /** The last copy of the message that was sent */
+            message: Message,
+            /** Why the delivery failed */
+            reason: 'ACK_ERROR' | 'TIMEOUT' | string,
+            /** How many times the message was resent */
+            attempts: number
+        ) => void): this
+
+        /** Emitted when a scheduled message was sent */
+        on(event: 'scheduled_message_sent', listener: (
+            job: ScheduledMessage,
+            message: Message
+        ) => void): this
+
+        /** Emitted when a scheduled message could not be sent */
+        on(event: 'scheduled_message_failed', listener: (
+            job: ScheduledMessage,
+            error: Error
+        ) => void): this
+
+        /** Emitted when a scheduled message was due while the client was offline and its missed policy is 'emit' */
+        on(event: 'scheduled_message_missed', listener: (
+            job: ScheduledMessage,
+            /** When the message should have been sent */
+            missedAt: number
+        ) => void): this
+
+        /** Emitted after each recipient of a bulk send was handled */
+        on(event: 'bulk_send_progress', listener: (
+            job: BulkSendJob,
+            result: BulkSendResult
+        ) => void): this
+
+        /** Emitted when the draft of a chat is edited in WhatsApp Web */
+        on(event: 'draft_changed', listener: (
+            chat: Chat,
+            /** The new draft, null if it was cleared */
+            draft: ChatDraft | null
+        ) => void): this
+
+        /** Emitted when a router middleware or handler throws */
+        on(event: 'router_error', listener: (
+            error: Error,
+            ctx: RouteContext | null
+        ) => void): this
+
+        /** Emitted when a queued event listener takes longer than the queue timeout */
+        on(event: 'event_queue_timeout', listener: (
+            event: string,
+            chatId: string
+        ) => void): this
+
+        /** Emitted when a queued event listener throws */
+        on(event: 'event_queue_error', listener: (
+            error: Error,
+            event: string,
+            chatId: string
+        ) => void): this
+
+        /** Emitted when a webhook delivery failed for good and was dead-lettered */
+        on(event: 'webhook_failed', listener: (
+            deadLetter: WebhookDeadLetter
+        ) => void): this
+
+        /** Emitted when the browser crashed or disconnected and is being relaunched */
+        on(event: 'restarting', listener: (
+            info: RestartInfo
+        ) => void): this
+
+        /** Emitted when the browser was relaunched after a crash and WhatsApp Web is injected again */
+        on(event: 'restarted', listener: (
+            info: RestartInfo & {
+                /** Time the relaunch took in ms */
+                duration: number
+            }
+        ) => void): this
+
+        /** Emitted when the session becomes healthy or unhealthy, or the failed probes change */
+        on(event: 'health_changed', listener: (
+            report: HealthReport,
+            previous: HealthReport | null
+        ) => void): this
+
+        /** Emitted when a bulk send has finished or was cancelled */
+        on(event: 'bulk_send_complete', listener: (
+            job: BulkSendJob,
+            report: BulkSendReport
+        ) => void): this
+
         /**
          * Process a message using templates and/or AI
          * @param message Message to process
@@ -537,6 +721,941 @@ declare namespace WAWebJS {
         ai?: AIOptions
         /** Template parser configuration */
         templateParser?: TemplateParserOptions
+        /** Outbound message queue configuration */
+        outbox?: OutboxOptions
+        /** Delivery tracking configuration */
+        delivery?: DeliveryOptions
+        /** Scheduled messages configuration */
+        scheduler?: SchedulerOptions
+        /** Per-chat event queue configuration */
+        eventQueue?: ChatEventQueueOptions
+        /** Webhook configuration */
+        webhooks?: WebhookOptions
+        /** Browser to open the client in, in its own incognito context, or a function returning it.
+         * The browser is shared and not closed by the client. Ignored when the auth strategy keeps a profile directory, like LocalAuth and RemoteAuth */
+        browser?: puppeteer.Browser | (() => Promise<puppeteer.Browser>)
+        /** Retry policy for page calls that fail for a transient reason. Without it, calls are not retried */
+        retry?: RetryOptions & {
+            /** Whether to enable retries */
+            enabled?: boolean
+        }
+        /** Browser supervision configuration */
+        supervisor?: BrowserSupervisorOptions
+        /** Session health check configuration */
+        health?: HealthOptions & {
+            /** Whether to enable health checks */
+            enabled?: boolean
+        }
+        /** REST API server configuration */
+        api?: ApiServerOptions & {
+            /** Whether to enable the API server */
+            enabled?: boolean
+        }
+    }
+
+    export interface DeliveryOptions {
+        /** Whether to enable delivery tracking */
+        enabled?: boolean,
+        /** ACK a message must reach to be considered delivered
+         * @default MessageAck.ACK_SERVER */
+        ackLevel?: MessageAck,
+        /** How long a message may stay below ackLevel before it is retried
+         * @default 60000 */
+        deadlineMs?: number,
+        /** How many times a message is resent before emitting message_delivery_failed
+         * @default 1 */
+        maxRetries?: number
+    }
+
+    /** Follows the ACK of sent messages and retries the ones that don't get delivered in time */
+    export class DeliveryTracker {
+        constructor(client: Client, options?: DeliveryOptions)
+
+        /** Number of messages that are still waiting to be delivered */
+        readonly size: number
+
+        /** Waits until a message reaches the given ACK */
+        waitForAck(message: Message, level?: MessageAck, timeout?: number): Promise<Message>
+        /** Stops following all messages */
+        stop(): void
+    }
+
+    export interface RateLimitOptions {
+        /** Maximum number of messages that can be sent in a burst */
+        capacity: number,
+        /** Number of messages per second the bucket recovers */
+        refillRate: number
+    }
+
+    export interface OutboxOptions {
+        /** Whether to enable the outbox */
+        enabled?: boolean,
+        /** Store used to persist queued messages
+         * @default 'memory' */
+        store?: 'memory' | 'file' | OutboxStore,
+        /** Options for the built-in store */
+        storeOptions?: {
+            /** Directory used by the file store
+             * @default './.wwebjs_outbox/' */
+            dataPath?: string,
+            clientId?: string
+        },
+        /** Rate limit applied across all chats
+         * @default { capacity: 20, refillRate: 1 } */
+        global?: RateLimitOptions,
+        /** Rate limit applied to each chat individually
+         * @default { capacity: 5, refillRate: 0.2 } */
+        perChat?: RateLimitOptions,
+        /** Maximum amount of queued messages
+         * @default Infinity */
+        maxQueueSize?: number
+    }
+
+    /** A message waiting in the outbox */
+    export interface OutboxEntry {
+        id: string,
+        chatId: string,
+        /** Serialized message content */
+        content: any,
+        /** Serialized send options */
+        options: any,
+        createdAt: number
+    }
+
+    /** Persistent outbound message queue that rate limits Client.sendMessage */
+    export class Outbox {
+        constructor(client: Client, options?: OutboxOptions)
+
+        store: OutboxStore
+        /** Number of messages currently queued */
+        readonly size: number
+
+        /** Queues a message to be sent */
+        enqueue(chatId: string, content: MessageContent, options?: MessageSendOptions): Promise<Message>
+        /** Restores persisted entries and starts sending */
+        start(): Promise<void>
+        /** Stops sending. Queued messages are kept in the store */
+        stop(): void
+        /** Returns the queued entries, optionally filtered by chat */
+        getQueued(chatId?: string): OutboxEntry[]
+        /** Removes a queued message. Its promise will be rejected */
+        cancel(id: string): Promise<boolean>
+        /** Whether message content can be persisted. Other content, like Buttons and List, is sent without being queued */
+        static canSerialize(content: any): boolean
+    }
+
+    /** Storage backend for the outbox */
+    export abstract class OutboxStore {
+        constructor(options?: any)
+        getAll(): Promise<OutboxEntry[]>
+        save(entry: OutboxEntry): Promise<void>
+        delete(id: string): Promise<boolean>
+        static create(provider: 'memory' | 'file', options?: any): OutboxStore
+    }
+
+    export type ScheduleInterval = number | 'minute' | 'hour' | 'day' | 'week'
+
+    export type MissedSchedulePolicy = 'send' | 'skip' | 'emit'
+
+    export interface ScheduleOptions {
+        /** When to send the message. Strings without an offset are read in the given timezone */
+        at?: Date | number | string,
+        /** Repeat interval in ms, or a calendar interval that keeps its wall-clock time */
+        every?: ScheduleInterval,
+        /** IANA timezone used for "at" and for daily/weekly repeats */
+        timezone?: string,
+        /** What to do with runs that were missed while the client was offline */
+        missed?: MissedSchedulePolicy
+    }
+
+    export interface SchedulerOptions {
+        /** Store used to persist scheduled messages
+         * @default 'memory' */
+        store?: 'memory' | 'file' | ScheduleStore,
+        /** Options for the built-in store */
+        storeOptions?: {
+            /** Directory used by the file store
+             * @default './.wwebjs_schedule/' */
+            dataPath?: string,
+            clientId?: string
+        },
+        /** Default timezone for new jobs
+         * @default the system timezone */
+        timezone?: string,
+        /** Default policy for missed runs
+         * @default 'send' */
+        missed?: MissedSchedulePolicy
+    }
+
+    /** A message waiting to be sent by the scheduler */
+    export interface ScheduledMessage {
+        id: string,
+        chatId: string,
+        /** Serialized message content */
+        content: any,
+        /** Serialized send options */
+        options: any,
+        every: ScheduleInterval | null,
+        timezone: string,
+        missed: MissedSchedulePolicy,
+        /** First run, repeats are computed from it */
+        startAt: number,
+        /** Next run */
+        at: number,
+        createdAt: number,
+        runs: number,
+        lastRunAt: number | null
+    }
+
+    /** Sends messages at a given time, once or repeatedly, and keeps the jobs in a persistent store */
+    export class MessageScheduler {
+        constructor(client: Client, options?: SchedulerOptions)
+
+        store: ScheduleStore
+
+        /** Schedules a message */
+        schedule(chatId: string, content: MessageContent, options: ScheduleOptions & MessageSendOptions): Promise<ScheduledMessage>
+        /** Restores persisted jobs, deals with missed runs and starts the timer */
+        start(): Promise<void>
+        /** Stops the timer. Jobs are kept in the store */
+        stop(): void
+        /** Returns the scheduled jobs ordered by their next run */
+        list(chatId?: string): Promise<ScheduledMessage[]>
+        /** Returns a single job */
+        get(id: string): Promise<ScheduledMessage | null>
+        /** Removes a job */
+        cancel(id: string): Promise<boolean>
+        /** Changes when a job runs */
+        reschedule(id: string, options: ScheduleOptions): Promise<ScheduledMessage>
+    }
+
+    /** Storage backend for scheduled messages */
+    export abstract class ScheduleStore {
+        constructor(options?: any)
+        getAll(): Promise<ScheduledMessage[]>
+        save(job: ScheduledMessage): Promise<void>
+        delete(id: string): Promise<boolean>
+        static create(provider: 'memory' | 'file', options?: any): ScheduleStore
+    }
+
+    export interface ChatEventQueueOptions {
+        /** Whether to enable the event queue */
+        enabled?: boolean,
+        /** Events that are queued, defaults to message, group and reaction events */
+        events?: string[],
+        /** Maximum number of chats processed at the same time
+         * @default 10 */
+        concurrency?: number,
+        /** Time in ms after which a stuck listener stops holding back its chat, 0 to wait forever
+         * @default 60000 */
+        timeout?: number
+    }
+
+    export interface ChatEventQueueStats {
+        /** Events waiting to be processed */
+        pending: number,
+        /** Chats with pending or running events */
+        chats: number,
+        /** Chats being processed right now */
+        active: number,
+        /** How long the oldest pending event has been waiting */
+        oldestWaitMs: number,
+        processed: number,
+        failed: number,
+        timedOut: number,
+        averageWaitMs: number
+    }
+
+    /** Runs the listeners of chat events one event at a time per chat, while different chats run in parallel */
+    export class ChatEventQueue {
+        constructor(client: Client, options?: ChatEventQueueOptions)
+
+        /** Current load of the queue */
+        readonly stats: ChatEventQueueStats
+
+        /** Queues an event, returns false if it should be emitted directly */
+        push(event: string, args: any[]): boolean
+        /** Drops all pending events */
+        clear(): void
+
+        /** Returns the ID of the chat an event argument belongs to */
+        static getChatId(arg: any): string | null
+    }
+
+    export interface WebhookEndpoint {
+        /** URL the events are POSTed to */
+        url: string,
+        /** Key used to sign the payloads with HMAC-SHA256 */
+        secret?: string,
+        /** Events sent to this endpoint, '*' for all events that have a payload mapping
+         * @default '*' */
+        events?: string[] | '*',
+        /** Return false to skip an event */
+        filter?: (event: string, ...args: any[]) => boolean | Promise<boolean>,
+        /** Extra request headers */
+        headers?: Record<string, string>
+    }
+
+    export interface WebhookOptions {
+        /** Whether to enable webhooks */
+        enabled?: boolean,
+        endpoints?: WebhookEndpoint[],
+        /** Retries per delivery before it is dead-lettered
+         * @default 5 */
+        maxRetries?: number,
+        /** Delay before the first retry in ms, doubled on every retry
+         * @default 1000 */
+        retryDelay?: number,
+        /** Longest delay between two retries in ms
+         * @default 60000 */
+        maxRetryDelay?: number,
+        /** Request timeout in ms
+         * @default 10000 */
+        timeout?: number,
+        /** Dead-lettered deliveries kept in memory
+         * @default 1000 */
+        maxDeadLetters?: number,
+        /** File that dead-lettered deliveries are appended to as JSON lines */
+        deadLetterPath?: string
+    }
+
+    export interface WebhookPayload {
+        id: string,
+        event: string,
+        timestamp: number,
+        /** Serialized event arguments, by name */
+        data: Record<string, any>
+    }
+
+    export interface WebhookDeadLetter {
+        /** Delivery ID, sent as X-Webhook-Id */
+        id: string,
+        url: string,
+        event: string,
+        payload: WebhookPayload,
+        /** Last error */
+        error: string,
+        attempts: number,
+        failedAt: number
+    }
+
+    /** POSTs Client events as signed JSON to HTTP endpoints, with retries and a dead-letter log */
+    export class WebhookDispatcher {
+        constructor(client: Client, options?: WebhookOptions)
+
+        endpoints: WebhookEndpoint[]
+        /** Deliveries that could not be made, oldest first */
+        deadLetters: WebhookDeadLetter[]
+        /** Number of deliveries that are in flight or waiting for a retry */
+        readonly pending: number
+
+        addEndpoint(endpoint: WebhookEndpoint): void
+        removeEndpoint(url: string): boolean
+        /** Sends an event to every endpoint subscribed to it */
+        dispatch(event: string, ...args: any[]): Promise<void>
+        /** Sends dead-lettered deliveries again, resolves with the number that succeeded */
+        redeliver(filter?: (deadLetter: WebhookDeadLetter) => boolean): Promise<number>
+        /** Stops listening to events and cancels scheduled retries */
+        stop(): void
+
+        static createPayload(event: string, args: any[]): WebhookPayload
+        /** Hex encoded HMAC-SHA256 of "<timestamp>.<body>" */
+        static sign(secret: string, timestamp: number | string, body: string): string
+    }
+
+    export interface RetryInfo {
+        /** Error of the failed attempt */
+        error: Error
+        /** Number of the failed attempt, starting at 1 */
+        attempt: number
+        /** Time in ms before the next attempt */
+        delay: number
+    }
+
+    export interface RetryOptions {
+        /** Attempts per call, including the first one. 1 disables retries
+         * @default 3 */
+        attempts?: number
+        /** Delay before the first retry in ms
+         * @default 500 */
+        minDelay?: number
+        /** Longest delay between two attempts in ms
+         * @default 10000 */
+        maxDelay?: number
+        /** Multiplier applied to the delay after every attempt
+         * @default 2 */
+        factor?: number
+        /** Random share of the delay added or removed, between 0 and 1
+         * @default 0.2 */
+        jitter?: number
+        /** Error codes to retry, or a function deciding it
+         * @default ['PAGE_CLOSED', 'RATE_LIMITED', 'MEDIA_DOWNLOAD_FAILED'] */
+        retryOn?: Array<WWebJSErrorCode | string> | ((error: Error) => boolean)
+        /** Also retry failed evaluations while the connection state is not CONNECTED
+         * @default true */
+        retryWhileDisconnected?: boolean
+        /** Wait for the state to become CONNECTED before retrying
+         * @default true */
+        waitForConnected?: boolean
+        /** Longest time to wait for CONNECTED in ms
+         * @default 30000 */
+        connectedTimeout?: number
+        /** Called before every retry */
+        onRetry?: (info: RetryInfo) => void
+    }
+
+    /** Retries page calls that failed for a transient reason */
+    export class RetryPolicy {
+        constructor(client: Client, options?: RetryOptions)
+
+        options: RetryOptions
+        /** Last connection state reported by WhatsApp Web, null until one is known */
+        state: WAState | null
+
+        /** Options that apply to calls made right now, including overrides from withOptions() */
+        getOptions(): RetryOptions
+        /** Runs a function with different retry options for the page calls it makes */
+        withOptions<T>(options: RetryOptions, fn: () => Promise<T>): Promise<T>
+        /** Runs a call, retrying it while it fails with a retryable error */
+        run<T>(call: (attempt: number) => Promise<T>): Promise<T>
+        isRetryable(err: Error, options?: RetryOptions): boolean
+        isConnected(): boolean
+        /** Resolves once the client is connected, or after the timeout */
+        waitForConnected(timeout: number): Promise<boolean>
+
+        static getDelay(attempt: number, options: RetryOptions, err?: Error): number
+    }
+
+    export interface BrowserSupervisorOptions {
+        /** Whether to relaunch the browser after it crashed or disconnected
+         * @default true */
+        restart?: boolean
+        /** Relaunch attempts per crash before giving up and emitting disconnected
+         * @default 5 */
+        maxAttempts?: number
+        /** Delay before retrying a failed relaunch in ms, doubled on every attempt
+         * @default 1000 */
+        restartDelay?: number
+        /** @default 60000 */
+        maxRestartDelay?: number
+    }
+
+    export interface RestartInfo {
+        /** Why the browser is relaunched */
+        reason: string
+        /** Relaunch attempt for this crash, starting at 1 */
+        attempt: number
+        /** Successful restarts so far */
+        restarts: number
+    }
+
+    /** Rejects page calls when the browser goes away and relaunches it */
+    export class BrowserSupervisor {
+        constructor(client: Client, options?: BrowserSupervisorOptions)
+
+        /** Number of successful restarts */
+        restarts: number
+        /** Whether the browser is being relaunched */
+        restarting: boolean
+        /** Number of page calls in flight */
+        readonly pending: number
+
+        /** Starts watching a browser and its page */
+        attach(browser: puppeteer.Browser, page: puppeteer.Page): void
+        /** Stops watching the current browser, rejecting calls still in flight */
+        detach(reason?: string): void
+        /** Stops watching and gives up a relaunch that is in progress */
+        stop(reason?: string): void
+        /** Runs a page call, rejecting it with a PageClosedError when the page goes away before it settles */
+        track<T>(call: () => Promise<T>): Promise<T>
+    }
+
+    export type WWebJSErrorCode = 'WWEBJS_ERROR' | 'PAGE_CLOSED' | 'NOT_AUTHENTICATED' | 'CHAT_NOT_FOUND' | 'NOT_REGISTERED' | 'RATE_LIMITED' | 'MEDIA_DOWNLOAD_FAILED' | 'EVALUATION_FAILED'
+
+    export interface WWebJSErrorOptions {
+        /** Machine-readable error code */
+        code?: string
+        /** Whether the same call may succeed when tried again */
+        retryable?: boolean
+        /** Error that caused this one */
+        cause?: Error
+    }
+
+    /** Base class of the errors thrown by the library */
+    export class WWebJSError extends Error {
+        constructor(message?: string, options?: WWebJSErrorOptions)
+
+        /** Machine-readable error code */
+        code: WWebJSErrorCode | string
+        /** Whether the same call may succeed when tried again */
+        retryable: boolean
+        cause?: Error
+
+        /** Turns an error thrown by a page call into a typed error */
+        static from(err: Error | string, context?: { authenticated?: boolean }): Error
+    }
+
+    /** Thrown when the browser or page went away while a call was in flight, or before it was made */
+    export class PageClosedError extends WWebJSError {
+        code: 'PAGE_CLOSED'
+    }
+
+    /** Thrown when a method needs a session but the client is not authenticated or not ready yet */
+    export class NotAuthenticatedError extends WWebJSError {
+        code: 'NOT_AUTHENTICATED'
+    }
+
+    /** Thrown when a chat does not exist or is not known to the account */
+    export class ChatNotFoundError extends WWebJSError {
+        constructor(message?: string, options?: WWebJSErrorOptions & { chatId?: string })
+        code: 'CHAT_NOT_FOUND'
+        /** ID of the chat that was looked up */
+        chatId: string | null
+    }
+
+    /** Thrown when a phone number is not registered on WhatsApp */
+    export class NotRegisteredError extends WWebJSError {
+        constructor(message?: string, options?: WWebJSErrorOptions & { id?: string })
+        code: 'NOT_REGISTERED'
+        /** Number or ID that is not registered */
+        id: string | null
+    }
+
+    /** Thrown when WhatsApp refuses a request because too many were made */
+    export class RateLimitedError extends WWebJSError {
+        constructor(message?: string, options?: WWebJSErrorOptions & { retryAfter?: number })
+        code: 'RATE_LIMITED'
+        /** Time in ms to wait before trying again, when known */
+        retryAfter: number | null
+    }
+
+    /** Thrown when media could not be downloaded, from a message or a URL */
+    export class MediaDownloadError extends WWebJSError {
+        constructor(message?: string, options?: WWebJSErrorOptions & { status?: number })
+        code: 'MEDIA_DOWNLOAD_FAILED'
+        /** HTTP status of the failed download, when there was one */
+        status: number | null
+    }
+
+    /** Thrown when code running in the WhatsApp Web page failed for another reason */
+    export class EvaluationError extends WWebJSError {
+        code: 'EVALUATION_FAILED'
+    }
+
+    /** Thrown by Client.login() when the login flow did not end with an authenticated session */
+    export class LoginError extends WWebJSError {
+        constructor(message?: string, options?: WWebJSErrorOptions & { reason?: LoginFailureReason })
+        code: 'LOGIN_FAILED'
+        /** Why the login failed */
+        reason: LoginFailureReason
+    }
+
+    /** Why a login flow failed */
+    export enum LoginFailureReason {
+        QR_EXPIRED = 'QR_EXPIRED',
+        PAIRING_CODE_EXPIRED = 'PAIRING_CODE_EXPIRED',
+        PAIRING_FAILED = 'PAIRING_FAILED',
+        AUTH_FAILURE = 'AUTH_FAILURE',
+        DISCONNECTED = 'DISCONNECTED',
+        TIMEOUT = 'TIMEOUT',
+        INITIALIZATION_FAILED = 'INITIALIZATION_FAILED',
+        CANCELLED = 'CANCELLED'
+    }
+
+    export interface LoginOptions {
+        /** How to link the device
+         * @default 'qr' */
+        method?: 'qr' | 'pairing'
+        /** Phone number to pair, in international, symbol-free format. Required for 'pairing' and for falling back from QR codes */
+        phoneNumber?: string
+        /** Show a notification on the phone to enter the pairing code
+         * @default true */
+        showNotification?: boolean
+        /** Switch from QR to pairing codes after maxQrCodes. Defaults to true when a phone number is given */
+        fallbackToPairing?: boolean
+        /** QR codes shown before falling back or giving up. Defaults to qrMaxRetries, or 3 when falling back. 0 for no limit */
+        maxQrCodes?: number
+        /** Pairing codes requested before giving up. 0 for no limit
+         * @default 3 */
+        maxPairingCodes?: number
+        /** Time in ms after which a pairing code is replaced
+         * @default 180000 */
+        pairingCodeLifetime?: number
+        /** Time in ms to wait for the authentication. 0 to wait indefinitely
+         * @default 0 */
+        timeout?: number
+    }
+
+    /** Code to show to the user to link the device */
+    export interface LoginCode {
+        method: 'qr' | 'pairing'
+        /** Content of the QR code, or the 8-character pairing code */
+        code: string
+        /** Number of codes of this method shown so far, starting at 1 */
+        attempt: number
+        /** When the code was received, in ms since the epoch */
+        issuedAt: number
+        /** When the code is expected to be replaced, in ms since the epoch */
+        expiresAt: number
+    }
+
+    export interface LoginResult {
+        /** 'session' when a saved session was restored without a code */
+        method: 'qr' | 'pairing' | 'session'
+        /** Payload of the authenticated event */
+        payload: any
+    }
+
+    /** Drives the login of a client with QR codes or pairing codes, and settles once it is authenticated */
+    export class LoginFlow {
+        constructor(client: Client, options?: LoginOptions)
+        options: LoginOptions
+        /** Method of the codes currently shown */
+        method: 'qr' | 'pairing'
+        /** Last code shown */
+        code: LoginCode | null
+        /** Whether the flow has not settled yet */
+        active: boolean
+        promise: Promise<LoginResult>
+        /** Requests a new pairing code and switches to pairing codes if QR codes were shown */
+        requestPairingCode(): Promise<LoginCode | null>
+        /** Stops the flow and rejects its promise. The client is left as it is */
+        cancel(message?: string): void
+    }
+
+    export interface QRRenderOptions {
+        /** Quiet zone around the code, in modules
+         * @default 4 */
+        margin?: number
+        /** Pixels per module, for PNG images
+         * @default 4 */
+        scale?: number
+        /** Width of the image in pixels, takes precedence over scale */
+        width?: number
+        /** Color of the dark modules, as RGBA hex
+         * @default '#000000ff' */
+        dark?: string
+        /** Color of the light modules, as RGBA hex
+         * @default '#ffffffff' */
+        light?: string
+    }
+
+    /** Renders the QR codes of the login flow. Requires the optional qrcode package */
+    export class QRRenderer {
+        /** Renders a QR code as text that can be printed in a terminal */
+        static toTerminal(qr: string, options?: { small?: boolean }): Promise<string>
+        /** Renders a QR code as an SVG document */
+        static toSVG(qr: string, options?: QRRenderOptions): Promise<string>
+        /** Renders a QR code as a PNG image */
+        static toPNG(qr: string, options?: QRRenderOptions): Promise<Buffer>
+        /** Renders a QR code as a PNG data URL */
+        static toDataURL(qr: string, options?: QRRenderOptions): Promise<string>
+        /** Writes a QR code to a PNG or SVG file, depending on the extension of the path */
+        static toFile(filePath: string, qr: string, options?: QRRenderOptions): Promise<void>
+    }
+
+    export interface HealthOptions {
+        /** Time between checks in ms
+         * @default 30000 */
+        interval?: number
+        /** Time in ms the page gets to answer a probe
+         * @default 10000 */
+        timeout?: number
+        /** How long the state may stay other than CONNECTED in ms
+         * @default 60000 */
+        stateTimeout?: number
+        /** Mark the session unhealthy when no inbound event came in for this long. Disabled by default */
+        maxEventAge?: number
+        /** Unhealthy checks in a row before recovering
+         * @default 2 */
+        failureThreshold?: number
+        /** Recovery actions tried in order, the last one is repeated. false to only report
+         * @default ['reload', 'reinitialize'] */
+        recovery?: false | Array<'reload' | 'reinitialize'>
+        /** Delay before the second recovery attempt in ms, doubled on every attempt
+         * @default 5000 */
+        minRecoveryDelay?: number
+        /** @default 300000 */
+        maxRecoveryDelay?: number
+        /** Attempts before giving up until the session is healthy again
+         * @default 10 */
+        maxRecoveryAttempts?: number
+    }
+
+    export type HealthIssue = 'PAGE_CLOSED' | 'EVALUATE_TIMEOUT' | 'EVALUATE_FAILED' | 'STORE_MISSING' | 'STATE_STUCK' | 'LOGGED_OUT' | 'NO_RECENT_EVENTS'
+
+    export interface HealthReport {
+        healthy: boolean
+        issues: HealthIssue[]
+        checkedAt: number
+        /** Evaluate round-trip in ms, null when the page did not answer */
+        latency: number | null
+        hasStore: boolean
+        state: WAState | null
+        stateSince: number | null
+        lastEventAt: number | null
+        lastEventAge: number | null
+        consecutiveFailures: number
+        recoveryAttempts: number
+    }
+
+    /** Probes the WhatsApp Web page periodically and recovers stalled sessions */
+    export class HealthMonitor {
+        constructor(client: Client, options?: HealthOptions)
+
+        /** Result of the last check */
+        report: HealthReport | null
+
+        start(): void
+        stop(): void
+        /** Stops checking and stops following client events */
+        destroy(): void
+        /** Runs all probes once */
+        check(): Promise<HealthReport>
+    }
+
+    export interface ApiServerOptions {
+        /** Key callers must send as "Authorization: Bearer <key>" or "X-API-Key: <key>". Required unless auth is false */
+        apiKey?: string
+        /** Set to false to accept unauthenticated requests
+         * @default true */
+        auth?: boolean
+        /** @default 3000 */
+        port?: number
+        /** @default '127.0.0.1' */
+        host?: string
+        /** Prefix for all routes, e.g. '/api' */
+        basePath?: string
+        /** Largest accepted request body in bytes
+         * @default 16777216 */
+        maxBodySize?: number
+        /** Whether POST /messages may download media from a mediaUrl, or the hostnames it may download from.
+         * The server fetches the URL itself, so only enable it for trusted callers
+         * @default false */
+        allowMediaUrl?: boolean | string[]
+    }
+
+    export interface ApiStatus {
+        status: 'INITIALIZING' | 'QR' | 'AUTHENTICATED' | 'READY' | 'AUTH_FAILURE' | 'DISCONNECTED'
+        /** WhatsApp Web connection state, once ready */
+        state: WAState | null
+        /** QR code to scan while the status is QR */
+        qr: string | null
+        qrUpdatedAt: number | null
+        pairingCode: string | null
+        disconnectReason: string | null
+        info: { wid: string, pushname: string, platform: string } | null
+    }
+
+    /** HTTP server exposing Client operations as a JSON API, described by a generated OpenAPI document */
+    export class ApiServer {
+        constructor(client: Client, options?: ApiServerOptions)
+
+        options: ApiServerOptions
+        /** Route definitions served by this server */
+        routes: object[]
+        /** Underlying HTTP server, while listening */
+        server: import('http').Server | null
+
+        /** Starts listening, resolves with the bound address */
+        listen(): Promise<{ address: string, port: number }>
+        /** Stops accepting requests */
+        close(): Promise<void>
+        /** Current authentication state */
+        getStatus(): Promise<ApiStatus>
+        /** OpenAPI 3.0 description of the routes, also served at /openapi.json */
+        getOpenApiSpec(): object
+    }
+
+    /** Converts library structures into plain JSON with a fixed set of fields */
+    export class Serializer {
+        static serialize(value: any): any
+    }
+
+    export interface CoalesceOptions {
+        /** Groups events that are coalesced together, defaults to the serialized ID of the first argument */
+        key?: (...args: any[]) => string
+    }
+
+    /** Subscribes to Client events with debounced, throttled or batched listeners */
+    export class EventCoalescer {
+        constructor(client: Client)
+
+        /** Calls the listener once no event with the same key came in for `wait` ms */
+        debounce(event: string, wait: number, listener: (...args: any[]) => any, options?: CoalesceOptions & {
+            /** Longest time in ms a call may be postponed while events keep coming in */
+            maxWait?: number
+        }): () => void
+        /** Calls the listener at most once every `wait` ms per key, always delivering the latest event */
+        throttle(event: string, wait: number, listener: (...args: any[]) => any, options?: CoalesceOptions): () => void
+        /** Collects events for `window` ms and delivers the arguments of each of them in a single call */
+        batch(event: string, window: number, listener: (events: any[][]) => any, options?: CoalesceOptions & {
+            /** Deliver early once this many events were collected */
+            maxSize?: number,
+            /** Keep only the latest event per key */
+            dedupe?: boolean
+        }): () => void
+        /** Delivers everything that is pending right away */
+        flush(): void
+        /** Drops everything that is pending */
+        clear(): void
+
+        static defaultKey(arg: any): string
+    }
+
+    export type RouteChatType = 'private' | 'group' | 'status' | 'broadcast' | 'channel'
+
+    /** Declarative conditions an event has to meet before a handler runs */
+    export interface RouteFilters {
+        /** Only messages sent (true) or received (false) by the current user */
+        fromMe?: boolean,
+        /** Chat types. Status updates only match if 'status' is listed */
+        chat?: RouteChatType | RouteChatType[],
+        /** Sender ID (the author in groups), a list of IDs, a pattern or a predicate */
+        from?: string | string[] | RegExp | ((id: string) => boolean),
+        type?: MessageTypes | MessageTypes[],
+        /** Pattern the body must match, available as ctx.match */
+        body?: RegExp,
+        /** Command prefix(es), the command and its arguments are available as ctx.command and ctx.args */
+        prefix?: string | string[],
+        /** Command name(s) that must follow the prefix, case-insensitive */
+        command?: string | string[],
+        hasMedia?: boolean,
+        mentionsMe?: boolean,
+        /** Only group messages sent by a group admin */
+        adminOnly?: boolean,
+        filter?: (ctx: RouteContext) => boolean | Promise<boolean>
+    }
+
+    /** Context passed to router middleware and handlers */
+    export interface RouteContext {
+        client: Client,
+        event: string,
+        /** Arguments the event was emitted with */
+        eventArgs: any[],
+        message: Message | null,
+        /** Free-form object shared by middleware and handlers */
+        state: Record<string, any>,
+        match: RegExpMatchArray | null,
+        command: string | null,
+        /** Command arguments when a prefix filter matched */
+        args: string[],
+        /** Returns the chat of the message, fetched once per event */
+        getChat(): Promise<Chat>,
+        /** Prevents the remaining handlers from running */
+        stop(): void
+    }
+
+    export type RouteMiddleware = (ctx: RouteContext, next: () => Promise<void>) => any
+    export type RouteHandler<T = Message> = (arg: T, ctx: RouteContext) => any
+
+    /** Dispatches Client events to middleware and handlers that declare which events they care about */
+    export class EventRouter {
+        constructor(client: Client)
+
+        /** Adds middleware, it has to call next() for dispatching to continue */
+        use(middleware: RouteMiddleware): this
+        use(filters: RouteFilters, middleware: RouteMiddleware): this
+        use(event: string, middleware: RouteMiddleware): this
+        use(event: string, filters: RouteFilters, middleware: RouteMiddleware): this
+
+        /** Adds a handler, message events are handled by default */
+        on(handler: RouteHandler): this
+        on(filters: RouteFilters, handler: RouteHandler): this
+        on<T = any>(event: string, handler: RouteHandler<T>): this
+        on<T = any>(event: string, filters: RouteFilters, handler: RouteHandler<T>): this
+
+        /** Removes a middleware or handler function */
+        off(fn: Function): this
+        /** Runs an event through the middleware and handlers */
+        dispatch(event: string, ...args: any[]): Promise<void>
+
+        /** Checks whether an event meets the given filters */
+        static matches(filters: RouteFilters, ctx: RouteContext): Promise<boolean>
+        /** Returns the kind of chat a message belongs to */
+        static getChatType(message: Message): RouteChatType
+    }
+
+    /** A bulk send recipient with extra data for personalised content */
+    export interface BulkRecipient {
+        id?: string | ContactId,
+        number?: string,
+        [key: string]: any
+    }
+
+    export interface BulkSendOptions {
+        /** Check numbers with getNumberId before sending
+         * @default true */
+        validate?: boolean,
+        /** Minimum pause between two messages in ms
+         * @default 2000 */
+        minDelay?: number,
+        /** Maximum pause between two messages in ms
+         * @default 6000 */
+        maxDelay?: number,
+        /** Options passed to sendMessage */
+        sendOptions?: MessageSendOptions
+    }
+
+    export type BulkSendStatus = 'pending' | 'sent' | 'not_registered' | 'failed' | 'skipped'
+
+    /** Result of sending to a single recipient */
+    export interface BulkSendResult<T = any> {
+        recipient: T,
+        index: number,
+        /** The resolved chat ID, null if the number is not registered */
+        chatId: string | null,
+        status: BulkSendStatus,
+        message?: Message,
+        error?: Error
+    }
+
+    /** Summary of a finished bulk send */
+    export interface BulkSendReport<T = any> {
+        id: string,
+        status: 'completed' | 'cancelled',
+        total: number,
+        sent: BulkSendResult<T>[],
+        notRegistered: BulkSendResult<T>[],
+        failed: BulkSendResult<T>[],
+        /** Recipients without content, or that were not reached before the job was cancelled */
+        skipped: BulkSendResult<T>[],
+        startedAt: number,
+        finishedAt: number
+    }
+
+    /** Sends a message to a list of recipients, one at a time with a randomized pause between them */
+    export class BulkSendJob<T = any> {
+        constructor(client: Client, recipients: T[], content: any, options?: BulkSendOptions)
+
+        id: string
+        status: 'pending' | 'validating' | 'sending' | 'paused' | 'completed' | 'cancelled' | 'failed'
+        /** Per-recipient results, in the order the recipients were given */
+        results: BulkSendResult<T>[]
+        /** Resolves with the report once every recipient was handled or the job was cancelled.
+         * Rejects if the job itself fails, e.g. because an event listener threw */
+        done: Promise<BulkSendReport<T>>
+        /** Counts of the results so far */
+        readonly progress: {
+            total: number,
+            processed: number,
+            sent: number,
+            notRegistered: number,
+            failed: number,
+            skipped: number
+        }
+
+        /** Starts the job */
+        start(): Promise<BulkSendReport<T>>
+        /** Pauses the job after the message that is currently being sent */
+        pause(): void
+        /** Resumes a paused job */
+        resume(): void
+        /** Stops the job. Recipients that were not reached are reported as skipped */
+        cancel(): void
+
+        /** Returns the chat ID of a recipient. Plain phone numbers are turned into user IDs */
+        static getRecipientId(recipient: any): string | null
     }
 
     export interface LocalWebCacheOptions {
@@ -574,6 +1693,111 @@ declare namespace WAWebJS {
         disconnect: () => Promise<void>;
         destroy: () => Promise<void>;
         logout: () => Promise<void>;
+        /** Exports the session as a portable bundle. Only supported by LocalAuth and RemoteAuth */
+        exportSession: (options?: SessionBundleOptions) => Promise<Buffer>;
+        /** Imports a session bundle, replacing the stored session. The client must not be initialized yet */
+        importSession: (bundle: Buffer, options?: SessionBundleOptions) => Promise<void>;
+    }
+
+    /** Status of an account managed by a ClientManager */
+    export enum AccountStatus {
+        QUEUED = 'queued',
+        INITIALIZING = 'initializing',
+        QR_PENDING = 'qr_pending',
+        AUTHENTICATED = 'authenticated',
+        READY = 'ready',
+        RESTARTING = 'restarting',
+        AUTH_FAILURE = 'auth_failure',
+        DISCONNECTED = 'disconnected',
+        FAILED = 'failed',
+        DESTROYED = 'destroyed'
+    }
+
+    export interface AccountState {
+        /** Account id */
+        id: string
+        status: AccountStatus
+        /** Time the status was entered, in ms since the epoch */
+        since: number
+        /** QR code to scan, while the status is qr_pending */
+        qr: string | null
+        /** Serialized id of the account, once it is ready */
+        wid: string | null
+        /** Disconnect reason, authentication failure message or initialization error */
+        reason: Error | string | null
+    }
+
+    export interface ClientManagerOptions {
+        /** Options of every client, the options given to create() take precedence */
+        clientOptions?: ClientOptions
+        /** Creates the auth strategy of an account. Defaults to a LocalAuth with the account id as clientId */
+        authStrategy?: (accountId: string) => AuthStrategy
+        /** dataPath of the default LocalAuth */
+        dataPath?: string
+        /** Number of clients that may initialize at the same time
+         * @default 2 */
+        maxConcurrentInitializations?: number
+        /** Share one browser between the clients that can
+         * @default true */
+        shareBrowser?: boolean
+        /** Launch options of the shared browser. Defaults to clientOptions.puppeteer */
+        puppeteer?: puppeteer.PuppeteerNodeLaunchOptions
+    }
+
+    /** Runs several WhatsApp accounts side by side, each with its own Client.
+     * Client events are re-emitted with the account id as first argument */
+    export class ClientManager extends EventEmitter {
+        constructor(options?: ClientManagerOptions)
+
+        /** Number of accounts */
+        readonly size: number
+
+        /** Creates the client of an account and queues its initialization */
+        create(id: string, options?: ClientOptions): Client
+        /** Destroys the client of an account and forgets the account */
+        destroy(id: string): Promise<boolean>
+        /** Destroys all accounts and closes the shared browser */
+        destroyAll(): Promise<void>
+        get(id: string): Client | null
+        has(id: string): boolean
+        getStatus(id: string): AccountState | null
+        getStatuses(): AccountState[]
+
+        /** Emitted when the status of an account changes */
+        on(event: 'account_status_changed', listener: (accountId: string, state: AccountState, previous: AccountStatus | null) => void): this
+        /** Client events, with the account id as first argument */
+        on(event: string, listener: (accountId: string, ...args: any[]) => void): this
+    }
+
+    export interface SessionBundleOptions {
+        /** Passphrase the bundle is encrypted with */
+        passphrase?: string
+        /** 32-byte key the bundle is encrypted with */
+        key?: Buffer
+    }
+
+    export interface SessionBundleInfo {
+        format: 'wwebjs-session'
+        /** Version of the bundle format */
+        version: number
+        createdAt: string
+        /** Name of the auth strategy the session was exported from */
+        strategy: string | null
+        clientId: string | null
+        encrypted: boolean
+        /** SHA-256 checksum of the payload, in hex */
+        checksum: string
+    }
+
+    /** Portable, versioned session bundles */
+    export class SessionBundle {
+        static create(packed: Buffer, options?: SessionBundleOptions & { strategy?: string, clientId?: string }): Promise<Buffer>
+        /** Reads the header of a bundle without checking or decrypting the payload */
+        static inspect(bundle: Buffer): SessionBundleInfo
+        /** Verifies a bundle and returns its packed session directory */
+        static read(bundle: Buffer, options?: SessionBundleOptions): Promise<{ info: SessionBundleInfo, packed: Buffer }>
+        /** Moves a session from one auth strategy to another. Neither strategy may be in use by a running client */
+        static migrate(from: AuthStrategy, to: AuthStrategy): Promise<SessionBundleInfo>
     }
 
     /**
@@ -591,8 +1815,28 @@ declare namespace WAWebJS {
         constructor(options?: {
             clientId?: string,
             dataPath?: string,
-            rmMaxRetries?: number
+            rmMaxRetries?: number,
+            encryption?: LocalAuthEncryptionOptions
         })
+        /** Encrypts the working directory into the session file. Only does something when encryption is enabled */
+        flush(): Promise<void>
+    }
+
+    /** Keeps a LocalAuth session encrypted at rest. Either passphrase or keyProvider is required */
+    export interface LocalAuthEncryptionOptions {
+        /** Passphrase the key is derived from */
+        passphrase?: string
+        /** Returns a 32-byte key, or a passphrase */
+        keyProvider?: (context: { clientId?: string }) => Buffer | string | Promise<Buffer | string>
+        /** Parent directory of the decrypted "wwebjs-session-<clientId>" working directory
+         * @default '/dev/shm' when available, otherwise the system temp directory */
+        workDir?: string
+        /** How often the working directory is encrypted back while the client runs. 0 disables it
+         * @default 300000 */
+        flushIntervalMs?: number
+        /** Names of files and directories not worth keeping
+         * @default Chromium caches */
+        exclude?: string[]
     }
     
     /**
@@ -606,7 +1850,9 @@ declare namespace WAWebJS {
             clientId?: string,
             dataPath?: string,
             backupSyncIntervalMs: number,
-            rmMaxRetries?: number
+            rmMaxRetries?: number,
+            /** Save the session as snapshots that only upload changed files. Defaults to true when the store supports it */
+            incremental?: boolean
         })
     }
 
@@ -620,6 +1866,81 @@ declare namespace WAWebJS {
         extract: (options: { session: string, path: string }) => Promise<any> | any,
     }
 
+    export interface RemoteAuthBackup {
+        type: 'zip' | 'snapshot'
+        /** Key of the backup object */
+        key: string
+        /** SHA-256 checksum of the zip or of the snapshot, in hex */
+        checksum: string
+        /** Size of the zip, or of all files of the snapshot */
+        size: number
+        /** Number of files of a snapshot */
+        files?: number
+        /** Number of files a snapshot uploaded, the others were stored already */
+        uploaded?: number
+        createdAt: string
+    }
+
+    export type RemoteAuthRestoreFailureHandler = (error: Error, backup: RemoteAuthBackup, hasFallback: boolean) => void
+
+    export interface RemoteAuthManifest {
+        version: number
+        session: string
+        /** Backups, newest first */
+        backups: RemoteAuthBackup[]
+    }
+
+    export interface FileRemoteAuthStoreOptions {
+        /** Directory to store backups in
+         * @default './.wwebjs_remote_auth/' */
+        dataPath?: string
+        /** Number of backups kept per session
+         * @default 3 */
+        maxBackups?: number
+    }
+
+    export interface S3RemoteAuthStoreOptions {
+        /** Base URL of the object store, e.g. 'http://127.0.0.1:9000' */
+        endpoint: string
+        bucket: string
+        accessKeyId: string
+        secretAccessKey: string
+        /** Session token of temporary credentials */
+        sessionToken?: string
+        /** Region used to sign requests
+         * @default 'us-east-1' */
+        region?: string
+        /** Prefix of the object keys
+         * @default 'wwebjs/' */
+        prefix?: string
+        /** Put the bucket in the path rather than in the host name
+         * @default true */
+        forcePathStyle?: boolean
+        /** Number of backups kept per session
+         * @default 3 */
+        maxBackups?: number
+    }
+
+    /** RemoteAuth store with checksums, atomic overwrite, retention of the last backups and incremental snapshots */
+    export abstract class RemoteAuthStore implements Store {
+        constructor(options?: any)
+        maxBackups: number
+        putObject(key: string, data: Buffer | string): Promise<void>
+        getObject(key: string): Promise<Buffer | null>
+        deleteObject(key: string): Promise<void>
+        listObjects(prefix: string): Promise<string[]>
+        sessionExists(options: { session: string }): Promise<boolean>
+        save(options: { session: string, path?: string }): Promise<RemoteAuthBackup>
+        /** verify is called with the path once a backup was written. A rejection makes the previous backup be tried */
+        extract(options: { session: string, path: string, onFailure?: RemoteAuthRestoreFailureHandler, verify?: (path: string) => Promise<void> }): Promise<RemoteAuthBackup>
+        saveSnapshot(options: { session: string, path: string, filter?: (relativePath: string, isDirectory: boolean) => boolean }): Promise<RemoteAuthBackup>
+        restoreSnapshot(options: { session: string, path: string, onFailure?: RemoteAuthRestoreFailureHandler }): Promise<RemoteAuthBackup>
+        delete(options: { session: string }): Promise<void>
+        getManifest(session: string): Promise<RemoteAuthManifest | null>
+        static create(provider: 'file', options?: FileRemoteAuthStoreOptions): RemoteAuthStore
+        static create(provider: 's3', options: S3RemoteAuthStoreOptions): RemoteAuthStore
+    }
+
     /**
      * Legacy session auth strategy
      * Not compatible with multi-device accounts.
@@ -760,7 +2081,26 @@ declare namespace WAWebJS {
         STATE_CHANGED = 'change_state',
         BATTERY_CHANGED = 'change_battery',
         REMOTE_SESSION_SAVED = 'remote_session_saved',
-        CALL = 'call'
+        CALL = 'call',
+        OUTBOX_MESSAGE_SENT = 'outbox_message_sent',
+        OUTBOX_MESSAGE_FAILED = 'outbox_message_failed',
+        MESSAGE_DELIVERY_FAILED = 'message_delivery_failed',
+        SCHEDULED_MESSAGE_SENT = 'scheduled_message_sent',
+        SCHEDULED_MESSAGE_FAILED = 'scheduled_message_failed',
+        SCHEDULED_MESSAGE_MISSED = 'scheduled_message_missed',
+        BULK_SEND_PROGRESS = 'bulk_send_progress',
+        BULK_SEND_COMPLETE = 'bulk_send_complete',
+        DRAFT_CHANGED = 'draft_changed',
+        ROUTER_ERROR = 'router_error',
+        EVENT_QUEUE_TIMEOUT = 'event_queue_timeout',
+        EVENT_QUEUE_ERROR = 'event_queue_error',
+        WEBHOOK_FAILED = 'webhook_failed',
+        HEALTH_CHANGED = 'health_changed',
+        RESTARTING = 'restarting',
+        RESTARTED = 'restarted',
+        REMOTE_SESSION_RESTORE_FAILED = 'remote_session_restore_failed',
+        ACCOUNT_STATUS_CHANGED = 'account_status_changed',
+        LOGIN_CODE = 'login_code'
     }
 
     /** Group notification types */
@@ -1054,6 +2394,12 @@ declare namespace WAWebJS {
         getReactions: () => Promise<ReactionList[]>,
         /** Edits the current message */
         edit: (content: MessageContent, options?: MessageEditOptions) => Promise<Message | null>,
+        /**
+         * Waits until this message reaches the given ACK level.
+         * Resolves with the delivered message, which may be a resent copy if delivery tracking retried it.
+         * Rejects if the message reaches its final ACK (ACK_READ, or ACK_PLAYED for audio and video) below the given one.
+         */
+        waitForAck: (level?: MessageAck, timeout?: number) => Promise<Message>,
     }
 
     /** ID that represents a message */
@@ -1211,6 +2557,11 @@ declare namespace WAWebJS {
         stickerAuthor?: string
         /** Sticker categories, if sendMediaAsSticker is true */
         stickerCategories?: string[]
+        /** Send immediately even if the outbox is enabled. Buttons and List are always sent immediately */
+        skipOutbox?: boolean
+        /** Follow the message ACK and retry it if delivery tracking is enabled
+         * @default true */
+        trackDelivery?: boolean
     }
 
     /** Options for editing a message */
@@ -1462,6 +2813,24 @@ declare namespace WAWebJS {
      *   archived: false
      * }
      */
+    /** Draft in the compose box of a chat */
+    export interface ChatDraft {
+        text: string,
+        /** ID of the message the draft replies to */
+        quotedMessageId: string | null,
+        /** User IDs mentioned in the draft */
+        mentions: string[],
+        /** When the draft was last edited */
+        timestamp: number | null
+    }
+
+    export interface ChatDraftOptions {
+        /** ID of the message the draft replies to */
+        quotedMessageId?: string,
+        /** Contacts or user IDs mentioned in the draft */
+        mentions?: (Contact | string)[]
+    }
+
     export interface Chat {
         /** Indicates if the Chat is archived */
         archived: boolean,
@@ -1504,6 +2873,16 @@ declare namespace WAWebJS {
         mute: (unmuteDate?: Date) => Promise<void>,
         /** Send a message to this chat */
         sendMessage: (content: MessageContent, options?: MessageSendOptions) => Promise<Message>,
+        /** Schedules a message in this chat to be sent later, once or repeatedly */
+        scheduleMessage: (content: MessageContent, options: ScheduleOptions & MessageSendOptions) => Promise<ScheduledMessage>,
+        /** Returns the messages scheduled in this chat */
+        getScheduledMessages: () => Promise<ScheduledMessage[]>,
+        /** Returns the draft currently in the compose box of this chat */
+        getDraft: () => Promise<ChatDraft | null>,
+        /** Puts a draft in the compose box of this chat, an empty text clears it */
+        setDraft: (text: string, options?: ChatDraftOptions) => Promise<ChatDraft | null>,
+        /** Removes the draft from the compose box of this chat */
+        clearDraft: () => Promise<void>,
         /** Set the message as seen */
         sendSeen: () => Promise<void>,
         /** Simulate recording audio in chat. This will last for 25 seconds */
@@ -1929,8 +3308,17 @@ declare namespace WAWebJS {
         memory: MemoryConfig;
         
         ask(chatId: string, prompt: string, options?: AIRequestOptions): Promise<string>;
+        /** Asks a question and delivers the response to the chat while it is written, showing the typing state meanwhile */
+        askStream(chatId: string, prompt: string, options?: AIStreamOptions): Promise<string>;
         createThread(chatId: string): Promise<Thread>;
-        registerFunctions(functions: { [key: string]: Function }): void;
+        /** Registers functions the AI may call as tools. Arguments are checked against the parameters schema */
+        registerFunctions(functions: { [key: string]: ToolHandler | ToolDefinition }): void;
+        /** System prompts of the chats */
+        prompts: PromptManager;
+        /** Built-in WhatsApp tools, if enabled */
+        whatsappTools: WhatsAppTools | null;
+        /** Lets the AI act on the chat it answers in with the built-in WhatsApp tools */
+        useWhatsAppTools(options?: WhatsAppToolsOptions): WhatsAppTools;
         analyzeSentiment(text: string): Promise<SentimentResult>;
         getSmartReplies(text: string, options?: SmartReplyOptions): Promise<string[]>;
         detectLanguage(text: string): Promise<string>;
@@ -1983,10 +3371,21 @@ declare namespace WAWebJS {
         
         chatId: string;
         lastUsed: number;
+        /** Summary of the messages evicted from the history */
+        summary: string;
         
+        /** Adds a pinned fact, sent with every request and never evicted from the memory */
         addContext(key: string, value: any): void;
+        removeContext(key: string): boolean;
         getContext(): { [key: string]: any };
+        /** Sets the memory budget of this chat, overriding the one of the assistant */
+        setMemoryOptions(options: MemoryOptions): Promise<void>;
+        getMemoryOptions(): MemoryOptions;
+        /** Tokens used by the history, its summary and the pinned facts */
+        getMemoryUsage(): { budget: number, history: number, summary: number, context: number };
         ask(prompt: string, options?: AIRequestOptions): Promise<string>;
+        /** Asks a question and yields the response as it is written. Functions are not offered while streaming */
+        askStream(prompt: string, options?: AIRequestOptions): AsyncIterable<string>;
     }
 
     export interface AIAssistantOptions {
@@ -2013,8 +3412,27 @@ declare namespace WAWebJS {
             maxTokens: number;
             [key: string]: any;
         };
+        maxToolIterations: number;
+        toolTimeout: number;
+        tokenCounter?: TokenCounter;
+        history: Required<MemoryOptions>;
+    }
+
+    /** Token budget of the conversation memory of a chat */
+    export interface MemoryOptions {
+        /** Tokens the history, its summary and the pinned facts may use together
+         * @default 4000 */
+        maxTokens?: number;
+        /** Summarize the messages evicted from the history, instead of dropping them
+         * @default true */
+        summarize?: boolean;
+        /** Length of the summary
+         * @default 300 */
+        summaryMaxTokens?: number;
     }
 
+    export type TokenCounter = (text: string, model: string) => number;
+
     export interface MemoryConfig {
         type: 'session' | 'persistent';
         provider: 'memory' | 'redis' | 'file';
@@ -2026,9 +3444,27 @@ declare namespace WAWebJS {
         model?: string;
         temperature?: number;
         maxTokens?: number;
+        /** Rounds of tool calls before the request fails */
+        maxToolIterations?: number;
+        /** Time in ms a tool gets to return */
+        toolTimeout?: number;
         [key: string]: any;
     }
 
+    export interface AIStreamOptions extends AIRequestOptions {
+        /** Edit one message as the response grows, or send it as several messages cut at sentence boundaries
+         * @default 'edit' */
+        delivery?: 'edit' | 'split';
+        /** With 'edit', minimum time between two updates of the message in ms
+         * @default 1000 */
+        editInterval?: number;
+        /** With 'split', shortest message sent before the response is complete
+         * @default 200 */
+        minMessageLength?: number;
+        /** Called with each chunk and the response so far */
+        onChunk?: (chunk: string, response: string) => void;
+    }
+
     export interface SentimentResult {
         score: number;
         text: string;
@@ -2069,6 +3505,207 @@ declare namespace WAWebJS {
         storageOptions?: any;
         /** Additional provider-specific options */
         options?: any;
+        /** Rounds of tool calls before a request fails
+         * @default 5 */
+        maxToolIterations?: number;
+        /** Time in ms a tool gets to return
+         * @default 30000 */
+        toolTimeout?: number;
+        /** Default system prompt, may use {{variables}}
+         * @default 'You are a helpful WhatsApp assistant.' */
+        systemPrompt?: PromptDefinition;
+        /** Prompts per chat, group and label, and their variables */
+        prompts?: PromptOptions;
+        /** Built-in WhatsApp tools to register */
+        whatsappTools?: WhatsAppToolsOptions & { enabled?: boolean };
+        /** Counts the tokens of a text, instead of the tokenizer or estimate of the provider */
+        tokenCounter?: TokenCounter;
+        /** Tokens the history of a chat, its summary and its pinned facts may use together
+         * @default 4000 */
+        maxHistoryTokens?: number;
+        /** Summarize the messages evicted from the history, instead of dropping them
+         * @default true */
+        summarizeHistory?: boolean;
+        /** Length of the summary
+         * @default 300 */
+        summaryMaxTokens?: number;
+    }
+
+    export interface ToolContext {
+        chatId: string;
+        thread: Thread;
+        assistant: AIAssistant;
+        client: Client;
+    }
+
+    export type ToolHandler = ((args: any, context: ToolContext) => any) & {
+        description?: string;
+        parameters?: object;
+        timeout?: number;
+    };
+
+    export interface ToolDefinition {
+        handler: (args: any, context: ToolContext) => any;
+        /** What the function does, for the AI */
+        description?: string;
+        /** JSON schema of the arguments */
+        parameters?: object;
+        /** Time in ms the function gets to return. Defaults to the toolTimeout option */
+        timeout?: number;
+        /** Whether the AI may use the function in a chat, it is hidden from the AI otherwise */
+        available?: (context: ToolContext) => boolean | Promise<boolean>;
+    }
+
+    /** Prompt text, or a template. Without a version, the rolled out one is used */
+    export type PromptDefinition = string | { template: string, version?: number };
+
+    export interface BusinessHours {
+        /** Open days, 0 being Sunday
+         * @default [1, 2, 3, 4, 5] */
+        days?: number[];
+        /** Opening time, HH:MM
+         * @default '09:00' */
+        open?: string;
+        /** Closing time, HH:MM, on the same day
+         * @default '17:00' */
+        close?: string;
+        /** Description of the hours given to the AI, instead of the generated one */
+        text?: string;
+    }
+
+    export interface PromptOptions {
+        /** Default prompt */
+        systemPrompt?: PromptDefinition;
+        /** Prompts by chat ID */
+        chats?: { [chatId: string]: PromptDefinition };
+        /** Prompt of group chats */
+        groups?: PromptDefinition | null;
+        /** Prompts by label name or ID. The first label of a chat with a prompt is used */
+        labels?: { [label: string]: PromptDefinition };
+        /** Custom variables, or a function returning them for a chat */
+        variables?: { [name: string]: any } | ((chatId: string) => { [name: string]: any } | Promise<{ [name: string]: any }>);
+        /** Locale of the dates, and of the conversation
+         * @default 'en' */
+        locale?: string;
+        /** Timezone of the dates and business hours. Defaults to the system timezone */
+        timezone?: string;
+        businessHours?: BusinessHours | null;
+    }
+
+    export interface PromptTemplateVersion {
+        version: number;
+        /** Text of the prompt, with {{variable}} placeholders */
+        text: string;
+        /** What changed in this version */
+        description?: string;
+        createdAt: number;
+    }
+
+    export interface PromptTemplate {
+        name: string;
+        /** Versions, oldest first */
+        versions: PromptTemplateVersion[];
+        /** Version used by the chats */
+        active: number | null;
+        /** Version being rolled out to a percentage of the chats */
+        candidate: { version: number, percentage: number } | null;
+        /** Versions that were active before, the last one is restored by a rollback */
+        previous: number[];
+    }
+
+    export interface ResolvedPrompt {
+        /** Prompt with its variables filled in */
+        text: string;
+        source: 'chat' | 'group' | 'label' | 'default';
+        /** Template and version used, if any */
+        template: { name: string, version: number } | null;
+    }
+
+    /** Picks the system prompt of each chat and fills in its variables */
+    export class PromptManager {
+        constructor(assistant: AIAssistant, options?: PromptOptions);
+        assistant: AIAssistant;
+        options: PromptOptions;
+        setDefault(prompt: PromptDefinition): void;
+        /** Sets the prompt of a chat, null to remove it */
+        setForChat(chatId: string, prompt: PromptDefinition | null): void;
+        /** Sets the prompt of the chats with a label, null to remove it */
+        setForLabel(label: string, prompt: PromptDefinition | null): void;
+        /** Sets the prompt of group chats, null to remove it */
+        setForGroups(prompt: PromptDefinition | null): void;
+        /** Adds a version of a template. The first version is rolled out right away, the next ones with rollout() */
+        defineTemplate(name: string, text: string, options?: { description?: string }): Promise<PromptTemplateVersion>;
+        /** Rolls a version, by default the latest, out to a percentage of the chats or to all of them */
+        rollout(name: string, version?: number, options?: { percentage?: number }): Promise<PromptTemplate>;
+        /** Stops the rollout of a template, or goes back to the version that was active before */
+        rollback(name: string): Promise<PromptTemplate>;
+        getTemplate(name: string): Promise<PromptTemplate | null>;
+        getTemplates(): Promise<PromptTemplate[]>;
+        /** Gets the prompt of a chat, with its variables filled in */
+        resolve(chatId: string): Promise<ResolvedPrompt>;
+        /** Fills in the variables of a prompt for a chat */
+        render(text: string, chatId: string): Promise<string>;
+        /** Whether a time is within the business hours */
+        isOpen(timestamp?: number): boolean;
+        describeBusinessHours(): string | null;
+    }
+
+    export type WhatsAppToolName = 'send_message' | 'send_location' | 'send_poll' | 'get_contact_info'
+        | 'list_group_participants' | 'react_to_message' | 'add_labels' | 'schedule_follow_up' | 'request_handoff';
+
+    export interface WhatsAppToolsOptions {
+        /** Tools to register. Defaults to all of them */
+        allow?: WhatsAppToolName[];
+        /** Tools allowed per chat ID, or a function deciding it. Chats missing from the object may use every allowed tool */
+        permissions?: { [chatId: string]: WhatsAppToolName[] } | ((chatId: string, toolName: WhatsAppToolName) => boolean | Promise<boolean>);
+    }
+
+    /** Exposes client capabilities to the AI as tools acting on the chat it answers in */
+    export class WhatsAppTools {
+        constructor(assistant: AIAssistant, options?: WhatsAppToolsOptions);
+        static readonly names: WhatsAppToolName[];
+        assistant: AIAssistant;
+        options: WhatsAppToolsOptions;
+        /** Registers the allowed tools with the assistant */
+        register(): this;
+        /** Whether a tool may be used in a chat */
+        isAllowed(chatId: string, name: string): Promise<boolean>;
+    }
+
+    /** Tool call requested by the AI */
+    export interface ToolCall {
+        /** Id the result is sent back with */
+        id: string;
+        name: string;
+        /** Arguments, or their raw text when it is not valid JSON */
+        arguments: any;
+    }
+
+    export interface AIResponse {
+        role: 'assistant';
+        /** Text of the response, may be empty when tools are called */
+        content: string;
+        /** Tools to call before the AI can answer */
+        toolCalls: ToolCall[];
+    }
+
+    export class AIProvider {
+        constructor(options?: any);
+        options: any;
+        generateResponse(systemPrompt: string, messages: any[], options?: AIRequestOptions & {
+            tools?: Array<{ name: string, description: string, parameters: object }>
+        }): Promise<AIResponse>;
+        /** Yields the response as it is written. Providers that cannot stream yield it at once */
+        generateStream(systemPrompt: string, messages: any[], options?: AIRequestOptions): AsyncIterable<string>;
+        static create(provider: string, options?: any): AIProvider;
+        static registerProvider(name: string, provider: typeof AIProvider): void;
+        static parseArguments(args: string | object): any;
+        static createToolCallId(): string;
+        /** Average characters per token, used to estimate token counts */
+        static CHARS_PER_TOKEN: number;
+        /** Counts the tokens of a text for a model. OpenAI models are counted exactly when js-tiktoken is installed */
+        countTokens(text: string, model?: string): number;
+        countMessageTokens(messages: any[], model?: string): number;
     }
 
     export interface TemplateParserOptions {
@@ -3,6 +3,7 @@
 const Constants = require('./src/util/Constants');
 
 const Client = require('./src/Client');
+const ClientManager = require('./src/ClientManager');
 
 const {
     MessageMedia,
@@ -36,11 +37,21 @@ const {
 const AIAssistant = require('./src/structures/AIAssistant');
 const Thread = require('./src/structures/Thread');
 const TemplateParser = require('./src/structures/TemplateParser');
+const WhatsAppTools = require('./src/structures/WhatsAppTools');
+const PromptManager = require('./src/structures/PromptManager');
 const AIProvider = require('./src/structures/providers/AIProvider');
 const ThreadStorage = require('./src/structures/storage/ThreadStorage');
+const OutboxStore = require('./src/structures/storage/OutboxStore');
+const ScheduleStore = require('./src/structures/storage/ScheduleStore');
+const RemoteAuthStore = require('./src/structures/storage/RemoteAuthStore');
+const ApiServer = require('./src/util/ApiServer');
+const Errors = require('./src/util/Errors');
+const SessionBundle = require('./src/util/SessionBundle');
+const QRRenderer = require('./src/util/QRRenderer');
 
 module.exports = {
     Client,
+    ClientManager,
     MessageMedia,
     Location,
     Poll,
@@ -67,8 +78,17 @@ module.exports = {
     AIAssistant,
     Thread,
     TemplateParser,
+    WhatsAppTools,
+    PromptManager,
     AIProvider,
     ThreadStorage,
+    OutboxStore,
+    ScheduleStore,
+    RemoteAuthStore,
+    ApiServer,
+    SessionBundle,
+    QRRenderer,
+    ...Errors,
     
     version: require('./package.json').version,
 
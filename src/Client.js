@@ -20,6 +20,20 @@ const NoAuth = require('./authStrategies/NoAuth');
 const {exposeFunctionIfAbsent} = require('./util/Puppeteer');
 const AIAssistant = require('./structures/AIAssistant');
 const TemplateParser = require('./structures/TemplateParser');
+const Outbox = require('./util/Outbox');
+const DeliveryTracker = require('./util/DeliveryTracker');
+const MessageScheduler = require('./util/MessageScheduler');
+const BulkSendJob = require('./util/BulkSendJob');
+const EventRouter = require('./util/EventRouter');
+const ChatEventQueue = require('./util/ChatEventQueue');
+const EventCoalescer = require('./util/EventCoalescer');
+const WebhookDispatcher = require('./util/WebhookDispatcher');
+const ApiServer = require('./util/ApiServer');
+const HealthMonitor = require('./util/HealthMonitor');
+const BrowserSupervisor = require('./util/BrowserSupervisor');
+const RetryPolicy = require('./util/RetryPolicy');
+const LoginFlow = require('./util/LoginFlow');
+const { ChatNotFoundError } = require('./util/Errors');
 
 /**
  * Starting point for interacting with the WhatsApp Web API
@@ -30,6 +44,8 @@ const TemplateParser = require('./structures/TemplateParser');
  * @param {object} options.webVersionCache - Determines how to retrieve the WhatsApp Web version. Defaults to a local cache (LocalWebCache) that falls back to latest if the requested version is not found.
  * @param {number} options.authTimeoutMs - Timeout for authentication selector in puppeteer
  * @param {object} options.puppeteer - Puppeteer launch options. View docs here: https://github.com/puppeteer/puppeteer/
+ * @param {puppeteer.Browser|Function} options.browser - Browser to open the client in, in its own incognito context, or an async function returning it.
+ * The browser is shared and not closed by the client. Ignored when the auth strategy keeps a profile directory, like LocalAuth and RemoteAuth.
  * @param {number} options.qrMaxRetries - How many times should the qrcode be refreshed before giving up
  * @param {string} options.restartOnAuthFail  - @deprecated This option should be set directly on the LegacySessionAuth.
  * @param {object} options.session - @deprecated Only here for backwards-compatibility. You should move to using LocalAuth, or set the authStrategy to LegacySessionAuth explicitly. 
@@ -48,8 +64,58 @@ const TemplateParser = require('./structures/TemplateParser');
  * @param {object} options.templateParser - Template parser configuration
  * @param {boolean} options.templateParser.enabled - Whether to enable the template parser
  * @param {object} options.templateParser.defaultTemplates - Default templates to add
+ * @param {object} options.outbox - Outbound message queue configuration. When enabled, sendMessage calls are queued and rate limited
+ * @param {boolean} options.outbox.enabled - Whether to enable the outbox
+ * @param {string|OutboxStore} options.outbox.store - Store used to persist queued messages ('memory', 'file' or a custom OutboxStore)
+ * @param {object} options.outbox.storeOptions - Options for the built-in store
+ * @param {RateLimitOptions} options.outbox.global - Rate limit applied across all chats
+ * @param {RateLimitOptions} options.outbox.perChat - Rate limit applied to each chat individually
+ * @param {object} options.delivery - Delivery tracking configuration. When enabled, sent messages are followed until they are acknowledged
+ * @param {boolean} options.delivery.enabled - Whether to enable delivery tracking
+ * @param {MessageAck} options.delivery.ackLevel - ACK a message must reach to be considered delivered. Defaults to ACK_SERVER
+ * @param {number} options.delivery.deadlineMs - How long a message may stay below ackLevel before it is retried
+ * @param {number} options.delivery.maxRetries - How many times a message is resent before emitting message_delivery_failed
+ * @param {object} options.scheduler - Scheduled messages configuration
+ * @param {string|ScheduleStore} options.scheduler.store - Store used to persist scheduled messages ('memory', 'file' or a custom ScheduleStore)
+ * @param {object} options.scheduler.storeOptions - Options for the built-in store
+ * @param {string} options.scheduler.timezone - Default timezone for scheduled messages. Defaults to the system timezone
+ * @param {string} options.scheduler.missed - What to do with messages that were due while the client was offline: 'send', 'skip' or 'emit'. Defaults to 'send'
+ * @param {object} options.eventQueue - Per-chat event queue configuration. When enabled, listeners of chat events run one event at a time per chat and async listeners are awaited
+ * @param {boolean} options.eventQueue.enabled - Whether to enable the event queue
+ * @param {string[]} options.eventQueue.events - Events that are queued. Defaults to message, group and reaction events
+ * @param {number} options.eventQueue.concurrency - Maximum number of chats processed at the same time. Defaults to 10
+ * @param {number} options.eventQueue.timeout - Time in ms after which a stuck listener stops holding back its chat. Defaults to 60000
+ * @param {object} options.webhooks - Webhook configuration. When enabled, events are POSTed as signed JSON to the given endpoints
+ * @param {boolean} options.webhooks.enabled - Whether to enable webhooks
+ * @param {Array<WebhookEndpoint>} options.webhooks.endpoints - Endpoints to send events to
+ * @param {number} options.webhooks.maxRetries - Retries per delivery before it is dead-lettered. Defaults to 5
+ * @param {number} options.webhooks.retryDelay - Delay before the first retry in ms, doubled on every retry. Defaults to 1000
+ * @param {string} options.webhooks.deadLetterPath - File that failed deliveries are appended to
+ * @param {object} options.api - REST API server configuration. When enabled, the server starts listening on initialize
+ * @param {boolean} options.api.enabled - Whether to enable the API server
+ * @param {string} options.api.apiKey - Key callers must send as a bearer token or X-API-Key header
+ * @param {number} options.api.port - Port to listen on. Defaults to 3000
+ * @param {string} options.api.host - Interface to listen on. Defaults to 127.0.0.1
+ * @param {string} options.api.basePath - Prefix for all routes, e.g. '/api'
+ * @param {object} options.supervisor - Browser supervision configuration. Calls in flight are always rejected when the browser or page goes away
+ * @param {boolean} options.supervisor.restart - Whether to relaunch the browser after it crashed or disconnected. Defaults to true
+ * @param {number} options.supervisor.maxAttempts - Relaunch attempts per crash before emitting disconnected. Defaults to 5
+ * @param {object} options.retry - Retry policy for page calls that fail for a transient reason. Without it, calls are not retried
+ * @param {boolean} options.retry.enabled - Whether to enable retries
+ * @param {number} options.retry.attempts - Attempts per call, including the first one. Defaults to 3
+ * @param {number} options.retry.minDelay - Delay before the first retry in ms, multiplied by options.retry.factor on every retry. Defaults to 500
+ * @param {string[]|Function} options.retry.retryOn - Error codes to retry, or (error) => boolean. Defaults to PAGE_CLOSED, RATE_LIMITED and MEDIA_DOWNLOAD_FAILED
+ * @param {boolean} options.retry.waitForConnected - Wait for the CONNECTED state before retrying. Defaults to true
+ * @param {Function} options.retry.onRetry - Called with a RetryInfo before every retry
+ * @param {object} options.health - Session health check configuration. When enabled, the page is probed periodically and stalled sessions are recovered
+ * @param {boolean} options.health.enabled - Whether to enable health checks
+ * @param {number} options.health.interval - Time between checks in ms. Defaults to 30000
+ * @param {number} options.health.stateTimeout - How long the connection state may stay other than CONNECTED before the session is unhealthy. Defaults to 60000
+ * @param {number} options.health.maxEventAge - Mark the session unhealthy when no event came in from WhatsApp Web for this long in ms. Disabled by default
+ * @param {boolean|string[]} options.health.recovery - Recovery actions tried in order: 'reload' and 'reinitialize'. Set to false to only emit health_changed
  * 
  * @fires Client#qr
+ * @fires Client#login_code
  * @fires Client#authenticated
  * @fires Client#auth_failure
  * @fires Client#ready
@@ -70,6 +136,23 @@ const TemplateParser = require('./structures/TemplateParser');
  * @fires Client#group_admin_changed
  * @fires Client#group_membership_request
  * @fires Client#vote_update
+ * @fires Client#outbox_message_sent
+ * @fires Client#outbox_message_failed
+ * @fires Client#message_delivery_failed
+ * @fires Client#scheduled_message_sent
+ * @fires Client#scheduled_message_failed
+ * @fires Client#scheduled_message_missed
+ * @fires Client#bulk_send_progress
+ * @fires Client#bulk_send_complete
+ * @fires Client#draft_changed
+ * @fires Client#router_error
+ * @fires Client#event_queue_timeout
+ * @fires Client#event_queue_error
+ * @fires Client#webhook_failed
+ * @fires Client#health_changed
+ * @fires Client#restarting
+ * @fires Client#restarted
+ * @fires Client#remote_session_restore_failed
  */
 class Client extends EventEmitter {
     constructor(options = {}) {
@@ -100,6 +183,7 @@ class Client extends EventEmitter {
 
         this.pupBrowser = null;
         this.pupPage = null;
+        this._browserContext = null;
 
         Util.setFfmpegPath(this.options.ffmpegPath);
         
@@ -124,6 +208,115 @@ class Client extends EventEmitter {
         if (options.templateParser && options.templateParser.enabled !== false) {
             this.templateParser = new TemplateParser(this, options.templateParser);
         }
+
+        /**
+         * Outbound message queue
+         * @type {Outbox}
+         */
+        this.outbox = null;
+
+        if (options.outbox && options.outbox.enabled !== false) {
+            this.outbox = new Outbox(this, options.outbox);
+        }
+
+        /**
+         * Delivery tracker for sent messages
+         * @type {DeliveryTracker}
+         */
+        this.deliveryTracker = null;
+
+        if (options.delivery && options.delivery.enabled !== false) {
+            this.deliveryTracker = new DeliveryTracker(this, options.delivery);
+        }
+
+        /**
+         * Scheduler for delayed and recurring messages
+         * @type {MessageScheduler}
+         */
+        this.scheduler = new MessageScheduler(this, options.scheduler);
+
+        /**
+         * Routes events to handlers with declarative filters and middleware
+         * @type {EventRouter}
+         */
+        this.router = new EventRouter(this);
+
+        /**
+         * Per-chat event queue, if enabled
+         * @type {ChatEventQueue}
+         */
+        this.eventQueue = null;
+
+        if (options.eventQueue && options.eventQueue.enabled !== false) {
+            this.eventQueue = new ChatEventQueue(this, options.eventQueue);
+        }
+
+        /**
+         * Debounced, throttled and batched event subscriptions
+         * @type {EventCoalescer}
+         */
+        this.coalescer = new EventCoalescer(this);
+
+        /**
+         * Webhook dispatcher, if enabled
+         * @type {WebhookDispatcher}
+         */
+        this.webhooks = null;
+
+        if (options.webhooks && options.webhooks.enabled !== false) {
+            this.webhooks = new WebhookDispatcher(this, options.webhooks);
+        }
+
+        /**
+         * REST API server, if enabled
+         * @type {ApiServer}
+         */
+        this.api = null;
+
+        if (options.api && options.api.enabled !== false) {
+            this.api = new ApiServer(this, options.api);
+        }
+
+        /**
+         * Retry policy applied to page calls
+         * @type {RetryPolicy}
+         */
+        this.retryPolicy = new RetryPolicy(this, options.retry && options.retry.enabled !== false ? options.retry : { attempts: 1 });
+
+        /**
+         * Watches the browser and relaunches it after a crash
+         * @type {BrowserSupervisor}
+         */
+        this.supervisor = new BrowserSupervisor(this, options.supervisor);
+
+        /**
+         * Session health monitor, if enabled
+         * @type {HealthMonitor}
+         */
+        this.health = null;
+
+        if (options.health && options.health.enabled !== false) {
+            this.health = new HealthMonitor(this, options.health);
+        }
+
+        /**
+         * Login flow started with login(), until it settles
+         * @type {?LoginFlow}
+         */
+        this.loginFlow = null;
+    }
+
+    /**
+     * Emits an event. Chat events are handed to the event queue when it is enabled.
+     * @param {string} event
+     * @param {...*} args
+     * @returns {boolean}
+     */
+    emit(event, ...args) {
+        if (this.eventQueue && this.eventQueue.push(event, args)) {
+            return this.listenerCount(event) > 0;
+        }
+        return super.emit(event, ...args);
     }
     /**
      * Injection logic
@@ -180,6 +373,9 @@ class Client extends EventEmitter {
             // Register qr events
             let qrRetries = 0;
             await exposeFunctionIfAbsent(this.pupPage, 'onQRChangedEvent', async (qr) => {
+                // a login flow decides which codes are shown and what happens after the last one
+                if (this.loginFlow && this.loginFlow.active) return this.loginFlow.handleQr(qr);
+
                 /**
                 * Emitted when a QR code is received
                 * @event Client#qr
@@ -208,6 +404,8 @@ class Client extends EventEmitter {
                 window.onQRChangedEvent(getQR(window.AuthStore.Conn.ref)); // initial qr
                 window.AuthStore.Conn.on('change:ref', (_, ref) => { window.onQRChangedEvent(getQR(ref)); }); // future QR changes
             });
+
+            if (this.loginFlow && this.loginFlow.active) await this.loginFlow.handleAuthenticationNeeded();
         }
 
         await exposeFunctionIfAbsent(this.pupPage, 'onAuthAppStateChangedEvent', async (state) => {
@@ -269,6 +467,7 @@ class Client extends EventEmitter {
                  * @event Client#ready
                  */
             this.emit(Events.READY);
+            await this._startComponents();
             this.authStrategy.afterAuthReady();
         });
         let lastPercent = null;
@@ -298,6 +497,7 @@ class Client extends EventEmitter {
      * Sets up events and requirements, kicks off authentication request
      */
     async initialize() {
+        if (this.api) await this.api.listen();
 
         let 
             /**
@@ -315,7 +515,17 @@ class Client extends EventEmitter {
         await this.authStrategy.beforeBrowserInitialized();
 
         const puppeteerOpts = this.options.puppeteer;
-        if (puppeteerOpts && puppeteerOpts.browserWSEndpoint) {
+        // incognito contexts have no profile directory, so only clients that do not need one can share a browser
+        const sharedBrowser = this.options.browser && !puppeteerOpts.userDataDir
+            ? await (typeof this.options.browser === 'function' ? this.options.browser() : this.options.browser)
+            : null;
+        this._browserContext = null;
+
+        if (sharedBrowser) {
+            browser = sharedBrowser;
+            this._browserContext = await browser.createIncognitoBrowserContext();
+            page = await this._browserContext.newPage();
+        } else if (puppeteerOpts && puppeteerOpts.browserWSEndpoint) {
             browser = await puppeteer.connect(puppeteerOpts);
             page = await browser.newPage();
         } else {
@@ -339,6 +549,7 @@ class Client extends EventEmitter {
 
         this.pupBrowser = browser;
         this.pupPage = page;
+        this.supervisor.attach(browser, page);
 
         await this.authStrategy.afterBrowserInitialized();
         await this.initWebVersionCache();
@@ -377,6 +588,98 @@ class Client extends EventEmitter {
         });
     }
 
+    /**
+     * Closes the browser and runs initialize() again to recover a broken session.
+     * Listeners and other state kept on the client are preserved. Concurrent calls share the same restart.
+     */
+    async reinitialize() {
+        if (!this._reinitializing) {
+            this._reinitializing = (async () => {
+                this.supervisor.detach('Client is restarting');
+                if (this.pupBrowser) {
+                    try {
+                        await this._closeBrowser();
+                    } catch (err) {
+                        // the browser is already gone
+                    }
+                }
+                await this.initialize();
+            })().finally(() => this._reinitializing = null);
+        }
+        return this._reinitializing;
+    }
+
+    /**
+     * Runs a function with different retry options for the page calls it makes, e.g. to retry an important call
+     * more often, or to make sure a call that must not run twice is not retried.
+     * @param {object} options - Retry options to override, see options.retry
+     * @param {Function} fn
+     * @returns {Promise<*>} Result of fn
+     * @example
+     * const chat = await client.withRetry({ attempts: 5 }, () => client.getChatById(chatId));
+     */
+    withRetry(options, fn) {
+        return this.retryPolicy.withOptions(options, fn);
+    }
+
+    /**
+     * Exports the authenticated session as a portable bundle, which can be imported with the importSession()
+     * method of another auth strategy, on this or another host, without scanning the QR code again.
+     * Only supported by LocalAuth and RemoteAuth.
+     * @param {object} [options]
+     * @param {string} [options.passphrase] - Encrypts the bundle with a key derived from the passphrase
+     * @param {Buffer} [options.key] - Encrypts the bundle with a 32-byte key
+     * @returns {Promise<Buffer>}
+     * @example
+     * fs.writeFileSync('session.wwebjs', await client.exportSession({ passphrase }));
+     * // on the other host, before initialize()
+     * await remoteAuth.importSession(fs.readFileSync('session.wwebjs'), { passphrase });
+     */
+    async exportSession(options = {}) {
+        return this.authStrategy.exportSession(options);
+    }
+
+    /**
+     * Logs in with QR codes or a phone number pairing code, and resolves once the client is authenticated.
+     * Codes are emitted as login_code events with their expiry, QRRenderer turns QR codes into images.
+     * Initializes the client, unless it was initialized already; call it instead of initialize().
+     * @param {object} [options] - Login options, see LoginFlow
+     * @param {string} [options.method='qr'] - 'qr' or 'pairing'
+     * @param {string} [options.phoneNumber] - Phone number to pair, required for 'pairing' and for falling back from QR codes
+     * @param {boolean} [options.fallbackToPairing] - Switch to a pairing code after options.maxQrCodes QR codes. Defaults to true when a phone number is given
+     * @param {number} [options.maxQrCodes] - QR codes shown before falling back or giving up. Defaults to options.qrMaxRetries, or 3 when falling back
+     * @param {number} [options.timeout=0] - Time in ms to wait for the authentication. 0 to wait indefinitely
+     * @returns {Promise<LoginResult>} Rejects with a LoginError telling why the login failed
+     * @example
+     * client.on('login_code', async ({ method, code, expiresAt }) => {
+     *     if (method === 'qr') console.log(await QRRenderer.toTerminal(code));
+     *     else console.log(`Enter ${code} on your phone before ${new Date(expiresAt).toLocaleTimeString()}`);
+     * });
+     * await client.login({ phoneNumber: '12025550108', maxQrCodes: 2 });
+     */
+    async login(options = {}) {
+        if (this.loginFlow && this.loginFlow.active) this.loginFlow.cancel('A new login was started');
+
+        const flow = this.loginFlow = new LoginFlow(this, options);
+
+        if (this.pupPage) {
+            // window.Store is only there once authenticated, so the state is read from the AuthStore
+            const { state, authenticated } = await this.pupPage.evaluate(() => ({
+                state: window.AuthStore && window.AuthStore.AppState.state,
+                authenticated: Boolean(window.Store)
+            })).catch(() => ({}));
+
+            // the authenticated event has fired already
+            if (authenticated || state === WAState.CONNECTED) flow.handleAlreadyAuthenticated();
+            // already waiting for the device to be linked
+            else if (state === WAState.UNPAIRED || state === WAState.UNPAIRED_IDLE) await flow.handleAuthenticationNeeded();
+        } else {
+            this.initialize().catch(err => flow.handleInitializationError(err));
+        }
+
+        return flow.promise;
+    }
+
     /**
      * Request authentication via pairing code instead of QR code
      * @param {string} phoneNumber - Phone number in international, symbol-free format (e.g. 12025550108 for US, 551155501234 for Brazil)
@@ -561,6 +864,19 @@ class Client extends EventEmitter {
             this.emit(Events.UNREAD_COUNT, chat);
         });
 
+        await exposeFunctionIfAbsent(this.pupPage, 'onChatDraftChangedEvent', async (chatId, draft) => {
+            const chat = await this.getChatById(chatId);
+
+            /**
+             * Emitted when the draft of a chat is edited in WhatsApp Web.
+             * Changes made with Chat.setDraft are not reported.
+             * @event Client#draft_changed
+             * @param {Chat} chat The chat the draft belongs to
+             * @param {?ChatDraft} draft The new draft, null if it was cleared
+             */
+            this.emit(Events.DRAFT_CHANGED, chat, draft);
+        });
+
         await exposeFunctionIfAbsent(this.pupPage, 'onMessageMediaUploadedEvent', (msg) => {
 
             const message = new Message(this, msg);
@@ -743,6 +1059,19 @@ class Client extends EventEmitter {
                 }
             });
             window.Store.Chat.on('change:unreadCount', (chat) => {window.onChatUnreadCountEvent(chat);});
+
+            // the draft changes on every keystroke, only report it once the user stops typing
+            const draftTimers = new Map();
+            window.Store.Chat.on('change:draftMessage change:composeContents', (chat) => {
+                const chatId = chat.id._serialized;
+                if (window.WWebJS.draftWrites.has(chatId)) return;
+
+                clearTimeout(draftTimers.get(chatId));
+                draftTimers.set(chatId, setTimeout(() => {
+                    draftTimers.delete(chatId);
+                    window.onChatDraftChangedEvent(chatId, window.WWebJS.getDraftModel(chat));
+                }, 1000));
+            });
             window.Store.PollVote.on('add', async (vote) => {
                 const pollVoteModel = await window.WWebJS.getPollVoteModel(vote);
                 pollVoteModel && window.onPollVoteEvent(pollVoteModel);
@@ -816,23 +1145,66 @@ class Client extends EventEmitter {
      * Closes the client
      */
     async destroy() {
-        await this.pupBrowser.close();
+        if (this.loginFlow) this.loginFlow.cancel('The client was destroyed');
+        if (this.outbox) this.outbox.stop();
+        if (this.deliveryTracker) this.deliveryTracker.stop();
+        this.scheduler.stop();
+        if (this.eventQueue) this.eventQueue.clear();
+        this.coalescer.flush();
+        if (this.webhooks) this.webhooks.stop();
+        if (this.api) await this.api.close();
+        if (this.health) this.health.destroy();
+        this.supervisor.stop();
+        await this._closeBrowser();
         await this.authStrategy.destroy();
     }
 
+    /**
+     * Starts the components that need a ready client.
+     * A component that fails to start, e.g. because its store cannot be read, is logged and does not keep the others from starting.
+     * @private
+     */
+    async _startComponents() {
+        if (this.outbox) {
+            await this.outbox.start().catch(err => console.error('[Client] Failed to start the outbox:', err));
+        }
+        await this.scheduler.start().catch(err => console.error('[Client] Failed to start the scheduler:', err));
+        if (this.health) this.health.start();
+    }
+
+    /**
+     * Closes the browser, or only the context of the client when the browser is shared
+     * @private
+     */
+    async _closeBrowser() {
+        if (this._browserContext) {
+            const context = this._browserContext;
+            this._browserContext = null;
+            await context.close();
+        } else {
+            await this.pupBrowser.close();
+        }
+    }
+
     /**
      * Logs out the client, closing the current session
      */
     async logout() {
+        if (this.outbox) this.outbox.stop();
+        this.scheduler.stop();
+        if (this.health) this.health.stop();
         await this.pupPage.evaluate(() => {
             if (window.Store && window.Store.AppState && typeof window.Store.AppState.logout === 'function') {
                 return window.Store.AppState.logout();
             }
         });
-        await this.pupBrowser.close();
+        const shared = Boolean(this._browserContext);
+        // closing the browser must not relaunch it
+        this.supervisor.stop('Client logged out');
+        await this._closeBrowser();
         
         let maxDelay = 0;
-        while (this.pupBrowser.isConnected() && (maxDelay < 10)) { // waits a maximum of 1 second before calling the AuthStrategy
+        while (!shared && this.pupBrowser.isConnected() && (maxDelay < 10)) { // waits a maximum of 1 second before calling the AuthStrategy
             await new Promise(resolve => setTimeout(resolve, 100));
             maxDelay++; 
         }
@@ -891,10 +1263,14 @@ class Client extends EventEmitter {
      * @property {string} [stickerName=undefined] - Sets the name of the sticker, (if sendMediaAsSticker is true).
      * @property {string[]} [stickerCategories=undefined] - Sets the categories of the sticker, (if sendMediaAsSticker is true). Provide emoji char array, can be null.
      * @property {MessageMedia} [media] - Media to be sent
+     * @property {boolean} [skipOutbox=false] - Send immediately even if the outbox is enabled. Buttons and List are always sent immediately
+     * @property {boolean} [trackDelivery=true] - Follow the message ACK and retry it if delivery tracking is enabled
      */
     
     /**
-     * Send a message to a specific chatId
+     * Send a message to a specific chatId.
+     * If the outbox is enabled, the message is queued and the promise resolves once it has actually been sent.
+     * Buttons and List cannot be queued and are sent right away.
      * @param {string} chatId
      * @param {string|MessageMedia|Location|Poll|Contact|Array<Contact>|Buttons|List} content
      * @param {MessageSendOptions} [options] - Options used when sending the message
@@ -902,6 +1278,24 @@ class Client extends EventEmitter {
      * @returns {Promise<Message>} Message that was just sent
      */
     async sendMessage(chatId, content, options = {}) {
+        if (this.outbox && !options.skipOutbox && Outbox.canSerialize(content)) {
+            return this.outbox.enqueue(chatId, content, options);
+        }
+        return this._sendMessage(chatId, content, options);
+    }
+
+    /**
+     * Sends a message right away, bypassing the outbox
+     * @param {string} chatId
+     * @param {string|MessageMedia|Location|Poll|Contact|Array<Contact>|Buttons|List} content
+     * @param {MessageSendOptions} [options]
+     * @returns {Promise<Message>}
+     * @private
+     */
+    async _sendMessage(chatId, content, options = {}) {
+        const originalContent = content;
+        const originalOptions = { ...options };
+
         if (options.mentions) {
             !Array.isArray(options.mentions) && (options.mentions = [options.mentions]);
             if (options.mentions.some((possiblyContact) => possiblyContact instanceof Contact)) {
@@ -971,7 +1365,22 @@ class Client extends EventEmitter {
 
         const newMessage = await this.pupPage.evaluate(async (chatId, message, options, sendSeen) => {
             const chatWid = window.Store.WidFactory.createWid(chatId);
-            const chat = await window.Store.Chat.find(chatWid);
+            let chat = null;
+            let findError = null;
+            try {
+                chat = await window.Store.Chat.find(chatWid);
+            } catch (err) {
+                findError = err;
+            }
+            if (!chat) {
+                // only the number lookup tells an unregistered number apart from other failures
+                if (chatId.endsWith('@c.us')) {
+                    const result = await window.Store.QueryExist(chatWid);
+                    if (!result || result.wid === undefined) throw new Error(`[wwebjs:NOT_REGISTERED] ${chatId} is not registered on WhatsApp`);
+                }
+                if (findError) throw findError;
+                throw new Error(`[wwebjs:CHAT_NOT_FOUND] Chat not found: ${chatId}`);
+            }
 
 
             if (sendSeen) {
@@ -982,7 +1391,75 @@ class Client extends EventEmitter {
             return window.WWebJS.getMessageModel(msg);
         }, chatId, content, internalOptions, sendSeen);
 
-        return new Message(this, newMessage);
+        const message = new Message(this, newMessage);
+
+        if (this.deliveryTracker && options.trackDelivery !== false) {
+            this.deliveryTracker.track(message, chatId, originalContent, originalOptions);
+        }
+
+        return message;
+    }
+
+    /**
+     * Schedules a message to be sent later, once or repeatedly.
+     * Jobs are kept in the scheduler store and picked up again after a restart.
+     * @param {string} chatId
+     * @param {string|MessageMedia|Location|Poll|Contact|Array<Contact>} content
+     * @param {ScheduleOptions} options - When to send the message, plus any MessageSendOptions
+     * @returns {Promise<Object>} The scheduled job
+     */
+    async scheduleMessage(chatId, content, options = {}) {
+        return this.scheduler.schedule(chatId, content, options);
+    }
+
+    /**
+     * Returns the scheduled messages, ordered by their next run
+     * @param {string} [chatId] - Only return the messages scheduled for this chat
+     * @returns {Promise<Array<Object>>}
+     */
+    async getScheduledMessages(chatId) {
+        return this.scheduler.list(chatId);
+    }
+
+    /**
+     * Cancels a scheduled message
+     * @param {string} jobId
+     * @returns {Promise<boolean>} True if the message was cancelled
+     */
+    async cancelScheduledMessage(jobId) {
+        return this.scheduler.cancel(jobId);
+    }
+
+    /**
+     * Changes when a scheduled message is sent
+     * @param {string} jobId
+     * @param {ScheduleOptions} options - New timing, properties that are left out are kept
+     * @returns {Promise<Object>} The updated job
+     */
+    async rescheduleMessage(jobId, options) {
+        return this.scheduler.reschedule(jobId, options);
+    }
+
+    /**
+     * Sends a message to many recipients, one at a time with a randomized pause between them.
+     * Numbers are checked with getNumberId first, and the returned job can be paused, resumed or cancelled.
+     * @example
+     * const job = client.sendBulk(customers, customer => `Hi ${customer.name}, our sale starts today!`);
+     * const report = await job.done;
+     * console.log(`${report.sent.length} sent, ${report.notRegistered.length} not on WhatsApp`);
+     * @param {Array<string|Contact|Object>} recipients - Numbers, chat IDs, contacts or objects with an id or number property
+     * @param {string|MessageMedia|Location|Poll|Contact|Array<Contact>|Function} content - Content to send, or a function (recipient, index) that returns it. Returning null skips the recipient
+     * @param {object} [options]
+     * @param {boolean} [options.validate=true] - Check numbers with getNumberId before sending
+     * @param {number} [options.minDelay=2000] - Minimum pause between two messages in ms
+     * @param {number} [options.maxDelay=6000] - Maximum pause between two messages in ms
+     * @param {MessageSendOptions} [options.sendOptions] - Options passed to sendMessage
+     * @returns {BulkSendJob} The running job, its done promise resolves with the report
+     */
+    sendBulk(recipients, content, options = {}) {
+        const job = new BulkSendJob(this, recipients, content, options);
+        job.start();
+        return job;
     }
     
     /**
@@ -1019,12 +1496,14 @@ class Client extends EventEmitter {
      * Get chat instance by ID
      * @param {string} chatId 
      * @returns {Promise<Chat>}
+     * @throws {ChatNotFoundError} When the chat does not exist
      */
     async getChatById(chatId) {
         let chat = await this.pupPage.evaluate(async chatId => {
             return await window.WWebJS.getChat(chatId);
         }, chatId);
 
+        if (!chat) throw new ChatNotFoundError(`Chat not found: ${chatId}`, { chatId });
         return ChatFactory.create(this, chat);
     }
 
@@ -1275,6 +1754,7 @@ class Client extends EventEmitter {
                     ? await window.Store.ProfilePic.profilePicFind(chatWid)
                     : await window.Store.ProfilePic.requestProfilePicFromServer(chatWid);
             } catch (err) {
+                window.WWebJS.throwIfRateLimited(err);
                 if(err.name === 'ServerStatusCodeError') return undefined;
                 throw err;
             }
@@ -1453,6 +1933,7 @@ class Client extends EventEmitter {
                     participantWids
                 );
             } catch (err) {
+                window.WWebJS.throwIfRateLimited(err);
                 return 'CreateGroupError: An unknown error occupied while creating a group';
             }
 
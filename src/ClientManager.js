@@ -0,0 +1,301 @@
+'use strict';
+
+const EventEmitter = require('events');
+const puppeteer = require('puppeteer');
+
+const Client = require('./Client');
+const LocalAuth = require('./authStrategies/LocalAuth');
+const { DefaultOptions, Events, AccountStatus } = require('./util/Constants');
+
+/**
+ * Client events the manager re-emits, its own event is left out
+ * @private
+ */
+const FORWARDED_EVENTS = new Set(Object.values(Events).filter(event => event !== Events.ACCOUNT_STATUS_CHANGED));
+
+/**
+ * Client events that change the status of an account
+ * @private
+ */
+const STATUS_EVENTS = {
+    [Events.QR_RECEIVED]: AccountStatus.QR_PENDING,
+    [Events.AUTHENTICATED]: AccountStatus.AUTHENTICATED,
+    [Events.READY]: AccountStatus.READY,
+    [Events.AUTHENTICATION_FAILURE]: AccountStatus.AUTH_FAILURE,
+    [Events.DISCONNECTED]: AccountStatus.DISCONNECTED,
+    // a relaunched client reports qr, authenticated and ready again
+    [Events.RESTARTING]: AccountStatus.RESTARTING
+};
+
+/**
+ * Status of an account
+ * @typedef {Object} AccountState
+ * @property {string} id - Account id
+ * @property {AccountStatus} status
+ * @property {number} since - Time the status was entered, in ms since the epoch
+ * @property {?string} qr - QR code to scan, while the status is qr_pending
+ * @property {?string} wid - Serialized id of the account, once it is ready
+ * @property {?(Error|string)} reason - Disconnect reason, authentication failure message or initialization error
+ */
+
+/**
+ * Runs several WhatsApp accounts side by side, each with its own Client.
+ *
+ * Client events are re-emitted by the manager with the account id as first argument,
+ * e.g. manager.on('message', (accountId, message) => {}).
+ * Initializations are queued so that only a few browsers start at the same time.
+ * Clients whose auth strategy does not keep a profile directory share one browser, each in its own context;
+ * the others, such as the default LocalAuth, get their own browser.
+ * @extends {EventEmitter}
+ * @param {object} options - Manager options
+ * @param {object} [options.clientOptions] - Options of every client, the options given to create() take precedence
+ * @param {Function} [options.authStrategy] - (accountId) => AuthStrategy. Defaults to a LocalAuth with the account id as clientId
+ * @param {string} [options.dataPath] - dataPath of the default LocalAuth
+ * @param {number} [options.maxConcurrentInitializations=2] - Number of clients that may initialize at the same time
+ * @param {boolean} [options.shareBrowser=true] - Share one browser between the clients that can
+ * @param {object} [options.puppeteer] - Launch options of the shared browser. Defaults to clientOptions.puppeteer
+ * @example
+ * const manager = new ClientManager({ dataPath: './sessions' });
+ * manager.on('qr', (accountId, qr) => console.log(`Scan for ${accountId}`, qr));
+ * manager.on('message', (accountId, message) => console.log(accountId, message.body));
+ * manager.create('sales');
+ * manager.create('support');
+ */
+class ClientManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            clientOptions: {},
+            authStrategy: null,
+            dataPath: undefined,
+            maxConcurrentInitializations: 2,
+            shareBrowser: true,
+            puppeteer: null,
+            ...options
+        };
+
+        this._accounts = new Map();
+        this._queue = [];
+        this._initializing = 0;
+        this._browser = null;
+        this._forwarded = new Set();
+
+        // client events are only forwarded once someone listens to them, so clients behave the same otherwise
+        this.on('newListener', event => {
+            if (!FORWARDED_EVENTS.has(event) || this._forwarded.has(event)) return;
+            this._forwarded.add(event);
+            for (const account of this._accounts.values()) this._forward(account, event);
+        });
+    }
+
+    /**
+     * Number of accounts
+     * @type {number}
+     */
+    get size() {
+        return this._accounts.size;
+    }
+
+    /**
+     * Creates the client of an account and queues its initialization
+     * @param {string} id - Account id, also used as clientId of the default LocalAuth
+     * @param {object} [options] - Client options of this account
+     * @returns {Client}
+     */
+    create(id, options = {}) {
+        if (this._accounts.has(id)) throw new Error(`Account ${id} already exists.`);
+
+        const { clientOptions } = this.options;
+        const merged = {
+            ...clientOptions,
+            ...options,
+            puppeteer: { ...DefaultOptions.puppeteer, ...clientOptions.puppeteer, ...options.puppeteer }
+        };
+        if (!merged.authStrategy) {
+            merged.authStrategy = this.options.authStrategy
+                ? this.options.authStrategy(id)
+                : new LocalAuth({ clientId: id, dataPath: this.options.dataPath });
+        }
+        if (this.options.shareBrowser && !merged.browser) merged.browser = () => this._getBrowser();
+
+        const account = {
+            id,
+            client: new Client(merged),
+            status: null,
+            since: null,
+            qr: null,
+            reason: null,
+            listeners: [],
+            initialization: null
+        };
+        this._accounts.set(id, account);
+
+        for (const [event, status] of Object.entries(STATUS_EVENTS)) {
+            this._listen(account, event, arg => this._setStatus(account, status, arg));
+        }
+        this._forwarded.forEach(event => this._forward(account, event));
+
+        this._setStatus(account, AccountStatus.QUEUED);
+        this._queue.push(account);
+        this._next();
+
+        return account.client;
+    }
+
+    /**
+     * Destroys the client of an account and forgets the account
+     * @param {string} id - Account id
+     * @returns {Promise<boolean>} Whether the account existed
+     */
+    async destroy(id) {
+        const account = this._accounts.get(id);
+        if (!account) return false;
+
+        this._accounts.delete(id);
+        this._queue = this._queue.filter(queued => queued !== account);
+
+        // a browser that is being launched would be left behind
+        if (account.initialization) await account.initialization;
+        account.listeners.forEach(([event, listener]) => account.client.removeListener(event, listener));
+
+        if (account.client.pupBrowser) {
+            await account.client.destroy().catch(err => {
+                console.error(`[ClientManager] Failed to destroy account ${id}:`, err);
+            });
+        }
+
+        this._setStatus(account, AccountStatus.DESTROYED);
+        return true;
+    }
+
+    /**
+     * Destroys all accounts and closes the shared browser
+     * @returns {Promise<void>}
+     */
+    async destroyAll() {
+        await Promise.all(Array.from(this._accounts.keys(), id => this.destroy(id)));
+
+        if (this._browser) {
+            const browser = await this._browser.catch(() => null);
+            this._browser = null;
+            if (browser) await browser.close();
+        }
+    }
+
+    /**
+     * Gets the client of an account
+     * @param {string} id - Account id
+     * @returns {?Client}
+     */
+    get(id) {
+        const account = this._accounts.get(id);
+        return account ? account.client : null;
+    }
+
+    /**
+     * Whether an account exists
+     * @param {string} id - Account id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this._accounts.has(id);
+    }
+
+    /**
+     * Gets the status of an account
+     * @param {string} id - Account id
+     * @returns {?AccountState}
+     */
+    getStatus(id) {
+        const account = this._accounts.get(id);
+        return account ? this._describe(account) : null;
+    }
+
+    /**
+     * Gets the status of every account
+     * @returns {Array<AccountState>}
+     */
+    getStatuses() {
+        return Array.from(this._accounts.values(), account => this._describe(account));
+    }
+
+    _listen(account, event, listener) {
+        account.client.on(event, listener);
+        account.listeners.push([event, listener]);
+    }
+
+    _forward(account, event) {
+        this._listen(account, event, (...args) => this.emit(event, account.id, ...args));
+    }
+
+    _next() {
+        while (this._initializing < this.options.maxConcurrentInitializations && this._queue.length) {
+            const account = this._queue.shift();
+            this._initializing++;
+            this._setStatus(account, AccountStatus.INITIALIZING);
+
+            account.initialization = account.client.initialize()
+                .catch(err => {
+                    if (this._accounts.get(account.id) === account) this._setStatus(account, AccountStatus.FAILED, err);
+                })
+                .finally(() => {
+                    account.initialization = null;
+                    this._initializing--;
+                    this._next();
+                });
+        }
+    }
+
+    _setStatus(account, status, detail = null) {
+        const previous = account.status;
+        account.status = status;
+        account.since = Date.now();
+        account.qr = status === AccountStatus.QR_PENDING ? detail : null;
+        account.reason = [AccountStatus.AUTH_FAILURE, AccountStatus.DISCONNECTED, AccountStatus.FAILED].includes(status) ? detail : null;
+
+        /**
+         * Emitted when the status of an account changes
+         * @event ClientManager#account_status_changed
+         * @param {string} accountId
+         * @param {AccountState} state - New status
+         * @param {?AccountStatus} previous - Previous status
+         */
+        this.emit(Events.ACCOUNT_STATUS_CHANGED, account.id, this._describe(account), previous);
+    }
+
+    _describe(account) {
+        const { info } = account.client;
+        return {
+            id: account.id,
+            status: account.status,
+            since: account.since,
+            qr: account.qr,
+            wid: info && info.wid ? info.wid._serialized : null,
+            reason: account.reason
+        };
+    }
+
+    _getBrowser() {
+        if (!this._browser) {
+            const puppeteerOpts = this.options.puppeteer || { ...DefaultOptions.puppeteer, ...this.options.clientOptions.puppeteer };
+            const launch = this._browser = puppeteer.launch({
+                ...puppeteerOpts,
+                args: [...(puppeteerOpts.args || []), '--disable-blink-features=AutomationControlled']
+            }).then(browser => {
+                // every client watches the browser
+                browser.setMaxListeners(0);
+                browser.on('disconnected', () => {
+                    if (this._browser === launch) this._browser = null;
+                });
+                return browser;
+            }, err => {
+                if (this._browser === launch) this._browser = null;
+                throw err;
+            });
+        }
+        return this._browser;
+    }
+}
+
+module.exports = ClientManager;
@@ -22,6 +22,12 @@ class BaseAuthStrategy {
     async disconnect() {}
     async destroy() {}
     async logout() {}
+    async exportSession() {
+        throw new Error(`${this.constructor.name} does not support exporting sessions.`);
+    }
+    async importSession() {
+        throw new Error(`${this.constructor.name} does not support importing sessions.`);
+    }
 }
 
 module.exports = BaseAuthStrategy;
\ No newline at end of file
@@ -1,8 +1,30 @@
 'use strict';
 
+const os = require('os');
 const path = require('path');
 const fs = require('fs');
 const BaseAuthStrategy = require('./BaseAuthStrategy');
+const SessionCrypto = require('../util/SessionCrypto');
+const SessionBundle = require('../util/SessionBundle');
+
+/**
+ * Chromium caches left out of encrypted sessions, they are rebuilt when missing
+ * @private
+ */
+const DEFAULT_EXCLUDE = ['Cache', 'Code Cache', 'GPUCache', 'DawnCache', 'GrShaderCache', 'ShaderCache', 'Crashpad'];
+
+/**
+ * Directory for decrypted sessions, in memory where the system has a tmpfs
+ * @private
+ */
+function getDefaultWorkDir() {
+    try {
+        fs.accessSync('/dev/shm', fs.constants.W_OK);
+        return '/dev/shm';
+    } catch {
+        return os.tmpdir();
+    }
+}
 
 /**
  * Local directory-based authentication
@@ -10,42 +32,88 @@ const BaseAuthStrategy = require('./BaseAuthStrategy');
  * @param {string} options.clientId - Client id to distinguish instances if you are using multiple, otherwise keep null if you are using only one instance
  * @param {string} options.dataPath - Change the default path for saving session files, default is: "./.wwebjs_auth/" 
  * @param {number} options.rmMaxRetries - Sets the maximum number of retries for removing the session directory
+ * @param {object} options.encryption - Keeps the session encrypted at rest in "<dataPath>/session-<clientId>.enc".
+ * The browser runs on a decrypted copy in a private working directory, which is wiped on destroy and logout.
+ * Plain sessions found in dataPath are encrypted on first use.
+ * @param {string} options.encryption.passphrase - Passphrase the key is derived from
+ * @param {Function} options.encryption.keyProvider - Alternative to passphrase: async ({clientId}) => 32-byte Buffer key or passphrase
+ * @param {string} options.encryption.workDir - Parent directory of the "wwebjs-session-<clientId>" working directory, default is /dev/shm when available, otherwise the system temp directory
+ * @param {number} options.encryption.flushIntervalMs - How often the working directory is encrypted back while the client runs, default is 300000. 0 disables it
+ * @param {string[]} options.encryption.exclude - Names of files and directories not worth keeping, default are Chromium caches
 */
 class LocalAuth extends BaseAuthStrategy {
-    constructor({ clientId, dataPath, rmMaxRetries }={}) {
+    constructor({ clientId, dataPath, rmMaxRetries, encryption }={}) {
         super();
 
         const idRegex = /^[-_\w]+$/i;
         if(clientId && !idRegex.test(clientId)) {
             throw new Error('Invalid clientId. Only alphanumeric characters, underscores and hyphens are allowed.');
         }
+        if(encryption && !encryption.passphrase && typeof encryption.keyProvider !== 'function') {
+            throw new Error('LocalAuth encryption requires a passphrase or a keyProvider.');
+        }
 
         this.dataPath = path.resolve(dataPath || './.wwebjs_auth/');
         this.clientId = clientId;
         this.rmMaxRetries = rmMaxRetries ?? 4;
+        this.encryption = encryption ? {
+            workDir: getDefaultWorkDir(),
+            flushIntervalMs: 300000,
+            exclude: DEFAULT_EXCLUDE,
+            ...encryption
+        } : null;
     }
 
     async beforeBrowserInitialized() {
         const puppeteerOpts = this.client.options.puppeteer;
-        const sessionDirName = this.clientId ? `session-${this.clientId}` : 'session';
+        const sessionDirName = this.getSessionDirName();
         const dirPath = path.join(this.dataPath, sessionDirName);
 
-        if(puppeteerOpts.userDataDir && puppeteerOpts.userDataDir !== dirPath) {
-            throw new Error('LocalAuth is not compatible with a user-supplied userDataDir.');
-        }
+        if (this.encryption) {
+            // the working directory of an earlier run is set as userDataDir already
+            if(puppeteerOpts.userDataDir && puppeteerOpts.userDataDir !== this.userDataDir) {
+                throw new Error('LocalAuth is not compatible with a user-supplied userDataDir.');
+            }
+
+            this.sessionFile = this.getSessionFile();
+            await this.prepareWorkDir(sessionDirName, dirPath);
+            this.startFlushing();
+        } else {
+            if(puppeteerOpts.userDataDir && puppeteerOpts.userDataDir !== dirPath) {
+                throw new Error('LocalAuth is not compatible with a user-supplied userDataDir.');
+            }
 
-        fs.mkdirSync(dirPath, { recursive: true });
+            fs.mkdirSync(dirPath, { recursive: true });
+            this.userDataDir = dirPath;
+        }
         
         this.client.options.puppeteer = {
             ...puppeteerOpts,
-            userDataDir: dirPath
+            userDataDir: this.userDataDir
         };
+    }
 
-        this.userDataDir = dirPath;
+    async afterAuthReady() {
+        // a new session is worth keeping right away
+        if (this.encryption) await this.flush();
+    }
+
+    async destroy() {
+        if (this.encryption) {
+            this.stopFlushing();
+            if (!this.userDataDir) return;
+            await this.flush();
+            await SessionCrypto.wipeDirectory(this.userDataDir, { maxRetries: this.rmMaxRetries });
+        }
     }
 
     async logout() {
-        if (this.userDataDir) {
+        if (this.encryption) {
+            this.stopFlushing();
+            if (this._flushing) await this._flushing.catch(() => {});
+            if (this.sessionFile) await SessionCrypto.wipeFile(this.sessionFile);
+            if (this.userDataDir) await SessionCrypto.wipeDirectory(this.userDataDir, { maxRetries: this.rmMaxRetries });
+        } else if (this.userDataDir) {
             await fs.promises.rm(this.userDataDir, { recursive: true, force: true, maxRetries: this.rmMaxRetries })
                 .catch((e) => {
                     throw new Error(e);
@@ -53,6 +121,125 @@ class LocalAuth extends BaseAuthStrategy {
         }
     }
 
+    /**
+     * Exports the session as a portable bundle, see SessionBundle
+     * @param {object} [options]
+     * @param {string} [options.passphrase] - Encrypts the bundle with a key derived from the passphrase
+     * @param {Buffer} [options.key] - Encrypts the bundle with a 32-byte key
+     * @returns {Promise<Buffer>}
+     */
+    async exportSession(options = {}) {
+        const dirPath = this.userDataDir || path.join(this.dataPath, this.getSessionDirName());
+        let packed;
+
+        if (fs.existsSync(dirPath)) {
+            packed = await SessionCrypto.packDirectory(dirPath, this.encryption ? this.encryption.exclude : DEFAULT_EXCLUDE);
+        } else if (this.encryption && fs.existsSync(this.getSessionFile())) {
+            packed = await SessionCrypto.decrypt(await fs.promises.readFile(this.getSessionFile()), await this.getSecret());
+        } else {
+            throw new Error('There is no LocalAuth session to export.');
+        }
+
+        return SessionBundle.create(packed, { strategy: 'LocalAuth', clientId: this.clientId, ...options });
+    }
+
+    /**
+     * Imports a session bundle, replacing the stored session. The client must not be initialized yet.
+     * @param {Buffer} bundle
+     * @param {object} [options]
+     * @param {string} [options.passphrase] - Passphrase of an encrypted bundle
+     * @param {Buffer} [options.key] - Key of an encrypted bundle
+     */
+    async importSession(bundle, options = {}) {
+        if (this.client && this.client.pupBrowser) throw new Error('Sessions can only be imported before the client is initialized.');
+        const { packed } = await SessionBundle.read(bundle, options);
+
+        if (this.encryption) {
+            await fs.promises.mkdir(this.dataPath, { recursive: true });
+            await SessionCrypto.writeFileAtomic(this.getSessionFile(), await SessionCrypto.encrypt(packed, await this.getSecret()));
+            // a working directory left by an earlier run would be used instead of the imported session
+            if (this.userDataDir) await SessionCrypto.wipeDirectory(this.userDataDir, { maxRetries: this.rmMaxRetries });
+        } else {
+            const dirPath = path.join(this.dataPath, this.getSessionDirName());
+            await fs.promises.rm(dirPath, { recursive: true, force: true, maxRetries: this.rmMaxRetries });
+            await SessionCrypto.unpackDirectory(packed, dirPath);
+        }
+    }
+
+    getSessionDirName() {
+        return this.clientId ? `session-${this.clientId}` : 'session';
+    }
+
+    getSessionFile() {
+        return path.join(this.dataPath, `${this.getSessionDirName()}.enc`);
+    }
+
+    /**
+     * Creates the private working directory and decrypts the session into it.
+     * A working directory that is still there, e.g. when the client is reinitialized, is newer than the encrypted session and is kept.
+     * The directory is the same for every run of a session, so one left behind by a crashed process is wiped instead of piling up.
+     * @param {string} sessionDirName
+     * @param {string} plainDirPath - Directory of a session that was saved without encryption
+     */
+    async prepareWorkDir(sessionDirName, plainDirPath) {
+        if (this.userDataDir && fs.existsSync(this.userDataDir)) return;
+
+        if (!this.userDataDir) {
+            this.userDataDir = path.join(this.encryption.workDir, `wwebjs-${sessionDirName}`);
+            await SessionCrypto.wipeDirectory(this.userDataDir, { maxRetries: this.rmMaxRetries });
+        }
+        await fs.promises.mkdir(this.userDataDir, { recursive: true, mode: 0o700 });
+
+        if (fs.existsSync(this.sessionFile)) {
+            const encrypted = await fs.promises.readFile(this.sessionFile);
+            const packed = await SessionCrypto.decrypt(encrypted, await this.getSecret());
+            await SessionCrypto.unpackDirectory(packed, this.userDataDir);
+        } else if (fs.existsSync(plainDirPath)) {
+            await SessionCrypto.unpackDirectory(await SessionCrypto.packDirectory(plainDirPath), this.userDataDir);
+            await this.flush();
+            await SessionCrypto.wipeDirectory(plainDirPath, { maxRetries: this.rmMaxRetries });
+        }
+    }
+
+    /**
+     * Encrypts the working directory into the session file.
+     * Concurrent calls share the same write.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (!this.encryption || !this.userDataDir) return;
+        if (this._flushing) return this._flushing;
+
+        this._flushing = (async () => {
+            if (!fs.existsSync(this.userDataDir)) return;
+            const packed = await SessionCrypto.packDirectory(this.userDataDir, this.encryption.exclude);
+            const encrypted = await SessionCrypto.encrypt(packed, await this.getSecret());
+            await fs.promises.mkdir(this.dataPath, { recursive: true });
+            await SessionCrypto.writeFileAtomic(this.sessionFile, encrypted);
+        })().finally(() => {
+            this._flushing = null;
+        });
+
+        return this._flushing;
+    }
+
+    async getSecret() {
+        const { passphrase, keyProvider } = this.encryption;
+        return keyProvider ? keyProvider({ clientId: this.clientId }) : passphrase;
+    }
+
+    startFlushing() {
+        if (this.flushSync || !this.encryption.flushIntervalMs) return;
+        this.flushSync = setInterval(() => {
+            this.flush().catch(err => console.error('[LocalAuth] Failed to encrypt the session:', err));
+        }, this.encryption.flushIntervalMs);
+    }
+
+    stopFlushing() {
+        clearInterval(this.flushSync);
+        this.flushSync = null;
+    }
+
 }
 
 module.exports = LocalAuth;
@@ -6,27 +6,34 @@ try {
     var unzipper = require('unzipper');
     var archiver = require('archiver');
 } catch {
-    fs = undefined;
+    fs = require('fs');
     unzipper = undefined;
     archiver = undefined;
 }
 
+const os = require('os');
 const path = require('path');
 const { Events } = require('./../util/Constants');
 const BaseAuthStrategy = require('./BaseAuthStrategy');
+const SessionCrypto = require('../util/SessionCrypto');
+const SessionBundle = require('../util/SessionBundle');
 
 /**
  * Remote-based authentication
  * @param {object} options - options
- * @param {object} options.store - Remote database store instance
+ * @param {object} options.store - Remote database store instance, such as RemoteAuthStore.create('file') or RemoteAuthStore.create('s3', {...})
  * @param {string} options.clientId - Client id to distinguish instances if you are using multiple, otherwise keep null if you are using only one instance
  * @param {string} options.dataPath - Change the default path for saving session files, default is: "./.wwebjs_auth/" 
  * @param {number} options.backupSyncIntervalMs - Sets the time interval for periodic session backups. Accepts values starting from 60000ms {1 minute}
  * @param {number} options.rmMaxRetries - Sets the maximum number of retries for removing the session directory
+ * @param {boolean} options.incremental - Save the session as snapshots that only upload changed files, default is true when the store supports it (see RemoteAuthStore)
  */
 class RemoteAuth extends BaseAuthStrategy {
-    constructor({ clientId, dataPath, store, backupSyncIntervalMs, rmMaxRetries } = {}) {
-        if (!fs && !unzipper && !archiver) throw new Error('Optional Dependencies [fs-extra, unzipper, archiver] are required to use RemoteAuth. Make sure to run npm install correctly and remove the --no-optional flag');
+    constructor({ clientId, dataPath, store, backupSyncIntervalMs, rmMaxRetries, incremental } = {}) {
+        const supportsIncremental = Boolean(store && typeof store.saveSnapshot === 'function' && typeof store.restoreSnapshot === 'function');
+        if (incremental && !supportsIncremental) throw new Error('The RemoteAuth store does not support incremental backups.');
+        incremental = incremental ?? supportsIncremental;
+        if (!incremental && (!unzipper || !archiver)) throw new Error('Optional Dependencies [fs-extra, unzipper, archiver] are required to use RemoteAuth. Make sure to run npm install correctly and remove the --no-optional flag');
         super();
 
         const idRegex = /^[-_\w]+$/i;
@@ -39,6 +46,7 @@ class RemoteAuth extends BaseAuthStrategy {
         if(!store) throw new Error('Remote database store is required.');
 
         this.store = store;
+        this.incremental = incremental;
         this.clientId = clientId;
         this.backupSyncIntervalMs = backupSyncIntervalMs;
         this.dataPath = path.resolve(dataPath || './.wwebjs_auth/');
@@ -49,7 +57,7 @@ class RemoteAuth extends BaseAuthStrategy {
 
     async beforeBrowserInitialized() {
         const puppeteerOpts = this.client.options.puppeteer;
-        const sessionDirName = this.clientId ? `RemoteAuth-${this.clientId}` : 'RemoteAuth';
+        const sessionDirName = this.getSessionName();
         const dirPath = path.join(this.dataPath, sessionDirName);
 
         if (puppeteerOpts.userDataDir && puppeteerOpts.userDataDir !== dirPath) {
@@ -102,9 +110,17 @@ class RemoteAuth extends BaseAuthStrategy {
     }
 
     async storeRemoteSession(options) {
-        /* Compress & Store Session */
         const pathExists = await this.isValidPath(this.userDataDir);
-        if (pathExists) {
+        if (pathExists && this.incremental) {
+            /* Upload changed files only */
+            await this.store.saveSnapshot({
+                session: this.sessionName,
+                path: this.userDataDir,
+                filter: relativePath => this.isRequiredPath(relativePath)
+            });
+            if(options && options.emit) this.client.emit(Events.REMOTE_SESSION_SAVED);
+        } else if (pathExists) {
+            /* Compress & Store Session */
             await this.compressSession();
             await this.store.save({session: this.sessionName});
             await fs.promises.unlink(`${this.sessionName}.zip`);
@@ -121,19 +137,60 @@ class RemoteAuth extends BaseAuthStrategy {
         const pathExists = await this.isValidPath(this.userDataDir);
         const compressedSessionPath = `${this.sessionName}.zip`;
         const sessionExists = await this.store.sessionExists({session: this.sessionName});
-        if (pathExists) {
-            await fs.promises.rm(this.userDataDir, {
-                recursive: true,
-                force: true,
-                maxRetries: this.rmMaxRetries,
-            }).catch(() => {});
-        }
+        if (pathExists) await this.removeUserDataDir();
         if (sessionExists) {
-            await this.store.extract({session: this.sessionName, path: compressedSessionPath});
-            await this.unCompressSession(compressedSessionPath);
-        } else {
-            fs.mkdirSync(this.userDataDir, { recursive: true });
+            let reported = false;
+            const onFailure = (error, backup, hasFallback) => {
+                reported = !hasFallback;
+                this.emitRestoreFailed(error, backup, hasFallback);
+            };
+
+            try {
+                if (this.incremental) {
+                    await this.store.restoreSnapshot({session: this.sessionName, path: this.userDataDir, onFailure});
+                } else {
+                    // unzipping is part of the verification, so a broken zip falls back to an older backup.
+                    // Stores that don't take a verify callback only download the zip, which is unzipped afterwards
+                    let unzipped = false;
+                    const verify = async (zipPath) => {
+                        await this.removeUserDataDir();
+                        await this.unCompressSession(zipPath);
+                        unzipped = true;
+                    };
+                    await this.store.extract({session: this.sessionName, path: compressedSessionPath, onFailure, verify});
+                    if (!unzipped) await this.unCompressSession(compressedSessionPath);
+                }
+                return;
+            } catch (error) {
+                console.error(`[RemoteAuth] Failed to restore session ${this.sessionName}, starting a new one:`, error);
+                if (!reported) this.emitRestoreFailed(error, null, false);
+                await fs.promises.rm(compressedSessionPath, { force: true }).catch(() => {});
+                // a half-restored profile would start Chromium on a corrupt session
+                await this.removeUserDataDir();
+            }
         }
+        fs.mkdirSync(this.userDataDir, { recursive: true });
+    }
+
+    async removeUserDataDir() {
+        await fs.promises.rm(this.userDataDir, {
+            recursive: true,
+            force: true,
+            maxRetries: this.rmMaxRetries,
+        }).catch(() => {});
+    }
+
+    emitRestoreFailed(error, backup, fallback) {
+        /**
+         * Emitted when a RemoteAuth backup could not be restored
+         * @event Client#remote_session_restore_failed
+         * @param {Error} error
+         * @param {object} details
+         * @param {string} details.session - Session name
+         * @param {?object} details.backup - Backup that failed verification, when the store reports it
+         * @param {boolean} details.fallback - Whether an older backup is tried next. Otherwise a new session is started
+         */
+        this.client.emit(Events.REMOTE_SESSION_RESTORE_FAILED, error, { session: this.sessionName, backup: backup || null, fallback });
     }
 
     async deleteRemoteSession() {
@@ -158,11 +215,11 @@ class RemoteAuth extends BaseAuthStrategy {
         });
     }
 
-    async unCompressSession(compressedSessionPath) {
+    async unCompressSession(compressedSessionPath, targetPath = this.userDataDir) {
         var stream = fs.createReadStream(compressedSessionPath);
         await new Promise((resolve, reject) => {
             stream.pipe(unzipper.Extract({
-                path: this.userDataDir
+                path: targetPath
             }))
                 .on('error', err => reject(err))
                 .on('finish', () => resolve());
@@ -193,6 +250,77 @@ class RemoteAuth extends BaseAuthStrategy {
         }
     }
 
+    /**
+     * Exports the session as a portable bundle, see SessionBundle.
+     * The session is read from the running client, otherwise it is restored from the store.
+     * @param {object} [options]
+     * @param {string} [options.passphrase] - Encrypts the bundle with a key derived from the passphrase
+     * @param {Buffer} [options.key] - Encrypts the bundle with a 32-byte key
+     * @returns {Promise<Buffer>}
+     */
+    async exportSession(options = {}) {
+        const exclude = relativePath => !this.isRequiredPath(relativePath);
+        let packed;
+
+        if (this.userDataDir && await this.isValidPath(this.userDataDir)) {
+            packed = await SessionCrypto.packDirectory(this.userDataDir, exclude);
+        } else {
+            const sessionName = this.getSessionName();
+            if (!await this.store.sessionExists({session: sessionName})) throw new Error('There is no RemoteAuth session to export.');
+
+            const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wwebjs-export-'));
+            const sessionPath = path.join(tempDir, 'session');
+            try {
+                if (this.incremental) {
+                    await this.store.restoreSnapshot({session: sessionName, path: sessionPath});
+                } else {
+                    const compressedSessionPath = path.join(tempDir, 'session.zip');
+                    await this.store.extract({session: sessionName, path: compressedSessionPath});
+                    await this.unCompressSession(compressedSessionPath, sessionPath);
+                }
+                packed = await SessionCrypto.packDirectory(sessionPath, exclude);
+            } finally {
+                await fs.promises.rm(tempDir, { recursive: true, force: true, maxRetries: this.rmMaxRetries }).catch(() => {});
+            }
+        }
+
+        return SessionBundle.create(packed, { strategy: 'RemoteAuth', clientId: this.clientId, ...options });
+    }
+
+    /**
+     * Imports a session bundle and saves it to the store, replacing the stored session.
+     * The client must not be initialized yet.
+     * @param {Buffer} bundle
+     * @param {object} [options]
+     * @param {string} [options.passphrase] - Passphrase of an encrypted bundle
+     * @param {Buffer} [options.key] - Key of an encrypted bundle
+     */
+    async importSession(bundle, options = {}) {
+        if (this.client && this.client.pupBrowser) throw new Error('Sessions can only be imported before the client is initialized.');
+        const { packed } = await SessionBundle.read(bundle, options);
+
+        this.sessionName = this.getSessionName();
+        this.userDataDir = path.join(this.dataPath, this.sessionName);
+        await fs.promises.rm(this.userDataDir, { recursive: true, force: true, maxRetries: this.rmMaxRetries });
+        await SessionCrypto.unpackDirectory(packed, this.userDataDir);
+        await this.storeRemoteSession();
+    }
+
+    getSessionName() {
+        return this.clientId ? `RemoteAuth-${this.clientId}` : 'RemoteAuth';
+    }
+
+    /**
+     * Whether a path inside the session directory is needed to restore the session
+     * @param {string} relativePath - Path relative to the session directory, separated by "/"
+     * @returns {boolean}
+     */
+    isRequiredPath(relativePath) {
+        const [first, second] = relativePath.split('/');
+        if (!this.requiredDirs.includes(first)) return false;
+        return first !== 'Default' || second === undefined || this.requiredDirs.includes(second);
+    }
+
     async isValidPath(path) {
         try {
             await fs.promises.access(path);
@@ -3,6 +3,129 @@
 const Base = require('./Base');
 const Thread = require('./Thread');
 const ThreadStorage = require('./storage/ThreadStorage');
+const WhatsAppTools = require('./WhatsAppTools');
+const PromptManager = require('./PromptManager');
+
+/**
+ * The typing state lasts 25 seconds, it is sent again before it runs out
+ * @private
+ */
+const TYPING_REFRESH_INTERVAL = 20000;
+
+/**
+ * End of a sentence or paragraph, where a streamed response may be split into messages
+ * @private
+ */
+const SENTENCE_BOUNDARY = /[.!?…]+["'”’)\]]*\s+|\n{2,}/g;
+
+/**
+ * Delivers a response to a chat while it is being written
+ * @private
+ */
+class StreamDelivery {
+    constructor(client, chatId, options) {
+        this.client = client;
+        this.chatId = chatId;
+        this.options = options;
+        this.startedAt = Date.now();
+
+        this.chat = null;
+        this.message = null;
+        this.shown = '';
+        this.sentLength = 0;
+        this.lastUpdate = this.startedAt;
+        this.sent = false;
+        this._typingTimer = null;
+    }
+
+    async start() {
+        this.chat = await this.client.getChatById(this.chatId);
+        await this._sendTyping();
+        this._typingTimer = setInterval(() => this._sendTyping(), TYPING_REFRESH_INTERVAL);
+    }
+
+    /**
+     * Updates the chat with the response received so far
+     * @param {string} text
+     */
+    async write(text) {
+        if (this.options.delivery === 'split') {
+            const pending = text.slice(this.sentLength);
+            let end = 0;
+            for (const match of pending.matchAll(SENTENCE_BOUNDARY)) end = match.index + match[0].length;
+            if (end < this.options.minMessageLength) return;
+
+            await this._send(pending.slice(0, end));
+            this.sentLength += end;
+            // sending a message clears the typing state
+            await this._sendTyping();
+        } else if (Date.now() - this.lastUpdate >= this.options.editInterval && text.trim()) {
+            await this._show(text);
+        }
+    }
+
+    /**
+     * Sends what is left of the response and clears the typing state
+     * @param {string} text - The full response
+     */
+    async end(text) {
+        this.stop();
+        if (this.options.delivery === 'split') {
+            await this._send(text.slice(this.sentLength));
+            this.sentLength = text.length;
+        } else if (text !== this.shown) {
+            await this._show(text);
+        }
+        await this.clearTyping();
+    }
+
+    stop() {
+        clearInterval(this._typingTimer);
+    }
+
+    async _show(text) {
+        if (this.message) {
+            await this.message.edit(text);
+        } else {
+            this.message = await this._send(text);
+        }
+        this.shown = text;
+        this.lastUpdate = Date.now();
+    }
+
+    async _send(text) {
+        text = text.trim();
+        if (!text) return null;
+        this.sent = true;
+        return this.client.sendMessage(this.chatId, text);
+    }
+
+    async _sendTyping() {
+        await this.chat.sendStateTyping().catch(err => console.error('[AIAssistant] Failed to send the typing state:', err));
+    }
+
+    async clearTyping() {
+        await this.chat.clearState().catch(err => console.error('[AIAssistant] Failed to clear the typing state:', err));
+    }
+}
+
+/**
+ * Function the AI may call as a tool
+ * @typedef {Object} ToolDefinition
+ * @property {Function} handler - (args, context) => result. The context holds the chatId, thread, assistant and client
+ * @property {string} [description] - What the function does, for the AI
+ * @property {Object} [parameters] - JSON schema of the arguments
+ * @property {number} [timeout] - Time in ms the function gets to return. Defaults to the toolTimeout option
+ * @property {Function} [available] - (context) => boolean. Whether the AI may use the function in a chat, it is hidden from the AI otherwise
+ */
+
+/**
+ * Token budget of the conversation memory of a chat
+ * @typedef {Object} MemoryOptions
+ * @property {number} [maxTokens=4000] - Tokens the history, its summary and the pinned facts may use together
+ * @property {boolean} [summarize=true] - Summarize the messages evicted from the history, instead of dropping them
+ * @property {number} [summaryMaxTokens=300] - Length of the summary
+ */
 
 /**
  * AI Assistant for WhatsApp Web
@@ -25,6 +148,14 @@ class AIAssistant extends Base {
                 temperature: options.temperature || 0.7,
                 maxTokens: options.maxTokens || 500,
                 ...options.options
+            },
+            maxToolIterations: options.maxToolIterations || 5,
+            toolTimeout: options.toolTimeout || 30000,
+            tokenCounter: options.tokenCounter,
+            history: {
+                maxTokens: options.maxHistoryTokens || 4000,
+                summarize: options.summarizeHistory !== false,
+                summaryMaxTokens: options.summaryMaxTokens || 300
             }
         };
 
@@ -50,6 +181,15 @@ class AIAssistant extends Base {
             client: this
         });
 
+        /**
+         * System prompts of the chats
+         * @type {PromptManager}
+         */
+        this.prompts = new PromptManager(this, {
+            ...options.prompts,
+            ...(options.systemPrompt && { systemPrompt: options.systemPrompt })
+        });
+
         /**
          * Active threads (in-memory cache)
          * @type {Map<string, Thread>}
@@ -58,8 +198,8 @@ class AIAssistant extends Base {
         this._threads = new Map();
 
         /**
-         * Custom functions
-         * @type {Map<string, Function>}
+         * Custom functions the AI may call as tools
+         * @type {Map<string, ToolDefinition>}
          * @private
          */
         this._functions = new Map();
@@ -100,6 +240,15 @@ class AIAssistant extends Base {
             onMessage: null,
             onRelease: null
         };
+
+        /**
+         * Built-in WhatsApp tools, if enabled
+         * @type {?WhatsAppTools}
+         */
+        this.whatsappTools = null;
+        if (options.whatsappTools && options.whatsappTools.enabled !== false) {
+            this.useWhatsAppTools(options.whatsappTools);
+        }
     }
 
     /**
@@ -198,6 +347,86 @@ class AIAssistant extends Base {
         }
     }
 
+    /**
+     * Ask a question to the AI assistant and deliver the response to the chat while it is written.
+     * The chat shows the typing state until the response is complete. With the 'edit' delivery, one message is sent
+     * and edited as the response grows; with 'split', the response is sent as several messages cut at sentence boundaries.
+     * @param {string} chatId - The chat ID
+     * @param {string} prompt - The question or prompt
+     * @param {Object} [options] - Additional options
+     * @param {string} [options.delivery='edit'] - 'edit' or 'split'
+     * @param {number} [options.editInterval=1000] - With 'edit', minimum time between two updates of the message in ms
+     * @param {number} [options.minMessageLength=200] - With 'split', shortest message sent before the response is complete
+     * @param {Function} [options.onChunk] - Called with each chunk and the response so far
+     * @returns {Promise<string>} The assistant's full response
+     */
+    async askStream(chatId, prompt, options = {}) {
+        if (this.isInHumanMode(chatId) && !options.ignoreHandoffState) {
+            throw new Error('Cannot use AI to respond while in human mode. Use releaseToAI first or set ignoreHandoffState option.');
+        }
+
+        const { delivery = 'edit', editInterval = 1000, minMessageLength = 200, onChunk, ...requestOptions } = options;
+        if (!['edit', 'split'].includes(delivery)) {
+            throw new Error(`Unknown delivery: ${delivery}`);
+        }
+
+        const startTime = Date.now();
+        this._stats.requests++;
+
+        const stream = new StreamDelivery(this.client, chatId, { delivery, editInterval, minMessageLength });
+        try {
+            const context = {
+                chatId,
+                prompt,
+                options,
+                response: null,
+                thread: null,
+                error: null
+            };
+
+            await this._executeMiddleware(context);
+            await stream.start();
+
+            if (!context.response) {
+                let thread = context.thread || this._threads.get(chatId);
+                if (!thread) {
+                    thread = await this.createThread(chatId);
+                    context.thread = thread;
+                }
+
+                let response = '';
+                for await (const chunk of thread.askStream(prompt, requestOptions)) {
+                    response += chunk;
+                    if (onChunk) onChunk(chunk, response);
+                    await stream.write(response);
+                }
+                context.response = response;
+            }
+
+            await stream.end(context.response);
+
+            const requestTime = Date.now() - startTime;
+            this._stats.requestTimes.push(requestTime);
+            if (this._stats.requestTimes.length > 100) {
+                this._stats.requestTimes.shift();
+            }
+
+            return context.response;
+        } catch (error) {
+            this._stats.errors++;
+            stream.stop();
+
+            // the fallback is only sent if the chat got nothing yet
+            if (options.fallbackResponse && !stream.sent && stream.chat) {
+                await stream.end(options.fallbackResponse);
+                return options.fallbackResponse;
+            }
+
+            if (stream.chat) await stream.clearTyping();
+            throw error;
+        }
+    }
+
     /**
      * Create a new thread for a chat
      * @param {string} chatId - The chat ID
@@ -218,6 +447,8 @@ class AIAssistant extends Base {
                 chatId,
                 context: {},
                 history: [],
+                summary: '',
+                memory: {},
                 lastUsed: Date.now()
             };
         }
@@ -237,6 +468,8 @@ class AIAssistant extends Base {
             chatId: thread.chatId,
             context: thread.getContext(),
             history: thread._history,
+            summary: thread.summary,
+            memory: thread._memoryOptions,
             lastUsed: thread.lastUsed
         };
         
@@ -244,13 +477,55 @@ class AIAssistant extends Base {
     }
 
     /**
-     * Register custom functions
-     * @param {Object.<string, Function>} functions - Functions to register
+     * Register custom functions the AI may call as tools.
+     * A function may carry description, parameters and timeout properties, or be given as a ToolDefinition.
+     * Arguments are checked against the parameters schema before the function is called.
+     * @param {Object.<string, Function|ToolDefinition>} functions - Functions to register
+     * @example
+     * assistant.registerFunctions({
+     *     getOrderStatus: {
+     *         description: 'Get the status of an order',
+     *         parameters: { type: 'object', properties: { orderId: { type: 'string' } }, required: ['orderId'] },
+     *         handler: async ({ orderId }, { chatId }) => orders.getStatus(orderId, chatId)
+     *     }
+     * });
      */
     registerFunctions(functions) {
         for (const [name, fn] of Object.entries(functions)) {
-            this._functions.set(name, fn);
+            if (!/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+                throw new Error(`Invalid function name: ${name}. Use up to 64 letters, digits, underscores and dashes`);
+            }
+
+            const handler = typeof fn === 'function' ? fn : fn && fn.handler;
+            if (typeof handler !== 'function') {
+                throw new Error(`Function ${name} has no handler`);
+            }
+
+            this._functions.set(name, {
+                name,
+                handler,
+                description: fn.description,
+                parameters: fn.parameters,
+                timeout: fn.timeout,
+                available: fn.available
+            });
+        }
+    }
+
+    /**
+     * Let the AI act on the chat it answers in with the built-in WhatsApp tools.
+     * Calling it again replaces the allow-list and permissions.
+     * @param {object} [options]
+     * @param {string[]} [options.allow] - Tools to register. Defaults to all of them
+     * @param {Object.<string, string[]>|Function} [options.permissions] - Tools allowed per chat ID, or (chatId, toolName) => boolean
+     * @returns {WhatsAppTools}
+     */
+    useWhatsAppTools(options = {}) {
+        if (this.whatsappTools) {
+            for (const name of WhatsAppTools.names) this._functions.delete(name);
         }
+        this.whatsappTools = new WhatsAppTools(this, options).register();
+        return this.whatsappTools;
     }
 
     /**
@@ -94,6 +94,24 @@ class Chat extends Base {
         return this.client.sendMessage(this.id._serialized, content, options);
     }
 
+    /**
+     * Schedules a message in this chat to be sent later, once or repeatedly
+     * @param {string|MessageMedia|Location|Poll|Contact|Array<Contact>} content
+     * @param {ScheduleOptions} options - When to send the message, plus any MessageSendOptions
+     * @returns {Promise<Object>} The scheduled job
+     */
+    async scheduleMessage(content, options) {
+        return this.client.scheduleMessage(this.id._serialized, content, options);
+    }
+
+    /**
+     * Returns the messages scheduled in this chat
+     * @returns {Promise<Array<Object>>}
+     */
+    async getScheduledMessages() {
+        return this.client.getScheduledMessages(this.id._serialized);
+    }
+
     /**
      * Set the message as seen
      * @returns {Promise<Boolean>} result
@@ -246,6 +264,50 @@ class Chat extends Base {
         }, this.id._serialized);
     }
 
+    /**
+     * Draft in the compose box of a chat
+     * @typedef {Object} ChatDraft
+     * @property {string} text - Draft text
+     * @property {?string} quotedMessageId - ID of the message the draft replies to
+     * @property {string[]} mentions - User IDs mentioned in the draft
+     * @property {?number} timestamp - When the draft was last edited
+     */
+
+    /**
+     * Returns the draft currently in the compose box of this chat
+     * @returns {Promise<?ChatDraft>}
+     */
+    async getDraft() {
+        return this.client.pupPage.evaluate(chatId => {
+            return window.WWebJS.getDraft(chatId);
+        }, this.id._serialized);
+    }
+
+    /**
+     * Puts a draft in the compose box of this chat, so it shows up for anyone using the same session in WhatsApp Web
+     * @param {string} text - Draft text, an empty string clears the draft
+     * @param {Object} [options]
+     * @param {string} [options.quotedMessageId] - ID of the message the draft replies to
+     * @param {Array<Contact|string>} [options.mentions] - Contacts or user IDs mentioned in the draft
+     * @returns {Promise<?ChatDraft>} The draft as it was stored
+     */
+    async setDraft(text, options = {}) {
+        const mentionedJidList = [].concat(options.mentions || [])
+            .map(mention => typeof mention === 'string' ? mention : mention.id._serialized);
+
+        return this.client.pupPage.evaluate((chatId, text, options) => {
+            return window.WWebJS.setDraft(chatId, text, options);
+        }, this.id._serialized, text, { quotedMessageId: options.quotedMessageId, mentionedJidList });
+    }
+
+    /**
+     * Removes the draft from the compose box of this chat
+     * @returns {Promise<void>}
+     */
+    async clearDraft() {
+        await this.setDraft('');
+    }
+
     /**
      * Returns the Contact that corresponds to this Chat.
      * @returns {Promise<Contact>}
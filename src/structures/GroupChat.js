@@ -247,6 +247,7 @@ class GroupChat extends Chat {
                 await window.Store.GroupUtils.setGroupSubject(chatWid, subject);
                 return true;
             } catch (err) {
+                window.WWebJS.throwIfRateLimited(err);
                 if(err.name === 'ServerStatusCodeError') return false;
                 throw err;
             }
@@ -271,6 +272,7 @@ class GroupChat extends Chat {
                 await window.Store.GroupUtils.setGroupDescription(chatWid, description, newId, descId);
                 return true;
             } catch (err) {
+                window.WWebJS.throwIfRateLimited(err);
                 if(err.name === 'ServerStatusCodeError') return false;
                 throw err;
             }
@@ -293,6 +295,7 @@ class GroupChat extends Chat {
                 const response = await window.Store.GroupUtils.setGroupMemberAddMode(chatWid, 'member_add_mode', adminsOnly ? 0 : 1);
                 return response.name === 'SetMemberAddModeResponseSuccess';
             } catch (err) {
+                window.WWebJS.throwIfRateLimited(err);
                 if(err.name === 'SmaxParsingFailure') return false;
                 throw err;
             }
@@ -314,6 +317,7 @@ class GroupChat extends Chat {
                 await window.Store.GroupUtils.setGroupProperty(chatWid, 'announcement', adminsOnly ? 1 : 0);
                 return true;
             } catch (err) {
+                window.WWebJS.throwIfRateLimited(err);
                 if(err.name === 'ServerStatusCodeError') return false;
                 throw err;
             }
@@ -337,6 +341,7 @@ class GroupChat extends Chat {
                 await window.Store.GroupUtils.setGroupProperty(chatWid, 'restrict', adminsOnly ? 1 : 0);
                 return true;
             } catch (err) {
+                window.WWebJS.throwIfRateLimited(err);
                 if(err.name === 'ServerStatusCodeError') return false;
                 throw err;
             }
@@ -386,6 +391,7 @@ class GroupChat extends Chat {
                     : await window.Store.GroupInvite.queryGroupInviteCode(chatWid);
             }
             catch (err) {
+                window.WWebJS.throwIfRateLimited(err);
                 if(err.name === 'ServerStatusCodeError') return undefined;
                 throw err;
             }
@@ -7,7 +7,9 @@ const Order = require('./Order');
 const Payment = require('./Payment');
 const Reaction = require('./Reaction');
 const Contact = require('./Contact');
-const { MessageTypes } = require('../util/Constants');
+const DeliveryTracker = require('../util/DeliveryTracker');
+const { MediaDownloadError } = require('../util/Errors');
+const { MessageTypes, MessageAck } = require('../util/Constants');
 
 /**
  * Represents a Message on WhatsApp
@@ -441,7 +443,8 @@ class Message extends Base {
 
     /**
      * Downloads and returns the attatched message media
-     * @returns {Promise<MessageMedia>}
+     * @returns {Promise<MessageMedia>} The media, or undefined when it is no longer available
+     * @throws {MediaDownloadError} When the download failed
      */
     async downloadMedia() {
         if (!this.hasMedia) {
@@ -487,11 +490,12 @@ class Message extends Base {
                 };
             } catch (e) {
                 if(e.status && e.status === 404) return undefined;
-                throw e;
+                return { error: e.message || String(e), status: e.status };
             }
         }, this.id._serialized);
 
         if (!result) return undefined;
+        if (result.error) throw new MediaDownloadError(`Could not download media: ${result.error}`, { status: result.status });
         return new MessageMedia(result.mimetype, result.data, result.filename, result.filesize);
     }
 
@@ -663,6 +667,21 @@ class Message extends Base {
         });
     }
 
+    /**
+     * Waits until this message reaches the given ACK level.
+     * If delivery tracking is enabled and the message had to be resent, resolves with the copy that was delivered.
+     * Rejects if the message reaches its final ACK (ACK_READ, or ACK_PLAYED for audio and video) below the given one.
+     * @param {MessageAck} [level=MessageAck.ACK_SERVER] - ACK to wait for
+     * @param {number} [timeout=60000] - Time in ms to wait, 0 to wait indefinitely
+     * @returns {Promise<Message>}
+     */
+    async waitForAck(level = MessageAck.ACK_SERVER, timeout = 60000) {
+        if (this.client.deliveryTracker) {
+            return this.client.deliveryTracker.waitForAck(this, level, timeout);
+        }
+        return DeliveryTracker.waitForAck(this.client, this, level, timeout);
+    }
+
     /**
      * Edits the current message.
      * @param {string} content
@@ -5,6 +5,7 @@ const path = require('path');
 const mime = require('mime');
 const fetch = require('node-fetch');
 const { URL } = require('url');
+const { MediaDownloadError } = require('../util/Errors');
 
 /**
  * Media attached to a message
@@ -63,6 +64,7 @@ class MessageMedia {
      * @param {object} [options.reqOptions]
      * @param {number} [options.reqOptions.size=0]
      * @returns {Promise<MessageMedia>}
+     * @throws {MediaDownloadError} When the request failed or the server did not answer with a success status
      */
     static async fromUrl(url, options = {}) {
         const pUrl = new URL(url);
@@ -73,7 +75,14 @@ class MessageMedia {
 
         async function fetchData (url, options) {
             const reqOptions = Object.assign({ headers: { accept: 'image/* video/* text/* audio/*' } }, options);
-            const response = await fetch(url, reqOptions);
+            let response;
+            try {
+                response = await fetch(url, reqOptions);
+            } catch (err) {
+                return { error: err.message };
+            }
+            if (!response.ok) return { error: `HTTP ${response.status}`, status: response.status };
+
             const mime = response.headers.get('Content-Type');
             const size = response.headers.get('Content-Length');
 
@@ -98,6 +107,8 @@ class MessageMedia {
             ? (await options.client.pupPage.evaluate(fetchData, url, options.reqOptions))
             : (await fetchData(url, options.reqOptions));
 
+        if (res.error) throw new MediaDownloadError(`Could not download media from ${url}: ${res.error}`, { status: res.status });
+
         const filename = options.filename ||
             (res.name ? res.name[0] : (pUrl.pathname.split('/').pop() || 'file'));
         
@@ -0,0 +1,495 @@
+'use strict';
+
+const crypto = require('crypto');
+const MessageScheduler = require('../util/MessageScheduler');
+
+/**
+ * System prompt used when none was configured
+ * @private
+ */
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful WhatsApp assistant.';
+
+/**
+ * Placeholders in prompts, like {{contactName}}
+ * @private
+ */
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Version of a prompt template
+ * @typedef {Object} PromptTemplateVersion
+ * @property {number} version - Version number, starting at 1
+ * @property {string} text - Text of the prompt, with {{variable}} placeholders
+ * @property {string} [description] - What changed in this version
+ * @property {number} createdAt - When the version was defined, in ms since the epoch
+ */
+
+/**
+ * Prompt template, with all its versions
+ * @typedef {Object} PromptTemplate
+ * @property {string} name - Template name
+ * @property {Array<PromptTemplateVersion>} versions - Versions, oldest first
+ * @property {?number} active - Version used by the chats
+ * @property {?{version: number, percentage: number}} candidate - Version being rolled out to a percentage of the chats
+ * @property {Array<number>} previous - Versions that were active before, the last one is restored by a rollback
+ */
+
+/**
+ * Prompt of a chat: its text, or a template as { template, version }. Without a version, the rolled out one is used
+ * @typedef {string|Object} PromptDefinition
+ */
+
+/**
+ * Prompt resolved for a chat
+ * @typedef {Object} ResolvedPrompt
+ * @property {string} text - Prompt with its variables filled in
+ * @property {string} source - What the prompt comes from: 'chat', 'group', 'label' or 'default'
+ * @property {?{name: string, version: number}} template - Template and version used, if any
+ */
+
+/**
+ * Business hours of the assistant
+ * @typedef {Object} BusinessHours
+ * @property {Array<number>} [days=[1, 2, 3, 4, 5]] - Open days, 0 being Sunday
+ * @property {string} [open='09:00'] - Opening time, HH:MM
+ * @property {string} [close='17:00'] - Closing time, HH:MM, on the same day
+ * @property {string} [text] - Description of the hours given to the AI, instead of the generated one
+ */
+
+/**
+ * Picks the system prompt of each chat and fills in its variables.
+ *
+ * The prompt of a chat is the first one set for the chat itself, for group chats, for one of its labels,
+ * or the default prompt. A prompt is either text or a versioned template, stored with the threads:
+ * new versions are rolled out to a percentage of the chats, then to all of them, and can be rolled back.
+ *
+ * Prompts may use the variables contactName, chatName, phoneNumber, locale, timezone, date, time,
+ * businessHours and businessStatus ('open' or 'closed'), as well as custom ones, e.g. "You help {{contactName}}".
+ * Unknown variables are left as they are.
+ * @param {AIAssistant} assistant
+ * @param {object} [options]
+ * @param {PromptDefinition} [options.systemPrompt] - Default prompt
+ * @param {Object.<string, PromptDefinition>} [options.chats] - Prompts by chat ID
+ * @param {PromptDefinition} [options.groups] - Prompt of group chats
+ * @param {Object.<string, PromptDefinition>} [options.labels] - Prompts by label name or ID. The first label of a chat with a prompt is used
+ * @param {Object|Function} [options.variables] - Custom variables, or an async (chatId) => variables function
+ * @param {string} [options.locale='en'] - Locale of the dates, and of the conversation
+ * @param {string} [options.timezone] - Timezone of the dates and business hours. Defaults to the system timezone
+ * @param {BusinessHours} [options.businessHours]
+ * @example
+ * const prompts = client.ai.prompts;
+ * await prompts.defineTemplate('support', 'You answer {{contactName}} for ACME. We are {{businessStatus}}: {{businessHours}}.');
+ * prompts.setForLabel('Customer', { template: 'support' });
+ *
+ * await prompts.defineTemplate('support', 'You answer {{contactName}} for ACME, briefly. Hours: {{businessHours}}.');
+ * await prompts.rollout('support', 2, { percentage: 10 });
+ * // later
+ * await prompts.rollout('support', 2); // or prompts.rollback('support')
+ */
+class PromptManager {
+    constructor(assistant, options = {}) {
+        this.assistant = assistant;
+
+        this.options = {
+            systemPrompt: DEFAULT_SYSTEM_PROMPT,
+            chats: {},
+            groups: null,
+            labels: {},
+            variables: {},
+            locale: 'en',
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            businessHours: null,
+            ...options
+        };
+        this.options.chats = { ...this.options.chats };
+        this.options.labels = { ...this.options.labels };
+
+        /**
+         * Templates by name, loaded from the storage on first use
+         * @type {?Promise<Map<string, PromptTemplate>>}
+         * @private
+         */
+        this._templates = null;
+    }
+
+    /**
+     * Set the default prompt
+     * @param {PromptDefinition} prompt
+     */
+    setDefault(prompt) {
+        this.options.systemPrompt = prompt;
+    }
+
+    /**
+     * Set the prompt of a chat
+     * @param {string} chatId
+     * @param {?PromptDefinition} prompt - null to remove it
+     */
+    setForChat(chatId, prompt) {
+        this._setRule(this.options.chats, chatId, prompt);
+    }
+
+    /**
+     * Set the prompt of the chats with a label
+     * @param {string} label - Label name or ID
+     * @param {?PromptDefinition} prompt - null to remove it
+     */
+    setForLabel(label, prompt) {
+        this._setRule(this.options.labels, label, prompt);
+    }
+
+    /**
+     * Set the prompt of group chats
+     * @param {?PromptDefinition} prompt - null to remove it
+     */
+    setForGroups(prompt) {
+        this.options.groups = prompt;
+    }
+
+    /**
+     * Add a version of a template. The first version is rolled out right away, the next ones with rollout()
+     * @param {string} name - Template name
+     * @param {string} text - Text of the prompt, with {{variable}} placeholders
+     * @param {object} [options]
+     * @param {string} [options.description] - What changed in this version
+     * @returns {Promise<PromptTemplateVersion>}
+     */
+    async defineTemplate(name, text, options = {}) {
+        if (!text || typeof text !== 'string') throw new Error('The text of a prompt template is required');
+
+        const templates = await this._loadTemplates();
+        const template = templates.get(name) || { name, versions: [], active: null, candidate: null, previous: [] };
+        const version = {
+            version: template.versions.length + 1,
+            text,
+            description: options.description,
+            createdAt: Date.now()
+        };
+        template.versions.push(version);
+        if (template.active === null) template.active = version.version;
+
+        templates.set(name, template);
+        await this._saveTemplate(template);
+        return version;
+    }
+
+    /**
+     * Roll a version of a template out to a percentage of the chats, or to all of them.
+     * Chats get the same version on every request, based on their ID.
+     * @param {string} name - Template name
+     * @param {number} [version] - Defaults to the latest version
+     * @param {object} [options]
+     * @param {number} [options.percentage=100] - Percentage of the chats that use the version
+     * @returns {Promise<PromptTemplate>}
+     */
+    async rollout(name, version, options = {}) {
+        const template = await this.getTemplate(name);
+        if (!template) throw new Error(`Unknown prompt template: ${name}`);
+
+        version = version || template.versions.length;
+        if (!template.versions.some(entry => entry.version === version)) {
+            throw new Error(`Prompt template ${name} has no version ${version}`);
+        }
+        const percentage = options.percentage === undefined ? 100 : options.percentage;
+        if (!(percentage > 0 && percentage <= 100)) throw new Error('The percentage must be between 0 and 100');
+
+        if (percentage < 100) {
+            template.candidate = { version, percentage };
+        } else {
+            if (template.active !== version) template.previous.push(template.active);
+            template.active = version;
+            template.candidate = null;
+        }
+
+        await this._saveTemplate(template);
+        return template;
+    }
+
+    /**
+     * Stop the rollout of a template, or go back to the version that was active before
+     * @param {string} name - Template name
+     * @returns {Promise<PromptTemplate>}
+     */
+    async rollback(name) {
+        const template = await this.getTemplate(name);
+        if (!template) throw new Error(`Unknown prompt template: ${name}`);
+
+        if (template.candidate) {
+            template.candidate = null;
+        } else if (template.previous.length) {
+            template.active = template.previous.pop();
+        } else {
+            throw new Error(`Prompt template ${name} has no earlier version to roll back to`);
+        }
+
+        await this._saveTemplate(template);
+        return template;
+    }
+
+    /**
+     * Get a template
+     * @param {string} name - Template name
+     * @returns {Promise<?PromptTemplate>}
+     */
+    async getTemplate(name) {
+        const templates = await this._loadTemplates();
+        return templates.get(name) || null;
+    }
+
+    /**
+     * Get all templates
+     * @returns {Promise<Array<PromptTemplate>>}
+     */
+    async getTemplates() {
+        const templates = await this._loadTemplates();
+        return Array.from(templates.values());
+    }
+
+    /**
+     * Get the prompt of a chat, with its variables filled in
+     * @param {string} chatId
+     * @returns {Promise<ResolvedPrompt>}
+     */
+    async resolve(chatId) {
+        const scope = new PromptScope(this, chatId);
+        const { source, prompt } = await this._findPrompt(scope);
+
+        let text = prompt;
+        let template = null;
+        if (prompt && typeof prompt === 'object') {
+            const version = await this._pickVersion(prompt, chatId);
+            text = version.text;
+            template = { name: prompt.template, version: version.version };
+        }
+
+        return { text: await this._render(text, scope), source, template };
+    }
+
+    /**
+     * Fill in the variables of a prompt for a chat
+     * @param {string} text
+     * @param {string} chatId
+     * @returns {Promise<string>}
+     */
+    render(text, chatId) {
+        return this._render(text, new PromptScope(this, chatId));
+    }
+
+    async _render(text, scope) {
+        const names = new Set(Array.from(text.matchAll(VARIABLE_PATTERN), match => match[1]));
+        if (!names.size) return text;
+
+        const values = {};
+        for (const name of names) {
+            const value = await scope.getVariable(name);
+            if (value !== undefined && value !== null) values[name] = String(value);
+        }
+        return text.replace(VARIABLE_PATTERN, (placeholder, name) => name in values ? values[name] : placeholder);
+    }
+
+    /**
+     * Whether a time is within the business hours
+     * @param {number} [timestamp] - Defaults to now
+     * @returns {boolean}
+     */
+    isOpen(timestamp = Date.now()) {
+        const hours = this._getBusinessHours();
+        if (!hours) return true;
+
+        const parts = MessageScheduler.getZonedParts(timestamp, this.options.timezone);
+        const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+        const time = `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`;
+        return hours.days.includes(day) && time >= hours.open && time < hours.close;
+    }
+
+    /**
+     * Describe the business hours for the AI, e.g. "Monday–Friday 09:00–17:00"
+     * @returns {?string}
+     */
+    describeBusinessHours() {
+        const hours = this._getBusinessHours();
+        if (!hours) return null;
+        if (hours.text) return hours.text;
+
+        const formatter = new Intl.DateTimeFormat(this.options.locale, { weekday: 'long', timeZone: 'UTC' });
+        // 1 January 2023 was a Sunday
+        const dayName = day => formatter.format(new Date(Date.UTC(2023, 0, 1 + day)));
+
+        const days = [...hours.days].sort((a, b) => a - b);
+        const runs = [];
+        for (const day of days) {
+            const run = runs[runs.length - 1];
+            if (run && run[1] === day - 1) run[1] = day;
+            else runs.push([day, day]);
+        }
+        const dayText = runs
+            .map(([first, last]) => {
+                if (first === last) return dayName(first);
+                return last - first === 1 ? `${dayName(first)}, ${dayName(last)}` : `${dayName(first)}–${dayName(last)}`;
+            })
+            .join(', ');
+        return `${dayText} ${hours.open}–${hours.close} (${this.options.timezone})`;
+    }
+
+    /**
+     * Find the prompt that applies to a chat
+     * @returns {Promise<{source: string, prompt: PromptDefinition}>}
+     * @private
+     */
+    async _findPrompt(scope) {
+        const { chats, groups, labels, systemPrompt } = this.options;
+
+        if (chats[scope.chatId]) return { source: 'chat', prompt: chats[scope.chatId] };
+
+        if (groups && scope.chatId.endsWith('@g.us')) return { source: 'group', prompt: groups };
+
+        if (Object.keys(labels).length) {
+            for (const label of await scope.getLabels()) {
+                const prompt = labels[label.id] || labels[label.name];
+                if (prompt) return { source: 'label', prompt };
+            }
+        }
+
+        return { source: 'default', prompt: systemPrompt };
+    }
+
+    /**
+     * Pick the version of a template a chat uses
+     * @param {Object} prompt - Template prompt definition
+     * @param {string} chatId
+     * @returns {Promise<PromptTemplateVersion>}
+     * @private
+     */
+    async _pickVersion(prompt, chatId) {
+        const template = await this.getTemplate(prompt.template);
+        if (!template) throw new Error(`Unknown prompt template: ${prompt.template}`);
+
+        let version = prompt.version || template.active;
+        if (!prompt.version && template.candidate && PromptManager._bucket(chatId) < template.candidate.percentage) {
+            version = template.candidate.version;
+        }
+
+        const entry = template.versions.find(candidate => candidate.version === version);
+        if (!entry) throw new Error(`Prompt template ${prompt.template} has no version ${version}`);
+        return entry;
+    }
+
+    _setRule(rules, key, prompt) {
+        if (prompt === null || prompt === undefined) delete rules[key];
+        else rules[key] = prompt;
+    }
+
+    _getBusinessHours() {
+        const { businessHours } = this.options;
+        if (!businessHours) return null;
+        return { days: [1, 2, 3, 4, 5], open: '09:00', close: '17:00', ...businessHours };
+    }
+
+    async _loadTemplates() {
+        if (!this._templates) {
+            this._templates = this.assistant._storage.getPromptTemplates()
+                .then(templates => new Map(templates.map(template => [template.name, template])));
+            // a failed load is tried again on next use
+            this._templates.catch(() => {
+                this._templates = null;
+            });
+        }
+        return this._templates;
+    }
+
+    async _saveTemplate(template) {
+        await this.assistant._storage.savePromptTemplate(template);
+    }
+
+    /**
+     * Stable bucket of a chat, from 0 to 99, for percentage rollouts
+     * @param {string} chatId
+     * @returns {number}
+     * @private
+     */
+    static _bucket(chatId) {
+        return crypto.createHash('sha1').update(chatId).digest().readUInt32BE(0) % 100;
+    }
+}
+
+/**
+ * Values looked up while resolving the prompt of a chat, fetched once and only when used
+ * @private
+ */
+class PromptScope {
+    constructor(manager, chatId) {
+        this.manager = manager;
+        this.chatId = chatId;
+        this._cache = new Map();
+    }
+
+    async getVariable(name) {
+        const custom = await this._get('custom', () => {
+            const { variables } = this.manager.options;
+            return typeof variables === 'function' ? variables(this.chatId) : variables;
+        });
+        if (custom && custom[name] !== undefined) return custom[name];
+
+        const { locale, timezone } = this.manager.options;
+        switch (name) {
+        case 'contactName': {
+            const chat = await this.getChat();
+            if (!chat || chat.isGroup) return chat ? chat.name : undefined;
+            const contact = await this.getContact();
+            return contact ? contact.name || contact.pushname || contact.number : chat.name;
+        }
+        case 'chatName': {
+            const chat = await this.getChat();
+            return chat ? chat.name : undefined;
+        }
+        case 'phoneNumber':
+            return this.chatId.endsWith('@c.us') ? this.chatId.split('@')[0] : undefined;
+        case 'locale':
+            return locale;
+        case 'timezone':
+            return timezone;
+        case 'date':
+            return new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeZone: timezone }).format(new Date());
+        case 'time':
+            return new Intl.DateTimeFormat(locale, { timeStyle: 'short', timeZone: timezone }).format(new Date());
+        case 'businessHours':
+            return this.manager.describeBusinessHours();
+        case 'businessStatus':
+            return this.manager.isOpen() ? 'open' : 'closed';
+        default:
+            return undefined;
+        }
+    }
+
+    getChat() {
+        return this._get('chat', () => this.manager.assistant.client.getChatById(this.chatId));
+    }
+
+    getContact() {
+        return this._get('contact', () => this.manager.assistant.client.getContactById(this.chatId));
+    }
+
+    async getLabels() {
+        return (await this._get('labels', () => this.manager.assistant.client.getChatLabels(this.chatId))) || [];
+    }
+
+    /**
+     * Fetch a value once; failures are logged and give null, so the prompt can still be built
+     * @private
+     */
+    async _get(key, fetch) {
+        if (!this._cache.has(key)) {
+            this._cache.set(key, (async () => {
+                try {
+                    return await fetch();
+                } catch (err) {
+                    console.error(`[PromptManager] Failed to get the ${key} of ${this.chatId}:`, err);
+                    return null;
+                }
+            })());
+        }
+        return this._cache.get(key);
+    }
+}
+
+module.exports = PromptManager;
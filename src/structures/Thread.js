@@ -2,6 +2,15 @@
 
 const Base = require('./Base');
 const AIProvider = require('./providers/AIProvider');
+const JSONSchema = require('../util/JSONSchema');
+
+/**
+ * Instructions to update the summary of a conversation with the messages evicted from its history
+ * @private
+ */
+const SUMMARY_PROMPT = 'You keep the memory of a WhatsApp conversation. Update the summary with the new messages. '
+    + 'Keep names, decisions, commitments, open questions and facts the user shared, drop small talk. '
+    + 'Do not repeat the pinned facts. Answer with the summary only, in the language of the conversation.';
 
 /**
  * Thread class for managing AI conversations
@@ -38,6 +47,19 @@ class Thread extends Base {
          */
         this._history = data.history || [];
 
+        /**
+         * Summary of the messages evicted from the history
+         * @type {string}
+         */
+        this.summary = data.summary || '';
+
+        /**
+         * Memory options of this chat, overriding those of the assistant
+         * @type {Object}
+         * @private
+         */
+        this._memoryOptions = data.memory || {};
+
         /**
          * Last used timestamp
          * @type {number}
@@ -53,7 +75,8 @@ class Thread extends Base {
     }
 
     /**
-     * Add context to the thread
+     * Add context to the thread.
+     * Context entries are pinned facts: they are sent with every request and never evicted from the memory.
      * @param {string} key - Context key
      * @param {any} value - Context value
      */
@@ -62,6 +85,17 @@ class Thread extends Base {
         this._saveChanges();
     }
 
+    /**
+     * Remove context from the thread
+     * @param {string} key - Context key
+     * @returns {boolean} Whether the key was set
+     */
+    removeContext(key) {
+        const removed = this._context.delete(key);
+        if (removed) this._saveChanges();
+        return removed;
+    }
+
     /**
      * Get thread context
      * @returns {Object} Thread context
@@ -70,6 +104,37 @@ class Thread extends Base {
         return Object.fromEntries(this._context);
     }
 
+    /**
+     * Set the memory budget of this chat, overriding the one of the assistant
+     * @param {MemoryOptions} options
+     * @returns {Promise<void>}
+     */
+    async setMemoryOptions(options) {
+        this._memoryOptions = { ...this._memoryOptions, ...options };
+        await this._saveChanges();
+    }
+
+    /**
+     * Get the memory options in effect in this chat
+     * @returns {MemoryOptions}
+     */
+    getMemoryOptions() {
+        return { ...this._assistant.config.history, ...this._memoryOptions };
+    }
+
+    /**
+     * Get the tokens used by the memory of this chat
+     * @returns {{budget: number, history: number, summary: number, context: number}}
+     */
+    getMemoryUsage() {
+        return {
+            budget: this.getMemoryOptions().maxTokens,
+            history: this._provider.countMessageTokens(this._history),
+            summary: this._provider.countTokens(this.summary),
+            context: this._provider.countTokens(this._getContextText())
+        };
+    }
+
     /**
      * Ask a question in this thread
      * @param {string} prompt - The question or prompt
@@ -84,29 +149,137 @@ class Thread extends Base {
             role: 'user',
             content: prompt
         });
-
-        // Prepare context
-        const context = this.getContext();
-        const systemPrompt = `You are a helpful WhatsApp assistant. Current context: ${JSON.stringify(context)}`;
+        await this._compactHistory();
 
         // Call the AI provider
-        const response = await this._callAI(systemPrompt, this._history, options);
+        const response = await this._callAI(await this._getSystemPrompt(), this._history, options);
+
+        await this._addResponse(response);
+
+        return response;
+    }
+
+    /**
+     * Ask a question in this thread and get the response as it is written.
+     * The response is added to the history once the stream ends, or what was received when it is stopped early.
+     * Functions are not offered to the AI while streaming.
+     * @param {string} prompt - The question or prompt
+     * @param {Object} [options] - Additional options
+     * @returns {AsyncIterable<string>} Text chunks of the response
+     */
+    async *askStream(prompt, options = {}) {
+        this.lastUsed = Date.now();
+
+        this._history.push({
+            role: 'user',
+            content: prompt
+        });
+        await this._compactHistory();
+
+        let response = '';
+        try {
+            for await (const chunk of this._provider.generateStream(await this._getSystemPrompt(), this._history, options)) {
+                response += chunk;
+                yield chunk;
+            }
+        } finally {
+            if (response) await this._addResponse(response);
+        }
+    }
+
+    /**
+     * Build the system prompt of the chat, with the pinned facts and the summary of the conversation
+     * @returns {Promise<string>}
+     * @private
+     */
+    async _getSystemPrompt() {
+        const { text } = await this._assistant.prompts.resolve(this.chatId);
+        let prompt = text;
+
+        const context = this._getContextText();
+        if (context) prompt += `\n\nKnown facts about this conversation:\n${context}`;
+        if (this.summary) prompt += `\n\nSummary of the earlier conversation: ${this.summary}`;
+        return prompt;
+    }
 
-        // Add response to history
+    /**
+     * Pinned facts, as sent to the AI, one per line
+     * @returns {string}
+     * @private
+     */
+    _getContextText() {
+        return Array.from(this._context, ([key, value]) => {
+            return `- ${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`;
+        }).join('\n');
+    }
+
+    /**
+     * Add a response to the history and save the thread
+     * @param {string} response
+     * @private
+     */
+    async _addResponse(response) {
         this._history.push({
             role: 'assistant',
             content: response
         });
 
-        // Trim history if too long
-        if (this._history.length > 20) {
-            this._history = this._history.slice(-20);
-        }
+        await this._compactHistory();
 
         // Save changes to storage
         await this._saveChanges();
+    }
 
-        return response;
+    /**
+     * Evict the oldest messages until the memory fits its token budget, and summarize them.
+     * The summary and the pinned facts count against the budget; the last message is always kept.
+     * @private
+     */
+    async _compactHistory() {
+        const { maxTokens, summarize } = this.getMemoryOptions();
+        const usage = this.getMemoryUsage();
+        const budget = maxTokens - usage.summary - usage.context;
+
+        let tokens = usage.history;
+        let evicted = 0;
+        while (tokens > budget && evicted < this._history.length - 1) {
+            tokens -= this._provider.countMessageTokens([this._history[evicted]]);
+            evicted++;
+        }
+        // the history has to start with a question
+        while (evicted > 0 && evicted < this._history.length - 1 && this._history[evicted].role !== 'user') {
+            evicted++;
+        }
+        if (!evicted) return;
+
+        const messages = this._history.splice(0, evicted);
+        if (summarize) await this._summarize(messages);
+    }
+
+    /**
+     * Fold evicted messages into the summary.
+     * When the AI cannot be reached, the messages are dropped and the summary is left as it is.
+     * @param {Array<{role: string, content: string}>} messages
+     * @private
+     */
+    async _summarize(messages) {
+        const transcript = messages
+            .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+            .join('\n');
+        const request = [
+            `Pinned facts:\n${this._getContextText() || '(none)'}`,
+            `Current summary: ${this.summary || '(none)'}`,
+            `New messages:\n${transcript}`
+        ].join('\n\n');
+
+        try {
+            const response = await this._provider.generateResponse(SUMMARY_PROMPT, [{ role: 'user', content: request }], {
+                maxTokens: this.getMemoryOptions().summaryMaxTokens
+            });
+            if (response && response.content) this.summary = response.content.trim();
+        } catch (error) {
+            console.error('[Thread] Failed to summarize the conversation:', error);
+        }
     }
 
     /**
@@ -118,38 +291,47 @@ class Thread extends Base {
     }
 
     /**
-     * Call the AI provider
+     * Call the AI provider, running the tools it calls until it answers
      * @param {string} systemPrompt - System prompt
      * @param {Array} messages - Message history
      * @param {Object} options - Additional options
+     * @param {number} [options.maxToolIterations] - Rounds of tool calls before giving up. Defaults to the assistant's maxToolIterations
+     * @param {number} [options.toolTimeout] - Time in ms a tool gets to return. Defaults to the assistant's toolTimeout
      * @returns {Promise<string>} AI response
      * @private
      */
     async _callAI(systemPrompt, messages, options) {
         try {
-            // Get function definitions if needed
-            const functions = this._assistant._functions.size > 0 
-                ? this._getFunctionDefinitions() 
+            const tools = this._assistant._functions.size > 0
+                ? await this._getToolDefinitions()
                 : undefined;
-            
-            // Call the provider
-            const response = await this._provider.generateResponse(systemPrompt, messages, {
-                ...options,
-                functions,
-                functionCall: functions ? 'auto' : undefined
-            });
+            const maxIterations = options.maxToolIterations || this._assistant.config.maxToolIterations;
 
-            // Handle function calls
-            if (response.function_call) {
-                const result = await this._handleFunctionCall(response.function_call);
-                return this._callAI(systemPrompt, [
-                    ...messages,
-                    { role: 'assistant', content: response.content },
-                    { role: 'function', name: response.function_call.name, content: JSON.stringify(result) }
-                ], options);
-            }
+            // tool calls and their results only live for this request, the history keeps the answer
+            const conversation = [...messages];
+            for (let iteration = 0; ; iteration++) {
+                const response = await this._provider.generateResponse(systemPrompt, conversation, {
+                    ...options,
+                    tools
+                });
+
+                const toolCalls = response.toolCalls || [];
+                if (!toolCalls.length) return response.content;
+
+                if (iteration >= maxIterations) {
+                    throw new Error(`The AI kept calling tools after ${maxIterations} rounds`);
+                }
 
-            return response.content;
+                // calls made in the same response run in parallel
+                const results = await Promise.all(toolCalls.map(call => this._handleToolCall(call, options)));
+                conversation.push({ role: 'assistant', content: response.content || '', toolCalls });
+                toolCalls.forEach((call, index) => conversation.push({
+                    role: 'tool',
+                    toolCallId: call.id,
+                    name: call.name,
+                    content: JSON.stringify(results[index] === undefined ? null : results[index])
+                }));
+            }
         } catch (error) {
             console.error('Error calling AI provider:', error);
             
@@ -175,15 +357,21 @@ class Thread extends Base {
     }
 
     /**
-     * Get function definitions for the AI
-     * @returns {Array<Object>} Function definitions
+     * Get definitions of the tools available in this chat
+     * @returns {Promise<Array<ToolDeclaration>|undefined>} Tool definitions, undefined if there are none
      * @private
      */
-    _getFunctionDefinitions() {
-        return Array.from(this._assistant._functions.entries()).map(([name, fn]) => ({
-            name,
-            description: fn.description || 'No description provided',
-            parameters: fn.parameters || {
+    async _getToolDefinitions() {
+        const tools = [];
+        for (const tool of this._assistant._functions.values()) {
+            if (await this._isAvailable(tool)) tools.push(tool);
+        }
+        if (!tools.length) return undefined;
+
+        return tools.map(tool => ({
+            name: tool.name,
+            description: tool.description || 'No description provided',
+            parameters: tool.parameters || {
                 type: 'object',
                 properties: {},
                 required: []
@@ -192,23 +380,74 @@ class Thread extends Base {
     }
 
     /**
-     * Handle function calls from the AI
-     * @param {Object} functionCall - Function call details
-     * @returns {Promise<any>} Function result
+     * Whether a tool may be used in this chat
+     * @param {ToolDefinition} tool
+     * @returns {Promise<boolean>}
      * @private
      */
-    async _handleFunctionCall(functionCall) {
-        const fn = this._assistant._functions.get(functionCall.name);
-        if (!fn) {
-            throw new Error(`Function ${functionCall.name} not found`);
+    async _isAvailable(tool) {
+        if (!tool.available) return true;
+        return Boolean(await tool.available(this._getToolContext()));
+    }
+
+    /**
+     * Context tools are called with
+     * @returns {Object}
+     * @private
+     */
+    _getToolContext() {
+        return {
+            chatId: this.chatId,
+            thread: this,
+            assistant: this._assistant,
+            client: this.client
+        };
+    }
+
+    /**
+     * Run a tool called by the AI.
+     * Errors, invalid arguments and timeouts are returned to the AI as { error }, so it can correct itself.
+     * @param {ToolCall} call - Tool call details
+     * @param {Object} options - Request options
+     * @returns {Promise<any>} Tool result
+     * @private
+     */
+    async _handleToolCall(call, options) {
+        const tool = this._assistant._functions.get(call.name);
+        if (!tool) {
+            return { error: `Tool ${call.name} does not exist` };
+        }
+
+        // the AI may call tools it was not offered
+        if (!await this._isAvailable(tool)) {
+            return { error: `Tool ${call.name} is not available in this chat` };
+        }
+
+        if (typeof call.arguments === 'string') {
+            return { error: 'The arguments are not valid JSON' };
+        }
+
+        if (tool.parameters) {
+            const problems = JSONSchema.validate(tool.parameters, call.arguments, 'arguments');
+            if (problems.length) {
+                return { error: `Invalid arguments: ${problems.join('; ')}` };
+            }
         }
 
+        const timeout = tool.timeout || options.toolTimeout || this._assistant.config.toolTimeout;
+        let timer;
         try {
-            const args = JSON.parse(functionCall.arguments);
-            return await fn(args);
+            return await Promise.race([
+                tool.handler(call.arguments, this._getToolContext()),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error(`Timed out after ${timeout}ms`)), timeout);
+                })
+            ]);
         } catch (error) {
-            console.error(`Error executing function ${functionCall.name}:`, error);
+            console.error(`Error executing tool ${call.name}:`, error);
             return { error: error.message };
+        } finally {
+            clearTimeout(timer);
         }
     }
 }
@@ -0,0 +1,288 @@
+'use strict';
+
+const Location = require('./Location');
+const Poll = require('./Poll');
+
+/**
+ * Longest delay of a follow-up, 30 days in minutes
+ * @private
+ */
+const MAX_FOLLOW_UP_MINUTES = 30 * 24 * 60;
+
+/**
+ * Messages looked at to find the one to react to
+ * @private
+ */
+const REACTION_SEARCH_LIMIT = 20;
+
+/**
+ * Gets a contact the current chat may ask about: the contact of a private chat, or a member of a group chat
+ * @private
+ */
+async function getVisibleContact(client, chatId, contactId) {
+    const chat = await client.getChatById(chatId);
+    if (!contactId || contactId === chatId) {
+        if (chat.isGroup) throw new Error('A contactId is required in group chats');
+        return client.getContactById(chatId);
+    }
+    if (!chat.isGroup || !chat.participants.some(participant => participant.id._serialized === contactId)) {
+        throw new Error('Only the contact of this chat, or members of this group, can be looked up');
+    }
+    return client.getContactById(contactId);
+}
+
+/**
+ * Built-in tools, by name. Every tool acts on the chat the AI is answering in.
+ * @private
+ */
+const TOOLS = {
+    send_message: {
+        description: 'Send an additional text message to the current chat',
+        parameters: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', minLength: 1, description: 'Text of the message' }
+            },
+            required: ['text']
+        },
+        handler: async ({ text }, { client, chatId }) => {
+            const message = await client.sendMessage(chatId, text);
+            return { sent: true, messageId: message.id._serialized };
+        }
+    },
+
+    send_location: {
+        description: 'Send a location to the current chat',
+        parameters: {
+            type: 'object',
+            properties: {
+                latitude: { type: 'number', minimum: -90, maximum: 90 },
+                longitude: { type: 'number', minimum: -180, maximum: 180 },
+                name: { type: 'string', description: 'Name of the place' },
+                address: { type: 'string', description: 'Address of the place' }
+            },
+            required: ['latitude', 'longitude']
+        },
+        handler: async ({ latitude, longitude, name, address }, { client, chatId }) => {
+            const message = await client.sendMessage(chatId, new Location(latitude, longitude, { name, address }));
+            return { sent: true, messageId: message.id._serialized };
+        }
+    },
+
+    send_poll: {
+        description: 'Send a poll to the current chat',
+        parameters: {
+            type: 'object',
+            properties: {
+                question: { type: 'string', minLength: 1 },
+                options: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 2, maxItems: 12 },
+                allowMultipleAnswers: { type: 'boolean' }
+            },
+            required: ['question', 'options']
+        },
+        handler: async ({ question, options, allowMultipleAnswers = false }, { client, chatId }) => {
+            const message = await client.sendMessage(chatId, new Poll(question, options, { allowMultipleAnswers }));
+            return { sent: true, messageId: message.id._serialized };
+        }
+    },
+
+    get_contact_info: {
+        description: 'Look up the name, number, about text and profile picture of the person in the current chat, or of a member of the current group',
+        parameters: {
+            type: 'object',
+            properties: {
+                contactId: { type: 'string', description: 'ID of a group member, e.g. 12025550108@c.us. Leave out in private chats' }
+            }
+        },
+        handler: async ({ contactId }, { client, chatId }) => {
+            const contact = await getVisibleContact(client, chatId, contactId);
+            const [about, profilePicUrl] = await Promise.all([
+                contact.getAbout().catch(() => null),
+                contact.getProfilePicUrl().catch(() => null)
+            ]);
+            return {
+                id: contact.id._serialized,
+                name: contact.name || null,
+                pushname: contact.pushname || null,
+                number: contact.number || null,
+                isBusiness: Boolean(contact.isBusiness),
+                about,
+                profilePicUrl: profilePicUrl || null
+            };
+        }
+    },
+
+    list_group_participants: {
+        description: 'List the members of the current group and whether they are admins',
+        parameters: { type: 'object', properties: {} },
+        handler: async (args, { client, chatId }) => {
+            const chat = await client.getChatById(chatId);
+            if (!chat.isGroup) return { error: 'The current chat is not a group' };
+            return {
+                group: chat.name,
+                participants: chat.participants.map(participant => ({
+                    id: participant.id._serialized,
+                    isAdmin: participant.isAdmin,
+                    isSuperAdmin: participant.isSuperAdmin
+                }))
+            };
+        }
+    },
+
+    react_to_message: {
+        description: 'React with an emoji to a message of the current chat, by default the last message received',
+        parameters: {
+            type: 'object',
+            properties: {
+                emoji: { type: 'string', maxLength: 16, description: 'Emoji to react with, or an empty string to remove the reaction' },
+                messageId: { type: 'string', description: 'Serialized ID of the message' }
+            },
+            required: ['emoji']
+        },
+        handler: async ({ emoji, messageId }, { client, chatId }) => {
+            let message;
+            if (messageId) {
+                message = await client.getMessageById(messageId);
+            } else {
+                const chat = await client.getChatById(chatId);
+                const recent = await chat.fetchMessages({ limit: REACTION_SEARCH_LIMIT });
+                message = recent.filter(msg => !msg.fromMe).pop();
+            }
+            if (!message || message.id.remote !== chatId) return { error: 'Message not found in this chat' };
+
+            await message.react(emoji);
+            return { reacted: true, messageId: message.id._serialized };
+        }
+    },
+
+    add_labels: {
+        description: 'Add labels to the current chat, by name. Only available on WhatsApp Business accounts',
+        parameters: {
+            type: 'object',
+            properties: {
+                labels: { type: 'array', items: { type: 'string' }, minItems: 1 }
+            },
+            required: ['labels']
+        },
+        handler: async ({ labels }, { client, chatId }) => {
+            const [available, current] = await Promise.all([client.getLabels(), client.getChatLabels(chatId)]);
+            const wanted = labels.map(name => available.find(label => label.id === name || label.name.toLowerCase() === name.toLowerCase()));
+            const unknown = labels.filter((name, index) => !wanted[index]);
+            if (unknown.length) {
+                return { error: `Unknown labels: ${unknown.join(', ')}. Available labels: ${available.map(label => label.name).join(', ')}` };
+            }
+
+            // addOrRemoveLabels sets the labels of the chat, the current ones are kept
+            const labelIds = [...new Set([...current.map(label => label.id), ...wanted.map(label => label.id)])];
+            await client.addOrRemoveLabels(labelIds, [chatId]);
+            return { labels: labelIds.map(id => available.find(label => label.id === id).name) };
+        }
+    },
+
+    schedule_follow_up: {
+        description: 'Schedule a text message to be sent to the current chat later',
+        parameters: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', minLength: 1 },
+                delayMinutes: { type: 'integer', minimum: 1, maximum: MAX_FOLLOW_UP_MINUTES, description: 'Minutes from now' }
+            },
+            required: ['text', 'delayMinutes']
+        },
+        handler: async ({ text, delayMinutes }, { client, chatId }) => {
+            const job = await client.scheduleMessage(chatId, text, { at: Date.now() + delayMinutes * 60000 });
+            return { scheduled: true, id: job.id, at: new Date(job.at).toISOString() };
+        }
+    },
+
+    request_handoff: {
+        description: 'Hand the conversation over to a human operator, when the user asks for one or you cannot help',
+        parameters: {
+            type: 'object',
+            properties: {
+                reason: { type: 'string', description: 'Why a human is needed' }
+            },
+            required: ['reason']
+        },
+        handler: async ({ reason }, { assistant, chatId }) => {
+            await assistant.handoffToHuman(chatId, reason, { automatic: true, source: 'tool' });
+            return { handedOff: true };
+        }
+    }
+};
+
+/**
+ * Exposes client capabilities to the AI as tools that act on the chat it is answering in:
+ * send_message, send_location, send_poll, get_contact_info, list_group_participants,
+ * react_to_message, add_labels, schedule_follow_up and request_handoff.
+ *
+ * Only the tools in the allow-list are registered, and per-chat permissions decide which of them
+ * the AI is offered in each chat. Tools the AI may not use are not shown to it, and refused if called anyway.
+ * @param {AIAssistant} assistant
+ * @param {object} [options]
+ * @param {string[]} [options.allow] - Tools to register. Defaults to all of them
+ * @param {Object.<string, string[]>|Function} [options.permissions] - Tools allowed per chat ID, or (chatId, toolName) => boolean.
+ * Chats missing from the object may use every allowed tool
+ * @example
+ * client.ai.useWhatsAppTools({
+ *     allow: ['send_location', 'get_contact_info', 'request_handoff'],
+ *     permissions: (chatId, tool) => !chatId.endsWith('@g.us') || tool !== 'get_contact_info'
+ * });
+ */
+class WhatsAppTools {
+    constructor(assistant, options = {}) {
+        this.assistant = assistant;
+
+        this.options = {
+            allow: Object.keys(TOOLS),
+            permissions: null,
+            ...options
+        };
+
+        const unknown = this.options.allow.filter(name => !TOOLS[name]);
+        if (unknown.length) {
+            throw new Error(`Unknown WhatsApp tools: ${unknown.join(', ')}`);
+        }
+    }
+
+    /**
+     * Names of the built-in tools
+     * @type {string[]}
+     */
+    static get names() {
+        return Object.keys(TOOLS);
+    }
+
+    /**
+     * Registers the allowed tools with the assistant
+     * @returns {WhatsAppTools}
+     */
+    register() {
+        const functions = {};
+        for (const name of this.options.allow) {
+            functions[name] = {
+                ...TOOLS[name],
+                available: ({ chatId }) => this.isAllowed(chatId, name)
+            };
+        }
+        this.assistant.registerFunctions(functions);
+        return this;
+    }
+
+    /**
+     * Whether a tool may be used in a chat
+     * @param {string} chatId
+     * @param {string} name - Tool name
+     * @returns {Promise<boolean>}
+     */
+    async isAllowed(chatId, name) {
+        if (!this.options.allow.includes(name)) return false;
+
+        const { permissions } = this.options;
+        if (typeof permissions === 'function') return Boolean(await permissions(chatId, name));
+        if (permissions && permissions[chatId]) return permissions[chatId].includes(name);
+        return true;
+    }
+}
+
+module.exports = WhatsAppTools;
@@ -1,8 +1,44 @@
 'use strict';
 
+const crypto = require('crypto');
+
+/**
+ * Tool the AI may call
+ * @typedef {Object} ToolDeclaration
+ * @property {string} name - Name of the tool
+ * @property {string} description - What the tool does, for the AI
+ * @property {Object} parameters - JSON schema of the arguments
+ */
+
+/**
+ * Tool call requested by the AI
+ * @typedef {Object} ToolCall
+ * @property {string} id - Id the result is sent back with
+ * @property {string} name - Name of the tool
+ * @property {Object|string} arguments - Arguments, or their raw text when it is not valid JSON
+ */
+
+/**
+ * Response of a provider
+ * @typedef {Object} AIResponse
+ * @property {string} role - Always 'assistant'
+ * @property {string} content - Text of the response, may be empty when tools are called
+ * @property {Array<ToolCall>} toolCalls - Tools to call before the AI can answer, empty if none
+ */
+
+/**
+ * Tokens a message costs besides its content, for its role and delimiters
+ * @private
+ */
+const MESSAGE_TOKENS = 4;
+
 /**
  * AI Provider Interface
- * Abstract class for AI providers
+ * Abstract class for AI providers.
+ *
+ * Messages are provider neutral: user, assistant and system messages have a role and a content,
+ * assistant messages may also have toolCalls, and tool results are messages with the tool role,
+ * the toolCallId and name of the call and the result as content.
  */
 class AIProvider {
     /**
@@ -18,13 +54,75 @@ class AIProvider {
      * @param {string} systemPrompt - System prompt
      * @param {Array<Object>} messages - Message history
      * @param {Object} options - Request options
-     * @returns {Promise<Object>} AI response
+     * @param {Array<ToolDeclaration>} [options.tools] - Tools the AI may call
+     * @returns {Promise<AIResponse>} AI response
      */
     async generateResponse(systemPrompt, messages, options = {}) {
         console.log('Using default AIProvider implementation with options:', options);
         throw new Error('Method not implemented');
     }
 
+    /**
+     * Generate a response from the AI as it is written.
+     * Providers that cannot stream yield the whole response at once.
+     * @param {string} systemPrompt - System prompt
+     * @param {Array<Object>} messages - Message history
+     * @param {Object} options - Request options
+     * @returns {AsyncIterable<string>} Text chunks of the response
+     */
+    async *generateStream(systemPrompt, messages, options = {}) {
+        const response = await this.generateResponse(systemPrompt, messages, options);
+        if (response && response.content) yield response.content;
+    }
+
+    /**
+     * Count the tokens of a text for a model.
+     * Uses the tokenCounter option when given, otherwise providers without a tokenizer estimate it from the length of the text.
+     * @param {string} text
+     * @param {string} [model] - Defaults to the default model of the provider
+     * @returns {number}
+     */
+    countTokens(text, model = this.defaultModel) {
+        if (!text) return 0;
+        if (this.options.tokenCounter) return this.options.tokenCounter(text, model);
+        return Math.ceil(text.length / this.constructor.CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Count the tokens of messages for a model, including what each message costs besides its content
+     * @param {Array<Object>} messages
+     * @param {string} [model] - Defaults to the default model of the provider
+     * @returns {number}
+     */
+    countMessageTokens(messages, model = this.defaultModel) {
+        return messages.reduce((total, message) => {
+            const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+            return total + this.countTokens(content, model) + MESSAGE_TOKENS;
+        }, 0);
+    }
+
+    /**
+     * Parse the arguments of a tool call
+     * @param {string|Object} args - Arguments as sent by the provider
+     * @returns {Object|string} Parsed arguments, or the text when it is not valid JSON
+     */
+    static parseArguments(args) {
+        if (typeof args !== 'string') return args || {};
+        try {
+            return args.trim() ? JSON.parse(args) : {};
+        } catch {
+            return args;
+        }
+    }
+
+    /**
+     * Create an id for a tool call, for providers that do not give one
+     * @returns {string}
+     */
+    static createToolCallId() {
+        return `call_${crypto.randomBytes(8).toString('hex')}`;
+    }
+
     /**
      * Create a provider instance
      * @param {string} provider - Provider name
@@ -40,6 +138,12 @@ class AIProvider {
     }
 }
 
+/**
+ * Average characters per token, used to estimate token counts
+ * @type {number}
+ */
+AIProvider.CHARS_PER_TOKEN = 4;
+
 /**
  * Registered providers
  * @type {Object.<string, typeof AIProvider>}
@@ -66,26 +170,124 @@ class OpenAIProvider extends AIProvider {
         this.defaultModel = options.defaultModel || 'gpt-4-turbo-preview';
     }
 
+    /**
+     * Count the tokens of a text with the tokenizer of the model, when js-tiktoken is installed
+     * @param {string} text
+     * @param {string} [model]
+     * @returns {number}
+     */
+    countTokens(text, model = this.defaultModel) {
+        const encoding = !this.options.tokenCounter && text && OpenAIProvider._getEncoding(model);
+        return encoding ? encoding.encode(text).length : super.countTokens(text, model);
+    }
+
+    /**
+     * Get the tokenizer of a model, null if js-tiktoken is not installed
+     * @param {string} model
+     * @returns {?Object}
+     * @private
+     */
+    static _getEncoding(model) {
+        if (!OpenAIProvider._encodings.has(model)) {
+            let encoding = null;
+            try {
+                const tiktoken = require('js-tiktoken');
+                try {
+                    encoding = tiktoken.encodingForModel(model);
+                } catch {
+                    // models released after the installed version
+                    encoding = tiktoken.getEncoding('o200k_base');
+                }
+            } catch {
+                encoding = null;
+            }
+            OpenAIProvider._encodings.set(model, encoding);
+        }
+        return OpenAIProvider._encodings.get(model);
+    }
+
     async generateResponse(systemPrompt, messages, options = {}) {
-        const OpenAI = await import('openai');
+        const { default: OpenAI } = await import('openai');
         const openai = new OpenAI({ apiKey: this.apiKey });
 
         const completion = await openai.chat.completions.create({
             model: options.model || this.defaultModel,
-            messages: [
-                { role: 'system', content: systemPrompt },
-                ...messages
-            ],
+            messages: this._formatMessages(systemPrompt, messages),
             temperature: options.temperature || this.options.temperature || 0.7,
             max_tokens: options.maxTokens || this.options.maxTokens || 500,
-            functions: options.functions,
-            function_call: options.functionCall || 'auto'
+            tools: options.tools && options.tools.length
+                ? options.tools.map(tool => ({ type: 'function', function: tool }))
+                : undefined
+        });
+
+        const message = completion.choices[0]?.message || {};
+        return {
+            role: 'assistant',
+            content: message.content || '',
+            toolCalls: (message.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: AIProvider.parseArguments(call.function.arguments)
+            }))
+        };
+    }
+
+    async *generateStream(systemPrompt, messages, options = {}) {
+        const { default: OpenAI } = await import('openai');
+        const openai = new OpenAI({ apiKey: this.apiKey });
+
+        const stream = await openai.chat.completions.create({
+            model: options.model || this.defaultModel,
+            messages: this._formatMessages(systemPrompt, messages),
+            temperature: options.temperature || this.options.temperature || 0.7,
+            max_tokens: options.maxTokens || this.options.maxTokens || 500,
+            stream: true
+        });
+
+        for await (const chunk of stream) {
+            const text = chunk.choices[0]?.delta?.content;
+            if (text) yield text;
+        }
+    }
+
+    /**
+     * Convert messages to OpenAI format
+     * @private
+     */
+    _formatMessages(systemPrompt, messages) {
+        const formattedMessages = messages.map(msg => {
+            if (msg.role === 'tool') {
+                return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+            }
+            if (msg.role === 'assistant' && msg.toolCalls && msg.toolCalls.length) {
+                return {
+                    role: 'assistant',
+                    content: msg.content || null,
+                    tool_calls: msg.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: {
+                            name: call.name,
+                            arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments)
+                        }
+                    }))
+                };
+            }
+            if (msg.role === 'function') return { role: 'function', name: msg.name, content: msg.content };
+            return { role: msg.role, content: msg.content };
         });
 
-        return completion.choices[0]?.message;
+        return [{ role: 'system', content: systemPrompt }, ...formattedMessages];
     }
 }
 
+/**
+ * Tokenizers by model
+ * @type {Map<string, ?Object>}
+ * @private
+ */
+OpenAIProvider._encodings = new Map();
+
 /**
  * Anthropic Provider
  * @extends {AIProvider}
@@ -101,36 +303,86 @@ class AnthropicProvider extends AIProvider {
         const Anthropic = await import('@anthropic-ai/sdk');
         const anthropic = new Anthropic.Anthropic({ apiKey: this.apiKey });
 
-        // Convert messages to Anthropic format
-        const formattedMessages = messages.map(msg => {
-            if (msg.role === 'assistant') return { role: 'assistant', content: msg.content };
-            if (msg.role === 'user') return { role: 'user', content: msg.content };
-            if (msg.role === 'function') {
-                return { 
-                    role: 'user', 
-                    content: `Function result from ${msg.name}: ${msg.content}`
-                };
-            }
-            return null;
-        }).filter(Boolean);
-
-        // Add system prompt as a user message at the beginning
-        formattedMessages.unshift({
-            role: 'user',
-            content: `System: ${systemPrompt}`
-        });
-
         const response = await anthropic.messages.create({
             model: options.model || this.defaultModel,
-            messages: formattedMessages,
+            system: systemPrompt,
+            messages: this._formatMessages(messages),
             max_tokens: options.maxTokens || this.options.maxTokens || 1024,
-            temperature: options.temperature || this.options.temperature || 0.7
+            temperature: options.temperature || this.options.temperature || 0.7,
+            tools: options.tools && options.tools.length
+                ? options.tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }))
+                : undefined
         });
 
         return {
             role: 'assistant',
-            content: response.content[0].text
+            content: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+            toolCalls: response.content.filter(block => block.type === 'tool_use').map(block => ({
+                id: block.id,
+                name: block.name,
+                arguments: block.input
+            }))
+        };
+    }
+
+    async *generateStream(systemPrompt, messages, options = {}) {
+        const Anthropic = await import('@anthropic-ai/sdk');
+        const anthropic = new Anthropic.Anthropic({ apiKey: this.apiKey });
+
+        const stream = await anthropic.messages.create({
+            model: options.model || this.defaultModel,
+            system: systemPrompt,
+            messages: this._formatMessages(messages),
+            max_tokens: options.maxTokens || this.options.maxTokens || 1024,
+            temperature: options.temperature || this.options.temperature || 0.7,
+            stream: true
+        });
+
+        for await (const event of stream) {
+            if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                yield event.delta.text;
+            }
+        }
+    }
+
+    /**
+     * Convert messages to Anthropic format.
+     * Consecutive messages of the same role are merged, so the results of parallel tool calls end up in one message.
+     * @private
+     */
+    _formatMessages(messages) {
+        const formattedMessages = [];
+        const add = (role, blocks) => {
+            const last = formattedMessages[formattedMessages.length - 1];
+            if (last && last.role === role) {
+                last.content.push(...blocks);
+            } else if (blocks.length) {
+                formattedMessages.push({ role, content: blocks });
+            }
         };
+
+        for (const msg of messages) {
+            if (msg.role === 'assistant') {
+                const blocks = msg.content ? [{ type: 'text', text: msg.content }] : [];
+                for (const call of msg.toolCalls || []) {
+                    blocks.push({
+                        type: 'tool_use',
+                        id: call.id,
+                        name: call.name,
+                        input: typeof call.arguments === 'string' ? {} : call.arguments
+                    });
+                }
+                add('assistant', blocks);
+            } else if (msg.role === 'user') {
+                add('user', [{ type: 'text', text: msg.content }]);
+            } else if (msg.role === 'tool') {
+                add('user', [{ type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content }]);
+            } else if (msg.role === 'function') {
+                add('user', [{ type: 'text', text: `Function result from ${msg.name}: ${msg.content}` }]);
+            }
+        }
+
+        return formattedMessages;
     }
 }
 
@@ -146,51 +398,111 @@ class GoogleAIProvider extends AIProvider {
     }
 
     async generateResponse(systemPrompt, messages, options = {}) {
+        const model = await this._getModel(options);
+
+        const result = await model.generateContent({
+            contents: this._formatMessages(systemPrompt, messages),
+            generationConfig: this._getGenerationConfig(options),
+            tools: options.tools && options.tools.length
+                ? [{ functionDeclarations: options.tools.map(tool => this._formatTool(tool)) }]
+                : undefined
+        });
+
+        const parts = result.response.candidates?.[0]?.content?.parts || [];
+        return {
+            role: 'assistant',
+            content: parts.filter(part => part.text).map(part => part.text).join(''),
+            // Gemini does not give ids to function calls
+            toolCalls: parts.filter(part => part.functionCall).map(part => ({
+                id: AIProvider.createToolCallId(),
+                name: part.functionCall.name,
+                arguments: part.functionCall.args || {}
+            }))
+        };
+    }
+
+    async *generateStream(systemPrompt, messages, options = {}) {
+        const model = await this._getModel(options);
+
+        const result = await model.generateContentStream({
+            contents: this._formatMessages(systemPrompt, messages),
+            generationConfig: this._getGenerationConfig(options)
+        });
+
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) yield text;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _getModel(options) {
         const { GoogleGenerativeAI } = await import('@google/generative-ai');
         const genAI = new GoogleGenerativeAI(this.apiKey);
-        const model = genAI.getGenerativeModel({ model: options.model || this.defaultModel });
+        return genAI.getGenerativeModel({ model: options.model || this.defaultModel });
+    }
 
-        // Convert messages to Google AI format
+    /**
+     * @private
+     */
+    _getGenerationConfig(options) {
+        return {
+            temperature: options.temperature || this.options.temperature || 0.7,
+            maxOutputTokens: options.maxTokens || this.options.maxTokens || 1024
+        };
+    }
+
+    /**
+     * Convert a tool to a Gemini function declaration, which may not have an object without properties
+     * @private
+     */
+    _formatTool(tool) {
+        const { parameters } = tool;
+        const hasParameters = parameters && parameters.properties && Object.keys(parameters.properties).length > 0;
+        return hasParameters
+            ? { name: tool.name, description: tool.description, parameters }
+            : { name: tool.name, description: tool.description };
+    }
+
+    /**
+     * Convert messages to Google AI format
+     * @private
+     */
+    _formatMessages(systemPrompt, messages) {
         const formattedMessages = [];
-        
+        const add = (role, parts) => {
+            const last = formattedMessages[formattedMessages.length - 1];
+            if (last && last.role === role && role === 'function') {
+                last.parts.push(...parts);
+            } else if (parts.length) {
+                formattedMessages.push({ role, parts });
+            }
+        };
+
         // Add system prompt as a user message at the beginning
-        formattedMessages.push({
-            role: 'user',
-            parts: [{ text: `System: ${systemPrompt}` }]
-        });
-        
+        add('user', [{ text: `System: ${systemPrompt}` }]);
+
         // Add the rest of the messages
         for (const msg of messages) {
             if (msg.role === 'assistant') {
-                formattedMessages.push({
-                    role: 'model',
-                    parts: [{ text: msg.content }]
-                });
+                const parts = msg.content ? [{ text: msg.content }] : [];
+                for (const call of msg.toolCalls || []) {
+                    parts.push({ functionCall: { name: call.name, args: typeof call.arguments === 'string' ? {} : call.arguments } });
+                }
+                add('model', parts);
             } else if (msg.role === 'user') {
-                formattedMessages.push({
-                    role: 'user',
-                    parts: [{ text: msg.content }]
-                });
+                add('user', [{ text: msg.content }]);
+            } else if (msg.role === 'tool') {
+                // function responses must be objects
+                add('function', [{ functionResponse: { name: msg.name, response: { result: AIProvider.parseArguments(msg.content) } } }]);
             } else if (msg.role === 'function') {
-                formattedMessages.push({
-                    role: 'user',
-                    parts: [{ text: `Function result from ${msg.name}: ${msg.content}` }]
-                });
+                add('user', [{ text: `Function result from ${msg.name}: ${msg.content}` }]);
             }
         }
 
-        const result = await model.generateContent({
-            contents: formattedMessages,
-            generationConfig: {
-                temperature: options.temperature || this.options.temperature || 0.7,
-                maxOutputTokens: options.maxTokens || this.options.maxTokens || 1024
-            }
-        });
-
-        return {
-            role: 'assistant',
-            content: result.response.text()
-        };
+        return formattedMessages;
     }
 }
 
@@ -206,6 +518,49 @@ class LocalAIProvider extends AIProvider {
     }
 
     async generateResponse(systemPrompt, messages, options = {}) {
+        const response = await this._request(systemPrompt, messages, options, {
+            tools: options.tools && options.tools.length
+                ? options.tools.map(tool => ({ type: 'function', function: tool }))
+                : undefined,
+            // Ollama streams unless told otherwise
+            stream: false
+        });
+
+        const result = await response.json();
+        return {
+            role: 'assistant',
+            content: result.message.content || '',
+            toolCalls: (result.message.tool_calls || []).map(call => ({
+                id: call.id || AIProvider.createToolCallId(),
+                name: call.function.name,
+                arguments: AIProvider.parseArguments(call.function.arguments)
+            }))
+        };
+    }
+
+    async *generateStream(systemPrompt, messages, options = {}) {
+        const response = await this._request(systemPrompt, messages, options, { stream: true });
+
+        // The response is one JSON object per line
+        const decoder = new TextDecoder();
+        let buffered = '';
+        for await (const bytes of response.body) {
+            buffered += decoder.decode(bytes, { stream: true });
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            for (const line of lines) {
+                const text = LocalAIProvider._parseChunk(line);
+                if (text) yield text;
+            }
+        }
+        const text = LocalAIProvider._parseChunk(buffered + decoder.decode());
+        if (text) yield text;
+    }
+
+    /**
+     * @private
+     */
+    async _request(systemPrompt, messages, options, body) {
         const response = await fetch(`${this.baseUrl}/api/chat`, {
             method: 'POST',
             headers: {
@@ -215,30 +570,57 @@ class LocalAIProvider extends AIProvider {
                 model: options.model || this.defaultModel,
                 messages: [
                     { role: 'system', content: systemPrompt },
-                    ...messages
+                    ...messages.map(msg => LocalAIProvider._formatMessage(msg))
                 ],
                 options: {
                     temperature: options.temperature || this.options.temperature || 0.7
-                }
+                },
+                ...body
             })
         });
 
         if (!response.ok) {
             throw new Error(`Ollama API error: ${response.status} ${response.statusText}`);
         }
+        return response;
+    }
 
-        const result = await response.json();
-        return {
-            role: 'assistant',
-            content: result.message.content
-        };
+    /**
+     * @private
+     */
+    static _formatMessage(msg) {
+        if (msg.role === 'tool') return { role: 'tool', content: msg.content, tool_name: msg.name };
+        if (msg.role === 'assistant' && msg.toolCalls && msg.toolCalls.length) {
+            return {
+                role: 'assistant',
+                content: msg.content || '',
+                tool_calls: msg.toolCalls.map(call => ({
+                    function: { name: call.name, arguments: typeof call.arguments === 'string' ? {} : call.arguments }
+                }))
+            };
+        }
+        if (msg.role === 'function') return { role: 'user', content: `Function result from ${msg.name}: ${msg.content}` };
+        return { role: msg.role, content: msg.content };
+    }
+
+    /**
+     * @private
+     */
+    static _parseChunk(line) {
+        if (!line.trim()) return null;
+        const chunk = JSON.parse(line);
+        if (chunk.error) throw new Error(`Ollama API error: ${chunk.error}`);
+        return chunk.message && chunk.message.content;
     }
 }
 
+// Claude tokenizes text a bit finer than the others
+AnthropicProvider.CHARS_PER_TOKEN = 3.5;
+
 // Register providers
 AIProvider.registerProvider('openai', OpenAIProvider);
 AIProvider.registerProvider('anthropic', AnthropicProvider);
 AIProvider.registerProvider('google', GoogleAIProvider);
 AIProvider.registerProvider('local', LocalAIProvider);
 
-module.exports = AIProvider; 
\ No newline at end of file
+module.exports = AIProvider;
@@ -0,0 +1,25 @@
+'use strict';
+
+const RecordStore = require('./RecordStore');
+
+/**
+ * Outbox Store Interface
+ * Abstract class for persisting queued outbound messages.
+ * getAll() returns the entries in the order they were queued.
+ * @extends {RecordStore}
+ */
+class OutboxStore extends RecordStore {
+    /**
+     * Create an outbox store instance
+     * @param {string} provider - Store provider name, 'memory' or 'file'
+     * @param {Object} options - Store options
+     * @param {string} [options.dataPath] - Directory of the file store, default is: "./.wwebjs_outbox/"
+     * @param {string} [options.clientId] - Client id to distinguish instances if you are using multiple
+     * @returns {OutboxStore} Outbox store instance
+     */
+    static create(provider, options = {}) {
+        return RecordStore.create(provider, { ...options, name: 'outbox' });
+    }
+}
+
+module.exports = OutboxStore;
@@ -0,0 +1,156 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Record Store Interface
+ * Abstract class for stores of records identified by their id, like outbox entries and scheduled jobs
+ */
+class RecordStore {
+    /**
+     * Create a new record store instance
+     * @param {Object} options - Store options
+     */
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    /**
+     * Get all stored records, in the order they were first saved
+     * @returns {Promise<Array<Object>>} Array of records
+     */
+    async getAll() {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Save (insert or update) a record
+     * @param {Object} record - Record with an id
+     * @returns {Promise<void>}
+     */
+    // eslint-disable-next-line no-unused-vars
+    async save(record) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Delete a record
+     * @param {string} id - Record ID
+     * @returns {Promise<boolean>} True if deleted, false if not found
+     */
+    // eslint-disable-next-line no-unused-vars
+    async delete(id) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Create one of the built-in stores
+     * @param {string} provider - 'memory' or 'file'
+     * @param {Object} options - Store options
+     * @param {string} options.name - What is stored, used in the file names and errors, e.g. 'outbox'
+     * @returns {RecordStore} Store instance
+     */
+    static create(provider, options) {
+        switch (provider) {
+        case 'memory':
+            return new MemoryRecordStore(options);
+        case 'file':
+            return new FileRecordStore(options);
+        default:
+            throw new Error(`Unsupported ${options.name} store: ${provider}`);
+        }
+    }
+}
+
+/**
+ * In-Memory Record Store
+ * Records are lost when the process exits
+ * @extends {RecordStore}
+ */
+class MemoryRecordStore extends RecordStore {
+    constructor(options = {}) {
+        super(options);
+        this._records = new Map();
+    }
+
+    async getAll() {
+        return Array.from(this._records.values());
+    }
+
+    async save(record) {
+        this._records.set(record.id, record);
+    }
+
+    async delete(id) {
+        return this._records.delete(id);
+    }
+}
+
+/**
+ * File Record Store
+ * Keeps all records in a single JSON file that is rewritten atomically on every change
+ * @param {object} options - options
+ * @param {string} options.name - What is stored, e.g. 'outbox'
+ * @param {string} options.dataPath - Directory to store the file in, default is: "./.wwebjs_<name>/"
+ * @param {string} options.clientId - Client id to distinguish instances if you are using multiple
+ * @extends {RecordStore}
+ */
+class FileRecordStore extends RecordStore {
+    constructor(options = {}) {
+        super(options);
+
+        this.dataPath = path.resolve(options.dataPath || `./.wwebjs_${options.name}/`);
+        this.filePath = path.join(this.dataPath, options.clientId ? `${options.name}-${options.clientId}.json` : `${options.name}.json`);
+
+        this._records = null;
+        this._writeQueue = Promise.resolve();
+    }
+
+    async _load() {
+        if (this._records) return;
+
+        this._records = new Map();
+        try {
+            const records = JSON.parse(await fs.promises.readFile(this.filePath, 'utf-8'));
+            for (const record of records) {
+                this._records.set(record.id, record);
+            }
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+
+    _persist() {
+        const data = JSON.stringify(Array.from(this._records.values()));
+        const tempPath = `${this.filePath}.tmp`;
+
+        this._writeQueue = this._writeQueue.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(this.dataPath, { recursive: true });
+            await fs.promises.writeFile(tempPath, data);
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+
+        return this._writeQueue;
+    }
+
+    async getAll() {
+        await this._load();
+        return Array.from(this._records.values());
+    }
+
+    async save(record) {
+        await this._load();
+        this._records.set(record.id, record);
+        await this._persist();
+    }
+
+    async delete(id) {
+        await this._load();
+        const deleted = this._records.delete(id);
+        if (deleted) await this._persist();
+        return deleted;
+    }
+}
+
+module.exports = RecordStore;
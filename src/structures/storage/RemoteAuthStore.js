@@ -0,0 +1,616 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const fetch = require('node-fetch');
+
+const SessionCrypto = require('../../util/SessionCrypto');
+
+/**
+ * Name of the object listing the backups of a session, newest first
+ * @private
+ */
+const MANIFEST_NAME = 'manifest.json';
+
+/**
+ * Number of files uploaded or downloaded at the same time by snapshots
+ * @private
+ */
+const CONCURRENCY = 4;
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Runs fn for every item, with at most `limit` calls in flight.
+ * Stops at the first failure, once the calls in flight have settled.
+ * @private
+ */
+async function forEachLimit(items, limit, fn) {
+    let next = 0;
+    let failure = null;
+    const worker = async () => {
+        while (!failure && next < items.length) {
+            try {
+                await fn(items[next++]);
+            } catch (err) {
+                failure = failure || { err };
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    if (failure) throw failure.err;
+}
+
+/**
+ * RemoteAuth Store Interface
+ * Implements the store expected by RemoteAuth (sessionExists, save, extract and delete) on top of a few object operations.
+ * Every save uploads a new backup with its SHA-256 checksum, then points the session manifest at it,
+ * so a failed upload never replaces the last good backup. Checksums are verified on extract,
+ * and a backup that fails verification is skipped for the previous one.
+ *
+ * Besides zip backups, sessions can be saved as snapshots: every file is stored once under its content hash,
+ * and a snapshot lists the files with their hashes. Saving a snapshot only uploads files that changed.
+ * @param {object} options - options
+ * @param {number} options.maxBackups - Number of backups kept per session, default is 3
+ */
+class RemoteAuthStore {
+    /**
+     * Create a new RemoteAuth store instance
+     * @param {Object} options - Store options
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.maxBackups = Math.max(1, options.maxBackups ?? 3);
+    }
+
+    /**
+     * Write an object, replacing it atomically when it exists
+     * @param {string} key - Object key
+     * @param {Buffer|string} data - Object content
+     * @returns {Promise<void>}
+     */
+    // eslint-disable-next-line no-unused-vars
+    async putObject(key, data) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Read an object
+     * @param {string} key - Object key
+     * @returns {Promise<Buffer|null>} Object content or null if not found
+     */
+    // eslint-disable-next-line no-unused-vars
+    async getObject(key) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Delete an object, if it exists
+     * @param {string} key - Object key
+     * @returns {Promise<void>}
+     */
+    // eslint-disable-next-line no-unused-vars
+    async deleteObject(key) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * List the keys of the objects starting with a prefix
+     * @param {string} prefix - Key prefix
+     * @returns {Promise<Array<string>>} Object keys
+     */
+    // eslint-disable-next-line no-unused-vars
+    async listObjects(prefix) {
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Whether a backup of the session exists
+     * @param {object} options
+     * @param {string} options.session - Session name
+     * @returns {Promise<boolean>}
+     */
+    async sessionExists({ session }) {
+        return Boolean(await this.getManifest(session));
+    }
+
+    /**
+     * Upload a session backup and drop the backups beyond maxBackups
+     * @param {object} options
+     * @param {string} options.session - Session name
+     * @param {string} [options.path] - Zip file to upload, default is "<session>.zip" as written by RemoteAuth
+     * @returns {Promise<Object>} The new backup
+     */
+    async save({ session, path: filePath }) {
+        const data = await fs.promises.readFile(filePath || `${session}.zip`);
+        const createdAt = new Date();
+        const backup = {
+            type: 'zip',
+            key: `${session}/${createdAt.getTime()}-${crypto.randomBytes(4).toString('hex')}.zip`,
+            checksum: sha256(data),
+            size: data.length,
+            createdAt: createdAt.toISOString()
+        };
+
+        await this.putObject(backup.key, data);
+        await this._addBackup(session, backup);
+        return backup;
+    }
+
+    /**
+     * Download the latest zip backup of a session that passes verification
+     * @param {object} options
+     * @param {string} options.session - Session name
+     * @param {string} options.path - File to write the zip to
+     * @param {Function} [options.onFailure] - Called with (error, backup, hasFallback) for every backup that fails verification
+     * @param {Function} [options.verify] - Called with the path once a backup was written, e.g. to unzip it.
+     * A rejection counts as a failed verification, so the previous backup is tried
+     * @returns {Promise<Object>} The backup that was downloaded
+     */
+    async extract({ session, path: filePath, onFailure, verify }) {
+        return this._restoreLatest(session, 'zip', onFailure, async (backup) => {
+            const data = await this.getObject(backup.key);
+            if (!data) throw new Error(`Backup ${backup.key} is missing`);
+            if (sha256(data) !== backup.checksum) throw new Error(`Checksum mismatch for backup ${backup.key}`);
+
+            await SessionCrypto.writeFileAtomic(filePath, data);
+            if (verify) await verify(filePath);
+        });
+    }
+
+    /**
+     * Save a directory as a snapshot, uploading only the files that are not stored yet
+     * @param {object} options
+     * @param {string} options.session - Session name
+     * @param {string} options.path - Directory to save
+     * @param {Function} [options.filter] - Called with (relativePath, isDirectory), returns whether to include the entry
+     * @returns {Promise<Object>} The new backup, with the number of files and of uploaded files
+     */
+    async saveSnapshot({ session, path: dir, filter = () => true }) {
+        const files = [];
+        const walk = async (current) => {
+            for (const entry of await fs.promises.readdir(current, { withFileTypes: true })) {
+                const fullPath = path.join(current, entry.name);
+                const relativePath = path.relative(dir, fullPath).split(path.sep).join('/');
+                if (!(entry.isDirectory() || entry.isFile()) || !filter(relativePath, entry.isDirectory())) continue;
+
+                if (entry.isDirectory()) await walk(fullPath);
+                else files.push({ path: relativePath, fullPath });
+            }
+        };
+        await walk(dir);
+
+        const stored = await this._getStoredHashes(session);
+        let uploaded = 0;
+
+        await forEachLimit(files, CONCURRENCY, async (file) => {
+            // Chromium may delete files while the session is saved
+            const data = await fs.promises.readFile(file.fullPath).catch(err => err.code === 'ENOENT' ? null : Promise.reject(err));
+            if (!data) return;
+
+            file.hash = sha256(data);
+            file.size = data.length;
+            if (stored.has(file.hash)) return;
+
+            stored.add(file.hash);
+            await this.putObject(`${session}/objects/${file.hash}`, await gzip(data));
+            uploaded++;
+        });
+
+        const snapshot = JSON.stringify({
+            version: 1,
+            session,
+            files: files.filter(file => file.hash).map(({ path, hash, size }) => ({ path, hash, size }))
+        });
+        const createdAt = new Date();
+        const backup = {
+            type: 'snapshot',
+            key: `${session}/snapshots/${createdAt.getTime()}-${crypto.randomBytes(4).toString('hex')}.json`,
+            checksum: sha256(snapshot),
+            size: files.reduce((size, file) => size + (file.size || 0), 0),
+            files: files.filter(file => file.hash).length,
+            uploaded,
+            createdAt: createdAt.toISOString()
+        };
+
+        await this.putObject(backup.key, snapshot);
+        const dropped = await this._addBackup(session, backup);
+        if (dropped.some(old => old.type === 'snapshot')) {
+            await this._collectObjects(session).catch(err => {
+                console.error(`[RemoteAuthStore] Failed to delete unused objects of ${session}:`, err);
+            });
+        }
+
+        return backup;
+    }
+
+    /**
+     * Restore the latest snapshot of a session that passes verification into a directory.
+     * Every file is checked against its hash; the directory is only replaced once all files were restored.
+     * @param {object} options
+     * @param {string} options.session - Session name
+     * @param {string} options.path - Directory to restore into, replaced if it exists
+     * @param {Function} [options.onFailure] - Called with (error, backup, hasFallback) for every snapshot that fails verification
+     * @returns {Promise<Object>} The backup that was restored
+     */
+    async restoreSnapshot({ session, path: dir, onFailure }) {
+        return this._restoreLatest(session, 'snapshot', onFailure, async (backup) => {
+            const snapshot = await this._getSnapshot(backup);
+            const stagingDir = `${dir}.${crypto.randomBytes(4).toString('hex')}.restoring`;
+
+            try {
+                await forEachLimit(snapshot.files, CONCURRENCY, async (file) => {
+                    const compressed = await this.getObject(`${session}/objects/${file.hash}`);
+                    if (!compressed) throw new Error(`File ${file.path} of backup ${backup.key} is missing`);
+
+                    const data = await gunzip(compressed).catch(() => null);
+                    if (!data || sha256(data) !== file.hash) {
+                        // no snapshot can use it, deleting it lets the next snapshot upload the file again
+                        await this.deleteObject(`${session}/objects/${file.hash}`).catch(() => {});
+                        throw new Error(`Checksum mismatch for file ${file.path} of backup ${backup.key}`);
+                    }
+
+                    const filePath = path.resolve(stagingDir, file.path);
+                    if (!filePath.startsWith(stagingDir + path.sep)) throw new Error(`Invalid path in backup ${backup.key}: ${file.path}`);
+                    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                    await fs.promises.writeFile(filePath, data);
+                });
+                await fs.promises.mkdir(stagingDir, { recursive: true });
+
+                await fs.promises.rm(dir, { recursive: true, force: true });
+                await fs.promises.rename(stagingDir, dir);
+            } catch (err) {
+                await fs.promises.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+                throw err;
+            }
+        });
+    }
+
+    /**
+     * Delete all backups of a session
+     * @param {object} options
+     * @param {string} options.session - Session name
+     * @returns {Promise<void>}
+     */
+    async delete({ session }) {
+        // the manifest goes first, so the session stops existing even if some backups cannot be deleted
+        await this.deleteObject(`${session}/${MANIFEST_NAME}`);
+        for (const key of await this.listObjects(`${session}/`)) {
+            await this.deleteObject(key);
+        }
+    }
+
+    /**
+     * Get the manifest of a session. A manifest that cannot be read is treated as missing,
+     * so the next save replaces it instead of every backup failing.
+     * @param {string} session - Session name
+     * @returns {Promise<Object|null>} Manifest with the backups, newest first, or null if there is none
+     */
+    async getManifest(session) {
+        const data = await this.getObject(`${session}/${MANIFEST_NAME}`);
+        if (!data) return null;
+
+        try {
+            const manifest = JSON.parse(data.toString('utf-8'));
+            if (!manifest || !Array.isArray(manifest.backups)) throw new Error('backups are missing');
+            return manifest;
+        } catch (err) {
+            console.error(`[RemoteAuthStore] Ignoring unreadable manifest of ${session}:`, err.message);
+            return null;
+        }
+    }
+
+    async _addBackup(session, backup) {
+        const manifest = await this.getManifest(session);
+        const backups = [backup, ...(manifest ? manifest.backups : [])];
+        await this.putObject(`${session}/${MANIFEST_NAME}`, JSON.stringify({
+            version: 1,
+            session,
+            backups: backups.slice(0, this.maxBackups)
+        }));
+
+        const dropped = backups.slice(this.maxBackups);
+        for (const old of dropped) {
+            await this.deleteObject(old.key).catch(err => {
+                console.error(`[RemoteAuthStore] Failed to delete old backup ${old.key}:`, err);
+            });
+        }
+        return dropped;
+    }
+
+    async _restoreLatest(session, type, onFailure, restore) {
+        const manifest = await this.getManifest(session);
+        // backups saved before types were recorded are zips
+        const backups = manifest ? manifest.backups.filter(backup => (backup.type || 'zip') === type) : [];
+        if (!backups.length) throw new Error(`No backup found for session ${session}`);
+
+        for (const [i, backup] of backups.entries()) {
+            try {
+                await restore(backup);
+                return backup;
+            } catch (err) {
+                if (onFailure) onFailure(err, backup, i < backups.length - 1);
+            }
+        }
+        throw new Error(`No valid backup found for session ${session}`);
+    }
+
+    async _getSnapshot(backup) {
+        const data = await this.getObject(backup.key);
+        if (!data) throw new Error(`Backup ${backup.key} is missing`);
+        if (sha256(data) !== backup.checksum) throw new Error(`Checksum mismatch for backup ${backup.key}`);
+        return JSON.parse(data.toString('utf-8'));
+    }
+
+    /**
+     * Hashes of the files stored for the latest snapshot that can be read.
+     * Files whose object is gone are left out, so they are uploaded again.
+     * @private
+     */
+    async _getStoredHashes(session) {
+        const manifest = await this.getManifest(session);
+        const snapshots = manifest ? manifest.backups.filter(backup => backup.type === 'snapshot') : [];
+        if (!snapshots.length) return new Set();
+
+        const prefix = `${session}/objects/`;
+        const existing = new Set((await this.listObjects(prefix)).map(key => key.slice(prefix.length)));
+        for (const backup of snapshots) {
+            try {
+                const snapshot = await this._getSnapshot(backup);
+                return new Set(snapshot.files.map(file => file.hash).filter(hash => existing.has(hash)));
+            } catch (err) {
+                console.error(`[RemoteAuthStore] Skipping unreadable backup ${backup.key}:`, err.message);
+            }
+        }
+        return new Set();
+    }
+
+    /**
+     * Deletes the stored files that no snapshot in the manifest refers to
+     * @private
+     */
+    async _collectObjects(session) {
+        const manifest = await this.getManifest(session);
+        const used = new Set();
+        for (const backup of manifest.backups) {
+            if (backup.type !== 'snapshot') continue;
+            const snapshot = await this._getSnapshot(backup);
+            snapshot.files.forEach(file => used.add(file.hash));
+        }
+
+        const prefix = `${session}/objects/`;
+        for (const key of await this.listObjects(prefix)) {
+            if (!used.has(key.slice(prefix.length))) await this.deleteObject(key);
+        }
+    }
+
+    /**
+     * Create a RemoteAuth store instance
+     * @param {string} provider - Store provider name
+     * @param {Object} options - Store options
+     * @returns {RemoteAuthStore} RemoteAuth store instance
+     */
+    static create(provider, options = {}) {
+        switch (provider) {
+        case 'file':
+            return new FileRemoteAuthStore(options);
+        case 's3':
+            return new S3RemoteAuthStore(options);
+        default:
+            throw new Error(`Unsupported RemoteAuth store: ${provider}`);
+        }
+    }
+}
+
+/**
+ * File RemoteAuth Store
+ * Keeps backups in a local directory, which may be a network mount
+ * @param {object} options - options
+ * @param {string} options.dataPath - Directory to store backups in, default is: "./.wwebjs_remote_auth/"
+ * @param {number} options.maxBackups - Number of backups kept per session, default is 3
+ * @extends {RemoteAuthStore}
+ */
+class FileRemoteAuthStore extends RemoteAuthStore {
+    constructor(options = {}) {
+        super(options);
+        this.dataPath = path.resolve(options.dataPath || './.wwebjs_remote_auth/');
+    }
+
+    _resolve(key) {
+        const filePath = path.resolve(this.dataPath, key);
+        if (!filePath.startsWith(this.dataPath + path.sep)) throw new Error(`Invalid key: ${key}`);
+        return filePath;
+    }
+
+    async putObject(key, data) {
+        const filePath = this._resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await SessionCrypto.writeFileAtomic(filePath, Buffer.from(data));
+    }
+
+    async getObject(key) {
+        try {
+            return await fs.promises.readFile(this._resolve(key));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async deleteObject(key) {
+        await fs.promises.rm(this._resolve(key), { force: true });
+    }
+
+    async listObjects(prefix) {
+        const slash = prefix.lastIndexOf('/');
+        const keyPrefix = prefix.slice(0, slash + 1);
+        const keys = [];
+
+        const walk = async (dir, dirKey) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (err) {
+                if (err.code === 'ENOENT') return;
+                throw err;
+            }
+
+            for (const entry of entries) {
+                const key = dirKey + entry.name;
+                if (entry.isDirectory()) {
+                    await walk(path.join(dir, entry.name), `${key}/`);
+                } else if (key.startsWith(prefix) && !entry.name.endsWith('.tmp')) {
+                    // temporary files of writes in progress are not objects yet
+                    keys.push(key);
+                }
+            }
+        };
+
+        await walk(keyPrefix ? this._resolve(keyPrefix) : this.dataPath, keyPrefix);
+        return keys;
+    }
+
+    async delete(options) {
+        await super.delete(options);
+        await fs.promises.rm(this._resolve(options.session), { recursive: true, force: true });
+    }
+}
+
+/**
+ * S3 RemoteAuth Store
+ * Keeps backups in an S3-compatible object store such as AWS S3 or MinIO, using signed requests (AWS Signature Version 4)
+ * @param {object} options - options
+ * @param {string} options.endpoint - Base URL of the object store, e.g. "http://127.0.0.1:9000" or "https://s3.eu-west-1.amazonaws.com"
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.accessKeyId - Access key
+ * @param {string} options.secretAccessKey - Secret key
+ * @param {string} options.sessionToken - Session token of temporary credentials
+ * @param {string} options.region - Region used to sign requests, default is "us-east-1"
+ * @param {string} options.prefix - Prefix of the object keys, default is "wwebjs/"
+ * @param {boolean} options.forcePathStyle - Put the bucket in the path rather than in the host name, default is true
+ * @param {number} options.maxBackups - Number of backups kept per session, default is 3
+ * @extends {RemoteAuthStore}
+ */
+class S3RemoteAuthStore extends RemoteAuthStore {
+    constructor(options = {}) {
+        super(options);
+
+        if (!options.endpoint || !options.bucket) throw new Error('S3RemoteAuthStore requires an endpoint and a bucket.');
+        if (!options.accessKeyId || !options.secretAccessKey) throw new Error('S3RemoteAuthStore requires an accessKeyId and a secretAccessKey.');
+
+        this.endpoint = new URL(options.endpoint);
+        this.bucket = options.bucket;
+        this.region = options.region || 'us-east-1';
+        this.prefix = options.prefix ?? 'wwebjs/';
+        this.forcePathStyle = options.forcePathStyle !== false;
+    }
+
+    async putObject(key, data) {
+        await this._request('PUT', this.prefix + key, { body: Buffer.from(data) });
+    }
+
+    async getObject(key) {
+        const res = await this._request('GET', this.prefix + key, { allowNotFound: true });
+        return res ? res.buffer() : null;
+    }
+
+    async deleteObject(key) {
+        await this._request('DELETE', this.prefix + key, { allowNotFound: true });
+    }
+
+    async listObjects(prefix) {
+        const keys = [];
+        let token = null;
+
+        do {
+            const query = { 'list-type': '2', prefix: this.prefix + prefix };
+            if (token) query['continuation-token'] = token;
+
+            const xml = await (await this._request('GET', '', { query })).text();
+            for (const [, key] of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) {
+                keys.push(S3RemoteAuthStore.decodeXml(key).slice(this.prefix.length));
+            }
+
+            const truncated = /<IsTruncated>true<\/IsTruncated>/.test(xml);
+            const next = /<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(xml);
+            token = truncated && next ? S3RemoteAuthStore.decodeXml(next[1]) : null;
+        } while (token);
+
+        return keys;
+    }
+
+    async _request(method, key, { body, query = {}, allowNotFound = false } = {}) {
+        const host = this.forcePathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+        const basePath = this.endpoint.pathname.replace(/\/$/, '');
+        const objectPath = this.forcePathStyle ? `/${this.bucket}/${key}` : `/${key}`;
+        const canonicalPath = basePath + objectPath.split('/').map(S3RemoteAuthStore.encode).join('/');
+        const queryString = Object.keys(query).sort()
+            .map(name => `${S3RemoteAuthStore.encode(name)}=${S3RemoteAuthStore.encode(query[name])}`)
+            .join('&');
+
+        const headers = this._sign(method, host, canonicalPath, queryString, body || Buffer.alloc(0));
+        const url = `${this.endpoint.protocol}//${host}${canonicalPath}${queryString ? `?${queryString}` : ''}`;
+        const res = await fetch(url, { method, headers, body });
+
+        if (res.status === 404 && allowNotFound) return null;
+        if (!res.ok) {
+            const text = await res.text();
+            const code = /<Code>([^<]*)<\/Code>/.exec(text);
+            throw new Error(`S3 ${method} ${key || this.bucket} failed with HTTP ${res.status}${code ? ` (${code[1]})` : ''}`);
+        }
+        return res;
+    }
+
+    _sign(method, host, canonicalPath, queryString, body) {
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const date = amzDate.slice(0, 8);
+        const payloadHash = sha256(body);
+
+        const headers = {
+            host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+        if (this.options.sessionToken) headers['x-amz-security-token'] = this.options.sessionToken;
+
+        const signedHeaders = Object.keys(headers).sort().join(';');
+        const canonicalHeaders = Object.keys(headers).sort().map(name => `${name}:${headers[name]}\n`).join('');
+        const canonicalRequest = [method, canonicalPath, queryString, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+        const scope = `${date}/${this.region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+        const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+        const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${this.options.secretAccessKey}`, date), this.region));
+        const signature = hmac(signingKey, stringToSign).toString('hex');
+
+        delete headers.host;
+        headers.Authorization = `AWS4-HMAC-SHA256 Credential=${this.options.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+        return headers;
+    }
+
+    /**
+     * URI-encodes a value the way AWS Signature Version 4 expects it
+     * @param {string} value
+     * @returns {string}
+     */
+    static encode(value) {
+        return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+
+    static decodeXml(value) {
+        return value
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&amp;/g, '&');
+    }
+}
+
+module.exports = RemoteAuthStore;
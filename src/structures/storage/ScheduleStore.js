@@ -0,0 +1,24 @@
+'use strict';
+
+const RecordStore = require('./RecordStore');
+
+/**
+ * Schedule Store Interface
+ * Abstract class for persisting scheduled messages
+ * @extends {RecordStore}
+ */
+class ScheduleStore extends RecordStore {
+    /**
+     * Create a schedule store instance
+     * @param {string} provider - Store provider name, 'memory' or 'file'
+     * @param {Object} options - Store options
+     * @param {string} [options.dataPath] - Directory of the file store, default is: "./.wwebjs_schedule/"
+     * @param {string} [options.clientId] - Client id to distinguish instances if you are using multiple
+     * @returns {ScheduleStore} Schedule store instance
+     */
+    static create(provider, options = {}) {
+        return RecordStore.create(provider, { ...options, name: 'schedule' });
+    }
+}
+
+module.exports = ScheduleStore;
@@ -53,6 +53,25 @@ class ThreadStorage {
         throw new Error('Method not implemented');
     }
 
+    /**
+     * Get all prompt templates
+     * @returns {Promise<Array<PromptTemplate>>} Prompt templates
+     */
+    async getPromptTemplates() {
+        console.log('ThreadStorage.getPromptTemplates called');
+        throw new Error('Method not implemented');
+    }
+
+    /**
+     * Save a prompt template with all its versions
+     * @param {PromptTemplate} template - Prompt template to save
+     * @returns {Promise<void>}
+     */
+    async savePromptTemplate(template) {
+        console.log(`ThreadStorage.savePromptTemplate called for ${template.name}`);
+        throw new Error('Method not implemented');
+    }
+
     /**
      * Create a thread storage instance
      * @param {string} provider - Storage provider name
@@ -82,6 +101,7 @@ class MemoryThreadStorage extends ThreadStorage {
     constructor(options = {}) {
         super(options);
         this._threads = new Map();
+        this._promptTemplates = new Map();
     }
 
     async getThread(chatId) {
@@ -108,6 +128,14 @@ class MemoryThreadStorage extends ThreadStorage {
     async getAllThreads(query = {}) {
         return Array.from(this._threads.values());
     }
+
+    async getPromptTemplates() {
+        return Array.from(this._promptTemplates.values());
+    }
+
+    async savePromptTemplate(template) {
+        this._promptTemplates.set(template.name, template);
+    }
 }
 
 /**
@@ -137,6 +165,9 @@ class MongoDBThreadStorage extends ThreadStorage {
             // Create indexes
             await this._collection.createIndex({ chatId: 1 }, { unique: true });
             await this._collection.createIndex({ lastUsed: 1 });
+
+            this._promptCollection = this._db.collection(this.options.promptCollectionName || 'prompt_templates');
+            await this._promptCollection.createIndex({ name: 1 }, { unique: true });
             
             this._initialized = true;
         } catch (error) {
@@ -195,6 +226,22 @@ class MongoDBThreadStorage extends ThreadStorage {
         // This is intentional as MongoDB's find() method accepts a query object
         return await this._collection.find(query).toArray();
     }
+
+    async getPromptTemplates() {
+        await this._ensureInitialized();
+
+        return await this._promptCollection.find({}, { projection: { _id: 0 } }).toArray();
+    }
+
+    async savePromptTemplate(template) {
+        await this._ensureInitialized();
+
+        await this._promptCollection.updateOne(
+            { name: template.name },
+            { $set: template },
+            { upsert: true }
+        );
+    }
 }
 
 /**
@@ -251,14 +298,56 @@ class SQLThreadStorage extends ThreadStorage {
                     type: DataTypes.JSON,
                     defaultValue: []
                 },
+                summary: {
+                    type: DataTypes.TEXT,
+                    allowNull: true
+                },
+                memory: {
+                    type: DataTypes.JSON,
+                    allowNull: true
+                },
                 lastUsed: {
                     type: DataTypes.DATE,
                     defaultValue: DataTypes.NOW
                 }
             });
             
-            // Sync model with database
+            // Define prompt template model
+            this._PromptTemplate = this._sequelize.define('PromptTemplate', {
+                name: {
+                    type: DataTypes.STRING,
+                    primaryKey: true
+                },
+                versions: {
+                    type: DataTypes.JSON,
+                    defaultValue: []
+                },
+                active: {
+                    type: DataTypes.INTEGER,
+                    allowNull: true
+                },
+                candidate: {
+                    type: DataTypes.JSON,
+                    allowNull: true
+                },
+                previous: {
+                    type: DataTypes.JSON,
+                    defaultValue: []
+                }
+            });
+
+            // Sync models with database
             await this._Thread.sync();
+            await this._PromptTemplate.sync();
+
+            // Tables created by older versions lack the memory columns
+            const queryInterface = this._sequelize.getQueryInterface();
+            const columns = await queryInterface.describeTable(this._Thread.getTableName());
+            for (const column of ['summary', 'memory']) {
+                if (!columns[column]) {
+                    await queryInterface.addColumn(this._Thread.getTableName(), column, this._Thread.rawAttributes[column]);
+                }
+            }
             
             this._initialized = true;
         } catch (error) {
@@ -297,6 +386,8 @@ class SQLThreadStorage extends ThreadStorage {
             chatId: threadData.chatId,
             context: threadData.context,
             history: threadData.history,
+            summary: threadData.summary,
+            memory: threadData.memory,
             lastUsed: threadData.lastUsed
         });
     }
@@ -324,6 +415,28 @@ class SQLThreadStorage extends ThreadStorage {
         const threads = await this._Thread.findAll({ where: whereClause });
         return threads.map(thread => thread.toJSON());
     }
+
+    async getPromptTemplates() {
+        await this._ensureInitialized();
+
+        const templates = await this._PromptTemplate.findAll();
+        return templates.map(template => {
+            const { name, versions, active, candidate, previous } = template.toJSON();
+            return { name, versions, active, candidate, previous };
+        });
+    }
+
+    async savePromptTemplate(template) {
+        await this._ensureInitialized();
+
+        await this._PromptTemplate.upsert({
+            name: template.name,
+            versions: template.versions,
+            active: template.active,
+            candidate: template.candidate,
+            previous: template.previous
+        });
+    }
 }
 
 module.exports = ThreadStorage; 
\ No newline at end of file
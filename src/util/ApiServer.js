@@ -0,0 +1,890 @@
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const Serializer = require('./Serializer');
+const MessageMedia = require('../structures/MessageMedia');
+const { Events } = require('./Constants');
+const { WWebJSError } = require('./Errors');
+
+/**
+ * Error that is returned to the caller with the given HTTP status
+ * @private
+ */
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * HTTP status returned for each library error code
+ * @private
+ */
+const ERROR_STATUS = {
+    CHAT_NOT_FOUND: 404,
+    NOT_REGISTERED: 404,
+    NOT_AUTHENTICATED: 503,
+    PAGE_CLOSED: 503,
+    RATE_LIMITED: 429,
+    MEDIA_DOWNLOAD_FAILED: 502
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Schemas shared by the route definitions
+ * @private
+ */
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        properties: {
+            error: { type: 'string' },
+            code: { type: 'string', description: 'Library error code, e.g. CHAT_NOT_FOUND' }
+        }
+    },
+    Status: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['INITIALIZING', 'QR', 'AUTHENTICATED', 'READY', 'AUTH_FAILURE', 'DISCONNECTED'] },
+            state: { type: 'string', nullable: true, description: 'WhatsApp Web connection state, once ready' },
+            qr: { type: 'string', nullable: true, description: 'QR code to scan while the status is QR' },
+            qrUpdatedAt: { type: 'integer', nullable: true },
+            pairingCode: { type: 'string', nullable: true },
+            disconnectReason: { type: 'string', nullable: true },
+            info: {
+                type: 'object',
+                nullable: true,
+                properties: { wid: { type: 'string' }, pushname: { type: 'string' }, platform: { type: 'string' } }
+            }
+        }
+    },
+    Media: {
+        type: 'object',
+        required: ['mimetype', 'data'],
+        properties: {
+            mimetype: { type: 'string' },
+            data: { type: 'string', description: 'Base64 encoded file' },
+            filename: { type: 'string' }
+        }
+    },
+    Message: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            chatId: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            author: { type: 'string', nullable: true },
+            fromMe: { type: 'boolean' },
+            type: { type: 'string' },
+            body: { type: 'string' },
+            timestamp: { type: 'integer' },
+            ack: { type: 'integer', nullable: true },
+            hasMedia: { type: 'boolean' },
+            hasQuotedMsg: { type: 'boolean' },
+            isForwarded: { type: 'boolean' },
+            mentionedIds: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    Chat: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            isGroup: { type: 'boolean' },
+            isReadOnly: { type: 'boolean' },
+            unreadCount: { type: 'integer' },
+            timestamp: { type: 'integer', nullable: true },
+            archived: { type: 'boolean' },
+            pinned: { type: 'boolean' },
+            isMuted: { type: 'boolean' },
+            muteExpiration: { type: 'integer' },
+            owner: { type: 'string', nullable: true, description: 'Groups only' },
+            description: { type: 'string', nullable: true, description: 'Groups only' },
+            participants: { type: 'array', items: ref('Participant'), description: 'Groups only' }
+        }
+    },
+    Participant: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            isAdmin: { type: 'boolean' },
+            isSuperAdmin: { type: 'boolean' }
+        }
+    },
+    Contact: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            number: { type: 'string', nullable: true },
+            name: { type: 'string', nullable: true },
+            pushname: { type: 'string', nullable: true },
+            isBusiness: { type: 'boolean' },
+            isGroup: { type: 'boolean' },
+            isMyContact: { type: 'boolean' },
+            isBlocked: { type: 'boolean' }
+        }
+    },
+    ParticipantsRequest: {
+        type: 'object',
+        required: ['participants'],
+        properties: { participants: { type: 'array', items: { type: 'string' } } }
+    }
+};
+
+const chatIdParam = { type: 'string', description: 'Serialized chat ID, e.g. 5511999999999@c.us' };
+const groupIdParam = { type: 'string', description: 'Serialized group ID, e.g. 123456789-987654321@g.us' };
+
+/**
+ * Loads a group chat, answering 404 for chats that are not groups
+ * @private
+ */
+async function getGroup(client, groupId) {
+    const chat = await client.getChatById(groupId);
+    if (!chat.isGroup) throw new ApiError(404, `Group not found: ${groupId}`);
+    return chat;
+}
+
+/**
+ * Builds the group participant routes, which only differ in the GroupChat method they call
+ * @private
+ */
+function participantRoute(path, method, operationId, summary) {
+    return {
+        method: 'POST',
+        path,
+        operationId,
+        summary,
+        tags: ['Groups'],
+        params: { groupId: groupIdParam },
+        body: ref('ParticipantsRequest'),
+        response: { type: 'object', description: 'Result per participant as returned by GroupChat' },
+        handler: async (client, { params, body }) => {
+            const group = await getGroup(client, params.groupId);
+            const result = await group[method](body.participants);
+            return { result };
+        }
+    };
+}
+
+/**
+ * Route definitions. Both the request handling and the OpenAPI description are built from these.
+ * - params, query: path and query parameter schemas by name
+ * - body: request body schema
+ * - response: success response schema
+ * - public: skip authentication
+ * - requiresReady: answer 503 until the client is ready, defaults to true
+ * @private
+ */
+const ROUTES = [
+    {
+        method: 'GET',
+        path: '/openapi.json',
+        operationId: 'getOpenApi',
+        summary: 'OpenAPI description of this API',
+        tags: ['Meta'],
+        public: true,
+        requiresReady: false,
+        response: { type: 'object' },
+        handler: (client, req, server) => server.getOpenApiSpec()
+    },
+    {
+        method: 'GET',
+        path: '/status',
+        operationId: 'getStatus',
+        summary: 'Authentication state, including the current QR code or pairing code',
+        tags: ['Session'],
+        requiresReady: false,
+        response: ref('Status'),
+        handler: (client, req, server) => server.getStatus()
+    },
+    {
+        method: 'POST',
+        path: '/pairing-code',
+        operationId: 'requestPairingCode',
+        summary: 'Request a pairing code to log in without scanning the QR code',
+        tags: ['Session'],
+        requiresReady: false,
+        body: {
+            type: 'object',
+            required: ['phoneNumber'],
+            properties: {
+                phoneNumber: { type: 'string', description: 'Phone number in international, symbol-free format' },
+                showNotification: { type: 'boolean', default: true }
+            }
+        },
+        response: { type: 'object', properties: { code: { type: 'string' } } },
+        handler: async (client, { body }, server) => {
+            if (client.info) throw new ApiError(409, 'Client is already authenticated');
+            if (!client.pupPage) throw new ApiError(503, 'Client is not initialized');
+
+            const code = await client.requestPairingCode(body.phoneNumber, body.showNotification !== false);
+            server._state.pairingCode = code;
+            return { code };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/messages',
+        operationId: 'sendMessage',
+        summary: 'Send a text or media message',
+        tags: ['Messages'],
+        status: 201,
+        body: {
+            type: 'object',
+            required: ['chatId'],
+            properties: {
+                chatId: { type: 'string' },
+                text: { type: 'string', description: 'Message text, or the caption when media is sent' },
+                media: ref('Media'),
+                mediaUrl: { type: 'string', description: 'URL to download the media from, instead of media. Only accepted when the server allows media URLs' },
+                options: {
+                    type: 'object',
+                    description: 'Message send options',
+                    properties: {
+                        quotedMessageId: { type: 'string' },
+                        mentions: { type: 'array', items: { type: 'string' } },
+                        sendMediaAsDocument: { type: 'boolean' },
+                        sendAudioAsVoice: { type: 'boolean' },
+                        sendVideoAsGif: { type: 'boolean' },
+                        sendMediaAsSticker: { type: 'boolean' },
+                        isViewOnce: { type: 'boolean' },
+                        linkPreview: { type: 'boolean' }
+                    }
+                }
+            }
+        },
+        response: ref('Message'),
+        handler: async (client, { body }, server) => {
+            const options = { ...body.options };
+            let content = body.text;
+
+            if (body.media) {
+                content = new MessageMedia(body.media.mimetype, body.media.data, body.media.filename);
+            } else if (body.mediaUrl) {
+                // the server would fetch any address it can reach, including internal ones
+                if (!server._isMediaUrlAllowed(body.mediaUrl)) throw new ApiError(403, 'mediaUrl is not allowed');
+                try {
+                    // a redirect could lead to a host that is not allowed
+                    content = await MessageMedia.fromUrl(body.mediaUrl, { unsafeMime: true, reqOptions: { redirect: 'manual' } });
+                } catch (err) {
+                    throw new ApiError(400, `Could not download media: ${err.message}`);
+                }
+            }
+
+            if (content instanceof MessageMedia) {
+                if (body.text) options.caption = body.text;
+            } else if (!content) {
+                throw new ApiError(400, 'One of text, media or mediaUrl is required');
+            }
+
+            return client.sendMessage(body.chatId, content, options);
+        }
+    },
+    {
+        method: 'GET',
+        path: '/chats',
+        operationId: 'getChats',
+        summary: 'List chats',
+        tags: ['Chats'],
+        query: {
+            limit: { type: 'integer', description: 'Maximum number of chats to return' },
+            archived: { type: 'boolean', description: 'Only return archived or unarchived chats' },
+            isGroup: { type: 'boolean', description: 'Only return groups or one-to-one chats' }
+        },
+        response: { type: 'array', items: ref('Chat') },
+        handler: async (client, { query }) => {
+            let chats = await client.getChats();
+            if (query.archived !== undefined) chats = chats.filter(chat => Boolean(chat.archived) === query.archived);
+            if (query.isGroup !== undefined) chats = chats.filter(chat => Boolean(chat.isGroup) === query.isGroup);
+            return query.limit ? chats.slice(0, query.limit) : chats;
+        }
+    },
+    {
+        method: 'GET',
+        path: '/chats/:chatId',
+        operationId: 'getChat',
+        summary: 'Get a chat',
+        tags: ['Chats'],
+        params: { chatId: chatIdParam },
+        response: ref('Chat'),
+        handler: (client, { params }) => client.getChatById(params.chatId)
+    },
+    {
+        method: 'GET',
+        path: '/chats/:chatId/messages',
+        operationId: 'getChatMessages',
+        summary: 'Fetch messages of a chat, sorted from earliest to latest',
+        tags: ['Messages'],
+        params: { chatId: chatIdParam },
+        query: {
+            limit: { type: 'integer', default: 50 },
+            fromMe: { type: 'boolean', description: 'Only return messages sent or received by the client' }
+        },
+        response: { type: 'array', items: ref('Message') },
+        handler: async (client, { params, query }) => {
+            const chat = await client.getChatById(params.chatId);
+            return chat.fetchMessages({ limit: query.limit || 50, fromMe: query.fromMe });
+        }
+    },
+    {
+        method: 'GET',
+        path: '/contacts',
+        operationId: 'getContacts',
+        summary: 'List contacts',
+        tags: ['Contacts'],
+        query: {
+            isMyContact: { type: 'boolean', description: 'Only return saved contacts or the other ones' }
+        },
+        response: { type: 'array', items: ref('Contact') },
+        handler: async (client, { query }) => {
+            const contacts = await client.getContacts();
+            if (query.isMyContact === undefined) return contacts;
+            return contacts.filter(contact => Boolean(contact.isMyContact) === query.isMyContact);
+        }
+    },
+    {
+        method: 'GET',
+        path: '/contacts/:contactId',
+        operationId: 'getContact',
+        summary: 'Get a contact',
+        tags: ['Contacts'],
+        params: { contactId: { type: 'string', description: 'Serialized contact ID, e.g. 5511999999999@c.us' } },
+        response: ref('Contact'),
+        handler: async (client, { params }) => {
+            let contact;
+            try {
+                contact = await client.getContactById(params.contactId);
+            } catch (err) {
+                contact = null;
+            }
+            if (!contact) throw new ApiError(404, `Contact not found: ${params.contactId}`);
+            return contact;
+        }
+    },
+    {
+        method: 'GET',
+        path: '/numbers/:number',
+        operationId: 'getNumberId',
+        summary: 'Check whether a phone number is registered on WhatsApp',
+        tags: ['Contacts'],
+        params: { number: { type: 'string', description: 'Phone number in international, symbol-free format' } },
+        response: {
+            type: 'object',
+            properties: {
+                number: { type: 'string' },
+                registered: { type: 'boolean' },
+                id: { type: 'string', nullable: true }
+            }
+        },
+        handler: async (client, { params }) => {
+            const id = await client.getNumberId(params.number);
+            return { number: params.number, registered: Boolean(id), id: id ? id._serialized : null };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/groups',
+        operationId: 'createGroup',
+        summary: 'Create a group',
+        tags: ['Groups'],
+        status: 201,
+        body: {
+            type: 'object',
+            required: ['title'],
+            properties: {
+                title: { type: 'string' },
+                participants: { type: 'array', items: { type: 'string' } },
+                options: {
+                    type: 'object',
+                    properties: {
+                        messageTimer: { type: 'integer' },
+                        parentGroupId: { type: 'string' },
+                        autoSendInviteV4: { type: 'boolean' },
+                        comment: { type: 'string' }
+                    }
+                }
+            }
+        },
+        response: {
+            type: 'object',
+            properties: {
+                title: { type: 'string' },
+                gid: { type: 'object' },
+                participants: { type: 'object' }
+            }
+        },
+        handler: async (client, { body }) => {
+            const result = await client.createGroup(body.title, body.participants || [], body.options || {});
+            if (typeof result === 'string') throw new ApiError(400, result);
+            return result;
+        }
+    },
+    {
+        method: 'GET',
+        path: '/groups/:groupId',
+        operationId: 'getGroup',
+        summary: 'Get a group with its participants',
+        tags: ['Groups'],
+        params: { groupId: groupIdParam },
+        response: ref('Chat'),
+        handler: (client, { params }) => getGroup(client, params.groupId)
+    },
+    participantRoute('/groups/:groupId/participants', 'addParticipants', 'addParticipants', 'Add participants to a group'),
+    participantRoute('/groups/:groupId/participants/remove', 'removeParticipants', 'removeParticipants', 'Remove participants from a group'),
+    participantRoute('/groups/:groupId/participants/promote', 'promoteParticipants', 'promoteParticipants', 'Promote participants to admins'),
+    participantRoute('/groups/:groupId/participants/demote', 'demoteParticipants', 'demoteParticipants', 'Demote admins to regular participants'),
+    {
+        method: 'PUT',
+        path: '/groups/:groupId/subject',
+        operationId: 'setGroupSubject',
+        summary: 'Change the group subject',
+        tags: ['Groups'],
+        params: { groupId: groupIdParam },
+        body: { type: 'object', required: ['subject'], properties: { subject: { type: 'string' } } },
+        response: { type: 'object', properties: { success: { type: 'boolean' } } },
+        handler: async (client, { params, body }) => {
+            const group = await getGroup(client, params.groupId);
+            return { success: await group.setSubject(body.subject) };
+        }
+    },
+    {
+        method: 'PUT',
+        path: '/groups/:groupId/description',
+        operationId: 'setGroupDescription',
+        summary: 'Change the group description',
+        tags: ['Groups'],
+        params: { groupId: groupIdParam },
+        body: { type: 'object', required: ['description'], properties: { description: { type: 'string' } } },
+        response: { type: 'object', properties: { success: { type: 'boolean' } } },
+        handler: async (client, { params, body }) => {
+            const group = await getGroup(client, params.groupId);
+            return { success: await group.setDescription(body.description) };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/groups/:groupId/invite-code',
+        operationId: 'getGroupInviteCode',
+        summary: 'Get the invite code of a group',
+        tags: ['Groups'],
+        params: { groupId: groupIdParam },
+        response: { type: 'object', properties: { code: { type: 'string' } } },
+        handler: async (client, { params }) => {
+            const group = await getGroup(client, params.groupId);
+            return { code: await group.getInviteCode() };
+        }
+    },
+    {
+        method: 'POST',
+        path: '/groups/:groupId/leave',
+        operationId: 'leaveGroup',
+        summary: 'Leave a group',
+        tags: ['Groups'],
+        params: { groupId: groupIdParam },
+        response: { type: 'object', properties: { success: { type: 'boolean' } } },
+        handler: async (client, { params }) => {
+            const group = await getGroup(client, params.groupId);
+            await group.leave();
+            return { success: true };
+        }
+    }
+];
+
+/**
+ * HTTP server exposing Client operations as a JSON API, so other services can use a client without embedding it.
+ * Every route except /openapi.json requires the API key, sent as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+ * The OpenAPI description served at /openapi.json is generated from the same route definitions that handle the requests.
+ * @param {Client} client
+ * @param {object} options - Server options
+ * @param {string} [options.apiKey] - Key callers must send. Required unless options.auth is false
+ * @param {boolean} [options.auth=true] - Set to false to accept unauthenticated requests, e.g. behind an authenticating proxy
+ * @param {number} [options.port=3000] - Port to listen on
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+ * @param {string} [options.basePath=''] - Prefix for all routes, e.g. '/api'
+ * @param {number} [options.maxBodySize=16777216] - Largest accepted request body in bytes
+ * @param {boolean|Array<string>} [options.allowMediaUrl=false] - Whether POST /messages may download media from a mediaUrl.
+ * The server fetches the URL itself, so only enable it for trusted callers, or pass the list of hostnames it may fetch from
+ */
+class ApiServer {
+    constructor(client, options = {}) {
+        this.client = client;
+
+        this.options = {
+            apiKey: null,
+            auth: true,
+            port: 3000,
+            host: '127.0.0.1',
+            basePath: '',
+            maxBodySize: 16 * 1024 * 1024,
+            allowMediaUrl: false,
+            ...options
+        };
+        this.options.basePath = this.options.basePath.replace(/\/+$/, '');
+
+        if (this.options.auth !== false && !this.options.apiKey) {
+            throw new Error('ApiServer requires an apiKey. Set auth to false to disable authentication');
+        }
+
+        /**
+         * Route definitions served by this server
+         * @type {Array<Object>}
+         */
+        this.routes = ROUTES.map(route => ({ ...route, pattern: ApiServer.compilePath(route.path) }));
+
+        /**
+         * Underlying HTTP server, while listening
+         * @type {?http.Server}
+         */
+        this.server = null;
+
+        this._state = {
+            status: client.info ? 'READY' : 'INITIALIZING',
+            qr: null,
+            qrUpdatedAt: null,
+            pairingCode: null,
+            disconnectReason: null
+        };
+        this._listeners = new Map([
+            [Events.QR_RECEIVED, qr => this._setStatus('QR', { qr, qrUpdatedAt: Date.now() })],
+            [Events.AUTHENTICATED, () => this._setStatus('AUTHENTICATED')],
+            [Events.AUTHENTICATION_FAILURE, () => this._setStatus('AUTH_FAILURE')],
+            [Events.READY, () => this._setStatus('READY')],
+            [Events.DISCONNECTED, reason => this._setStatus('DISCONNECTED', { disconnectReason: String(reason) })]
+        ]);
+    }
+
+    /**
+     * Starts listening for requests
+     * @returns {Promise<{address: string, port: number}>} Address the server is bound to
+     */
+    async listen() {
+        if (this.server) return this.server.address();
+
+        for (const [event, listener] of this._listeners) {
+            this.client.on(event, listener);
+        }
+
+        const server = http.createServer((req, res) => this._handle(req, res));
+        try {
+            await new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(this.options.port, this.options.host, () => {
+                    server.removeListener('error', reject);
+                    resolve();
+                });
+            });
+        } catch (err) {
+            this._detach();
+            throw err;
+        }
+        this.server = server;
+        return server.address();
+    }
+
+    /**
+     * Stops accepting requests
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (!this.server) return;
+        const server = this.server;
+        this.server = null;
+        this._detach();
+        await new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * Current authentication state
+     * @returns {Promise<Object>}
+     */
+    async getStatus() {
+        const { info } = this.client;
+        let state = null;
+        if (info) {
+            try {
+                state = await this.client.getState();
+            } catch (err) {
+                state = null;
+            }
+        }
+
+        return {
+            ...this._state,
+            state,
+            info: info ? { wid: info.wid._serialized, pushname: info.pushname, platform: info.platform } : null
+        };
+    }
+
+    /**
+     * Generates the OpenAPI 3.0 description of the routes
+     * @returns {Object}
+     */
+    getOpenApiSpec() {
+        const paths = {};
+
+        for (const route of this.routes) {
+            const path = this.options.basePath + route.path.replace(/:(\w+)/g, '{$1}');
+            const parameters = [
+                ...Object.entries(route.params || {}).map(([name, schema]) => ({
+                    name, in: 'path', required: true, description: schema.description, schema: { type: schema.type }
+                })),
+                ...Object.entries(route.query || {}).map(([name, { description, ...schema }]) => ({
+                    name, in: 'query', required: false, description, schema
+                }))
+            ];
+
+            const operation = {
+                operationId: route.operationId,
+                summary: route.summary,
+                tags: route.tags,
+                responses: {
+                    [route.status || 200]: {
+                        description: 'Success',
+                        content: { 'application/json': { schema: route.response || { type: 'object' } } }
+                    },
+                    default: {
+                        description: 'Error',
+                        content: { 'application/json': { schema: ref('Error') } }
+                    }
+                }
+            };
+            if (parameters.length) operation.parameters = parameters;
+            if (route.body) {
+                operation.requestBody = { required: true, content: { 'application/json': { schema: route.body } } };
+            }
+            if (route.public || this.options.auth === false) operation.security = [];
+
+            paths[path] = paths[path] || {};
+            paths[path][route.method.toLowerCase()] = operation;
+        }
+
+        return {
+            openapi: '3.0.3',
+            info: {
+                title: 'whatsapp-web.js API',
+                version: require('../../package.json').version
+            },
+            servers: [{ url: '/' }],
+            security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+            paths,
+            components: {
+                schemas: SCHEMAS,
+                securitySchemes: {
+                    bearerAuth: { type: 'http', scheme: 'bearer' },
+                    apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+                }
+            }
+        };
+    }
+
+    /**
+     * Turns an express-style path such as /chats/:chatId into a matcher
+     * @param {string} path
+     * @returns {{regex: RegExp, keys: string[]}}
+     */
+    static compilePath(path) {
+        const keys = [];
+        const source = path
+            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/:(\w+)/g, (match, key) => {
+                keys.push(key);
+                return '([^/]+)';
+            });
+        return { regex: new RegExp(`^${source}/?$`), keys };
+    }
+
+    /**
+     * Checks a value against the subset of JSON schema used by the route definitions
+     * @param {Object} schema
+     * @param {*} value
+     * @param {string} name - Name used in error messages
+     * @returns {?string} Error message, or null when the value is valid
+     */
+    static validate(schema, value, name) {
+        if (schema.$ref) schema = SCHEMAS[schema.$ref.split('/').pop()];
+        if (value === undefined || value === null) return null;
+
+        const type = Array.isArray(value) ? 'array' : (Number.isInteger(value) ? 'integer' : typeof value);
+        const valid = schema.type === type || (schema.type === 'number' && type === 'integer');
+        if (schema.type && !valid) return `${name} must be of type ${schema.type}`;
+
+        if (schema.type === 'array' && schema.items) {
+            for (const [i, item] of value.entries()) {
+                const error = ApiServer.validate(schema.items, item, `${name}[${i}]`);
+                if (error) return error;
+            }
+        }
+
+        if (schema.type === 'object') {
+            for (const key of schema.required || []) {
+                if (value[key] === undefined || value[key] === null) return `${name}.${key} is required`;
+            }
+            for (const [key, property] of Object.entries(schema.properties || {})) {
+                const error = ApiServer.validate(property, value[key], `${name}.${key}`);
+                if (error) return error;
+            }
+        }
+
+        return null;
+    }
+
+    _detach() {
+        for (const [event, listener] of this._listeners) {
+            this.client.removeListener(event, listener);
+        }
+    }
+
+    _setStatus(status, changes = {}) {
+        Object.assign(this._state, { status }, changes);
+        if (status !== 'QR') {
+            this._state.qr = null;
+            this._state.pairingCode = null;
+        }
+    }
+
+    _authenticate(req) {
+        if (this.options.auth === false) return true;
+
+        const authorization = req.headers.authorization || '';
+        const key = authorization.startsWith('Bearer ') ? authorization.slice(7) : req.headers['x-api-key'];
+        if (!key) return false;
+
+        // compare digests so the comparison takes the same time whatever the key length
+        const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+        return crypto.timingSafeEqual(digest(key), digest(this.options.apiKey));
+    }
+
+    _match(method, pathname) {
+        const { basePath } = this.options;
+        if (basePath && pathname !== basePath && !pathname.startsWith(`${basePath}/`)) return { route: null, allowed: false };
+        const path = pathname.slice(basePath.length) || '/';
+
+        let allowed = false;
+        for (const route of this.routes) {
+            const match = route.pattern.regex.exec(path);
+            if (!match) continue;
+            if (route.method !== method) {
+                allowed = true;
+                continue;
+            }
+
+            const params = {};
+            try {
+                route.pattern.keys.forEach((key, i) => params[key] = decodeURIComponent(match[i + 1]));
+            } catch (err) {
+                throw new ApiError(400, 'Malformed URL encoding in path');
+            }
+            return { route, params };
+        }
+        return { route: null, allowed };
+    }
+
+    _isMediaUrlAllowed(mediaUrl) {
+        const { allowMediaUrl } = this.options;
+        if (allowMediaUrl === true) return true;
+        if (!Array.isArray(allowMediaUrl)) return false;
+
+        try {
+            const { protocol, hostname } = new URL(mediaUrl);
+            return ['http:', 'https:'].includes(protocol) && allowMediaUrl.includes(hostname);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    _parseQuery(route, searchParams) {
+        const query = {};
+        for (const [name, schema] of Object.entries(route.query || {})) {
+            const raw = searchParams.get(name);
+            if (raw === null) continue;
+
+            if (schema.type === 'integer') {
+                const value = Number(raw);
+                if (!Number.isInteger(value) || value < 0) throw new ApiError(400, `${name} must be a positive integer`);
+                query[name] = value;
+            } else if (schema.type === 'boolean') {
+                if (!['true', 'false'].includes(raw)) throw new ApiError(400, `${name} must be true or false`);
+                query[name] = raw === 'true';
+            } else {
+                query[name] = raw;
+            }
+        }
+        return query;
+    }
+
+    _readBody(req) {
+        return new Promise((resolve, reject) => {
+            let chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                if (!chunks) return;
+                size += chunk.length;
+                if (size > this.options.maxBodySize) {
+                    // keep draining the request, destroying it would also drop the 413 response
+                    chunks = null;
+                    reject(new ApiError(413, 'Request body is too large'));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('error', reject);
+            req.on('end', () => {
+                if (!chunks) return;
+                if (!size) return resolve({});
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                } catch (err) {
+                    reject(new ApiError(400, 'Request body is not valid JSON'));
+                }
+            });
+        });
+    }
+
+    _send(res, status, body) {
+        const json = JSON.stringify(body);
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(json)
+        });
+        res.end(json);
+    }
+
+    async _handle(req, res) {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const { route, params, allowed } = this._match(req.method, url.pathname);
+            if (!route) throw new ApiError(allowed ? 405 : 404, allowed ? 'Method not allowed' : 'Not found');
+
+            if (!route.public && !this._authenticate(req)) throw new ApiError(401, 'Unauthorized');
+            if (route.requiresReady !== false && !this.client.info) throw new ApiError(503, 'Client is not ready');
+
+            const query = this._parseQuery(route, url.searchParams);
+            let body = {};
+            if (route.body) {
+                body = await this._readBody(req);
+                const error = ApiServer.validate(route.body, body, 'body');
+                if (error) throw new ApiError(400, error);
+            }
+
+            const result = await route.handler(this.client, { params, query, body }, this);
+            this._send(res, route.status || 200, route.public ? result : Serializer.serialize(result));
+        } catch (err) {
+            if (err instanceof ApiError) {
+                this._send(res, err.status, { error: err.message });
+            } else if (err instanceof WWebJSError && ERROR_STATUS[err.code]) {
+                this._send(res, ERROR_STATUS[err.code], { error: err.message, code: err.code });
+            } else {
+                console.error('[ApiServer] Request failed:', err);
+                this._send(res, 500, { error: 'Internal server error' });
+            }
+        }
+    }
+}
+
+module.exports = ApiServer;
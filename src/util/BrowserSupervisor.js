@@ -0,0 +1,222 @@
+'use strict';
+
+const { Events } = require('./Constants');
+const { WWebJSError, PageClosedError } = require('./Errors');
+
+/**
+ * Watches the browser and page launched by the client. When Chromium dies, the browser disconnects or
+ * the page crashes or closes, calls that are in flight are rejected with a PageClosedError instead of
+ * hanging, and the client is re-initialized with the same auth strategy.
+ * @param {Client} client
+ * @param {object} options - Supervisor options
+ * @param {boolean} [options.restart=true] - Whether to relaunch the browser after a crash
+ * @param {number} [options.maxAttempts=5] - Relaunch attempts per crash before giving up and emitting disconnected
+ * @param {number} [options.restartDelay=1000] - Delay before retrying a failed relaunch in ms, doubled on every attempt
+ * @param {number} [options.maxRestartDelay=60000] - Longest delay between two relaunch attempts in ms
+ */
+class BrowserSupervisor {
+    constructor(client, options = {}) {
+        this.client = client;
+
+        this.options = {
+            restart: true,
+            maxAttempts: 5,
+            restartDelay: 1000,
+            maxRestartDelay: 60000,
+            ...options
+        };
+
+        /**
+         * Number of successful restarts
+         * @type {number}
+         */
+        this.restarts = 0;
+
+        /**
+         * Whether the browser is being relaunched
+         * @type {boolean}
+         */
+        this.restarting = false;
+
+        this._browser = null;
+        this._page = null;
+        this._closed = null;
+        this._pending = new Set();
+        this._evaluators = new WeakMap();
+        this._stopped = false;
+
+        this._onDisconnected = () => this._onCrash('Browser disconnected');
+        this._onPageError = err => this._onCrash(`Page crashed${err && err.message ? `: ${err.message}` : ''}`);
+        this._onPageClose = () => this._onCrash('Page closed');
+    }
+
+    /**
+     * Starts watching a browser and its page. Calls made through page.evaluate are tracked from now on,
+     * their failures are turned into typed errors and retried according to the client's retry policy.
+     * @param {puppeteer.Browser} browser
+     * @param {puppeteer.Page} page
+     */
+    attach(browser, page) {
+        this._removeListeners();
+
+        this._browser = browser;
+        this._page = page;
+        this._closed = null;
+        this._stopped = false;
+
+        const evaluate = page.evaluate.bind(page);
+        const evaluateOnce = (...args) => {
+            if (this._page !== page) return Promise.reject(new PageClosedError('The page was replaced by a restart'));
+            return this.track(() => evaluate(...args).catch(err => {
+                throw WWebJSError.from(err, { authenticated: Boolean(this.client.info) });
+            }));
+        };
+        this._evaluators.set(page, evaluateOnce);
+
+        page.evaluate = (...args) => {
+            const { retryPolicy } = this.client;
+            if (!retryPolicy) return evaluateOnce(...args);
+
+            // retries go to the page that is current by then, which may be a relaunched one
+            return retryPolicy.run(attempt => {
+                const current = attempt > 1 && this._evaluators.get(this.client.pupPage);
+                return (current || evaluateOnce)(...args);
+            });
+        };
+
+        browser.on('disconnected', this._onDisconnected);
+        page.on('error', this._onPageError);
+        page.on('close', this._onPageClose);
+    }
+
+    /**
+     * Stops watching the current browser, e.g. before it is closed on purpose. Calls still in flight are rejected.
+     * @param {string} [reason='Browser closed']
+     */
+    detach(reason = 'Browser closed') {
+        this._close(reason);
+    }
+
+    /**
+     * Stops watching and gives up a relaunch that is in progress
+     * @param {string} [reason='Client destroyed']
+     */
+    stop(reason = 'Client destroyed') {
+        this._stopped = true;
+        this._close(reason);
+    }
+
+    /**
+     * Runs a page call, rejecting it with a PageClosedError when the page goes away before it settles
+     * @param {Function} call - Starts the call and returns its promise
+     * @returns {Promise<*>}
+     */
+    track(call) {
+        if (this._closed) return Promise.reject(new PageClosedError(`${this._closed}, call was not made`));
+
+        return new Promise((resolve, reject) => {
+            const entry = { reject };
+            this._pending.add(entry);
+
+            Promise.resolve()
+                .then(call)
+                .then(resolve, reject)
+                .finally(() => this._pending.delete(entry));
+        });
+    }
+
+    /**
+     * Number of page calls in flight
+     * @type {number}
+     */
+    get pending() {
+        return this._pending.size;
+    }
+
+    _removeListeners() {
+        if (this._browser) this._browser.removeListener('disconnected', this._onDisconnected);
+        if (this._page) {
+            this._page.removeListener('error', this._onPageError);
+            this._page.removeListener('close', this._onPageClose);
+        }
+    }
+
+    _close(reason) {
+        if (this._closed) return false;
+        this._closed = reason;
+        this._removeListeners();
+
+        for (const entry of this._pending) {
+            entry.reject(new PageClosedError(`${reason} while the call was in flight`));
+        }
+        this._pending.clear();
+        return true;
+    }
+
+    _onCrash(reason) {
+        if (this._stopped || !this._close(reason)) return;
+        if (!this.options.restart || this.restarting) return;
+
+        this._restart(reason).catch(err => console.error('[BrowserSupervisor] Restart failed:', err));
+    }
+
+    async _restart(reason) {
+        this.restarting = true;
+        const started = Date.now();
+
+        try {
+            for (let attempt = 1; attempt <= this.options.maxAttempts; attempt++) {
+                if (this._stopped) return;
+
+                /**
+                 * Emitted when the browser crashed or disconnected and is being relaunched
+                 * @event Client#restarting
+                 * @param {object} info
+                 * @param {string} info.reason Why the browser is relaunched
+                 * @param {number} info.attempt Relaunch attempt for this crash, starting at 1
+                 * @param {number} info.restarts Successful restarts so far
+                 */
+                this.client.emit(Events.RESTARTING, { reason, attempt, restarts: this.restarts });
+
+                try {
+                    await this._reinitialize();
+                } catch (err) {
+                    console.error(`[BrowserSupervisor] Relaunch attempt ${attempt} failed:`, err);
+                    if (attempt < this.options.maxAttempts) await this._sleep(attempt);
+                    continue;
+                }
+
+                this.restarts++;
+                /**
+                 * Emitted when the browser was relaunched after a crash and WhatsApp Web is injected again
+                 * @event Client#restarted
+                 * @param {object} info
+                 * @param {string} info.reason Why the browser was relaunched
+                 * @param {number} info.attempt Attempts it took
+                 * @param {number} info.restarts Successful restarts so far, including this one
+                 * @param {number} info.duration Time the relaunch took in ms
+                 */
+                this.client.emit(Events.RESTARTED, { reason, attempt, restarts: this.restarts, duration: Date.now() - started });
+                return;
+            }
+
+            this.client.emit(Events.DISCONNECTED, 'BROWSER_CRASHED');
+        } finally {
+            this.restarting = false;
+        }
+    }
+
+    _reinitialize() {
+        const { retryPolicy } = this.client;
+        // calls made while restarting must not wait for the restart to finish
+        if (retryPolicy) return retryPolicy.withOptions({ attempts: 1 }, () => this.client.reinitialize());
+        return this.client.reinitialize();
+    }
+
+    _sleep(attempt) {
+        const delay = Math.min(this.options.restartDelay * 2 ** (attempt - 1), this.options.maxRestartDelay);
+        return new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+module.exports = BrowserSupervisor;
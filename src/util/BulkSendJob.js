@@ -0,0 +1,338 @@
+'use strict';
+
+const Util = require('./Util');
+const { Events } = require('./Constants');
+const { NotRegisteredError } = require('./Errors');
+
+/**
+ * Result of sending to a single recipient
+ * @typedef {Object} BulkSendResult
+ * @property {*} recipient - The recipient as it was passed to sendBulk
+ * @property {number} index - Position of the recipient in the list
+ * @property {?string} chatId - The resolved chat ID, null if the number is not registered
+ * @property {string} status - 'pending', 'sent', 'not_registered', 'failed' or 'skipped'
+ * @property {Message} [message] - The message that was sent
+ * @property {Error} [error] - Why sending failed
+ */
+
+/**
+ * Summary of a finished bulk send
+ * @typedef {Object} BulkSendReport
+ * @property {string} id - Job ID
+ * @property {string} status - 'completed' or 'cancelled'
+ * @property {number} total - Number of recipients
+ * @property {Array<BulkSendResult>} sent
+ * @property {Array<BulkSendResult>} notRegistered
+ * @property {Array<BulkSendResult>} failed
+ * @property {Array<BulkSendResult>} skipped - Recipients without content, or that were not reached before the job was cancelled
+ * @property {number} startedAt
+ * @property {number} finishedAt
+ */
+
+/**
+ * Sends a message to a list of recipients, one at a time with a randomized pause between them.
+ * Numbers are checked with Client.getNumberId before anything is sent.
+ * @param {Client} client
+ * @param {Array<string|Contact|Object>} recipients - Numbers, chat IDs, contacts or objects with an id or number property
+ * @param {*|Function} content - Content to send, or a function (recipient, index) that returns the content for a recipient
+ * @param {object} options - Bulk send options
+ * @param {boolean} [options.validate=true] - Check numbers with getNumberId before sending
+ * @param {number} [options.minDelay=2000] - Minimum pause between two messages in ms
+ * @param {number} [options.maxDelay=6000] - Maximum pause between two messages in ms
+ * @param {MessageSendOptions} [options.sendOptions] - Options passed to sendMessage
+ */
+class BulkSendJob {
+    constructor(client, recipients, content, options = {}) {
+        this.client = client;
+
+        this.options = {
+            validate: true,
+            minDelay: 2000,
+            maxDelay: 6000,
+            sendOptions: {},
+            ...options
+        };
+
+        if (this.options.maxDelay < this.options.minDelay) {
+            throw new Error('maxDelay must not be lower than minDelay');
+        }
+
+        /**
+         * Job ID
+         * @type {string}
+         */
+        this.id = Util.generateHash(16);
+
+        /**
+         * 'pending', 'validating', 'sending', 'paused', 'completed', 'cancelled' or 'failed'
+         * @type {string}
+         */
+        this.status = 'pending';
+
+        /**
+         * Per-recipient results, in the order the recipients were given
+         * @type {Array<BulkSendResult>}
+         */
+        this.results = recipients.map((recipient, index) => ({
+            recipient,
+            index,
+            chatId: null,
+            status: 'pending'
+        }));
+
+        this._content = content;
+        this._paused = false;
+        this._resume = null;
+        this._wake = null;
+        this._startedAt = null;
+
+        /**
+         * Resolves with the report once every recipient was handled or the job was cancelled.
+         * Rejects if the job itself fails, e.g. because an event listener threw.
+         * @type {Promise<BulkSendReport>}
+         */
+        this.done = new Promise((resolve, reject) => {
+            this._resolve = resolve;
+            this._reject = reject;
+        });
+    }
+
+    /**
+     * Counts of the results so far
+     * @type {{total: number, processed: number, sent: number, notRegistered: number, failed: number, skipped: number}}
+     */
+    get progress() {
+        const count = status => this.results.filter(result => result.status === status).length;
+        const progress = {
+            total: this.results.length,
+            sent: count('sent'),
+            notRegistered: count('not_registered'),
+            failed: count('failed'),
+            skipped: count('skipped')
+        };
+        progress.processed = progress.sent + progress.notRegistered + progress.failed + progress.skipped;
+        return progress;
+    }
+
+    /**
+     * Starts the job
+     * @returns {Promise<BulkSendReport>}
+     */
+    start() {
+        if (this.status === 'pending') {
+            this._startedAt = Date.now();
+            this._run().catch(err => this._fail(err));
+        }
+        return this.done;
+    }
+
+    /**
+     * Pauses the job after the message that is currently being sent
+     */
+    pause() {
+        if (this._isFinished() || this._paused) return;
+        this._paused = true;
+        this._previousStatus = this.status;
+        this.status = 'paused';
+    }
+
+    /**
+     * Resumes a paused job
+     */
+    resume() {
+        if (!this._paused) return;
+        this._paused = false;
+        this.status = this._previousStatus;
+        if (this._resume) this._resume();
+    }
+
+    /**
+     * Stops the job. Recipients that were not reached are reported as skipped.
+     */
+    cancel() {
+        if (this._isFinished()) return;
+        this.status = 'cancelled';
+        this._paused = false;
+        if (this._resume) this._resume();
+        if (this._wake) this._wake();
+        if (!this._startedAt) this._finish();
+    }
+
+    _setStatus(status) {
+        if (this.status === 'cancelled') return;
+        if (this._paused) this._previousStatus = status;
+        else this.status = status;
+    }
+
+    _isFinished() {
+        return ['completed', 'cancelled', 'failed'].includes(this.status);
+    }
+
+    async _run() {
+        if (this.options.validate) {
+            this._setStatus('validating');
+            for (const result of this.results) {
+                if (!await this._checkpoint()) return this._finish();
+                await this._validate(result);
+            }
+        }
+
+        this._setStatus('sending');
+
+        let first = true;
+        for (const result of this.results) {
+            if (result.status !== 'pending') continue;
+
+            if (!first) await this._sleep(this._delay());
+            if (!await this._checkpoint()) return this._finish();
+            first = false;
+
+            await this._send(result);
+        }
+
+        if (this.status !== 'cancelled') this.status = 'completed';
+        this._finish();
+    }
+
+    /**
+     * Waits while the job is paused
+     * @returns {Promise<boolean>} False if the job was cancelled
+     * @private
+     */
+    async _checkpoint() {
+        while (this._paused) {
+            await new Promise(resolve => { this._resume = resolve; });
+            this._resume = null;
+        }
+        return this.status !== 'cancelled';
+    }
+
+    _sleep(ms) {
+        if (this.status === 'cancelled') return Promise.resolve();
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, ms);
+            this._wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        }).then(() => { this._wake = null; });
+    }
+
+    _delay() {
+        const { minDelay, maxDelay } = this.options;
+        return minDelay + Math.random() * (maxDelay - minDelay);
+    }
+
+    async _validate(result) {
+        const id = BulkSendJob.getRecipientId(result.recipient);
+        if (!id) {
+            return this._complete(result, 'failed', { error: new Error('Recipient has no ID or number') });
+        }
+
+        // only user numbers can be looked up, groups and other chats are sent to as they are
+        if (/@(g\.us|broadcast|newsletter)$/.test(id)) {
+            result.chatId = id;
+            return;
+        }
+
+        try {
+            const numberId = await this.client.getNumberId(id);
+            if (!numberId) return this._complete(result, 'not_registered');
+            result.chatId = numberId._serialized;
+        } catch (err) {
+            this._complete(result, 'failed', { error: err });
+        }
+    }
+
+    async _send(result) {
+        if (!result.chatId) {
+            result.chatId = BulkSendJob.getRecipientId(result.recipient);
+            if (!result.chatId) {
+                return this._complete(result, 'failed', { error: new Error('Recipient has no ID or number') });
+            }
+        }
+
+        try {
+            const content = typeof this._content === 'function'
+                ? await this._content(result.recipient, result.index)
+                : this._content;
+
+            if (content === null || content === undefined) {
+                return this._complete(result, 'skipped');
+            }
+
+            const message = await this.client.sendMessage(result.chatId, content, { ...this.options.sendOptions });
+            this._complete(result, 'sent', { message });
+        } catch (err) {
+            if (err instanceof NotRegisteredError) return this._complete(result, 'not_registered');
+            this._complete(result, 'failed', { error: err });
+        }
+    }
+
+    _complete(result, status, data = {}) {
+        Object.assign(result, data, { status });
+
+        /**
+         * Emitted after each recipient of a bulk send was handled
+         * @event Client#bulk_send_progress
+         * @param {BulkSendJob} job The bulk send job
+         * @param {BulkSendResult} result Result for the recipient
+         */
+        this.client.emit(Events.BULK_SEND_PROGRESS, this, result);
+    }
+
+    _finish() {
+        for (const result of this.results) {
+            if (result.status === 'pending') result.status = 'skipped';
+        }
+
+        const byStatus = status => this.results.filter(result => result.status === status);
+        const report = {
+            id: this.id,
+            status: this.status,
+            total: this.results.length,
+            sent: byStatus('sent'),
+            notRegistered: byStatus('not_registered'),
+            failed: byStatus('failed'),
+            skipped: byStatus('skipped'),
+            startedAt: this._startedAt,
+            finishedAt: Date.now()
+        };
+
+        /**
+         * Emitted when a bulk send has finished or was cancelled
+         * @event Client#bulk_send_complete
+         * @param {BulkSendJob} job The bulk send job
+         * @param {BulkSendReport} report Summary of the results
+         */
+        this.client.emit(Events.BULK_SEND_COMPLETE, this, report);
+        this._resolve(report);
+    }
+
+    _fail(err) {
+        this.status = 'failed';
+        this._paused = false;
+        this._reject(err);
+    }
+
+    /**
+     * Returns the chat ID of a recipient. Plain phone numbers are turned into user IDs.
+     * @param {string|Contact|Object} recipient
+     * @returns {?string}
+     */
+    static getRecipientId(recipient) {
+        let id = recipient;
+        if (recipient && typeof recipient === 'object') {
+            id = recipient.id || recipient.number;
+            if (id && id._serialized) id = id._serialized;
+        }
+
+        if (typeof id !== 'string' || !id) return null;
+        if (id.includes('@')) return id;
+
+        const number = id.replace(/\D/g, '');
+        return number ? `${number}@c.us` : null;
+    }
+}
+
+module.exports = BulkSendJob;
@@ -0,0 +1,226 @@
+'use strict';
+
+const { Events } = require('./Constants');
+
+const DEFAULT_EVENTS = [
+    Events.MESSAGE_RECEIVED,
+    Events.MESSAGE_CREATE,
+    Events.MESSAGE_EDIT,
+    Events.MESSAGE_REVOKED_EVERYONE,
+    Events.MESSAGE_REACTION,
+    Events.GROUP_JOIN,
+    Events.GROUP_LEAVE,
+    Events.GROUP_UPDATE,
+    Events.GROUP_ADMIN_CHANGED,
+    Events.GROUP_MEMBERSHIP_REQUEST
+];
+
+/**
+ * Runs the listeners of chat events one event at a time per chat, awaiting async listeners,
+ * while events of different chats are processed in parallel
+ * @param {Client} client
+ * @param {object} options - Queue options
+ * @param {string[]} [options.events] - Events that are queued, defaults to message, group and reaction events
+ * @param {number} [options.concurrency=10] - Maximum number of chats processed at the same time
+ * @param {number} [options.timeout=60000] - Time in ms after which a listener that hasn't settled stops blocking its chat, 0 to wait forever
+ */
+class ChatEventQueue {
+    constructor(client, options = {}) {
+        this.client = client;
+
+        this.options = {
+            events: DEFAULT_EVENTS,
+            concurrency: 10,
+            timeout: 60000,
+            ...options
+        };
+
+        this._events = new Set(this.options.events);
+
+        /**
+         * Pending events by chat ID
+         * @type {Map<string, Array<Object>>}
+         * @private
+         */
+        this._lanes = new Map();
+
+        /**
+         * Chats with pending events that wait for a free slot, in arrival order
+         * @type {Array<string>}
+         * @private
+         */
+        this._ready = [];
+        this._active = new Set();
+
+        this._counters = {
+            processed: 0,
+            failed: 0,
+            timedOut: 0,
+            totalWaitMs: 0
+        };
+    }
+
+    /**
+     * Current load of the queue
+     * @type {{pending: number, chats: number, active: number, oldestWaitMs: number, processed: number, failed: number, timedOut: number, averageWaitMs: number}}
+     */
+    get stats() {
+        const now = Date.now();
+        let pending = 0;
+        let oldest = now;
+        for (const lane of this._lanes.values()) {
+            pending += lane.length;
+            if (lane.length) oldest = Math.min(oldest, lane[0].queuedAt);
+        }
+
+        const { processed, failed, timedOut, totalWaitMs } = this._counters;
+        return {
+            pending,
+            chats: this._lanes.size,
+            active: this._active.size,
+            oldestWaitMs: now - oldest,
+            processed,
+            failed,
+            timedOut,
+            averageWaitMs: processed ? totalWaitMs / processed : 0
+        };
+    }
+
+    /**
+     * Queues an event if it is one of the queued events and belongs to a chat
+     * @param {string} event
+     * @param {Array} args - Event arguments
+     * @returns {boolean} False if the event should be emitted directly
+     */
+    push(event, args) {
+        if (!this._events.has(event)) return false;
+
+        const chatId = ChatEventQueue.getChatId(args[0]);
+        if (!chatId) return false;
+
+        // listeners are picked when the event is emitted, like EventEmitter does
+        const listeners = this.client.rawListeners(event);
+        if (!listeners.length) return true;
+
+        if (!this._lanes.has(chatId)) {
+            this._lanes.set(chatId, []);
+            if (!this._active.has(chatId)) this._ready.push(chatId);
+        }
+        this._lanes.get(chatId).push({ event, args, listeners, queuedAt: Date.now() });
+
+        this._next();
+        return true;
+    }
+
+    /**
+     * Drops all pending events. Listeners that are running are not interrupted.
+     */
+    clear() {
+        this._lanes.clear();
+        this._ready = [];
+    }
+
+    _next() {
+        while (this._active.size < this.options.concurrency && this._ready.length) {
+            const chatId = this._ready.shift();
+            if (!this._lanes.has(chatId)) continue;
+
+            this._active.add(chatId);
+            this._process(chatId);
+        }
+    }
+
+    async _process(chatId) {
+        let lane;
+        while ((lane = this._lanes.get(chatId)) && lane.length) {
+            const item = lane.shift();
+            this._counters.totalWaitMs += Date.now() - item.queuedAt;
+
+            for (const listener of item.listeners) {
+                await this._run(chatId, item, listener);
+            }
+            this._counters.processed++;
+
+            // give the other chats a turn once the ones waiting can't all run at the same time
+            if (this._ready.length) break;
+        }
+
+        this._active.delete(chatId);
+        if (this._lanes.has(chatId)) {
+            if (this._lanes.get(chatId).length) this._ready.push(chatId);
+            else this._lanes.delete(chatId);
+        }
+        this._next();
+    }
+
+    async _run(chatId, item, listener) {
+        let timer = null;
+        try {
+            const result = Promise.resolve().then(() => listener.apply(this.client, item.args));
+            if (!this.options.timeout) return await result;
+
+            const timeout = new Promise(resolve => {
+                timer = setTimeout(() => resolve(ChatEventQueue.TIMED_OUT), this.options.timeout);
+            });
+
+            if (await Promise.race([result, timeout]) === ChatEventQueue.TIMED_OUT) {
+                this._counters.timedOut++;
+                result.catch(err => this._reportError(err, item.event, chatId));
+
+                /**
+                 * Emitted when a queued event listener takes longer than the queue timeout.
+                 * The listener keeps running, but the next events of the chat are no longer held back.
+                 * @event Client#event_queue_timeout
+                 * @param {string} event The event the listener was handling
+                 * @param {string} chatId The chat the event belongs to
+                 */
+                this.client.emit(Events.EVENT_QUEUE_TIMEOUT, item.event, chatId);
+            }
+        } catch (err) {
+            this._reportError(err, item.event, chatId);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    _reportError(error, event, chatId) {
+        this._counters.failed++;
+        if (this.client.listenerCount(Events.EVENT_QUEUE_ERROR)) {
+            /**
+             * Emitted when a queued event listener throws
+             * @event Client#event_queue_error
+             * @param {Error} error The error that was thrown
+             * @param {string} event The event the listener was handling
+             * @param {string} chatId The chat the event belongs to
+             */
+            this.client.emit(Events.EVENT_QUEUE_ERROR, error, event, chatId);
+        } else {
+            console.error(`[ChatEventQueue] Listener for ${event} in ${chatId} failed:`, error);
+        }
+    }
+
+    /**
+     * Returns the ID of the chat an event argument belongs to
+     * @param {*} arg - First argument of the event
+     * @returns {?string}
+     */
+    static getChatId(arg) {
+        if (!arg || typeof arg !== 'object') return null;
+
+        // messages
+        if (arg.id && typeof arg.id.remote !== 'undefined' && (arg.from || arg.to)) {
+            return arg.fromMe ? arg.to : arg.from;
+        }
+        // group notifications
+        if (typeof arg.chatId === 'string') return arg.chatId;
+        // reactions
+        if (arg.msgId && arg.msgId.remote) {
+            return typeof arg.msgId.remote === 'object' ? arg.msgId.remote._serialized : arg.msgId.remote;
+        }
+        return null;
+    }
+}
+
+ChatEventQueue.TIMED_OUT = Symbol('timed out');
+
+module.exports = ChatEventQueue;
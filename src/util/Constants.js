@@ -32,6 +32,40 @@ exports.Status = {
     READY: 3
 };
 
+/**
+ * Status of an account managed by a ClientManager
+ * @readonly
+ * @enum {string}
+ */
+exports.AccountStatus = {
+    QUEUED: 'queued',
+    INITIALIZING: 'initializing',
+    QR_PENDING: 'qr_pending',
+    AUTHENTICATED: 'authenticated',
+    READY: 'ready',
+    RESTARTING: 'restarting',
+    AUTH_FAILURE: 'auth_failure',
+    DISCONNECTED: 'disconnected',
+    FAILED: 'failed',
+    DESTROYED: 'destroyed'
+};
+
+/**
+ * Why a login flow failed
+ * @readonly
+ * @enum {string}
+ */
+exports.LoginFailureReason = {
+    QR_EXPIRED: 'QR_EXPIRED',
+    PAIRING_CODE_EXPIRED: 'PAIRING_CODE_EXPIRED',
+    PAIRING_FAILED: 'PAIRING_FAILED',
+    AUTH_FAILURE: 'AUTH_FAILURE',
+    DISCONNECTED: 'DISCONNECTED',
+    TIMEOUT: 'TIMEOUT',
+    INITIALIZATION_FAILED: 'INITIALIZATION_FAILED',
+    CANCELLED: 'CANCELLED'
+};
+
 /**
  * Events that can be emitted by the client
  * @readonly
@@ -66,7 +100,26 @@ exports.Events = {
     BATTERY_CHANGED: 'change_battery',
     INCOMING_CALL: 'call',
     REMOTE_SESSION_SAVED: 'remote_session_saved',
-    VOTE_UPDATE: 'vote_update'
+    VOTE_UPDATE: 'vote_update',
+    OUTBOX_MESSAGE_SENT: 'outbox_message_sent',
+    OUTBOX_MESSAGE_FAILED: 'outbox_message_failed',
+    MESSAGE_DELIVERY_FAILED: 'message_delivery_failed',
+    SCHEDULED_MESSAGE_SENT: 'scheduled_message_sent',
+    SCHEDULED_MESSAGE_FAILED: 'scheduled_message_failed',
+    SCHEDULED_MESSAGE_MISSED: 'scheduled_message_missed',
+    BULK_SEND_PROGRESS: 'bulk_send_progress',
+    BULK_SEND_COMPLETE: 'bulk_send_complete',
+    DRAFT_CHANGED: 'draft_changed',
+    ROUTER_ERROR: 'router_error',
+    EVENT_QUEUE_TIMEOUT: 'event_queue_timeout',
+    EVENT_QUEUE_ERROR: 'event_queue_error',
+    WEBHOOK_FAILED: 'webhook_failed',
+    HEALTH_CHANGED: 'health_changed',
+    RESTARTING: 'restarting',
+    RESTARTED: 'restarted',
+    REMOTE_SESSION_RESTORE_FAILED: 'remote_session_restore_failed',
+    ACCOUNT_STATUS_CHANGED: 'account_status_changed',
+    LOGIN_CODE: 'login_code'
 };
 
 /**
@@ -0,0 +1,259 @@
+'use strict';
+
+const { Events, MessageAck, MessageTypes } = require('./Constants');
+
+/**
+ * Message types that can reach ACK_PLAYED, the others stop at ACK_READ
+ * @private
+ */
+const PLAYABLE_TYPES = [MessageTypes.AUDIO, MessageTypes.VOICE, MessageTypes.VIDEO];
+
+/**
+ * Follows the ACK of sent messages and retries the ones that don't get delivered in time
+ * @param {Client} client
+ * @param {object} options - Delivery options
+ * @param {MessageAck} [options.ackLevel=MessageAck.ACK_SERVER] - ACK a message must reach to be considered delivered
+ * @param {number} [options.deadlineMs=60000] - How long a message may stay below ackLevel before it is retried
+ * @param {number} [options.maxRetries=1] - How many times a message is resent before giving up
+ */
+class DeliveryTracker {
+    constructor(client, options = {}) {
+        this.client = client;
+
+        this.options = {
+            ackLevel: MessageAck.ACK_SERVER,
+            deadlineMs: 60000,
+            maxRetries: 1,
+            ...options
+        };
+
+        /**
+         * Tracked messages by serialized message ID
+         * @type {Map<string, Object>}
+         * @private
+         */
+        this._tracked = new Map();
+
+        this._onAck = this._onAck.bind(this);
+        this.client.on(Events.MESSAGE_ACK, this._onAck);
+    }
+
+    /**
+     * Number of messages that are still waiting to be delivered
+     * @type {number}
+     */
+    get size() {
+        return this._tracked.size;
+    }
+
+    /**
+     * Starts following a sent message
+     * @param {Message} message - The message that was sent
+     * @param {string} chatId - Chat the message was sent to
+     * @param {*} content - Original content, used to resend the message
+     * @param {MessageSendOptions} options - Original send options, used to resend the message
+     * @param {Object} [previous] - Entry of the message this one is a retry of
+     * @returns {Object} The tracking entry
+     */
+    track(message, chatId, content, options, previous) {
+        const entry = {
+            message,
+            chatId,
+            content,
+            options,
+            ack: message.ack,
+            attempts: previous ? previous.attempts + 1 : 0,
+            waiters: previous ? previous.waiters : [],
+            timer: null
+        };
+
+        this._tracked.set(message.id._serialized, entry);
+        entry.timer = setTimeout(() => this._onDeadline(entry), this.options.deadlineMs);
+
+        if (entry.ack === MessageAck.ACK_ERROR) this._onDeadline(entry);
+
+        return entry;
+    }
+
+    /**
+     * Stops following all messages
+     */
+    stop() {
+        this.client.off(Events.MESSAGE_ACK, this._onAck);
+        for (const entry of this._tracked.values()) {
+            clearTimeout(entry.timer);
+        }
+        this._tracked.clear();
+    }
+
+    /**
+     * Waits until a message reaches the given ACK. Resolves with the delivered message,
+     * which may be a resent copy of the original one. Rejects if the message reaches its
+     * final ACK (ACK_READ, or ACK_PLAYED for audio and video) below the given one.
+     * @param {Message} message
+     * @param {MessageAck} [level=MessageAck.ACK_SERVER]
+     * @param {number} [timeout=60000] - Time in ms to wait, 0 to wait indefinitely
+     * @returns {Promise<Message>}
+     */
+    waitForAck(message, level = MessageAck.ACK_SERVER, timeout = 60000) {
+        const entry = this._findEntry(message);
+        if (!entry) return DeliveryTracker.waitForAck(this.client, message, level, timeout);
+
+        if (entry.ack >= level) return Promise.resolve(entry.message);
+
+        return new Promise((resolve, reject) => {
+            const waiter = { level, resolve, reject, timer: null };
+            if (timeout > 0) {
+                waiter.timer = setTimeout(() => {
+                    const current = this._findEntry(message);
+                    if (current) {
+                        current.waiters.splice(current.waiters.indexOf(waiter), 1);
+                        if (current.ack >= this.options.ackLevel && !current.waiters.length) this._untrack(current);
+                    }
+                    reject(new Error('Timed out waiting for message ack'));
+                }, timeout);
+            }
+            entry.waiters.push(waiter);
+        });
+    }
+
+    _findEntry(message) {
+        const id = message.id._serialized;
+        if (this._tracked.has(id)) return this._tracked.get(id);
+
+        // the message may have been resent, follow the waiters to the newest copy
+        for (const entry of this._tracked.values()) {
+            if (entry.originalIds && entry.originalIds.includes(id)) return entry;
+        }
+        return null;
+    }
+
+    _onAck(message, ack) {
+        const entry = this._tracked.get(message.id._serialized);
+        if (!entry) return;
+
+        entry.ack = ack;
+        entry.message = message;
+
+        for (const waiter of [...entry.waiters]) {
+            if (ack >= waiter.level) {
+                entry.waiters.splice(entry.waiters.indexOf(waiter), 1);
+                clearTimeout(waiter.timer);
+                waiter.resolve(message);
+            }
+        }
+
+        if (ack === MessageAck.ACK_ERROR) {
+            this._onDeadline(entry);
+        } else if (ack >= DeliveryTracker._finalAck(message)) {
+            // waiters for a higher ack, e.g. ACK_PLAYED on a text message, would keep the entry forever
+            for (const waiter of entry.waiters) {
+                clearTimeout(waiter.timer);
+                waiter.reject(new Error(`Message reached its final ack (${ack}) below the awaited one`));
+            }
+            entry.waiters = [];
+            this._untrack(entry);
+        } else if (ack >= this.options.ackLevel && !entry.waiters.length) {
+            this._untrack(entry);
+        }
+    }
+
+    /**
+     * Highest ACK a message can reach
+     * @param {Message} message
+     * @returns {MessageAck}
+     * @private
+     */
+    static _finalAck(message) {
+        return PLAYABLE_TYPES.includes(message.type) ? MessageAck.ACK_PLAYED : MessageAck.ACK_READ;
+    }
+
+    _untrack(entry) {
+        clearTimeout(entry.timer);
+        this._tracked.delete(entry.message.id._serialized);
+    }
+
+    async _onDeadline(entry) {
+        if (entry.ack >= this.options.ackLevel && entry.ack !== MessageAck.ACK_ERROR) return;
+        this._untrack(entry);
+
+        if (entry.attempts < this.options.maxRetries) {
+            try {
+                const send = this.client.outbox
+                    ? this.client.outbox.enqueue.bind(this.client.outbox)
+                    : this.client._sendMessage.bind(this.client);
+                const message = await send(entry.chatId, entry.content, { ...entry.options, trackDelivery: false });
+                const retry = this.track(message, entry.chatId, entry.content, entry.options, entry);
+                retry.originalIds = [...(entry.originalIds || []), entry.message.id._serialized];
+                return;
+            } catch (err) {
+                return this._fail(entry, err.message);
+            }
+        }
+
+        this._fail(entry, entry.ack === MessageAck.ACK_ERROR ? 'ACK_ERROR' : 'TIMEOUT');
+    }
+
+    _fail(entry, reason) {
+        for (const waiter of entry.waiters) {
+            clearTimeout(waiter.timer);
+            waiter.reject(new Error(`Message could not be delivered: ${reason}`));
+        }
+        entry.waiters = [];
+
+        /**
+         * Emitted when a sent message could not be delivered, even after retrying
+         * @event Client#message_delivery_failed
+         * @param {Message} message The last copy of the message that was sent
+         * @param {string} reason Why the delivery failed
+         * @param {number} attempts How many times the message was resent
+         */
+        this.client.emit(Events.MESSAGE_DELIVERY_FAILED, entry.message, reason, entry.attempts);
+    }
+
+    /**
+     * Waits until a message that is not being tracked reaches the given ACK
+     * @param {Client} client
+     * @param {Message} message
+     * @param {MessageAck} level
+     * @param {number} timeout - Time in ms to wait, 0 to wait indefinitely
+     * @returns {Promise<Message>}
+     */
+    static waitForAck(client, message, level, timeout) {
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            let settled = false;
+
+            const done = (err, result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                client.off(Events.MESSAGE_ACK, onAck);
+                err ? reject(err) : resolve(result);
+            };
+
+            const check = (msg, ack) => {
+                if (ack >= level) done(null, msg);
+                else if (ack === MessageAck.ACK_ERROR) done(new Error('Message could not be delivered: ACK_ERROR'));
+                else if (ack >= DeliveryTracker._finalAck(msg)) done(new Error(`Message reached its final ack (${ack}) below the awaited one`));
+            };
+
+            const onAck = (msg, ack) => {
+                if (msg.id._serialized === message.id._serialized) check(msg, ack);
+            };
+
+            client.on(Events.MESSAGE_ACK, onAck);
+            if (timeout > 0) {
+                timer = setTimeout(() => done(new Error('Timed out waiting for message ack')), timeout);
+            }
+
+            // the ack might have changed before we started listening
+            check(message, message.ack);
+            message.reload()
+                .then(msg => msg && check(msg, msg.ack))
+                .catch(() => {});
+        });
+    }
+}
+
+module.exports = DeliveryTracker;
@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * Marker that code running in the page puts in front of an error message to pick the error class,
+ * e.g. "[wwebjs:CHAT_NOT_FOUND] Chat not found: 123@g.us"
+ * @private
+ */
+const CODE_PATTERN = /\[wwebjs:([A-Z_]+)\]\s*([^\n]*)/;
+
+/**
+ * Messages of Puppeteer errors that mean the page or browser went away
+ * @private
+ */
+const PAGE_CLOSED_PATTERN = /Target closed|Session closed|Execution context was destroyed|Browser has disconnected|Connection closed|Page crashed/i;
+
+/**
+ * Messages of WhatsApp server errors that mean the account is being throttled
+ * @private
+ */
+const RATE_LIMITED_PATTERN = /rate-overlimit|\b429\b/i;
+
+/**
+ * Base class of the errors thrown by the library
+ * @param {string} message
+ * @param {object} [options]
+ * @param {string} [options.code] - Machine-readable error code
+ * @param {boolean} [options.retryable=false] - Whether the same call may succeed when tried again
+ * @param {Error} [options.cause] - Error that caused this one
+ */
+class WWebJSError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+
+        /**
+         * Machine-readable error code
+         * @type {string}
+         */
+        this.code = options.code || 'WWEBJS_ERROR';
+
+        /**
+         * Whether the same call may succeed when tried again
+         * @type {boolean}
+         */
+        this.retryable = Boolean(options.retryable);
+
+        if (options.cause) this.cause = options.cause;
+    }
+
+    /**
+     * Turns an error thrown by a page call into a typed error.
+     * Errors that are already typed, and errors that did not come from the page, are returned as they are.
+     * @param {Error|string} err
+     * @param {object} [context]
+     * @param {boolean} [context.authenticated=true] - Whether the client was ready when the call was made
+     * @returns {Error}
+     */
+    static from(err, context = {}) {
+        if (err instanceof WWebJSError) return err;
+
+        const message = err && err.message ? err.message : String(err);
+        const cause = err instanceof Error ? err : undefined;
+
+        const coded = CODE_PATTERN.exec(message);
+        if (coded) {
+            const ErrorClass = ERROR_CLASSES[coded[1]];
+            return ErrorClass
+                ? new ErrorClass(coded[2], { cause })
+                : new WWebJSError(coded[2], { code: coded[1], cause });
+        }
+
+        if (PAGE_CLOSED_PATTERN.test(message)) return new PageClosedError(message, { cause });
+        if (RATE_LIMITED_PATTERN.test(message)) return new RateLimitedError(message, { cause });
+
+        if (!message.startsWith('Evaluation failed:')) return err;
+
+        // WhatsApp Web internals are only there once the client is ready
+        if (context.authenticated === false && /^Evaluation failed: (TypeError|ReferenceError)/.test(message)) {
+            return new NotAuthenticatedError('The client is not authenticated yet', { cause });
+        }
+
+        return new EvaluationError(message, { cause });
+    }
+}
+
+/**
+ * Thrown when the browser or page went away while a call was in flight, or before it was made
+ */
+class PageClosedError extends WWebJSError {
+    constructor(message = 'The WhatsApp Web page was closed', options = {}) {
+        super(message, { code: 'PAGE_CLOSED', retryable: true, ...options });
+    }
+}
+
+/**
+ * Thrown when a method needs a session but the client is not authenticated or not ready yet
+ */
+class NotAuthenticatedError extends WWebJSError {
+    constructor(message = 'The client is not authenticated', options = {}) {
+        super(message, { code: 'NOT_AUTHENTICATED', ...options });
+    }
+}
+
+/**
+ * Thrown when a chat does not exist or is not known to the account
+ * @param {string} [message]
+ * @param {object} [options]
+ * @param {string} [options.chatId] - ID of the chat that was looked up
+ */
+class ChatNotFoundError extends WWebJSError {
+    constructor(message = 'Chat not found', options = {}) {
+        super(message, { code: 'CHAT_NOT_FOUND', ...options });
+
+        /**
+         * ID of the chat that was looked up
+         * @type {?string}
+         */
+        this.chatId = options.chatId || null;
+    }
+}
+
+/**
+ * Thrown when a phone number is not registered on WhatsApp
+ * @param {string} [message]
+ * @param {object} [options]
+ * @param {string} [options.id] - Number or ID that is not registered
+ */
+class NotRegisteredError extends WWebJSError {
+    constructor(message = 'The number is not registered on WhatsApp', options = {}) {
+        super(message, { code: 'NOT_REGISTERED', ...options });
+
+        /**
+         * Number or ID that is not registered
+         * @type {?string}
+         */
+        this.id = options.id || null;
+    }
+}
+
+/**
+ * Thrown when WhatsApp refuses a request because too many were made
+ * @param {string} [message]
+ * @param {object} [options]
+ * @param {number} [options.retryAfter] - Time in ms to wait before trying again, when known
+ */
+class RateLimitedError extends WWebJSError {
+    constructor(message = 'Rate limited by WhatsApp', options = {}) {
+        super(message, { code: 'RATE_LIMITED', retryable: true, ...options });
+
+        /**
+         * Time in ms to wait before trying again, when known
+         * @type {?number}
+         */
+        this.retryAfter = options.retryAfter || null;
+    }
+}
+
+/**
+ * Thrown when media could not be downloaded, from a message or a URL
+ * @param {string} [message]
+ * @param {object} [options]
+ * @param {number} [options.status] - HTTP status of the failed download, when there was one
+ */
+class MediaDownloadError extends WWebJSError {
+    constructor(message = 'Media could not be downloaded', options = {}) {
+        const status = options.status || null;
+        // server errors and network failures may go away, anything else will fail again
+        super(message, { code: 'MEDIA_DOWNLOAD_FAILED', retryable: !status || status >= 500 || status === 429, ...options });
+
+        /**
+         * HTTP status of the failed download, when there was one
+         * @type {?number}
+         */
+        this.status = status;
+    }
+}
+
+/**
+ * Thrown when code running in the WhatsApp Web page failed for another reason
+ */
+class EvaluationError extends WWebJSError {
+    constructor(message = 'Evaluation failed', options = {}) {
+        super(message, { code: 'EVALUATION_FAILED', ...options });
+    }
+}
+
+/**
+ * Thrown by Client.login() when the login flow did not end with an authenticated session
+ * @param {string} [message]
+ * @param {object} [options]
+ * @param {LoginFailureReason} [options.reason] - Why the login failed
+ */
+class LoginError extends WWebJSError {
+    constructor(message = 'Login failed', options = {}) {
+        super(message, { code: 'LOGIN_FAILED', ...options });
+
+        /**
+         * Why the login failed
+         * @type {LoginFailureReason}
+         */
+        this.reason = options.reason || 'AUTH_FAILURE';
+    }
+}
+
+/**
+ * Error classes by code, used to rebuild errors thrown in the page
+ * @private
+ */
+const ERROR_CLASSES = {
+    PAGE_CLOSED: PageClosedError,
+    NOT_AUTHENTICATED: NotAuthenticatedError,
+    CHAT_NOT_FOUND: ChatNotFoundError,
+    NOT_REGISTERED: NotRegisteredError,
+    RATE_LIMITED: RateLimitedError,
+    MEDIA_DOWNLOAD_FAILED: MediaDownloadError,
+    EVALUATION_FAILED: EvaluationError
+};
+
+module.exports = {
+    WWebJSError,
+    PageClosedError,
+    NotAuthenticatedError,
+    ChatNotFoundError,
+    NotRegisteredError,
+    RateLimitedError,
+    MediaDownloadError,
+    EvaluationError,
+    LoginError
+};
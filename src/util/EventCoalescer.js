@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Subscribes to Client events with debounced, throttled or batched listeners.
+ * Events are grouped by key (by default the serialized ID of the first argument, like a message or chat),
+ * so a storm of acks for one message doesn't swallow the acks of another, and the latest arguments are always delivered.
+ * @param {Client} client
+ * @example
+ * // only the last ack of each message, once it has been quiet for 500ms
+ * client.coalescer.debounce('message_ack', 500, (msg, ack) => updateStatus(msg.id._serialized, ack));
+ *
+ * // every unread count change of the last 2 seconds, in one call
+ * client.coalescer.batch('unread_count', 2000, events => events.forEach(([chat]) => refresh(chat)));
+ */
+class EventCoalescer {
+    constructor(client) {
+        this.client = client;
+
+        /**
+         * Active subscriptions
+         * @type {Set<Object>}
+         * @private
+         */
+        this._subscriptions = new Set();
+    }
+
+    /**
+     * Calls the listener once no event with the same key came in for `wait` ms
+     * @param {string} event
+     * @param {number} wait - Quiet period in ms
+     * @param {Function} listener - Called with the arguments of the latest event
+     * @param {object} [options]
+     * @param {Function} [options.key] - (...args) => string, groups events that are debounced together
+     * @param {number} [options.maxWait] - Longest time in ms a call may be postponed while events keep coming in
+     * @returns {Function} Removes the subscription
+     */
+    debounce(event, wait, listener, options = {}) {
+        return this._subscribe(event, options, (state, args, sub) => {
+            state.args = args;
+            state.first = state.first || Date.now();
+            clearTimeout(state.timer);
+
+            const delay = options.maxWait
+                ? Math.min(wait, Math.max(options.maxWait - (Date.now() - state.first), 0))
+                : wait;
+            state.timer = setTimeout(() => this._deliver(sub, state), delay);
+        }, listener);
+    }
+
+    /**
+     * Calls the listener at most once every `wait` ms per key. The first event is delivered right away,
+     * the latest one of the following period when it ends.
+     * @param {string} event
+     * @param {number} wait - Minimum time in ms between two calls
+     * @param {Function} listener
+     * @param {object} [options]
+     * @param {Function} [options.key] - (...args) => string, groups events that are throttled together
+     * @returns {Function} Removes the subscription
+     */
+    throttle(event, wait, listener, options = {}) {
+        return this._subscribe(event, options, (state, args, sub) => {
+            state.args = args;
+            if (state.timer) return;
+
+            this._call(sub, args);
+            state.args = null;
+
+            const release = () => {
+                if (!state.args) {
+                    sub.states.delete(state.key);
+                    return;
+                }
+                this._call(sub, state.args);
+                state.args = null;
+                state.timer = setTimeout(release, wait);
+            };
+            state.timer = setTimeout(release, wait);
+        }, listener);
+    }
+
+    /**
+     * Collects events for `window` ms after the first one comes in and delivers them in a single call
+     * @param {string} event
+     * @param {number} window - Time in ms to collect events for
+     * @param {Function} listener - Called with an array holding the arguments of each event
+     * @param {object} [options]
+     * @param {number} [options.maxSize=Infinity] - Deliver early once this many events were collected
+     * @param {boolean} [options.dedupe=false] - Keep only the latest event per key
+     * @param {Function} [options.key] - (...args) => string, used by dedupe
+     * @returns {Function} Removes the subscription
+     */
+    batch(event, window, listener, options = {}) {
+        const maxSize = options.maxSize || Infinity;
+        const key = options.key || EventCoalescer.defaultKey;
+
+        // one state for the whole batch, keys are only used to dedupe within it
+        return this._subscribe(event, { key: () => '' }, (state, args, sub) => {
+            state.events = state.events || new Map();
+            const eventKey = options.dedupe ? key(...args) : state.events.size;
+            state.events.delete(eventKey);
+            state.events.set(eventKey, args);
+            state.args = [Array.from(state.events.values())];
+
+            if (state.events.size >= maxSize) {
+                clearTimeout(state.timer);
+                this._deliver(sub, state);
+            } else if (!state.timer) {
+                state.timer = setTimeout(() => this._deliver(sub, state), window);
+            }
+        }, listener);
+    }
+
+    /**
+     * Delivers everything that is pending right away
+     */
+    flush() {
+        for (const sub of this._subscriptions) {
+            for (const state of [...sub.states.values()]) {
+                clearTimeout(state.timer);
+                if (state.args) this._deliver(sub, state);
+                else sub.states.delete(state.key);
+            }
+        }
+    }
+
+    /**
+     * Drops everything that is pending
+     */
+    clear() {
+        for (const sub of this._subscriptions) {
+            for (const state of sub.states.values()) clearTimeout(state.timer);
+            sub.states.clear();
+        }
+    }
+
+    _subscribe(event, options, onEvent, listener) {
+        const key = options.key || EventCoalescer.defaultKey;
+        const sub = { event, listener, states: new Map(), handler: null };
+
+        sub.handler = (...args) => {
+            const stateKey = key(...args);
+            if (!sub.states.has(stateKey)) sub.states.set(stateKey, { key: stateKey, args: null, timer: null });
+            onEvent(sub.states.get(stateKey), args, sub);
+        };
+
+        this._subscriptions.add(sub);
+        this.client.on(event, sub.handler);
+
+        return () => {
+            this.client.off(event, sub.handler);
+            for (const state of sub.states.values()) clearTimeout(state.timer);
+            this._subscriptions.delete(sub);
+        };
+    }
+
+    _deliver(sub, state) {
+        sub.states.delete(state.key);
+        this._call(sub, state.args);
+    }
+
+    _call(sub, args) {
+        try {
+            const result = sub.listener(...args);
+            if (result && typeof result.catch === 'function') {
+                result.catch(err => console.error(`[EventCoalescer] Listener for ${sub.event} failed:`, err));
+            }
+        } catch (err) {
+            console.error(`[EventCoalescer] Listener for ${sub.event} failed:`, err);
+        }
+    }
+
+    /**
+     * Default grouping key: the serialized ID of the first argument, or a single group for everything else
+     * @param {*} arg
+     * @returns {string}
+     */
+    static defaultKey(arg) {
+        if (arg && typeof arg === 'object' && arg.id) {
+            return typeof arg.id === 'object' ? arg.id._serialized || '' : String(arg.id);
+        }
+        return '';
+    }
+}
+
+module.exports = EventCoalescer;
@@ -0,0 +1,309 @@
+'use strict';
+
+const { Events } = require('./Constants');
+const Message = require('../structures/Message');
+
+/**
+ * Declarative conditions an event has to meet before a handler runs.
+ * Message filters only apply to events whose first argument is a Message.
+ * @typedef {Object} RouteFilters
+ * @property {boolean} [fromMe] - Only messages sent (true) or received (false) by the current user
+ * @property {string|string[]} [chat] - Chat types: 'private', 'group', 'status', 'broadcast' or 'channel'. Status updates only match if 'status' is listed
+ * @property {string|string[]|RegExp|Function} [from] - Sender ID (the author in groups), a list of IDs, a pattern or a predicate
+ * @property {string|string[]} [type] - MessageTypes value(s)
+ * @property {RegExp} [body] - Pattern the body must match. The match is available as ctx.match
+ * @property {string|string[]} [prefix] - Command prefix(es), like '!' or '/'. The command and its arguments are available as ctx.command and ctx.args
+ * @property {string|string[]} [command] - Command name(s) that must follow the prefix, matched case-insensitively
+ * @property {boolean} [hasMedia] - Only messages with (true) or without (false) media
+ * @property {boolean} [mentionsMe] - Only messages that mention the current user
+ * @property {boolean} [adminOnly] - Only group messages sent by a group admin
+ * @property {Function} [filter] - Custom predicate (ctx) => boolean|Promise<boolean>
+ */
+
+/**
+ * Context passed to middleware and handlers
+ * @typedef {Object} RouteContext
+ * @property {Client} client
+ * @property {string} event - Name of the event being dispatched
+ * @property {Array} eventArgs - Arguments the event was emitted with
+ * @property {?Message} message - The message, if the first argument is one
+ * @property {Object} state - Free-form object shared by middleware and handlers
+ * @property {?Array<string>} match - Result of the body filter
+ * @property {?string} command - Command name when a prefix filter matched
+ * @property {string[]} args - Command arguments when a prefix filter matched
+ * @property {Function} getChat - Returns the chat of the message, fetched once per event
+ * @property {Function} stop - Prevents the remaining handlers from running
+ */
+
+/**
+ * Dispatches Client events to middleware and handlers that declare which events they care about
+ * @param {Client} client
+ * @example
+ * client.router
+ *     .use(async (ctx, next) => {
+ *         const started = Date.now();
+ *         await next();
+ *         console.log(`${ctx.event} handled in ${Date.now() - started}ms`);
+ *     })
+ *     .on({ chat: 'private', prefix: '!', command: 'ping' }, msg => msg.reply('pong'))
+ *     .on('message_create', { fromMe: true, hasMedia: true }, msg => console.log('media sent', msg.id._serialized));
+ */
+class EventRouter {
+    constructor(client) {
+        this.client = client;
+
+        /**
+         * Registered middleware and handlers, in order
+         * @type {Array<Object>}
+         * @private
+         */
+        this._middleware = [];
+        this._handlers = [];
+
+        /**
+         * Client listeners by event name
+         * @type {Map<string, Function>}
+         * @private
+         */
+        this._listeners = new Map();
+    }
+
+    /**
+     * Adds middleware. It runs before the handlers and has to call next() for dispatching to continue,
+     * next() resolves once the rest of the chain and the handlers are done.
+     * @param {string} [event='message'] - Event to run for, '*' for every routed event
+     * @param {RouteFilters} [filters] - Conditions for running the middleware, it is skipped otherwise
+     * @param {Function} middleware - async (ctx, next) => {}
+     * @returns {EventRouter}
+     */
+    use(...args) {
+        this._middleware.push(this._createLayer(args));
+        return this;
+    }
+
+    /**
+     * Adds a handler. All matching handlers run in the order they were added,
+     * an error in one of them doesn't keep the others from running.
+     * @param {string} [event='message'] - Event to handle
+     * @param {RouteFilters} [filters] - Conditions the event has to meet
+     * @param {Function} handler - async (firstEventArg, ctx) => {}
+     * @returns {EventRouter}
+     */
+    on(...args) {
+        const layer = this._createLayer(args);
+        if (layer.event === '*') throw new Error('Handlers must be bound to a single event');
+
+        this._handlers.push(layer);
+        this._listen(layer.event);
+        return this;
+    }
+
+    /**
+     * Removes a middleware or handler function
+     * @param {Function} fn
+     * @returns {EventRouter}
+     */
+    off(fn) {
+        this._middleware = this._middleware.filter(layer => layer.fn !== fn);
+        this._handlers = this._handlers.filter(layer => layer.fn !== fn);
+
+        for (const [event, listener] of this._listeners) {
+            if (!this._handlers.some(layer => layer.event === event)) {
+                this.client.off(event, listener);
+                this._listeners.delete(event);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Runs an event through the middleware and handlers
+     * @param {string} event
+     * @param {...*} args - Event arguments
+     * @returns {Promise<void>}
+     */
+    async dispatch(event, ...args) {
+        const ctx = this._createContext(event, args);
+
+        const middleware = this._middleware.filter(layer => layer.event === '*' || layer.event === event);
+        await this._runMiddleware(middleware, ctx, () => this._runHandlers(ctx));
+    }
+
+    async _runHandlers(ctx) {
+        const { event, eventArgs: args } = ctx;
+
+        for (const layer of this._handlers) {
+            if (ctx.stopped) break;
+            if (layer.event !== event) continue;
+
+            try {
+                // each handler gets its own filter results, state is shared
+                const handlerCtx = { ...ctx, match: null, command: null, args: [] };
+                if (!await EventRouter.matches(layer.filters, handlerCtx)) continue;
+                await layer.fn(args[0], handlerCtx);
+            } catch (err) {
+                this._reportError(err, ctx);
+            }
+        }
+    }
+
+    _createLayer(args) {
+        const fn = args.pop();
+        if (typeof fn !== 'function') throw new TypeError('A handler function is required');
+
+        const event = typeof args[0] === 'string' ? args.shift() : Events.MESSAGE_RECEIVED;
+        const filters = args.shift() || {};
+
+        return { event, filters, fn };
+    }
+
+    _listen(event) {
+        if (this._listeners.has(event)) return;
+
+        const listener = (...args) => this.dispatch(event, ...args).catch(err => this._reportError(err, null));
+        this._listeners.set(event, listener);
+        this.client.on(event, listener);
+    }
+
+    _createContext(event, args) {
+        let chat = null;
+        const ctx = {
+            client: this.client,
+            event,
+            eventArgs: args,
+            message: args[0] instanceof Message ? args[0] : null,
+            state: {},
+            match: null,
+            command: null,
+            args: [],
+            stopped: false,
+            getChat: () => {
+                if (!chat) chat = ctx.message.getChat();
+                return chat;
+            },
+            stop: () => { ctx.stopped = true; }
+        };
+        return ctx;
+    }
+
+    /**
+     * Runs the middleware chain, the handlers run inside the innermost next()
+     * @private
+     */
+    async _runMiddleware(middleware, ctx, handlers) {
+        const run = async (index) => {
+            if (index === middleware.length) return handlers();
+
+            const layer = middleware[index];
+            if (!await EventRouter.matches(layer.filters, ctx)) return run(index + 1);
+
+            let called = false;
+            await layer.fn(ctx, () => {
+                if (called) throw new Error('next() called multiple times');
+                called = true;
+                return run(index + 1);
+            });
+        };
+
+        try {
+            await run(0);
+        } catch (err) {
+            this._reportError(err, ctx);
+        }
+    }
+
+    _reportError(error, ctx) {
+        if (this.client.listenerCount(Events.ROUTER_ERROR)) {
+            /**
+             * Emitted when a router middleware or handler throws
+             * @event Client#router_error
+             * @param {Error} error The error that was thrown
+             * @param {?RouteContext} ctx Context of the event being dispatched
+             */
+            this.client.emit(Events.ROUTER_ERROR, error, ctx);
+        } else {
+            console.error('[EventRouter]', error);
+        }
+    }
+
+    /**
+     * Checks whether an event meets the given filters. Message filters also update ctx.match, ctx.command and ctx.args.
+     * @param {RouteFilters} filters
+     * @param {RouteContext} ctx
+     * @returns {Promise<boolean>}
+     */
+    static async matches(filters, ctx) {
+        const msg = ctx.message;
+
+        if (msg) {
+            const chatType = EventRouter.getChatType(msg);
+            const chatTypes = filters.chat ? [].concat(filters.chat) : null;
+            // status updates are rarely what a handler is after, so they have to be asked for
+            if (chatTypes ? !chatTypes.includes(chatType) : chatType === 'status') return false;
+
+            if (filters.fromMe !== undefined && msg.fromMe !== filters.fromMe) return false;
+            if (filters.hasMedia !== undefined && msg.hasMedia !== filters.hasMedia) return false;
+            if (filters.type && ![].concat(filters.type).includes(msg.type)) return false;
+            if (filters.from && !EventRouter._matchValue(filters.from, msg.author || msg.from)) return false;
+
+            if (filters.mentionsMe) {
+                const me = ctx.client.info && ctx.client.info.wid && ctx.client.info.wid._serialized;
+                if (!me || !msg.mentionedIds.includes(me)) return false;
+            }
+
+            if (filters.prefix) {
+                const prefix = [].concat(filters.prefix).find(prefix => msg.body.startsWith(prefix));
+                if (prefix === undefined) return false;
+
+                const [command = '', ...args] = msg.body.slice(prefix.length).trim().split(/\s+/);
+                if (filters.command && !EventRouter._matchCommand(filters.command, command)) return false;
+                ctx.command = command;
+                ctx.args = args;
+            }
+
+            if (filters.body) {
+                const match = msg.body.match(filters.body);
+                if (!match) return false;
+                ctx.match = match;
+            }
+
+            if (filters.adminOnly) {
+                const chat = await ctx.getChat();
+                if (!chat.isGroup) return false;
+                const sender = msg.author || msg.from;
+                const participant = chat.participants.find(p => p.id._serialized === sender);
+                if (!participant || !(participant.isAdmin || participant.isSuperAdmin)) return false;
+            }
+        }
+
+        if (filters.filter && !await filters.filter(ctx)) return false;
+
+        return true;
+    }
+
+    /**
+     * Returns the kind of chat a message belongs to
+     * @param {Message} message
+     * @returns {string} 'private', 'group', 'status', 'broadcast' or 'channel'
+     */
+    static getChatType(message) {
+        const chatId = message.fromMe ? message.to : message.from;
+        if (message.isStatus || chatId === 'status@broadcast') return 'status';
+        if (chatId.endsWith('@g.us')) return 'group';
+        if (chatId.endsWith('@newsletter')) return 'channel';
+        if (chatId.endsWith('@broadcast')) return 'broadcast';
+        return 'private';
+    }
+
+    static _matchValue(expected, value) {
+        if (expected instanceof RegExp) return expected.test(value);
+        if (typeof expected === 'function') return Boolean(expected(value));
+        return [].concat(expected).includes(value);
+    }
+
+    static _matchCommand(expected, command) {
+        return [].concat(expected).some(name => name.toLowerCase() === command.toLowerCase());
+    }
+}
+
+module.exports = EventRouter;
@@ -0,0 +1,289 @@
+'use strict';
+
+const { Events, WAState } = require('./Constants');
+
+/**
+ * Events that come in from WhatsApp Web, used to tell how long the session has been silent
+ * @private
+ */
+const INBOUND_EVENTS = [
+    Events.MESSAGE_RECEIVED,
+    Events.MESSAGE_CREATE,
+    Events.MESSAGE_ACK,
+    Events.MESSAGE_EDIT,
+    Events.MESSAGE_REVOKED_EVERYONE,
+    Events.MESSAGE_REACTION,
+    Events.GROUP_JOIN,
+    Events.GROUP_LEAVE,
+    Events.GROUP_UPDATE,
+    Events.CHAT_ARCHIVED,
+    Events.UNREAD_COUNT,
+    Events.INCOMING_CALL,
+    Events.STATE_CHANGED
+];
+
+/**
+ * States a page reload or restart cannot get out of
+ * @private
+ */
+const LOGGED_OUT_STATES = [WAState.UNPAIRED, WAState.UNPAIRED_IDLE];
+
+/**
+ * Result of a health check
+ * @typedef {Object} HealthReport
+ * @property {boolean} healthy - Whether all probes passed
+ * @property {string[]} issues - Failed probes: PAGE_CLOSED, EVALUATE_TIMEOUT, EVALUATE_FAILED, STORE_MISSING, STATE_STUCK, LOGGED_OUT or NO_RECENT_EVENTS
+ * @property {number} checkedAt - When the check ran
+ * @property {?number} latency - Evaluate round-trip in ms, null when the page did not answer
+ * @property {boolean} hasStore - Whether window.Store is loaded in the page
+ * @property {?WAState} state - Connection state reported by the page
+ * @property {?number} stateSince - Since when the page has been in this state
+ * @property {?number} lastEventAt - When the last inbound event was emitted
+ * @property {?number} lastEventAge - Time in ms since the last inbound event
+ * @property {number} consecutiveFailures - Unhealthy checks in a row
+ * @property {number} recoveryAttempts - Recovery attempts since the session was last healthy
+ */
+
+/**
+ * Periodically probes the WhatsApp Web page and recovers sessions that stalled without disconnecting.
+ *
+ * Each check does an evaluate round-trip, reads the connection state, looks for window.Store and
+ * measures the time since the last inbound event. After `failureThreshold` unhealthy checks in a row the
+ * page is reloaded, escalating to a full re-initialization, with exponential backoff between attempts.
+ * Listeners registered on the client are kept, as they live on the Client and not on the page.
+ * @param {Client} client
+ * @param {object} options - Health check options
+ * @param {number} [options.interval=30000] - Time between checks in ms
+ * @param {number} [options.timeout=10000] - Time in ms the page gets to answer a probe
+ * @param {number} [options.stateTimeout=60000] - How long the state may stay other than CONNECTED, e.g. stuck in OPENING
+ * @param {number} [options.maxEventAge] - Mark the session unhealthy when no inbound event came in for this long. Disabled by default, as idle accounts are silent too
+ * @param {number} [options.failureThreshold=2] - Unhealthy checks in a row before recovering
+ * @param {boolean|string[]} [options.recovery=['reload', 'reinitialize']] - Recovery actions tried in order, the last one is repeated. false to only report
+ * @param {number} [options.minRecoveryDelay=5000] - Delay before the second recovery attempt in ms, doubled on every attempt
+ * @param {number} [options.maxRecoveryDelay=300000] - Longest delay between two recovery attempts in ms
+ * @param {number} [options.maxRecoveryAttempts=10] - Attempts before giving up until the session is healthy again
+ */
+class HealthMonitor {
+    constructor(client, options = {}) {
+        this.client = client;
+
+        this.options = {
+            interval: 30000,
+            timeout: 10000,
+            stateTimeout: 60000,
+            maxEventAge: null,
+            failureThreshold: 2,
+            recovery: ['reload', 'reinitialize'],
+            minRecoveryDelay: 5000,
+            maxRecoveryDelay: 300000,
+            maxRecoveryAttempts: 10,
+            ...options
+        };
+
+        /**
+         * Result of the last check
+         * @type {?HealthReport}
+         */
+        this.report = null;
+
+        this._timer = null;
+        this._running = false;
+        this._checking = null;
+        this._recovering = false;
+        this._failures = 0;
+        this._attempts = 0;
+        this._lastAttemptAt = 0;
+        this._state = null;
+        this._stateSince = null;
+        this._lastEventAt = null;
+
+        this._onEvent = () => this._lastEventAt = Date.now();
+        for (const event of INBOUND_EVENTS) {
+            client.on(event, this._onEvent);
+        }
+    }
+
+    /**
+     * Starts checking periodically. Calling it again while running has no effect.
+     */
+    start() {
+        if (this._running) return;
+        this._running = true;
+        if (this._lastEventAt === null) this._lastEventAt = Date.now();
+        this._arm();
+    }
+
+    /**
+     * Stops checking
+     */
+    stop() {
+        this._running = false;
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Stops checking and stops following client events
+     */
+    destroy() {
+        this.stop();
+        for (const event of INBOUND_EVENTS) {
+            this.client.removeListener(event, this._onEvent);
+        }
+    }
+
+    /**
+     * Runs all probes once and emits health_changed when the result differs from the previous one
+     * @returns {Promise<HealthReport>}
+     */
+    async check() {
+        if (!this._checking) {
+            this._checking = this._check().finally(() => this._checking = null);
+        }
+        return this._checking;
+    }
+
+    async _check() {
+        const now = Date.now();
+        const issues = [];
+        let latency = null;
+        let hasStore = false;
+        let state = null;
+
+        const page = this.client.pupPage;
+        if (!page || page.isClosed() || (this.client.pupBrowser && !this.client.pupBrowser.isConnected())) {
+            issues.push('PAGE_CLOSED');
+        } else {
+            try {
+                const started = Date.now();
+                const probe = () => page.evaluate(() => ({
+                    hasStore: Boolean(window.Store && window.Store.Msg),
+                    state: window.Store && window.Store.AppState ? window.Store.AppState.state : null
+                }));
+                // a probe reports failures instead of retrying them
+                const { retryPolicy } = this.client;
+                const result = await this._withTimeout(retryPolicy ? retryPolicy.withOptions({ attempts: 1 }, probe) : probe());
+                latency = Date.now() - started;
+                hasStore = result.hasStore;
+                state = result.state;
+            } catch (err) {
+                issues.push(err === HealthMonitor.TIMED_OUT ? 'EVALUATE_TIMEOUT' : 'EVALUATE_FAILED');
+            }
+        }
+
+        if (latency !== null && !hasStore) issues.push('STORE_MISSING');
+
+        if (state !== this._state) {
+            this._state = state;
+            this._stateSince = now;
+        }
+        if (LOGGED_OUT_STATES.includes(state)) {
+            issues.push('LOGGED_OUT');
+        } else if (hasStore && state !== WAState.CONNECTED && now - this._stateSince >= this.options.stateTimeout) {
+            issues.push('STATE_STUCK');
+        }
+
+        const lastEventAge = this._lastEventAt === null ? null : now - this._lastEventAt;
+        if (this.options.maxEventAge && lastEventAge !== null && lastEventAge >= this.options.maxEventAge) {
+            issues.push('NO_RECENT_EVENTS');
+        }
+
+        this._failures = issues.length ? this._failures + 1 : 0;
+        if (!issues.length) this._attempts = 0;
+
+        const previous = this.report;
+        this.report = {
+            healthy: !issues.length,
+            issues,
+            checkedAt: now,
+            latency,
+            hasStore,
+            state,
+            stateSince: this._stateSince,
+            lastEventAt: this._lastEventAt,
+            lastEventAge,
+            consecutiveFailures: this._failures,
+            recoveryAttempts: this._attempts
+        };
+
+        if (!previous || previous.healthy !== this.report.healthy || previous.issues.join() !== issues.join()) {
+            /**
+             * Emitted when the session becomes healthy or unhealthy, or the failed probes change
+             * @event Client#health_changed
+             * @param {HealthReport} report Result of the check
+             * @param {?HealthReport} previous Result of the previous check
+             */
+            this.client.emit(Events.HEALTH_CHANGED, this.report, previous);
+        }
+
+        return this.report;
+    }
+
+    /**
+     * Picks and runs the next recovery action when the session has been unhealthy long enough
+     * @private
+     */
+    async _recover() {
+        const { recovery, failureThreshold, maxRecoveryAttempts } = this.options;
+        if (!recovery || !recovery.length || this._recovering) return;
+        // the supervisor is already relaunching a crashed browser
+        if (this.client.supervisor && this.client.supervisor.restarting) return;
+        if (this._failures < failureThreshold || this._attempts >= maxRecoveryAttempts) return;
+        if (this.report.issues.includes('LOGGED_OUT')) return;
+        if (Date.now() - this._lastAttemptAt < this._recoveryDelay()) return;
+
+        // a closed page cannot be reloaded
+        let action = recovery[Math.min(this._attempts, recovery.length - 1)];
+        if (action === 'reload' && this.report.issues.includes('PAGE_CLOSED')) action = 'reinitialize';
+
+        this._recovering = true;
+        this._attempts++;
+        this._lastAttemptAt = Date.now();
+        try {
+            if (action === 'reload') {
+                await this.client.pupPage.reload({ waitUntil: 'load', timeout: this.options.timeout * 3 });
+            } else {
+                await this.client.reinitialize();
+            }
+            // give the page a fresh start before judging the state again
+            this._state = null;
+        } catch (err) {
+            console.error(`[HealthMonitor] Recovery by ${action} failed:`, err);
+        } finally {
+            this._recovering = false;
+        }
+    }
+
+    _recoveryDelay() {
+        if (this._attempts === 0) return 0;
+        return Math.min(this.options.minRecoveryDelay * 2 ** (this._attempts - 1), this.options.maxRecoveryDelay);
+    }
+
+    _withTimeout(promise) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(HealthMonitor.TIMED_OUT), this.options.timeout);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    _arm() {
+        clearTimeout(this._timer);
+        this._timer = setTimeout(async () => {
+            if (!this._running) return;
+            if (!this._recovering) {
+                try {
+                    await this.check();
+                    await this._recover();
+                } catch (err) {
+                    console.error('[HealthMonitor] Health check failed:', err);
+                }
+            }
+            if (this._running) this._arm();
+        }, this.options.interval);
+    }
+}
+
+HealthMonitor.TIMED_OUT = Symbol('HealthMonitor.TIMED_OUT');
+
+module.exports = HealthMonitor;
@@ -3,6 +3,16 @@
 exports.LoadUtils = () => {
     window.WWebJS = {};
 
+    /**
+     * Rethrows a WhatsApp server error that means the account is throttled with the marker WWebJSError.from maps to RateLimitedError.
+     * Call it first in catch blocks that turn server errors into return values.
+     */
+    window.WWebJS.throwIfRateLimited = (err) => {
+        if (err && (err.statusCode === 429 || err.status === 429)) {
+            throw new Error('[wwebjs:RATE_LIMITED] Rate limited by WhatsApp');
+        }
+    };
+
     window.WWebJS.forwardMessage = async (chatId, msgId) => {
         const msg = window.Store.Msg.get(msgId) || (await window.Store.Msg.getMessagesById([msgId]))?.messages?.[0];
         let chat = window.Store.Chat.get(chatId);
@@ -480,7 +490,7 @@ exports.LoadUtils = () => {
     window.WWebJS.getChat = async chatId => {
         const chatWid = window.Store.WidFactory.createWid(chatId);
         const chat = await window.Store.Chat.find(chatWid);
-        return await window.WWebJS.getChatModel(chat);
+        return chat ? await window.WWebJS.getChatModel(chat) : null;
     };
 
     window.WWebJS.getChats = async () => {
@@ -790,6 +800,7 @@ exports.LoadUtils = () => {
             const res = await window.Store.GroupUtils.sendSetPicture(chatWid, thumbnail, profilePic);
             return res ? res.status === 200 : false;
         } catch (err) {
+            window.WWebJS.throwIfRateLimited(err);
             if(err.name === 'ServerStatusCodeError') return false;
             throw err;
         }
@@ -804,6 +815,7 @@ exports.LoadUtils = () => {
             const res = await window.Store.GroupUtils.requestDeletePicture(chatWid);
             return res ? res.status === 200 : false;
         } catch (err) {
+            window.WWebJS.throwIfRateLimited(err);
             if(err.name === 'ServerStatusCodeError') return false;
             throw err;
         }
@@ -883,6 +895,7 @@ exports.LoadUtils = () => {
                     .value
                     .addParticipantsParticipantMixins;
         } catch (err) {
+            window.WWebJS.throwIfRateLimited(err);
             data.code = 400;
             return data;
         }
@@ -999,6 +1012,7 @@ exports.LoadUtils = () => {
             }
             return result;
         } catch (err) {
+            window.WWebJS.throwIfRateLimited(err);
             return [];
         }
     };
@@ -1021,4 +1035,58 @@ exports.LoadUtils = () => {
         const statuses = window.Store.Status.getModelsArray();
         return statuses.map(status => window.WWebJS.getStatusModel(status));
     };
+
+    /**
+     * Reads the compose box draft of a chat.
+     * Newer WWeb versions keep it in draftMessage, older ones in composeContents.
+     */
+    window.WWebJS.getDraftModel = (chat) => {
+        const draft = chat.draftMessage !== undefined ? chat.draftMessage : chat.composeContents;
+        const text = typeof draft === 'string' ? draft : draft?.text;
+        if (!text) return null;
+
+        const quotedMsg = chat.composeQuotedMsg || draft?.quotedMsg;
+        const mentions = draft?.mentionedJidList || [];
+
+        return {
+            text,
+            quotedMessageId: quotedMsg?.id?._serialized || draft?.quotedMsgId?._serialized || null,
+            mentions: mentions.map(wid => wid._serialized || wid),
+            timestamp: draft?.editTimestamp || draft?.timestamp || null
+        };
+    };
+
+    window.WWebJS.getDraft = async (chatId) => {
+        const chat = window.Store.Chat.get(chatId);
+        return chat ? window.WWebJS.getDraftModel(chat) : null;
+    };
+
+    window.WWebJS.setDraft = async (chatId, text, options = {}) => {
+        const chat = window.Store.Chat.get(chatId) || await window.Store.Chat.find(window.Store.WidFactory.createWid(chatId));
+
+        let quotedMsg = null;
+        if (options.quotedMessageId) {
+            quotedMsg = window.Store.Msg.get(options.quotedMessageId) || (await window.Store.Msg.getMessagesById([options.quotedMessageId]))?.messages?.[0];
+            if (!quotedMsg) throw new Error('Could not get the quoted message.');
+        }
+
+        const mentionedJidList = (options.mentionedJidList || []).map(id => window.Store.WidFactory.createWid(id));
+
+        // changes made from here must not be reported as edits made in the UI
+        window.WWebJS.draftWrites.add(chat.id._serialized);
+        try {
+            if (chat.draftMessage !== undefined) {
+                chat.draftMessage = text ? { text, mentionedJidList, quotedMsg, editTimestamp: Date.now() } : null;
+            } else {
+                chat.composeContents = text ? { text, mentionedJidList } : null;
+            }
+            chat.composeQuotedMsg = text ? quotedMsg : null;
+        } finally {
+            window.WWebJS.draftWrites.delete(chat.id._serialized);
+        }
+
+        return window.WWebJS.getDraftModel(chat);
+    };
+
+    window.WWebJS.draftWrites = new Set();
 };
@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Checks values against the subset of JSON Schema used to describe tool parameters:
+ * type, properties, required, additionalProperties, items, enum, const, minimum, maximum,
+ * minLength, maxLength, pattern, minItems, maxItems, anyOf and oneOf.
+ * Keywords outside this subset are ignored.
+ */
+class JSONSchema {
+    constructor() {
+        throw new Error(`The ${this.constructor.name} class may not be instantiated.`);
+    }
+
+    /**
+     * Validates a value
+     * @param {Object} schema
+     * @param {*} value
+     * @param {string} [path='value'] - Name of the value in the error messages
+     * @returns {string[]} Problems found, empty if the value is valid
+     */
+    static validate(schema, value, path = 'value') {
+        if (!schema || typeof schema !== 'object') return [];
+        const errors = [];
+
+        if (schema.anyOf || schema.oneOf) {
+            const options = schema.anyOf || schema.oneOf;
+            const matches = options.filter(option => JSONSchema.validate(option, value, path).length === 0).length;
+            if (schema.anyOf ? matches === 0 : matches !== 1) {
+                errors.push(`${path} must match ${schema.anyOf ? 'at least one' : 'exactly one'} of the allowed schemas`);
+            }
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => JSONSchema.isType(value, type))) {
+                errors.push(`${path} must be of type ${types.join(' or ')}`);
+                return errors;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(allowed => JSONSchema._equals(allowed, value))) {
+            errors.push(`${path} must be one of ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`);
+        }
+        if (schema.const !== undefined && !JSONSchema._equals(schema.const, value)) {
+            errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} must have at least ${schema.minLength} characters`);
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must have at most ${schema.maxLength} characters`);
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${path} must match ${schema.pattern}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} items`);
+            if (schema.items) {
+                value.forEach((item, index) => errors.push(...JSONSchema.validate(schema.items, item, `${path}[${index}]`)));
+            }
+        } else if (JSONSchema.isType(value, 'object')) {
+            const properties = schema.properties || {};
+            for (const name of schema.required || []) {
+                if (value[name] === undefined) errors.push(`${path}.${name} is required`);
+            }
+            for (const [name, property] of Object.entries(value)) {
+                if (properties[name]) {
+                    errors.push(...JSONSchema.validate(properties[name], property, `${path}.${name}`));
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}.${name} is not allowed`);
+                } else if (typeof schema.additionalProperties === 'object') {
+                    errors.push(...JSONSchema.validate(schema.additionalProperties, property, `${path}.${name}`));
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Whether a value has a JSON Schema type
+     * @param {*} value
+     * @param {string} type
+     * @returns {boolean}
+     */
+    static isType(value, type) {
+        switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'null': return value === null;
+        default: return typeof value === type;
+        }
+    }
+
+    static _equals(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+}
+
+module.exports = JSONSchema;
@@ -0,0 +1,281 @@
+'use strict';
+
+const { Events, LoginFailureReason } = require('./Constants');
+const { LoginError } = require('./Errors');
+
+/**
+ * How long WhatsApp Web shows a QR code before replacing it, the first code lasts longer than the next ones
+ * @private
+ */
+const QR_LIFETIMES = [60000, 20000];
+
+/**
+ * QR codes shown before falling back to a pairing code, when no limit was set
+ * @private
+ */
+const DEFAULT_QR_CODES_BEFORE_FALLBACK = 3;
+
+/**
+ * Code to show to the user to link the device
+ * @typedef {Object} LoginCode
+ * @property {string} method - 'qr' or 'pairing'
+ * @property {string} code - Content of the QR code, or the 8-character pairing code
+ * @property {number} attempt - Number of codes of this method shown so far, starting at 1
+ * @property {number} issuedAt - When the code was received, in ms since the epoch
+ * @property {number} expiresAt - When the code is expected to be replaced, in ms since the epoch
+ */
+
+/**
+ * Result of a successful login
+ * @typedef {Object} LoginResult
+ * @property {string} method - 'qr' or 'pairing', or 'session' when a saved session was restored without a code
+ * @property {*} payload - Payload of the authenticated event
+ */
+
+/**
+ * Drives the login of a client with QR codes or phone number pairing codes, and settles once it is authenticated.
+ *
+ * Every code shown is emitted as a login_code event with its expiry. QR codes are replaced by WhatsApp Web on
+ * their own; pairing codes are requested again once they expire. After `maxQrCodes` QR codes the flow switches
+ * to a pairing code when a phone number was given, otherwise it gives up. Failures the flow detects itself
+ * disconnect and destroy the client, like options.qrMaxRetries does.
+ * @param {Client} client
+ * @param {object} [options] - Login options
+ * @param {string} [options.method='qr'] - 'qr' or 'pairing'
+ * @param {string} [options.phoneNumber] - Phone number to pair, in international, symbol-free format. Required for 'pairing'
+ * @param {boolean} [options.showNotification=true] - Show a notification on the phone to enter the pairing code
+ * @param {boolean} [options.fallbackToPairing] - Switch from QR to pairing codes after maxQrCodes. Defaults to true when a phone number is given
+ * @param {number} [options.maxQrCodes] - QR codes shown before falling back or giving up. Defaults to options.qrMaxRetries of the client,
+ * or 3 when falling back. 0 for no limit
+ * @param {number} [options.maxPairingCodes=3] - Pairing codes requested before giving up. 0 for no limit
+ * @param {number} [options.pairingCodeLifetime=180000] - Time in ms after which a pairing code is replaced
+ * @param {number} [options.timeout=0] - Time in ms to wait for the authentication. 0 to wait indefinitely
+ */
+class LoginFlow {
+    constructor(client, options = {}) {
+        this.client = client;
+
+        const fallbackToPairing = options.fallbackToPairing !== undefined
+            ? Boolean(options.fallbackToPairing)
+            : Boolean(options.phoneNumber);
+
+        this.options = {
+            method: 'qr',
+            phoneNumber: null,
+            showNotification: true,
+            maxQrCodes: client.options.qrMaxRetries || (fallbackToPairing ? DEFAULT_QR_CODES_BEFORE_FALLBACK : 0),
+            maxPairingCodes: 3,
+            pairingCodeLifetime: 180000,
+            timeout: 0,
+            ...options,
+            fallbackToPairing
+        };
+
+        if (!['qr', 'pairing'].includes(this.options.method)) {
+            throw new Error(`Unknown login method: ${this.options.method}`);
+        }
+        if ((this.options.method === 'pairing' || fallbackToPairing) && !this.options.phoneNumber) {
+            throw new Error('A phone number is required to log in with a pairing code.');
+        }
+
+        /**
+         * Method of the codes currently shown
+         * @type {string}
+         */
+        this.method = this.options.method;
+
+        /**
+         * Last code shown
+         * @type {?LoginCode}
+         */
+        this.code = null;
+
+        /**
+         * Whether the flow has not settled yet
+         * @type {boolean}
+         */
+        this.active = true;
+
+        this._attempts = { qr: 0, pairing: 0 };
+        this._pairingTimer = null;
+        this._timeoutTimer = null;
+        this._requesting = null;
+
+        this.promise = new Promise((resolve, reject) => {
+            this._resolve = resolve;
+            this._reject = reject;
+        });
+        // the caller may only look at the events
+        this.promise.catch(() => {});
+
+        this._listeners = {
+            [Events.AUTHENTICATED]: payload => this._settle(null, {
+                method: this.code ? this.code.method : 'session',
+                payload
+            }),
+            [Events.AUTHENTICATION_FAILURE]: message => this._settle(new LoginError(
+                `Authentication failed: ${message}`, { reason: LoginFailureReason.AUTH_FAILURE }
+            )),
+            [Events.DISCONNECTED]: reason => this._settle(new LoginError(
+                `Disconnected before authentication: ${reason}`, { reason: LoginFailureReason.DISCONNECTED }
+            ))
+        };
+        for (const [event, listener] of Object.entries(this._listeners)) {
+            client.on(event, listener);
+        }
+
+        if (this.options.timeout > 0) {
+            this._timeoutTimer = setTimeout(() => {
+                this._abort(LoginFailureReason.TIMEOUT, `Not authenticated within ${this.options.timeout}ms`)
+                    .catch(err => console.error('[LoginFlow] Failed to destroy the client:', err));
+            }, this.options.timeout);
+        }
+    }
+
+    /**
+     * Called by the client for every QR code WhatsApp Web generates
+     * @param {string} qr
+     * @private
+     */
+    async handleQr(qr) {
+        if (!this.active || this.method !== 'qr') return;
+
+        const { maxQrCodes, fallbackToPairing } = this.options;
+        if (maxQrCodes > 0 && this._attempts.qr >= maxQrCodes) {
+            if (fallbackToPairing) {
+                this.method = 'pairing';
+                await this.requestPairingCode();
+            } else {
+                await this._abort(LoginFailureReason.QR_EXPIRED, 'Max qrcode retries reached');
+            }
+            return;
+        }
+
+        const attempt = ++this._attempts.qr;
+        const lifetime = QR_LIFETIMES[Math.min(attempt, QR_LIFETIMES.length) - 1];
+        this.client.emit(Events.QR_RECEIVED, qr);
+        this._emitCode('qr', qr, attempt, lifetime);
+    }
+
+    /**
+     * Called by the client once WhatsApp Web waits for the device to be linked
+     * @private
+     */
+    async handleAuthenticationNeeded() {
+        if (this.active && this.method === 'pairing') await this.requestPairingCode();
+    }
+
+    /**
+     * Called by the client when it was authenticated before the flow started, e.g. by a restored session
+     * @private
+     */
+    handleAlreadyAuthenticated() {
+        this._settle(null, { method: 'session' });
+    }
+
+    /**
+     * Requests a new pairing code and switches to pairing codes if QR codes were shown
+     * @returns {Promise<?LoginCode>} The code, or null if the flow settled
+     */
+    async requestPairingCode() {
+        if (!this.active) return null;
+        // the expiry timer and a reinjected page may ask at the same time
+        if (this._requesting) return this._requesting;
+
+        this.method = 'pairing';
+        clearTimeout(this._pairingTimer);
+
+        const { maxPairingCodes, phoneNumber, showNotification, pairingCodeLifetime } = this.options;
+        if (maxPairingCodes > 0 && this._attempts.pairing >= maxPairingCodes) {
+            await this._abort(LoginFailureReason.PAIRING_CODE_EXPIRED, 'Max pairing code retries reached');
+            return null;
+        }
+
+        this._requesting = (async () => {
+            let code;
+            try {
+                code = await this.client.requestPairingCode(phoneNumber, showNotification);
+            } catch (err) {
+                await this._abort(LoginFailureReason.PAIRING_FAILED, `Pairing code request failed: ${err.message}`, err);
+                return null;
+            }
+            if (!this.active) return null;
+
+            this._pairingTimer = setTimeout(() => {
+                this.requestPairingCode().catch(err => console.error('[LoginFlow] Failed to renew the pairing code:', err));
+            }, pairingCodeLifetime);
+
+            return this._emitCode('pairing', code, ++this._attempts.pairing, pairingCodeLifetime);
+        })();
+
+        try {
+            return await this._requesting;
+        } finally {
+            this._requesting = null;
+        }
+    }
+
+    /**
+     * Stops the flow and rejects its promise. The client is left as it is.
+     * @param {string} [message]
+     */
+    cancel(message = 'The login was cancelled') {
+        this._settle(new LoginError(message, { reason: LoginFailureReason.CANCELLED }));
+    }
+
+    /**
+     * Fails the flow because initialize() failed
+     * @param {Error} err
+     * @private
+     */
+    handleInitializationError(err) {
+        this._settle(new LoginError(`Initialization failed: ${err.message}`, {
+            reason: LoginFailureReason.INITIALIZATION_FAILED,
+            cause: err
+        }));
+    }
+
+    _emitCode(method, code, attempt, lifetime) {
+        const issuedAt = Date.now();
+        this.code = { method, code, attempt, issuedAt, expiresAt: issuedAt + lifetime };
+
+        /**
+         * Emitted for every QR code or pairing code of a login flow started with Client.login()
+         * @event Client#login_code
+         * @param {LoginCode} code
+         */
+        this.client.emit(Events.LOGIN_CODE, { ...this.code });
+        return this.code;
+    }
+
+    /**
+     * Fails the flow, then disconnects and destroys the client, as it cannot log in anymore
+     * @private
+     */
+    async _abort(reason, message, cause) {
+        if (!this.active) return;
+        this._settle(new LoginError(message, { reason, cause }));
+
+        this.client.emit(Events.DISCONNECTED, message);
+        await this.client.destroy();
+    }
+
+    _settle(err, result) {
+        if (!this.active) return;
+        this.active = false;
+
+        clearTimeout(this._pairingTimer);
+        clearTimeout(this._timeoutTimer);
+        for (const [event, listener] of Object.entries(this._listeners)) {
+            this.client.removeListener(event, listener);
+        }
+
+        if (err) {
+            this._reject(err);
+        } else {
+            this._resolve(result);
+        }
+    }
+}
+
+module.exports = LoginFlow;
@@ -0,0 +1,453 @@
+'use strict';
+
+const Util = require('./Util');
+const Outbox = require('./Outbox');
+const { Events } = require('./Constants');
+const ScheduleStore = require('../structures/storage/ScheduleStore');
+
+// setTimeout overflows for delays above this value and fires immediately
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const INTERVALS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000
+};
+
+const MISSED_POLICIES = ['send', 'skip', 'emit'];
+
+/**
+ * Options for scheduling a message. Any other property is passed to Client.sendMessage.
+ * @typedef {Object} ScheduleOptions
+ * @property {Date|number|string} [at] - When to send the message. Strings without an offset, like "2024-05-01 09:00", are read in the given timezone
+ * @property {number|string} [every] - Repeat interval, either in ms or one of 'minute', 'hour', 'day' or 'week'. Daily and weekly jobs keep their wall-clock time across DST changes
+ * @property {string} [timezone] - IANA timezone used for "at" and for daily/weekly repeats, defaults to the system timezone
+ * @property {string} [missed] - What to do with runs that were missed while the client was offline: 'send' late, 'skip' or 'emit' a scheduled_message_missed event
+ */
+
+/**
+ * Sends messages at a given time, once or repeatedly, and keeps the jobs in a persistent store
+ * @param {Client} client
+ * @param {object} options - Scheduler options
+ * @param {string|ScheduleStore} [options.store='memory'] - Store used to persist jobs. Either 'memory', 'file' or a custom ScheduleStore instance
+ * @param {object} [options.storeOptions] - Options passed to the built-in store
+ * @param {string} [options.timezone] - Default timezone for new jobs
+ * @param {string} [options.missed='send'] - Default policy for missed runs
+ */
+class MessageScheduler {
+    constructor(client, options = {}) {
+        this.client = client;
+
+        this.options = {
+            store: 'memory',
+            storeOptions: {},
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            missed: 'send',
+            ...options
+        };
+
+        /**
+         * Store used to persist the jobs
+         * @type {ScheduleStore}
+         */
+        this.store = typeof this.options.store === 'string'
+            ? ScheduleStore.create(this.options.store, {
+                clientId: client.authStrategy && client.authStrategy.clientId,
+                ...this.options.storeOptions
+            })
+            : this.options.store;
+
+        /**
+         * Jobs by ID
+         * @type {Map<string, Object>}
+         * @private
+         */
+        this._jobs = new Map();
+
+        this._loaded = null;
+        this._running = false;
+        this._timer = null;
+    }
+
+    /**
+     * Schedules a message
+     * @param {string} chatId
+     * @param {string|MessageMedia|Location|Poll|Contact|Array<Contact>} content
+     * @param {ScheduleOptions} options
+     * @returns {Promise<Object>} The scheduled job
+     */
+    async schedule(chatId, content, options = {}) {
+        const { at, every, timezone, missed, ...sendOptions } = options;
+        await this._load();
+
+        const job = {
+            id: Util.generateHash(24),
+            chatId,
+            content: Outbox.serializeContent(content),
+            options: Outbox.serializeOptions(sendOptions),
+            every: every === undefined ? null : every,
+            timezone: timezone || this.options.timezone,
+            missed: missed || this.options.missed,
+            startAt: null,
+            at: null,
+            createdAt: Date.now(),
+            runs: 0,
+            lastRunAt: null
+        };
+
+        MessageScheduler._validate(job);
+        this._setStart(job, at);
+
+        this._jobs.set(job.id, job);
+        await this.store.save(job);
+        this._arm();
+
+        return { ...job };
+    }
+
+    /**
+     * Restores persisted jobs, deals with the runs that were missed and starts the timer
+     * @returns {Promise<void>}
+     */
+    async start() {
+        await this._load();
+        this._running = true;
+
+        const now = Date.now();
+        for (const job of this._jobs.values()) {
+            if (job.at <= now) this._handleMissed(job, now);
+        }
+
+        this._arm();
+    }
+
+    /**
+     * Stops the timer. Jobs are kept in the store.
+     */
+    stop() {
+        this._running = false;
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Returns the scheduled jobs ordered by their next run, optionally filtered by chat
+     * @param {string} [chatId]
+     * @returns {Promise<Array<Object>>}
+     */
+    async list(chatId) {
+        await this._load();
+        return Array.from(this._jobs.values())
+            .filter(job => !chatId || job.chatId === chatId)
+            .sort((a, b) => a.at - b.at)
+            .map(job => ({ ...job }));
+    }
+
+    /**
+     * Returns a single job
+     * @param {string} id - Job ID
+     * @returns {Promise<?Object>}
+     */
+    async get(id) {
+        await this._load();
+        const job = this._jobs.get(id);
+        return job ? { ...job } : null;
+    }
+
+    /**
+     * Removes a job
+     * @param {string} id - Job ID
+     * @returns {Promise<boolean>} True if the job was removed
+     */
+    async cancel(id) {
+        await this._load();
+        if (!this._jobs.delete(id)) return false;
+
+        await this.store.delete(id);
+        this._arm();
+        return true;
+    }
+
+    /**
+     * Changes when a job runs
+     * @param {string} id - Job ID
+     * @param {ScheduleOptions} options - New timing, properties that are left out are kept
+     * @returns {Promise<Object>} The updated job
+     */
+    async reschedule(id, options = {}) {
+        await this._load();
+        const current = this._jobs.get(id);
+        if (!current) throw new Error(`Scheduled message not found: ${id}`);
+
+        const job = { ...current };
+        if (options.every !== undefined) job.every = options.every;
+        if (options.timezone) job.timezone = options.timezone;
+        if (options.missed) job.missed = options.missed;
+
+        MessageScheduler._validate(job);
+        this._setStart(job, options.at !== undefined ? options.at : current.startAt);
+
+        this._jobs.set(id, job);
+        await this.store.save(job);
+        this._arm();
+
+        return { ...job };
+    }
+
+    _load() {
+        if (!this._loaded) {
+            this._loaded = this.store.getAll().then(jobs => {
+                for (const job of jobs) {
+                    if (!this._jobs.has(job.id)) this._jobs.set(job.id, job);
+                }
+            });
+            this._loaded.catch(() => { this._loaded = null; });
+        }
+        return this._loaded;
+    }
+
+    _setStart(job, at) {
+        const now = Date.now();
+
+        if (at === undefined || at === null) {
+            if (!job.every) throw new Error('A time is required to schedule a message');
+            job.startAt = now + MessageScheduler._intervalOf(job.every);
+        } else {
+            job.startAt = MessageScheduler.parseTime(at, job.timezone);
+        }
+
+        if (job.startAt > now) {
+            job.at = job.startAt;
+        } else if (job.every) {
+            job.at = MessageScheduler.nextRun(job, now);
+        } else {
+            throw new Error('Cannot schedule a message in the past');
+        }
+    }
+
+    _arm() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (!this._running || !this._jobs.size) return;
+
+        const next = Math.min(...Array.from(this._jobs.values(), job => job.at));
+        const delay = Math.min(Math.max(next - Date.now(), 0), MAX_TIMEOUT);
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._tick();
+        }, delay);
+    }
+
+    _tick() {
+        const now = Date.now();
+        for (const job of this._jobs.values()) {
+            if (job.at <= now) this._run(job, now);
+        }
+        this._arm();
+    }
+
+    _handleMissed(job, now) {
+        if (job.missed === 'send') {
+            this._run(job, now);
+            return;
+        }
+
+        if (job.missed === 'emit') {
+            /**
+             * Emitted when a scheduled message was due while the client was offline and the job's missed policy is 'emit'
+             * @event Client#scheduled_message_missed
+             * @param {Object} job The scheduled job
+             * @param {number} missedAt When the message should have been sent
+             */
+            this.client.emit(Events.SCHEDULED_MESSAGE_MISSED, { ...job }, job.at);
+        }
+
+        this._advance(job, now);
+        this._persist(job);
+    }
+
+    /**
+     * Moves a job to its next run, or drops it if it doesn't repeat
+     * @private
+     */
+    _advance(job, now) {
+        if (job.every) {
+            job.at = MessageScheduler.nextRun(job, now);
+        } else {
+            this._jobs.delete(job.id);
+        }
+    }
+
+    _persist(job) {
+        // the job may have been cancelled or rescheduled in the meantime
+        const pending = this._jobs.get(job.id) === job
+            ? this.store.save(job)
+            : !this._jobs.has(job.id) && this.store.delete(job.id);
+
+        return Promise.resolve(pending).catch(() => {});
+    }
+
+    async _run(job, now) {
+        // advance before sending so the job can't fire twice while the message is on its way
+        const snapshot = { ...job };
+        this._advance(job, now);
+
+        let message, error;
+        try {
+            const content = await Outbox.restoreContent(this.client, job.content);
+            message = await this.client.sendMessage(job.chatId, content, Outbox.deserializeOptions(job.options));
+        } catch (err) {
+            error = err;
+        }
+
+        job.runs++;
+        job.lastRunAt = Date.now();
+        snapshot.runs = job.runs;
+        snapshot.lastRunAt = job.lastRunAt;
+        await this._persist(job);
+
+        if (error) {
+            /**
+             * Emitted when a scheduled message could not be sent
+             * @event Client#scheduled_message_failed
+             * @param {Object} job The scheduled job, as it was when it ran
+             * @param {Error} error The error that caused the failure
+             */
+            this.client.emit(Events.SCHEDULED_MESSAGE_FAILED, snapshot, error);
+        } else {
+            /**
+             * Emitted when a scheduled message was sent
+             * @event Client#scheduled_message_sent
+             * @param {Object} job The scheduled job, as it was when it ran
+             * @param {Message} message The message that was sent
+             */
+            this.client.emit(Events.SCHEDULED_MESSAGE_SENT, snapshot, message);
+        }
+    }
+
+    static _validate(job) {
+        if (job.every !== null) MessageScheduler._intervalOf(job.every);
+        if (!MISSED_POLICIES.includes(job.missed)) {
+            throw new Error(`Invalid missed policy: ${job.missed}`);
+        }
+        // throws a RangeError for unknown timezones
+        new Intl.DateTimeFormat('en-US', { timeZone: job.timezone });
+    }
+
+    static _intervalOf(every) {
+        const interval = typeof every === 'string' ? INTERVALS[every] : every;
+        if (!Number.isFinite(interval) || interval <= 0) {
+            throw new Error(`Invalid repeat interval: ${every}`);
+        }
+        return interval;
+    }
+
+    /**
+     * Converts a Date, timestamp or date string into a timestamp.
+     * Strings without an offset are read as wall-clock time in the given timezone.
+     * @param {Date|number|string} at
+     * @param {string} timezone
+     * @returns {number}
+     */
+    static parseTime(at, timezone) {
+        let time = NaN;
+
+        if (at instanceof Date) {
+            time = at.getTime();
+        } else if (typeof at === 'number') {
+            time = at;
+        } else if (typeof at === 'string') {
+            const match = at.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+            if (match) {
+                const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(part => part === undefined ? undefined : Number(part));
+                time = MessageScheduler.zonedTimeToTimestamp({ year, month, day, hour, minute, second }, timezone);
+            } else {
+                time = Date.parse(at);
+            }
+        }
+
+        if (!Number.isFinite(time)) throw new Error(`Invalid schedule time: ${at}`);
+        return time;
+    }
+
+    /**
+     * Returns the first run of a repeating job that comes after the given time
+     * @param {Object} job
+     * @param {number} after - Timestamp
+     * @returns {number}
+     */
+    static nextRun(job, after) {
+        const interval = MessageScheduler._intervalOf(job.every);
+        let n = Math.max(Math.floor((after - job.startAt) / interval) - 1, 0);
+        while (MessageScheduler._occurrence(job, n) <= after) n++;
+        return MessageScheduler._occurrence(job, n);
+    }
+
+    static _occurrence(job, n) {
+        if (job.every !== 'day' && job.every !== 'week') {
+            return job.startAt + n * MessageScheduler._intervalOf(job.every);
+        }
+
+        // calendar repeats keep the wall-clock time, even when the UTC offset changes
+        const parts = MessageScheduler.getZonedParts(job.startAt, job.timezone);
+        parts.day += n * (job.every === 'week' ? 7 : 1);
+        return MessageScheduler.zonedTimeToTimestamp(parts, job.timezone);
+    }
+
+    /**
+     * Returns the wall-clock time of a timestamp in a timezone
+     * @param {number} timestamp
+     * @param {string} timezone
+     * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+     */
+    static getZonedParts(timestamp, timezone) {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+
+        const parts = {};
+        for (const { type, value } of formatter.formatToParts(new Date(timestamp))) {
+            if (type !== 'literal') parts[type] = Number(value);
+        }
+
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            hour: parts.hour,
+            minute: parts.minute,
+            second: parts.second
+        };
+    }
+
+    /**
+     * Returns the timestamp of a wall-clock time in a timezone.
+     * Out of range values roll over, so day 32 is the first day of the next month.
+     * @param {{year: number, month: number, day: number, hour: number, minute: number, second: number}} parts
+     * @param {string} timezone
+     * @returns {number}
+     */
+    static zonedTimeToTimestamp(parts, timezone) {
+        const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        const offsetAt = timestamp => {
+            const zoned = MessageScheduler.getZonedParts(timestamp, timezone);
+            const asUtc = Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second);
+            return asUtc - Math.floor(timestamp / 1000) * 1000;
+        };
+
+        // the offset at the guessed time may differ from the one at the result around DST changes
+        let timestamp = local - offsetAt(local);
+        timestamp = local - offsetAt(timestamp);
+        return timestamp;
+    }
+}
+
+module.exports = MessageScheduler;
@@ -0,0 +1,410 @@
+'use strict';
+
+const Util = require('./Util');
+const TokenBucket = require('./TokenBucket');
+const { Events } = require('./Constants');
+const OutboxStore = require('../structures/storage/OutboxStore');
+const { MessageMedia, Location, Poll, Contact } = require('../structures');
+
+/**
+ * Rate limit settings for a token bucket
+ * @typedef {Object} RateLimitOptions
+ * @property {number} capacity - Maximum number of messages that can be sent in a burst
+ * @property {number} refillRate - Number of messages per second the bucket recovers
+ */
+
+/**
+ * Persistent outbound message queue that rate limits Client.sendMessage.
+ * Content that cannot be persisted, like Buttons and List, is not queued and is sent right away.
+ * @param {Client} client
+ * @param {object} options - Outbox options
+ * @param {string|OutboxStore} [options.store='memory'] - Store used to persist queued messages. Either 'memory', 'file' or a custom OutboxStore instance
+ * @param {object} [options.storeOptions] - Options passed to the built-in store
+ * @param {RateLimitOptions} [options.global] - Rate limit applied across all chats
+ * @param {RateLimitOptions} [options.perChat] - Rate limit applied to each chat individually
+ * @param {number} [options.maxQueueSize=Infinity] - Maximum amount of queued messages before enqueue is rejected
+ */
+class Outbox {
+    constructor(client, options = {}) {
+        this.client = client;
+
+        this.options = {
+            store: 'memory',
+            storeOptions: {},
+            maxQueueSize: Infinity,
+            ...options,
+            global: { capacity: 20, refillRate: 1, ...options.global },
+            perChat: { capacity: 5, refillRate: 0.2, ...options.perChat }
+        };
+
+        /**
+         * Store used to persist the queue
+         * @type {OutboxStore}
+         */
+        this.store = typeof this.options.store === 'string'
+            ? OutboxStore.create(this.options.store, {
+                clientId: client.authStrategy && client.authStrategy.clientId,
+                ...this.options.storeOptions
+            })
+            : this.options.store;
+
+        /**
+         * Queued entries per chat
+         * @type {Map<string, Array<Object>>}
+         * @private
+         */
+        this._queues = new Map();
+
+        /**
+         * Promise callbacks of entries queued by this process
+         * @type {Map<string, {resolve: Function, reject: Function}>}
+         * @private
+         */
+        this._callbacks = new Map();
+
+        this._globalBucket = new TokenBucket(this.options.global);
+        this._chatBuckets = new Map();
+        this._cursor = 0;
+        this._running = false;
+        this._sending = null;
+        this._timer = null;
+    }
+
+    /**
+     * Number of messages currently queued
+     * @type {number}
+     */
+    get size() {
+        let size = 0;
+        for (const queue of this._queues.values()) size += queue.length;
+        return size;
+    }
+
+    /**
+     * Queues a message to be sent
+     * @param {string} chatId
+     * @param {string|MessageMedia|Location|Poll|Contact|Array<Contact>} content
+     * @param {MessageSendOptions} [options]
+     * @returns {Promise<Message>} Message that was sent once it leaves the queue
+     */
+    async enqueue(chatId, content, options = {}) {
+        if (this.size >= this.options.maxQueueSize) {
+            throw new Error('Outbox is full');
+        }
+
+        const entry = {
+            id: Util.generateHash(24),
+            chatId,
+            content: Outbox.serializeContent(content),
+            options: Outbox.serializeOptions(options),
+            createdAt: Date.now()
+        };
+
+        await this.store.save(entry);
+
+        const promise = new Promise((resolve, reject) => {
+            this._callbacks.set(entry.id, { resolve, reject });
+        });
+
+        this._push(entry);
+        this._schedule(0);
+
+        return promise;
+    }
+
+    /**
+     * Restores persisted entries and starts sending
+     * @returns {Promise<void>}
+     */
+    async start() {
+        const entries = await this.store.getAll();
+        const known = new Set(this.getQueued().map(entry => entry.id));
+
+        entries
+            .filter(entry => !known.has(entry.id))
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .forEach(entry => this._push(entry));
+
+        this._running = true;
+        this._schedule(0);
+    }
+
+    /**
+     * Stops sending. Queued messages are kept in the store.
+     */
+    stop() {
+        this._running = false;
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Returns the queued entries, optionally filtered by chat
+     * @param {string} [chatId]
+     * @returns {Array<Object>}
+     */
+    getQueued(chatId) {
+        if (chatId) return [...(this._queues.get(chatId) || [])];
+        return Array.from(this._queues.values()).flat();
+    }
+
+    /**
+     * Removes a queued message. Its promise will be rejected.
+     * @param {string} id - Entry ID
+     * @returns {Promise<boolean>} True if the entry was removed
+     */
+    async cancel(id) {
+        // a message that is already being sent can't be taken back
+        if (this._sending === id) return false;
+
+        const entry = this.getQueued().find(entry => entry.id === id);
+        if (!entry) return false;
+
+        this._remove(entry);
+        await this.store.delete(id);
+        this._settle(id, new Error('Message was removed from the outbox'));
+        return true;
+    }
+
+    _push(entry) {
+        if (!this._queues.has(entry.chatId)) this._queues.set(entry.chatId, []);
+        this._queues.get(entry.chatId).push(entry);
+    }
+
+    _remove(entry) {
+        const queue = this._queues.get(entry.chatId);
+        if (!queue) return;
+
+        const index = queue.findIndex(queued => queued.id === entry.id);
+        if (index !== -1) queue.splice(index, 1);
+        if (!queue.length) this._queues.delete(entry.chatId);
+    }
+
+    _getChatBucket(chatId) {
+        if (!this._chatBuckets.has(chatId)) {
+            this._chatBuckets.set(chatId, new TokenBucket(this.options.perChat));
+        }
+        return this._chatBuckets.get(chatId);
+    }
+
+    _schedule(delay) {
+        if (!this._running || this._sending) return;
+        if (this._timer) {
+            if (delay > 0) return;
+            clearTimeout(this._timer);
+        }
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._drain();
+        }, delay);
+    }
+
+    /**
+     * Picks the next sendable entry, rotating between chats so a single busy chat can't starve the others
+     * @returns {{entry: ?Object, wait: number}}
+     * @private
+     */
+    _next() {
+        // buckets of idle chats that have fully recovered carry no state worth keeping
+        for (const [chatId, bucket] of this._chatBuckets) {
+            if (!this._queues.has(chatId) && bucket.canConsume(bucket.capacity)) {
+                this._chatBuckets.delete(chatId);
+            }
+        }
+
+        const chatIds = Array.from(this._queues.keys());
+        if (!chatIds.length) return { entry: null, wait: Infinity };
+
+        const globalWait = this._globalBucket.getWaitTime();
+        if (globalWait > 0) return { entry: null, wait: globalWait };
+
+        let wait = Infinity;
+        for (let i = 0; i < chatIds.length; i++) {
+            const chatId = chatIds[(this._cursor + i) % chatIds.length];
+            const bucket = this._getChatBucket(chatId);
+            const chatWait = bucket.getWaitTime();
+
+            if (chatWait === 0) {
+                this._cursor = (this._cursor + i + 1) % chatIds.length;
+                this._globalBucket.tryConsume();
+                bucket.tryConsume();
+                return { entry: this._queues.get(chatId)[0], wait: 0 };
+            }
+            wait = Math.min(wait, chatWait);
+        }
+
+        return { entry: null, wait };
+    }
+
+    async _drain() {
+        if (!this._running || this._sending) return;
+
+        const { entry, wait } = this._next();
+        if (!entry) {
+            if (wait !== Infinity) this._schedule(wait);
+            return;
+        }
+
+        this._sending = entry.id;
+        let message, error;
+        try {
+            const content = await Outbox.restoreContent(this.client, entry.content);
+            const options = Outbox.deserializeOptions(entry.options);
+            message = await this.client._sendMessage(entry.chatId, content, options);
+        } catch (err) {
+            error = err;
+        }
+
+        this._remove(entry);
+        await this.store.delete(entry.id).catch(() => {});
+        this._sending = null;
+
+        if (error) {
+            /**
+             * Emitted when a queued message could not be sent
+             * @event Client#outbox_message_failed
+             * @param {Object} entry The outbox entry
+             * @param {Error} error The error that caused the failure
+             */
+            this.client.emit(Events.OUTBOX_MESSAGE_FAILED, entry, error);
+        } else {
+            /**
+             * Emitted when a queued message leaves the outbox
+             * @event Client#outbox_message_sent
+             * @param {Object} entry The outbox entry
+             * @param {Message} message The message that was sent
+             */
+            this.client.emit(Events.OUTBOX_MESSAGE_SENT, entry, message);
+        }
+        this._settle(entry.id, error, message);
+
+        this._schedule(0);
+    }
+
+    _settle(id, error, message) {
+        const callbacks = this._callbacks.get(id);
+        if (!callbacks) return;
+        this._callbacks.delete(id);
+        error ? callbacks.reject(error) : callbacks.resolve(message);
+    }
+
+
+    /**
+     * Converts message content into a JSON-safe object that can be persisted
+     * @param {string|MessageMedia|Location|Poll|Contact|Array<Contact>} content
+     * @returns {Object}
+     */
+    static serializeContent(content) {
+        if (typeof content === 'string') {
+            return { type: 'text', body: content };
+        } else if (content instanceof MessageMedia) {
+            return { type: 'media', media: { ...content } };
+        } else if (content instanceof Location) {
+            const { latitude, longitude, name, address, url } = content;
+            return { type: 'location', location: { latitude, longitude, name, address, url } };
+        } else if (content instanceof Poll) {
+            return {
+                type: 'poll',
+                poll: {
+                    pollName: content.pollName,
+                    pollOptions: content.pollOptions.map(option => option.name),
+                    options: content.options
+                }
+            };
+        } else if (content instanceof Contact) {
+            return { type: 'contact', id: content.id._serialized };
+        } else if (Array.isArray(content) && content.length > 0 && content[0] instanceof Contact) {
+            return { type: 'contacts', ids: content.map(contact => contact.id._serialized) };
+        }
+
+        throw new Error('Unsupported content type for the outbox');
+    }
+
+    /**
+     * Whether message content can be persisted, and so be queued in the outbox
+     * @param {*} content
+     * @returns {boolean}
+     */
+    static canSerialize(content) {
+        try {
+            Outbox.serializeContent(content);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Restores message content serialized with Outbox.serializeContent.
+     * Contacts require a client, use Outbox.restoreContent for them.
+     * @param {Object} content
+     * @returns {string|MessageMedia|Location|Poll}
+     */
+    static deserializeContent(content) {
+        switch (content.type) {
+        case 'text':
+            return content.body;
+        case 'media': {
+            const { mimetype, data, filename, filesize } = content.media;
+            return new MessageMedia(mimetype, data, filename, filesize);
+        }
+        case 'location': {
+            const { latitude, longitude, ...description } = content.location;
+            return new Location(latitude, longitude, description);
+        }
+        case 'poll':
+            return new Poll(content.poll.pollName, content.poll.pollOptions, content.poll.options);
+        default:
+            throw new Error(`Unsupported outbox content type: ${content.type}`);
+        }
+    }
+
+    /**
+     * Restores message content serialized with Outbox.serializeContent, including contacts
+     * @param {Client} client
+     * @param {Object} content
+     * @returns {Promise<string|MessageMedia|Location|Poll|Contact|Array<Contact>>}
+     */
+    static async restoreContent(client, content) {
+        if (content.type === 'contact') return client.getContactById(content.id);
+        if (content.type === 'contacts') return Promise.all(content.ids.map(id => client.getContactById(id)));
+        return Outbox.deserializeContent(content);
+    }
+
+    /**
+     * Converts send options into a JSON-safe object that can be persisted
+     * @param {MessageSendOptions} options
+     * @returns {Object}
+     */
+    static serializeOptions(options = {}) {
+        const serialized = { ...options };
+
+        if (serialized.mentions) {
+            serialized.mentions = [].concat(serialized.mentions)
+                .map(mention => mention instanceof Contact ? mention.id._serialized : mention);
+        }
+        if (serialized.media instanceof MessageMedia) {
+            serialized.media = { ...serialized.media };
+        }
+
+        return serialized;
+    }
+
+    /**
+     * Restores send options serialized with Outbox.serializeOptions
+     * @param {Object} options
+     * @returns {MessageSendOptions}
+     */
+    static deserializeOptions(options = {}) {
+        const deserialized = { ...options };
+
+        if (deserialized.media) {
+            const { mimetype, data, filename, filesize } = deserialized.media;
+            deserialized.media = new MessageMedia(mimetype, data, filename, filesize);
+        }
+
+        return deserialized;
+    }
+}
+
+module.exports = Outbox;
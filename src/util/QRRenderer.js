@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * Loads the optional qrcode package
+ * @private
+ */
+function loadQRCode() {
+    try {
+        return require('qrcode');
+    } catch {
+        throw new Error('Rendering QR codes requires the optional qrcode package. Install it with: npm install qrcode');
+    }
+}
+
+/**
+ * Options of the QR code images
+ * @typedef {Object} QRRenderOptions
+ * @property {number} [margin=4] - Quiet zone around the code, in modules
+ * @property {number} [scale=4] - Pixels per module, for PNG images
+ * @property {number} [width] - Width of the image in pixels, takes precedence over scale
+ * @property {string} [dark='#000000ff'] - Color of the dark modules, as RGBA hex
+ * @property {string} [light='#ffffffff'] - Color of the light modules, as RGBA hex
+ */
+
+/**
+ * Renders the QR codes of the login flow, to show them in a terminal or serve them as images.
+ * Requires the optional qrcode package.
+ * @example
+ * client.on('login_code', async ({ method, code }) => {
+ *     if (method === 'qr') console.log(await QRRenderer.toTerminal(code));
+ * });
+ */
+class QRRenderer {
+    constructor() {
+        throw new Error(`The ${this.constructor.name} class may not be instantiated.`);
+    }
+
+    /**
+     * Renders a QR code as text that can be printed in a terminal
+     * @param {string} qr - Content of the QR code, as emitted by the qr event
+     * @param {object} [options]
+     * @param {boolean} [options.small=true] - Use half blocks, so the code takes half the lines
+     * @returns {Promise<string>}
+     */
+    static toTerminal(qr, { small = true } = {}) {
+        return loadQRCode().toString(qr, { type: 'terminal', small, errorCorrectionLevel: 'L' });
+    }
+
+    /**
+     * Renders a QR code as an SVG document
+     * @param {string} qr
+     * @param {QRRenderOptions} [options]
+     * @returns {Promise<string>}
+     */
+    static toSVG(qr, options = {}) {
+        return loadQRCode().toString(qr, { ...QRRenderer._imageOptions(options), type: 'svg' });
+    }
+
+    /**
+     * Renders a QR code as a PNG image
+     * @param {string} qr
+     * @param {QRRenderOptions} [options]
+     * @returns {Promise<Buffer>}
+     */
+    static toPNG(qr, options = {}) {
+        return loadQRCode().toBuffer(qr, { ...QRRenderer._imageOptions(options), type: 'png' });
+    }
+
+    /**
+     * Renders a QR code as a PNG data URL, e.g. for the src of an img element
+     * @param {string} qr
+     * @param {QRRenderOptions} [options]
+     * @returns {Promise<string>}
+     */
+    static toDataURL(qr, options = {}) {
+        return loadQRCode().toDataURL(qr, { ...QRRenderer._imageOptions(options), type: 'image/png' });
+    }
+
+    /**
+     * Writes a QR code to a PNG or SVG file, depending on the extension of the path
+     * @param {string} filePath
+     * @param {string} qr
+     * @param {QRRenderOptions} [options]
+     * @returns {Promise<void>}
+     */
+    static toFile(filePath, qr, options = {}) {
+        return loadQRCode().toFile(filePath, qr, QRRenderer._imageOptions(options));
+    }
+
+    /**
+     * @private
+     */
+    static _imageOptions({ margin = 4, scale = 4, width, dark = '#000000ff', light = '#ffffffff' }) {
+        // WhatsApp codes are scanned from screens, the lowest error correction keeps the modules large
+        return { errorCorrectionLevel: 'L', margin, scale, width, color: { dark, light } };
+    }
+}
+
+module.exports = QRRenderer;
@@ -0,0 +1,188 @@
+'use strict';
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const { Events, WAState } = require('./Constants');
+
+/**
+ * Options set with withOptions() for the calls made inside of it
+ * @private
+ */
+const overrides = new AsyncLocalStorage();
+
+/**
+ * Error codes retried by default
+ * @private
+ */
+const DEFAULT_RETRY_ON = ['PAGE_CLOSED', 'RATE_LIMITED', 'MEDIA_DOWNLOAD_FAILED'];
+
+/**
+ * Information passed to the onRetry hook
+ * @typedef {Object} RetryInfo
+ * @property {Error} error - Error of the failed attempt
+ * @property {number} attempt - Number of the failed attempt, starting at 1
+ * @property {number} delay - Time in ms before the next attempt
+ */
+
+/**
+ * Retries page calls that failed for a transient reason, such as a reconnect or a browser restart.
+ * The policy is applied at the pupPage.evaluate boundary, so every Client and structure method benefits from it.
+ * Use Client.withRetry to change the options for a single call.
+ *
+ * Note that a retried call runs the page function again, so calls that were interrupted after WhatsApp
+ * received them may have an effect twice.
+ * @param {Client} client
+ * @param {object} options - Retry options
+ * @param {number} [options.attempts=3] - Attempts per call, including the first one. 1 disables retries
+ * @param {number} [options.minDelay=500] - Delay before the first retry in ms
+ * @param {number} [options.maxDelay=10000] - Longest delay between two attempts in ms
+ * @param {number} [options.factor=2] - Multiplier applied to the delay after every attempt
+ * @param {number} [options.jitter=0.2] - Random share of the delay added or removed, between 0 and 1
+ * @param {string[]|Function} [options.retryOn] - Error codes to retry, or (error) => boolean. Defaults to PAGE_CLOSED, RATE_LIMITED and MEDIA_DOWNLOAD_FAILED
+ * @param {boolean} [options.retryWhileDisconnected=true] - Also retry failed evaluations while the connection state is not CONNECTED
+ * @param {boolean} [options.waitForConnected=true] - Wait for the state to become CONNECTED before retrying
+ * @param {number} [options.connectedTimeout=30000] - Longest time to wait for CONNECTED in ms, the call is retried anyway afterwards
+ * @param {Function} [options.onRetry] - Called with a RetryInfo before every retry
+ */
+class RetryPolicy {
+    constructor(client, options = {}) {
+        this.client = client;
+
+        this.options = {
+            attempts: 3,
+            minDelay: 500,
+            maxDelay: 10000,
+            factor: 2,
+            jitter: 0.2,
+            retryOn: DEFAULT_RETRY_ON,
+            retryWhileDisconnected: true,
+            waitForConnected: true,
+            connectedTimeout: 30000,
+            onRetry: null,
+            ...options
+        };
+
+        /**
+         * Last connection state reported by WhatsApp Web, null until one is known
+         * @type {?WAState}
+         */
+        this.state = null;
+
+        client.on(Events.STATE_CHANGED, state => this.state = state);
+        client.on(Events.READY, () => this.state = WAState.CONNECTED);
+    }
+
+    /**
+     * Options that apply to calls made right now, including overrides from withOptions()
+     * @returns {object}
+     */
+    getOptions() {
+        return { ...this.options, ...overrides.getStore() };
+    }
+
+    /**
+     * Runs a function with different retry options for the page calls it makes
+     * @param {object} options - Options to override
+     * @param {Function} fn
+     * @returns {Promise<*>} Result of fn
+     */
+    withOptions(options, fn) {
+        return overrides.run({ ...overrides.getStore(), ...options }, fn);
+    }
+
+    /**
+     * Runs a call, retrying it while it fails with a retryable error
+     * @param {Function} call - Receives the attempt number and returns a promise
+     * @returns {Promise<*>}
+     */
+    async run(call) {
+        const options = this.getOptions();
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await call(attempt);
+            } catch (err) {
+                if (attempt >= options.attempts || !this.isRetryable(err, options)) throw err;
+
+                const delay = RetryPolicy.getDelay(attempt, options, err);
+                if (options.onRetry) {
+                    try {
+                        options.onRetry({ error: err, attempt, delay });
+                    } catch (hookErr) {
+                        console.error('[RetryPolicy] onRetry hook failed:', hookErr);
+                    }
+                }
+
+                await new Promise(resolve => setTimeout(resolve, delay));
+                if (options.waitForConnected) await this.waitForConnected(options.connectedTimeout);
+            }
+        }
+    }
+
+    /**
+     * Whether a failed call should be tried again
+     * @param {Error} err
+     * @param {object} [options]
+     * @returns {boolean}
+     */
+    isRetryable(err, options = this.getOptions()) {
+        if (typeof options.retryOn === 'function') return Boolean(options.retryOn(err));
+
+        const code = err && err.code;
+        if (options.retryOn.includes(code)) return true;
+
+        // evaluations fail while WhatsApp Web reconnects, e.g. in OPENING or TIMEOUT
+        return options.retryWhileDisconnected && code === 'EVALUATION_FAILED' && !this.isConnected();
+    }
+
+    /**
+     * Whether the client is connected, as far as known
+     * @returns {boolean}
+     */
+    isConnected() {
+        const { supervisor } = this.client;
+        if (supervisor && supervisor.restarting) return false;
+        return this.state === null || this.state === WAState.CONNECTED;
+    }
+
+    /**
+     * Resolves once the client is connected, or after the timeout
+     * @param {number} timeout - Time in ms
+     * @returns {Promise<boolean>} Whether the client is connected
+     */
+    waitForConnected(timeout) {
+        if (this.isConnected()) return Promise.resolve(true);
+
+        return new Promise(resolve => {
+            const events = [Events.STATE_CHANGED, Events.READY, Events.RESTARTED];
+            const done = connected => {
+                clearTimeout(timer);
+                events.forEach(event => this.client.removeListener(event, check));
+                resolve(connected);
+            };
+            const check = () => {
+                // listeners run in order, so let the state listener update first
+                setImmediate(() => this.isConnected() && done(true));
+            };
+            const timer = setTimeout(() => done(false), timeout);
+            events.forEach(event => this.client.on(event, check));
+        });
+    }
+
+    /**
+     * Delay before the next attempt, with exponential backoff and jitter.
+     * A RateLimitedError that says how long to wait is honored.
+     * @param {number} attempt - Number of the failed attempt, starting at 1
+     * @param {object} options
+     * @param {Error} [err]
+     * @returns {number} Delay in ms
+     */
+    static getDelay(attempt, options, err) {
+        let delay = Math.min(options.minDelay * options.factor ** (attempt - 1), options.maxDelay);
+        if (options.jitter) delay *= 1 - options.jitter + Math.random() * options.jitter * 2;
+        if (err && err.retryAfter) delay = Math.max(delay, err.retryAfter);
+        return Math.round(delay);
+    }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,180 @@
+'use strict';
+
+const Message = require('../structures/Message');
+const Chat = require('../structures/Chat');
+const Contact = require('../structures/Contact');
+const Call = require('../structures/Call');
+const GroupNotification = require('../structures/GroupNotification');
+const Reaction = require('../structures/Reaction');
+const MessageMedia = require('../structures/MessageMedia');
+
+const MAX_DEPTH = 5;
+
+/**
+ * Converts library structures into plain JSON with a fixed set of fields,
+ * so consumers outside of Node get the same shape no matter which WWeb version produced them
+ */
+class Serializer {
+    constructor() {
+        throw new Error(`The ${this.constructor.name} class may not be instantiated.`);
+    }
+
+    /**
+     * Serializes any value, picking known fields from library structures
+     * @param {*} value
+     * @returns {*} JSON-safe value
+     */
+    static serialize(value, depth = 0) {
+        if (value === null || value === undefined) return null;
+        if (typeof value !== 'object') return typeof value === 'function' ? undefined : value;
+        if (depth > MAX_DEPTH) return null;
+
+        if (value instanceof Message) return Serializer.message(value);
+        if (value instanceof Chat) return Serializer.chat(value);
+        if (value instanceof Contact) return Serializer.contact(value);
+        if (value instanceof Call) return Serializer.call(value);
+        if (value instanceof GroupNotification) return Serializer.groupNotification(value);
+        if (value instanceof Reaction) return Serializer.reaction(value);
+        if (value instanceof MessageMedia) return { mimetype: value.mimetype, data: value.data, filename: value.filename || null, filesize: value.filesize || null };
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value._serialized === 'string') return value._serialized;
+        if (Array.isArray(value)) return value.map(item => Serializer.serialize(item, depth + 1));
+
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            // skip back-references to the client and private data
+            if (key === 'client' || key.startsWith('_')) continue;
+            const serialized = Serializer.serialize(item, depth + 1);
+            if (serialized !== undefined) result[key] = serialized;
+        }
+        return result;
+    }
+
+    /**
+     * @param {Message} message
+     * @returns {Object}
+     */
+    static message(message) {
+        return {
+            id: message.id._serialized,
+            chatId: message.fromMe ? message.to : message.from,
+            from: message.from,
+            to: message.to,
+            author: message.author || null,
+            fromMe: Boolean(message.fromMe),
+            type: message.type,
+            body: message.body,
+            timestamp: message.timestamp,
+            ack: message.ack === undefined ? null : message.ack,
+            hasMedia: Boolean(message.hasMedia),
+            hasQuotedMsg: Boolean(message.hasQuotedMsg),
+            isForwarded: Boolean(message.isForwarded),
+            isStatus: Boolean(message.isStatus),
+            isEphemeral: Boolean(message.isEphemeral),
+            mentionedIds: (message.mentionedIds || []).map(id => typeof id === 'string' ? id : id._serialized),
+            location: message.location ? Serializer.serialize(message.location, MAX_DEPTH) : null,
+            vCards: message.vCards || [],
+            links: message.links || []
+        };
+    }
+
+    /**
+     * @param {Chat} chat
+     * @returns {Object}
+     */
+    static chat(chat) {
+        const result = {
+            id: chat.id._serialized,
+            name: chat.name,
+            isGroup: Boolean(chat.isGroup),
+            isReadOnly: Boolean(chat.isReadOnly),
+            unreadCount: chat.unreadCount || 0,
+            timestamp: chat.timestamp || null,
+            archived: Boolean(chat.archived),
+            pinned: Boolean(chat.pinned),
+            isMuted: Boolean(chat.isMuted),
+            muteExpiration: chat.muteExpiration || 0
+        };
+
+        if (chat.groupMetadata) {
+            result.owner = chat.groupMetadata.owner ? chat.groupMetadata.owner._serialized : null;
+            result.description = chat.groupMetadata.desc || null;
+            result.participants = (chat.groupMetadata.participants || []).map(participant => ({
+                id: participant.id._serialized,
+                isAdmin: Boolean(participant.isAdmin),
+                isSuperAdmin: Boolean(participant.isSuperAdmin)
+            }));
+        }
+
+        return result;
+    }
+
+    /**
+     * @param {Contact} contact
+     * @returns {Object}
+     */
+    static contact(contact) {
+        return {
+            id: contact.id._serialized,
+            number: contact.number || null,
+            name: contact.name || null,
+            pushname: contact.pushname || null,
+            isBusiness: Boolean(contact.isBusiness),
+            isGroup: Boolean(contact.isGroup),
+            isMyContact: Boolean(contact.isMyContact),
+            isBlocked: Boolean(contact.isBlocked)
+        };
+    }
+
+    /**
+     * @param {Call} call
+     * @returns {Object}
+     */
+    static call(call) {
+        return {
+            id: call.id,
+            from: call.from,
+            timestamp: call.timestamp,
+            isVideo: Boolean(call.isVideo),
+            isGroup: Boolean(call.isGroup),
+            fromMe: Boolean(call.fromMe),
+            participants: Serializer.serialize(call.participants || [], MAX_DEPTH - 1)
+        };
+    }
+
+    /**
+     * @param {GroupNotification} notification
+     * @returns {Object}
+     */
+    static groupNotification(notification) {
+        return {
+            id: notification.id._serialized,
+            chatId: notification.chatId,
+            type: notification.type,
+            body: notification.body,
+            timestamp: notification.timestamp,
+            author: notification.author || null,
+            recipientIds: notification.recipientIds || []
+        };
+    }
+
+    /**
+     * @param {Reaction} reaction
+     * @returns {Object}
+     */
+    static reaction(reaction) {
+        return {
+            id: reaction.id._serialized,
+            msgId: reaction.msgId._serialized,
+            chatId: typeof reaction.msgId.remote === 'object' ? reaction.msgId.remote._serialized : reaction.msgId.remote,
+            senderId: reaction.senderId,
+            reaction: reaction.reaction,
+            timestamp: reaction.timestamp,
+            ack: reaction.ack === undefined ? null : reaction.ack,
+            read: Boolean(reaction.read),
+            orphan: reaction.orphan || 0
+        };
+    }
+}
+
+module.exports = Serializer;
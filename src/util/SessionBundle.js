@@ -0,0 +1,128 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const SessionCrypto = require('./SessionCrypto');
+
+/**
+ * First bytes of a session bundle, followed by the length of the JSON header, the header and the payload
+ * @private
+ */
+const MAGIC = Buffer.from('WWEBJSSB');
+const FORMAT = 'wwebjs-session';
+const VERSION = 1;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Information stored in the header of a session bundle
+ * @typedef {Object} SessionBundleInfo
+ * @property {string} format - Always "wwebjs-session"
+ * @property {number} version - Version of the bundle format
+ * @property {string} createdAt - ISO date the bundle was created at
+ * @property {string} strategy - Name of the auth strategy the session was exported from
+ * @property {?string} clientId - Client id of the exported session
+ * @property {boolean} encrypted - Whether the payload is encrypted
+ * @property {string} checksum - SHA-256 checksum of the payload, in hex
+ */
+
+/**
+ * Portable, versioned session bundles, used to move an authenticated session between hosts and auth strategies.
+ * A bundle holds the packed session directory (see SessionCrypto.packDirectory), encrypted when a passphrase or key is given.
+ */
+class SessionBundle {
+    constructor() {
+        throw new Error(`The ${this.constructor.name} class may not be instantiated.`);
+    }
+
+    /**
+     * Creates a bundle from a packed session directory
+     * @param {Buffer} packed - Output of SessionCrypto.packDirectory
+     * @param {object} [options]
+     * @param {string} [options.strategy] - Name of the auth strategy the session comes from
+     * @param {string} [options.clientId] - Client id of the session
+     * @param {string} [options.passphrase] - Encrypts the bundle with a key derived from the passphrase
+     * @param {Buffer} [options.key] - Encrypts the bundle with a 32-byte key
+     * @returns {Promise<Buffer>}
+     */
+    static async create(packed, { strategy = null, clientId = null, passphrase, key } = {}) {
+        const secret = key || passphrase;
+        const payload = secret ? await SessionCrypto.encrypt(packed, secret) : packed;
+        const header = Buffer.from(JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            createdAt: new Date().toISOString(),
+            strategy,
+            clientId: clientId || null,
+            encrypted: Boolean(secret),
+            checksum: sha256(payload)
+        }));
+
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(header.length);
+        return Buffer.concat([MAGIC, length, header, payload]);
+    }
+
+    /**
+     * Reads the header of a bundle without checking or decrypting the payload
+     * @param {Buffer} bundle
+     * @returns {SessionBundleInfo}
+     */
+    static inspect(bundle) {
+        return SessionBundle._parse(bundle).info;
+    }
+
+    /**
+     * Verifies a bundle and returns its packed session directory
+     * @param {Buffer} bundle
+     * @param {object} [options]
+     * @param {string} [options.passphrase] - Passphrase of an encrypted bundle
+     * @param {Buffer} [options.key] - Key of an encrypted bundle
+     * @returns {Promise<{info: SessionBundleInfo, packed: Buffer}>}
+     */
+    static async read(bundle, { passphrase, key } = {}) {
+        const { info, payload } = SessionBundle._parse(bundle);
+        if (sha256(payload) !== info.checksum) throw new Error('The session bundle is corrupted, its checksum does not match.');
+
+        if (!info.encrypted) return { info, packed: payload };
+        if (!key && !passphrase) throw new Error('The session bundle is encrypted, a passphrase or key is required.');
+        return { info, packed: await SessionCrypto.decrypt(payload, key || passphrase) };
+    }
+
+    /**
+     * Moves a session from one auth strategy to another, e.g. from LocalAuth to RemoteAuth.
+     * Neither strategy may be in use by a running client.
+     * @param {BaseAuthStrategy} from - Strategy holding the session
+     * @param {BaseAuthStrategy} to - Strategy to import the session into
+     * @returns {Promise<SessionBundleInfo>} Header of the bundle that was moved
+     * @example
+     * const { LocalAuth, RemoteAuth, RemoteAuthStore, SessionBundle } = require('whatsapp-web.js');
+     * await SessionBundle.migrate(
+     *     new LocalAuth({ clientId: 'support' }),
+     *     new RemoteAuth({ clientId: 'support', store: RemoteAuthStore.create('s3', {...}), backupSyncIntervalMs: 300000 })
+     * );
+     */
+    static async migrate(from, to) {
+        // the bundle never leaves the process, so it does not need to be encrypted
+        const bundle = await from.exportSession();
+        await to.importSession(bundle);
+        return SessionBundle.inspect(bundle);
+    }
+
+    static _parse(bundle) {
+        if (!Buffer.isBuffer(bundle) || bundle.length < MAGIC.length + 4 || !bundle.subarray(0, MAGIC.length).equals(MAGIC)) {
+            throw new Error('The data is not a session bundle.');
+        }
+
+        const length = bundle.readUInt32BE(MAGIC.length);
+        const start = MAGIC.length + 4;
+        const info = JSON.parse(bundle.toString('utf-8', start, start + length));
+        if (info.format !== FORMAT || info.version > VERSION) {
+            throw new Error(`Unsupported session bundle version ${info.version}, please update the library.`);
+        }
+
+        return { info, payload: bundle.subarray(start + length) };
+    }
+}
+
+module.exports = SessionBundle;
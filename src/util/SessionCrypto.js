@@ -0,0 +1,261 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * First bytes of an encrypted session file, followed by the salt, the IV, the auth tag and the ciphertext
+ * @private
+ */
+const MAGIC = Buffer.from('WWEBJSENC1');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+
+/**
+ * Size of the chunks written when wiping a file
+ * @private
+ */
+const WIPE_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Encryption, packing and wiping of session directories.
+ * Sessions are packed into a single gzipped buffer and encrypted with AES-256-GCM,
+ * using either a 32-byte key or a key derived from a passphrase with scrypt.
+ */
+class SessionCrypto {
+    constructor() {
+        throw new Error(`The ${this.constructor.name} class may not be instantiated.`);
+    }
+
+    /**
+     * Turns a passphrase or a key into the AES key
+     * @param {string|Buffer} secret - Passphrase, or a 32-byte key that is used as it is
+     * @param {Buffer} salt
+     * @returns {Promise<Buffer>}
+     */
+    static async deriveKey(secret, salt) {
+        if (Buffer.isBuffer(secret)) {
+            if (secret.length !== KEY_LENGTH) throw new Error(`Session encryption keys must be ${KEY_LENGTH} bytes long.`);
+            return secret;
+        }
+        if (typeof secret !== 'string' || !secret) throw new Error('A passphrase or a key is required to encrypt sessions.');
+        return scrypt(secret, salt, KEY_LENGTH);
+    }
+
+    /**
+     * Encrypts data
+     * @param {Buffer} data
+     * @param {string|Buffer} secret - Passphrase or 32-byte key
+     * @returns {Promise<Buffer>}
+     */
+    static async encrypt(data, secret) {
+        const salt = crypto.randomBytes(SALT_LENGTH);
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const key = await SessionCrypto.deriveKey(secret, salt);
+
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+        return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), encrypted]);
+    }
+
+    /**
+     * Decrypts data encrypted with encrypt()
+     * @param {Buffer} buffer
+     * @param {string|Buffer} secret - Passphrase or 32-byte key
+     * @returns {Promise<Buffer>}
+     */
+    static async decrypt(buffer, secret) {
+        if (!SessionCrypto.isEncrypted(buffer)) throw new Error('The data is not an encrypted session.');
+
+        let offset = MAGIC.length;
+        const salt = buffer.subarray(offset, offset += SALT_LENGTH);
+        const iv = buffer.subarray(offset, offset += IV_LENGTH);
+        const tag = buffer.subarray(offset, offset += TAG_LENGTH);
+        const key = await SessionCrypto.deriveKey(secret, salt);
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAuthTag(tag);
+        try {
+            return Buffer.concat([decipher.update(buffer.subarray(offset)), decipher.final()]);
+        } catch {
+            throw new Error('The session could not be decrypted. The passphrase or key is wrong, or the data was modified.');
+        }
+    }
+
+    /**
+     * Whether a buffer holds data encrypted with encrypt()
+     * @param {Buffer} buffer
+     * @returns {boolean}
+     */
+    static isEncrypted(buffer) {
+        return buffer.length >= MAGIC.length + SALT_LENGTH + IV_LENGTH + TAG_LENGTH
+            && buffer.subarray(0, MAGIC.length).equals(MAGIC);
+    }
+
+    /**
+     * Packs the regular files of a directory into a gzipped buffer.
+     * Each file is stored as its relative path, mode and content; symlinks and sockets are skipped.
+     * @param {string} dir
+     * @param {string[]|Function} [exclude=[]] - Names of files and directories to leave out, at any depth,
+     * or (relativePath, isDirectory) => boolean returning true for the entries to leave out
+     * @returns {Promise<Buffer>}
+     */
+    static async packDirectory(dir, exclude = []) {
+        const parts = [];
+        const isExcluded = typeof exclude === 'function'
+            ? exclude
+            : relativePath => exclude.includes(path.posix.basename(relativePath));
+
+        const walk = async (current) => {
+            const entries = await fs.promises.readdir(current, { withFileTypes: true });
+            for (const entry of entries) {
+                const fullPath = path.join(current, entry.name);
+                const relativePath = path.relative(dir, fullPath).split(path.sep).join('/');
+                if (isExcluded(relativePath, entry.isDirectory())) continue;
+
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.isFile()) {
+                    // Chromium may delete files while the session is packed
+                    const [data, stats] = await Promise.all([fs.promises.readFile(fullPath), fs.promises.stat(fullPath)])
+                        .catch(err => err.code === 'ENOENT' ? [] : Promise.reject(err));
+                    if (!data) continue;
+
+                    const name = Buffer.from(relativePath);
+                    const header = Buffer.alloc(16);
+                    header.writeUInt32BE(name.length, 0);
+                    header.writeUInt32BE(stats.mode & 0o777, 4);
+                    header.writeUInt32BE(Math.floor(data.length / 2 ** 32), 8);
+                    header.writeUInt32BE(data.length % 2 ** 32, 12);
+                    parts.push(header, name, data);
+                }
+            }
+        };
+
+        await walk(dir);
+        return gzip(Buffer.concat(parts));
+    }
+
+    /**
+     * Unpacks a buffer made by packDirectory() into a directory
+     * @param {Buffer} buffer
+     * @param {string} dir
+     * @returns {Promise<number>} Number of files written
+     */
+    static async unpackDirectory(buffer, dir) {
+        const data = await gunzip(buffer);
+        const root = path.resolve(dir);
+        let offset = 0;
+        let count = 0;
+
+        while (offset < data.length) {
+            const nameLength = data.readUInt32BE(offset);
+            const mode = data.readUInt32BE(offset + 4);
+            const size = data.readUInt32BE(offset + 8) * 2 ** 32 + data.readUInt32BE(offset + 12);
+            offset += 16;
+            const name = data.toString('utf8', offset, offset += nameLength);
+            const content = data.subarray(offset, offset += size);
+
+            const filePath = path.resolve(root, name);
+            if (!filePath.startsWith(root + path.sep)) throw new Error(`Invalid path in session archive: ${name}`);
+
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+            await fs.promises.writeFile(filePath, content, { mode: mode || 0o600 });
+            count++;
+        }
+
+        return count;
+    }
+
+    /**
+     * Writes a file by writing a temporary file next to it and renaming it,
+     * so that readers see either the old or the new content
+     * @param {string} filePath
+     * @param {Buffer} data
+     */
+    static async writeFileAtomic(filePath, data) {
+        const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        const handle = await fs.promises.open(tmpPath, 'w', 0o600);
+        try {
+            await handle.writeFile(data);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        try {
+            await fs.promises.rename(tmpPath, filePath);
+        } catch (err) {
+            await fs.promises.unlink(tmpPath).catch(() => {});
+            throw err;
+        }
+    }
+
+    /**
+     * Overwrites every file of a directory with zeros before removing it.
+     * On copy-on-write filesystems and SSDs, old blocks may survive an overwrite; keep plaintext on tmpfs to avoid that.
+     * @param {string} dir
+     * @param {object} [options]
+     * @param {number} [options.maxRetries=4] - Retries for removing the directory
+     */
+    static async wipeDirectory(dir, { maxRetries = 4 } = {}) {
+        const wipe = async (current) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(current, { withFileTypes: true });
+            } catch (err) {
+                if (err.code === 'ENOENT') return;
+                throw err;
+            }
+
+            for (const entry of entries) {
+                const fullPath = path.join(current, entry.name);
+                if (entry.isDirectory()) {
+                    await wipe(fullPath);
+                } else if (entry.isFile()) {
+                    await SessionCrypto.wipeFile(fullPath);
+                }
+            }
+        };
+
+        await wipe(dir);
+        await fs.promises.rm(dir, { recursive: true, force: true, maxRetries });
+    }
+
+    /**
+     * Overwrites a file with zeros and removes it
+     * @param {string} filePath
+     */
+    static async wipeFile(filePath) {
+        let handle;
+        try {
+            handle = await fs.promises.open(filePath, 'r+');
+        } catch (err) {
+            if (err.code === 'ENOENT') return;
+            throw err;
+        }
+
+        try {
+            const { size } = await handle.stat();
+            const zeros = Buffer.alloc(Math.min(size, WIPE_CHUNK_SIZE));
+            for (let position = 0; position < size; position += zeros.length) {
+                await handle.write(zeros, 0, Math.min(zeros.length, size - position), position);
+            }
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.unlink(filePath).catch(() => {});
+    }
+}
+
+module.exports = SessionCrypto;
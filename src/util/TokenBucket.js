@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Token bucket rate limiter
+ * @param {object} options - options
+ * @param {number} options.capacity - Maximum number of tokens the bucket can hold (burst size)
+ * @param {number} options.refillRate - Number of tokens added to the bucket per second
+ */
+class TokenBucket {
+    constructor({ capacity, refillRate } = {}) {
+        if (!(capacity > 0)) throw new Error('Invalid capacity. Must be a positive number.');
+        if (!(refillRate > 0)) throw new Error('Invalid refillRate. Must be a positive number.');
+
+        this.capacity = capacity;
+        this.refillRate = refillRate;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+    }
+
+    /**
+     * Adds the tokens accumulated since the last refill
+     * @private
+     */
+    _refill() {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillRate);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Checks whether the given amount of tokens is available without consuming them
+     * @param {number} [count=1]
+     * @returns {boolean}
+     */
+    canConsume(count = 1) {
+        this._refill();
+        return this.tokens >= count;
+    }
+
+    /**
+     * Consumes tokens if they are available
+     * @param {number} [count=1]
+     * @returns {boolean} True if the tokens were consumed
+     */
+    tryConsume(count = 1) {
+        if (!this.canConsume(count)) return false;
+        this.tokens -= count;
+        return true;
+    }
+
+    /**
+     * Milliseconds until the given amount of tokens becomes available
+     * @param {number} [count=1]
+     * @returns {number}
+     */
+    getWaitTime(count = 1) {
+        this._refill();
+        if (this.tokens >= count) return 0;
+        return Math.ceil(((count - this.tokens) / this.refillRate) * 1000);
+    }
+}
+
+module.exports = TokenBucket;
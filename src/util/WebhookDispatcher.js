@@ -0,0 +1,374 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+const Util = require('./Util');
+const Serializer = require('./Serializer');
+const { Events } = require('./Constants');
+
+/**
+ * Names of the arguments of each event, used to build the payload data
+ * @private
+ */
+const EVENT_ARGS = {
+    [Events.MESSAGE_RECEIVED]: ['message'],
+    [Events.MESSAGE_CREATE]: ['message'],
+    [Events.MESSAGE_CIPHERTEXT]: ['message'],
+    [Events.MESSAGE_ACK]: ['message', 'ack'],
+    [Events.MESSAGE_EDIT]: ['message', 'newBody', 'prevBody'],
+    [Events.MESSAGE_REVOKED_EVERYONE]: ['message', 'revokedMessage'],
+    [Events.MESSAGE_REVOKED_ME]: ['message'],
+    [Events.MESSAGE_REACTION]: ['reaction'],
+    [Events.MEDIA_UPLOADED]: ['message'],
+    [Events.GROUP_JOIN]: ['notification'],
+    [Events.GROUP_LEAVE]: ['notification'],
+    [Events.GROUP_UPDATE]: ['notification'],
+    [Events.GROUP_ADMIN_CHANGED]: ['notification'],
+    [Events.GROUP_MEMBERSHIP_REQUEST]: ['notification'],
+    [Events.INCOMING_CALL]: ['call'],
+    [Events.CHAT_REMOVED]: ['chat'],
+    [Events.CHAT_ARCHIVED]: ['chat', 'currState', 'prevState'],
+    [Events.UNREAD_COUNT]: ['chat'],
+    [Events.CONTACT_CHANGED]: ['message', 'oldId', 'newId', 'isContact'],
+    [Events.STATE_CHANGED]: ['state'],
+    [Events.BATTERY_CHANGED]: ['batteryInfo'],
+    [Events.DISCONNECTED]: ['reason'],
+    [Events.VOTE_UPDATE]: ['vote'],
+    [Events.DRAFT_CHANGED]: ['chat', 'draft']
+};
+
+/**
+ * A webhook endpoint
+ * @typedef {Object} WebhookEndpoint
+ * @property {string} url - URL the events are POSTed to
+ * @property {string} [secret] - Key used to sign the payloads with HMAC-SHA256
+ * @property {string[]|string} [events='*'] - Events sent to this endpoint, '*' for all events that have a payload mapping
+ * @property {Function} [filter] - (event, ...args) => boolean, return false to skip an event
+ * @property {Object} [headers] - Extra request headers
+ */
+
+/**
+ * POSTs Client events as signed JSON to HTTP endpoints, retrying failed deliveries with exponential backoff.
+ * Deliveries that still fail end up in a dead-letter log.
+ *
+ * Each request carries these headers:
+ * - X-Webhook-Id: Delivery ID, the same across retries
+ * - X-Webhook-Event: Event name
+ * - X-Webhook-Timestamp: Unix time in seconds when the request was signed
+ * - X-Webhook-Signature: "sha256=" followed by the hex HMAC of "<timestamp>.<body>", when a secret is set
+ * @param {Client} client
+ * @param {object} options - Webhook options
+ * @param {Array<WebhookEndpoint>} [options.endpoints] - Endpoints to send events to
+ * @param {number} [options.maxRetries=5] - Retries per delivery before it is dead-lettered
+ * @param {number} [options.retryDelay=1000] - Delay before the first retry in ms, doubled on every retry
+ * @param {number} [options.maxRetryDelay=60000] - Longest delay between two retries in ms
+ * @param {number} [options.timeout=10000] - Request timeout in ms
+ * @param {number} [options.maxDeadLetters=1000] - Dead-lettered deliveries kept in memory
+ * @param {string} [options.deadLetterPath] - File that dead-lettered deliveries are appended to as JSON lines
+ */
+class WebhookDispatcher {
+    constructor(client, options = {}) {
+        this.client = client;
+
+        this.options = {
+            maxRetries: 5,
+            retryDelay: 1000,
+            maxRetryDelay: 60000,
+            timeout: 10000,
+            maxDeadLetters: 1000,
+            deadLetterPath: null,
+            ...options
+        };
+
+        /**
+         * Registered endpoints
+         * @type {Array<WebhookEndpoint>}
+         */
+        this.endpoints = [];
+
+        /**
+         * Deliveries that could not be made, oldest first
+         * @type {Array<Object>}
+         */
+        this.deadLetters = [];
+
+        this._listeners = new Map();
+        /**
+         * Resolvers of the retry backoffs in progress, by timer
+         * @type {Map<Object, Function>}
+         * @private
+         */
+        this._timers = new Map();
+        this._pending = new Set();
+
+        for (const endpoint of this.options.endpoints || []) {
+            this.addEndpoint(endpoint);
+        }
+    }
+
+    /**
+     * Number of deliveries that are in flight or waiting for a retry
+     * @type {number}
+     */
+    get pending() {
+        return this._pending.size;
+    }
+
+    /**
+     * Starts sending events to an endpoint
+     * @param {WebhookEndpoint} endpoint
+     */
+    addEndpoint(endpoint) {
+        if (!endpoint || !endpoint.url) throw new Error('Webhook endpoint requires a url');
+
+        this.endpoints.push({ events: '*', headers: {}, ...endpoint });
+        this._syncListeners();
+    }
+
+    /**
+     * Stops sending events to an endpoint
+     * @param {string} url
+     * @returns {boolean} True if the endpoint was registered
+     */
+    removeEndpoint(url) {
+        const count = this.endpoints.length;
+        this.endpoints = this.endpoints.filter(endpoint => endpoint.url !== url);
+        this._syncListeners();
+        return this.endpoints.length !== count;
+    }
+
+    /**
+     * Stops listening to events and cancels scheduled retries
+     */
+    stop() {
+        for (const [event, listener] of this._listeners) {
+            this.client.off(event, listener);
+        }
+        this._listeners.clear();
+
+        this._pending.clear();
+        // waiting deliveries find themselves no longer pending and are dead-lettered
+        for (const [timer, resolve] of this._timers) {
+            clearTimeout(timer);
+            resolve();
+        }
+        this._timers.clear();
+    }
+
+    /**
+     * Sends an event to every endpoint subscribed to it
+     * @param {string} event
+     * @param {...*} args - Event arguments
+     * @returns {Promise<void>} Resolves once every delivery succeeded or was dead-lettered
+     */
+    async dispatch(event, ...args) {
+        const endpoints = this.endpoints.filter(endpoint => WebhookDispatcher._isSubscribed(endpoint, event));
+        if (!endpoints.length) return;
+
+        const payload = WebhookDispatcher.createPayload(event, args);
+        await Promise.all(endpoints.map(async endpoint => {
+            try {
+                if (endpoint.filter && !await endpoint.filter(event, ...args)) return;
+            } catch (err) {
+                return;
+            }
+            return this._deliver({ id: Util.generateHash(24), endpoint, payload, attempts: 0 });
+        }));
+    }
+
+    /**
+     * Sends dead-lettered deliveries again. Deliveries that fail again go back to the dead-letter log.
+     * @param {Function} [filter] - (deadLetter) => boolean, selects the deliveries to retry
+     * @returns {Promise<number>} Number of deliveries that succeeded
+     */
+    async redeliver(filter = () => true) {
+        const selected = this.deadLetters.filter(filter);
+        this.deadLetters = this.deadLetters.filter(deadLetter => !selected.includes(deadLetter));
+
+        const results = await Promise.all(selected.map(deadLetter => {
+            const endpoint = this.endpoints.find(endpoint => endpoint.url === deadLetter.url) || { url: deadLetter.url, headers: {} };
+            return this._deliver({ id: deadLetter.id, endpoint, payload: deadLetter.payload, attempts: 0 });
+        }));
+        return results.filter(Boolean).length;
+    }
+
+    _syncListeners() {
+        const events = new Set();
+        for (const endpoint of this.endpoints) {
+            const subscribed = endpoint.events === '*' ? Object.keys(EVENT_ARGS) : [].concat(endpoint.events);
+            subscribed.forEach(event => events.add(event));
+        }
+
+        for (const [event, listener] of this._listeners) {
+            if (!events.has(event)) {
+                this.client.off(event, listener);
+                this._listeners.delete(event);
+            }
+        }
+        for (const event of events) {
+            if (this._listeners.has(event)) continue;
+            const listener = (...args) => {
+                this.dispatch(event, ...args)
+                    .catch(err => console.error(`[WebhookDispatcher] Could not dispatch ${event}:`, err));
+            };
+            this._listeners.set(event, listener);
+            this.client.on(event, listener);
+        }
+    }
+
+    /**
+     * Makes a delivery, retrying until it succeeds or runs out of attempts
+     * @returns {Promise<boolean>} True if the endpoint accepted the delivery
+     * @private
+     */
+    async _deliver(delivery) {
+        this._pending.add(delivery.id);
+
+        for (;;) {
+            let retryAfter = null;
+            let error;
+            try {
+                const res = await this._send(delivery);
+                if (res.ok) {
+                    this._pending.delete(delivery.id);
+                    return true;
+                }
+
+                error = `HTTP ${res.status}`;
+                // other client errors won't go away by retrying
+                if (res.status < 500 && res.status !== 408 && res.status !== 429) {
+                    return this._deadLetter(delivery, error);
+                }
+                const header = Number(res.headers.get('retry-after'));
+                if (header > 0) retryAfter = header * 1000;
+            } catch (err) {
+                error = err.message;
+            }
+
+            if (delivery.attempts >= this.options.maxRetries || !this._pending.has(delivery.id)) {
+                return this._deadLetter(delivery, error);
+            }
+
+            delivery.attempts++;
+            await this._wait(retryAfter || this._getRetryDelay(delivery.attempts));
+            // stop() was called while waiting
+            if (!this._pending.has(delivery.id)) return this._deadLetter(delivery, 'Dispatcher stopped');
+        }
+    }
+
+    _send(delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'whatsapp-web.js webhooks',
+            'X-Webhook-Id': delivery.id,
+            'X-Webhook-Event': delivery.payload.event,
+            'X-Webhook-Timestamp': String(timestamp),
+            ...delivery.endpoint.headers
+        };
+        if (delivery.endpoint.secret) {
+            headers['X-Webhook-Signature'] = `sha256=${WebhookDispatcher.sign(delivery.endpoint.secret, timestamp, body)}`;
+        }
+
+        return fetch(delivery.endpoint.url, {
+            method: 'POST',
+            headers,
+            body,
+            timeout: this.options.timeout
+        });
+    }
+
+    _getRetryDelay(attempt) {
+        const delay = Math.min(this.options.retryDelay * 2 ** (attempt - 1), this.options.maxRetryDelay);
+        // spread retries of deliveries that failed together
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    _wait(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this._timers.delete(timer);
+                resolve();
+            }, ms);
+            this._timers.set(timer, resolve);
+        });
+    }
+
+    _deadLetter(delivery, error) {
+        this._pending.delete(delivery.id);
+
+        const deadLetter = {
+            id: delivery.id,
+            url: delivery.endpoint.url,
+            event: delivery.payload.event,
+            payload: delivery.payload,
+            error,
+            attempts: delivery.attempts + 1,
+            failedAt: Date.now()
+        };
+
+        this.deadLetters.push(deadLetter);
+        if (this.deadLetters.length > this.options.maxDeadLetters) this.deadLetters.shift();
+
+        if (this.options.deadLetterPath) {
+            const file = path.resolve(this.options.deadLetterPath);
+            fs.promises.mkdir(path.dirname(file), { recursive: true })
+                .then(() => fs.promises.appendFile(file, JSON.stringify(deadLetter) + '\n'))
+                .catch(err => console.error('[WebhookDispatcher] Could not write dead letter:', err));
+        }
+
+        /**
+         * Emitted when a webhook delivery failed for good and was dead-lettered
+         * @event Client#webhook_failed
+         * @param {Object} deadLetter The failed delivery
+         */
+        this.client.emit(Events.WEBHOOK_FAILED, deadLetter);
+        return false;
+    }
+
+    static _isSubscribed(endpoint, event) {
+        if (endpoint.events === '*') return Object.prototype.hasOwnProperty.call(EVENT_ARGS, event);
+        return [].concat(endpoint.events).includes(event);
+    }
+
+    /**
+     * Builds the JSON payload of an event
+     * @param {string} event
+     * @param {Array} args - Event arguments
+     * @returns {{id: string, event: string, timestamp: number, data: Object}}
+     */
+    static createPayload(event, args) {
+        const names = EVENT_ARGS[event];
+        const data = {};
+        if (names) {
+            names.forEach((name, i) => { data[name] = Serializer.serialize(args[i]); });
+        } else {
+            data.args = args.map(arg => Serializer.serialize(arg));
+        }
+
+        return {
+            id: Util.generateHash(24),
+            event,
+            timestamp: Date.now(),
+            data
+        };
+    }
+
+    /**
+     * Computes the signature of a payload. Receivers should compare it with X-Webhook-Signature
+     * using a constant-time comparison and reject old timestamps.
+     * @param {string} secret
+     * @param {number|string} timestamp - Value of X-Webhook-Timestamp
+     * @param {string} body - Raw request body
+     * @returns {string} Hex encoded HMAC-SHA256
+     */
+    static sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+}
+
+module.exports = WebhookDispatcher;
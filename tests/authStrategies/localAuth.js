@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const LocalAuth = require('../../src/authStrategies/LocalAuth');
+const SessionCrypto = require('../../src/util/SessionCrypto');
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+function createClient() {
+    return { options: { puppeteer: {} } };
+}
+
+describe('LocalAuth encryption', function () {
+    let root, dataPath, workDir;
+
+    beforeEach(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'wwebjs-test-'));
+        dataPath = path.join(root, 'auth');
+        workDir = path.join(root, 'work');
+    });
+
+    afterEach(function () {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should encrypt, pack and wipe session directories', async function () {
+        const source = path.join(root, 'source');
+        fs.mkdirSync(path.join(source, 'Default', 'Cache'), { recursive: true });
+        fs.writeFileSync(path.join(source, 'Default', 'Cookies'), 'secret cookie');
+        fs.writeFileSync(path.join(source, 'Default', 'Cache', 'data_0'), 'cached');
+
+        const packed = await SessionCrypto.packDirectory(source, ['Cache']);
+        const encrypted = await SessionCrypto.encrypt(packed, 'correct horse');
+        expect(SessionCrypto.isEncrypted(encrypted)).to.equal(true);
+        expect(encrypted.includes('secret cookie')).to.equal(false);
+
+        await expect(SessionCrypto.decrypt(encrypted, 'wrong')).to.be.rejectedWith('could not be decrypted');
+        const target = path.join(root, 'target');
+        await SessionCrypto.unpackDirectory(await SessionCrypto.decrypt(encrypted, 'correct horse'), target);
+        expect(fs.readFileSync(path.join(target, 'Default', 'Cookies'), 'utf8')).to.equal('secret cookie');
+        expect(fs.existsSync(path.join(target, 'Default', 'Cache'))).to.equal(false);
+
+        await SessionCrypto.wipeDirectory(target);
+        expect(fs.existsSync(target)).to.equal(false);
+        await expect(SessionCrypto.encrypt(packed, Buffer.alloc(16))).to.be.rejectedWith('32 bytes');
+    });
+
+    it('should keep the session encrypted at rest and restore it', async function () {
+        expect(() => new LocalAuth({ encryption: {} })).to.throw('passphrase or a keyProvider');
+
+        const key = Buffer.alloc(32, 7);
+        const auth = new LocalAuth({ clientId: 'one', dataPath, encryption: { keyProvider: async () => key, workDir } });
+        auth.setup(createClient());
+        await auth.beforeBrowserInitialized();
+
+        const userDataDir = auth.client.options.puppeteer.userDataDir;
+        expect(userDataDir.startsWith(workDir)).to.equal(true);
+        fs.mkdirSync(path.join(userDataDir, 'Default'));
+        fs.writeFileSync(path.join(userDataDir, 'Default', 'Local State'), 'session data');
+
+        await auth.afterAuthReady();
+        const sessionFile = path.join(dataPath, 'session-one.enc');
+        expect(SessionCrypto.isEncrypted(fs.readFileSync(sessionFile))).to.equal(true);
+
+        // reinitializing keeps the working directory
+        await auth.beforeBrowserInitialized();
+        expect(auth.client.options.puppeteer.userDataDir).to.equal(userDataDir);
+
+        await auth.destroy();
+        expect(fs.existsSync(userDataDir)).to.equal(false);
+        expect(fs.readdirSync(dataPath)).to.eql(['session-one.enc']);
+
+        const restored = new LocalAuth({ clientId: 'one', dataPath, encryption: { keyProvider: async () => key, workDir } });
+        restored.setup(createClient());
+        await restored.beforeBrowserInitialized();
+        expect(fs.readFileSync(path.join(restored.userDataDir, 'Default', 'Local State'), 'utf8')).to.equal('session data');
+
+        await restored.logout();
+        expect(fs.existsSync(sessionFile)).to.equal(false);
+        expect(fs.existsSync(restored.userDataDir)).to.equal(false);
+    });
+
+    it('should reuse and wipe the working directory a crashed run left behind', async function () {
+        const key = Buffer.alloc(32, 7);
+        const auth = new LocalAuth({ clientId: 'one', dataPath, encryption: { keyProvider: async () => key, workDir, flushIntervalMs: 0 } });
+        auth.setup(createClient());
+        await auth.beforeBrowserInitialized();
+        fs.writeFileSync(path.join(auth.userDataDir, 'Preferences'), '{}');
+        await auth.afterAuthReady();
+        fs.writeFileSync(path.join(auth.userDataDir, 'Unsaved'), 'plaintext');
+
+        // the process dies without destroying the client
+        const restarted = new LocalAuth({ clientId: 'one', dataPath, encryption: { keyProvider: async () => key, workDir, flushIntervalMs: 0 } });
+        restarted.setup(createClient());
+        await restarted.beforeBrowserInitialized();
+
+        expect(restarted.userDataDir).to.equal(auth.userDataDir);
+        expect(fs.readdirSync(workDir)).to.eql(['wwebjs-session-one']);
+        expect(fs.readdirSync(restarted.userDataDir)).to.eql(['Preferences']);
+
+        await restarted.destroy();
+        expect(fs.readdirSync(workDir)).to.eql([]);
+    });
+
+    it('should encrypt an existing plain session and remove it', async function () {
+        const plainDir = path.join(dataPath, 'session');
+        fs.mkdirSync(plainDir, { recursive: true });
+        fs.writeFileSync(path.join(plainDir, 'Preferences'), '{}');
+
+        const auth = new LocalAuth({ dataPath, encryption: { passphrase: 'secret', workDir, flushIntervalMs: 0 } });
+        auth.setup(createClient());
+        await auth.beforeBrowserInitialized();
+
+        expect(fs.existsSync(plainDir)).to.equal(false);
+        expect(fs.existsSync(path.join(dataPath, 'session.enc'))).to.equal(true);
+        expect(fs.readFileSync(path.join(auth.userDataDir, 'Preferences'), 'utf8')).to.equal('{}');
+
+        await auth.destroy();
+    });
+});
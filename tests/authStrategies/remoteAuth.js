@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const RemoteAuth = require('../../src/authStrategies/RemoteAuth');
+const RemoteAuthStore = require('../../src/structures/storage/RemoteAuthStore');
+const { Events } = require('../../src/util/Constants');
+
+function createAuth(root, store) {
+    const client = new EventEmitter();
+    client.options = { puppeteer: {} };
+    const auth = new RemoteAuth({ clientId: 'one', dataPath: path.join(root, 'auth'), store, backupSyncIntervalMs: 60000 });
+    auth.setup(client);
+    return { auth, client };
+}
+
+describe('RemoteAuth incremental backups', function () {
+    let root, store;
+
+    beforeEach(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'wwebjs-test-'));
+        store = RemoteAuthStore.create('file', { dataPath: path.join(root, 'backups') });
+    });
+
+    afterEach(function () {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should back up the required files and restore them', async function () {
+        const { auth, client } = createAuth(root, store);
+        expect(auth.incremental).to.equal(true);
+        await auth.beforeBrowserInitialized();
+
+        const { userDataDir } = client.options.puppeteer;
+        fs.mkdirSync(path.join(userDataDir, 'Default', 'Local Storage'), { recursive: true });
+        fs.mkdirSync(path.join(userDataDir, 'Default', 'Cache'), { recursive: true });
+        fs.writeFileSync(path.join(userDataDir, 'Default', 'Local Storage', '000003.log'), 'keys');
+        fs.writeFileSync(path.join(userDataDir, 'Default', 'Cache', 'data_0'), 'cache');
+        fs.writeFileSync(path.join(userDataDir, 'Local State'), '{}');
+
+        const saved = sinon.spy();
+        client.on(Events.REMOTE_SESSION_SAVED, saved);
+        await auth.storeRemoteSession({ emit: true });
+        expect(saved.calledOnce).to.equal(true);
+        expect((await store.getManifest('RemoteAuth-one')).backups[0]).to.include({ type: 'snapshot', files: 1 });
+
+        const restored = createAuth(root, store);
+        await restored.auth.beforeBrowserInitialized();
+        expect(fs.readFileSync(path.join(userDataDir, 'Default', 'Local Storage', '000003.log'), 'utf8')).to.equal('keys');
+        expect(fs.existsSync(path.join(userDataDir, 'Default', 'Cache'))).to.equal(false);
+    });
+
+    it('should report failed restores and start a new session', async function () {
+        const { auth, client } = createAuth(root, store);
+        await auth.beforeBrowserInitialized();
+        fs.mkdirSync(path.join(client.options.puppeteer.userDataDir, 'Default', 'IndexedDB'), { recursive: true });
+        fs.writeFileSync(path.join(client.options.puppeteer.userDataDir, 'Default', 'IndexedDB', 'db'), 'data');
+        await auth.storeRemoteSession();
+
+        const [backup] = (await store.getManifest('RemoteAuth-one')).backups;
+        fs.writeFileSync(store._resolve(backup.key), '{}');
+
+        const restored = createAuth(root, store);
+        const failed = sinon.spy();
+        restored.client.on(Events.REMOTE_SESSION_RESTORE_FAILED, failed);
+        sinon.stub(console, 'error');
+        try {
+            await restored.auth.beforeBrowserInitialized();
+        } finally {
+            console.error.restore();
+        }
+
+        expect(failed.calledOnce).to.equal(true);
+        expect(failed.firstCall.args[0].message).to.include('Checksum mismatch');
+        expect(failed.firstCall.args[1]).to.eql({ session: 'RemoteAuth-one', backup, fallback: false });
+        expect(fs.readdirSync(restored.client.options.puppeteer.userDataDir)).to.eql([]);
+    });
+
+    it('should start from an empty profile when a restore fails halfway', async function () {
+        const { auth, client } = createAuth(root, store);
+        await auth.beforeBrowserInitialized();
+        fs.writeFileSync(path.join(client.options.puppeteer.userDataDir, 'Local State'), '{}');
+        await auth.storeRemoteSession();
+
+        const restored = createAuth(root, store);
+        sinon.stub(store, 'restoreSnapshot').callsFake(async ({ path: dir }) => {
+            fs.mkdirSync(path.join(dir, 'Default'), { recursive: true });
+            fs.writeFileSync(path.join(dir, 'Default', 'half'), 'written');
+            throw new Error('connection reset');
+        });
+        sinon.stub(console, 'error');
+        try {
+            await restored.auth.beforeBrowserInitialized();
+        } finally {
+            console.error.restore();
+        }
+
+        expect(fs.readdirSync(restored.client.options.puppeteer.userDataDir)).to.eql([]);
+    });
+});
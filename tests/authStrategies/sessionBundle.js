@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const LocalAuth = require('../../src/authStrategies/LocalAuth');
+const RemoteAuth = require('../../src/authStrategies/RemoteAuth');
+const NoAuth = require('../../src/authStrategies/NoAuth');
+const RemoteAuthStore = require('../../src/structures/storage/RemoteAuthStore');
+const SessionBundle = require('../../src/util/SessionBundle');
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('SessionBundle', function () {
+    let root;
+
+    beforeEach(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'wwebjs-test-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should export and import encrypted bundles', async function () {
+        const dataPath = path.join(root, 'auth');
+        const sessionDir = path.join(dataPath, 'session-one');
+        fs.mkdirSync(path.join(sessionDir, 'Default', 'Cache'), { recursive: true });
+        fs.writeFileSync(path.join(sessionDir, 'Default', 'Cookies'), 'cookie');
+        fs.writeFileSync(path.join(sessionDir, 'Default', 'Cache', 'data_0'), 'cache');
+
+        const bundle = await new LocalAuth({ clientId: 'one', dataPath }).exportSession({ passphrase: 'secret' });
+        expect(SessionBundle.inspect(bundle)).to.include({ format: 'wwebjs-session', version: 1, strategy: 'LocalAuth', clientId: 'one', encrypted: true });
+        expect(bundle.includes('cookie')).to.equal(false);
+
+        const target = new LocalAuth({ clientId: 'two', dataPath });
+        await expect(target.importSession(bundle)).to.be.rejectedWith('passphrase or key is required');
+        await expect(target.importSession(bundle, { passphrase: 'wrong' })).to.be.rejectedWith('could not be decrypted');
+
+        const corrupted = Buffer.from(bundle);
+        corrupted[corrupted.length - 1] ^= 1;
+        await expect(target.importSession(corrupted, { passphrase: 'secret' })).to.be.rejectedWith('checksum does not match');
+
+        await target.importSession(bundle, { passphrase: 'secret' });
+        expect(fs.readFileSync(path.join(dataPath, 'session-two', 'Default', 'Cookies'), 'utf8')).to.equal('cookie');
+        expect(fs.existsSync(path.join(dataPath, 'session-two', 'Default', 'Cache'))).to.equal(false);
+
+        await expect(new NoAuth().exportSession()).to.be.rejectedWith('NoAuth does not support exporting sessions');
+        await expect(SessionBundle.read(Buffer.from('nope'))).to.be.rejectedWith('not a session bundle');
+    });
+
+    it('should migrate sessions between LocalAuth and RemoteAuth', async function () {
+        const dataPath = path.join(root, 'auth');
+        fs.mkdirSync(path.join(dataPath, 'session', 'Default', 'IndexedDB'), { recursive: true });
+        fs.writeFileSync(path.join(dataPath, 'session', 'Default', 'IndexedDB', 'db'), 'keys');
+
+        const store = RemoteAuthStore.create('file', { dataPath: path.join(root, 'backups') });
+        const remoteAuth = new RemoteAuth({ clientId: 'cluster', dataPath: path.join(root, 'remote'), store, backupSyncIntervalMs: 60000 });
+        const info = await SessionBundle.migrate(new LocalAuth({ dataPath }), remoteAuth);
+        expect(info).to.include({ strategy: 'LocalAuth', encrypted: false });
+        expect(await store.sessionExists({ session: 'RemoteAuth-cluster' })).to.equal(true);
+
+        // back into an encrypted LocalAuth, read from the store
+        const encrypted = new LocalAuth({ clientId: 'back', dataPath, encryption: { passphrase: 'secret', workDir: path.join(root, 'work') } });
+        const fresh = new RemoteAuth({ clientId: 'cluster', dataPath: path.join(root, 'other'), store, backupSyncIntervalMs: 60000 });
+        await SessionBundle.migrate(fresh, encrypted);
+        expect(fs.existsSync(path.join(dataPath, 'session-back.enc'))).to.equal(true);
+
+        encrypted.setup({ options: { puppeteer: {} } });
+        await encrypted.beforeBrowserInitialized();
+        expect(fs.readFileSync(path.join(encrypted.userDataDir, 'Default', 'IndexedDB', 'db'), 'utf8')).to.equal('keys');
+        await encrypted.destroy();
+    });
+});
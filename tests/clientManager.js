@@ -0,0 +1,87 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const Client = require('../src/Client');
+const ClientManager = require('../src/ClientManager');
+const NoAuth = require('../src/authStrategies/NoAuth');
+const { Events, AccountStatus } = require('../src/util/Constants');
+
+describe('ClientManager', function () {
+    let manager, initializations;
+
+    beforeEach(function () {
+        initializations = [];
+        sinon.stub(Client.prototype, 'initialize').callsFake(function () {
+            return new Promise((resolve, reject) => initializations.push({ client: this, resolve, reject }));
+        });
+        sinon.stub(Client.prototype, 'destroy').resolves();
+        manager = new ClientManager({ authStrategy: () => new NoAuth(), shareBrowser: false, maxConcurrentInitializations: 2 });
+    });
+
+    afterEach(function () {
+        sinon.restore();
+    });
+
+    it('should limit concurrent initializations', async function () {
+        ['a', 'b', 'c'].forEach(id => manager.create(id));
+        expect(() => manager.create('a')).to.throw('already exists');
+
+        expect(initializations.map(({ client }) => client)).to.eql([manager.get('a'), manager.get('b')]);
+        expect(manager.getStatuses().map(state => state.status)).to.eql([AccountStatus.INITIALIZING, AccountStatus.INITIALIZING, AccountStatus.QUEUED]);
+
+        initializations[0].resolve();
+        await new Promise(resolve => setImmediate(resolve));
+        expect(initializations).to.have.lengthOf(3);
+        expect(manager.getStatus('c').status).to.equal(AccountStatus.INITIALIZING);
+
+        sinon.stub(console, 'error');
+        initializations[1].reject(new Error('launch failed'));
+        await new Promise(resolve => setImmediate(resolve));
+        console.error.restore();
+        expect(manager.getStatus('b')).to.include({ status: AccountStatus.FAILED });
+        expect(manager.getStatus('b').reason.message).to.equal('launch failed');
+    });
+
+    it('should track the status of every account', function () {
+        const changes = sinon.spy();
+        manager.on(Events.ACCOUNT_STATUS_CHANGED, changes);
+        const client = manager.create('sales');
+
+        client.emit(Events.QR_RECEIVED, 'qr-code');
+        expect(manager.getStatus('sales')).to.include({ status: AccountStatus.QR_PENDING, qr: 'qr-code' });
+
+        client.info = { wid: { _serialized: '111@c.us' } };
+        client.emit(Events.AUTHENTICATED);
+        client.emit(Events.READY);
+        expect(manager.getStatus('sales')).to.include({ status: AccountStatus.READY, qr: null, wid: '111@c.us' });
+
+        client.emit(Events.DISCONNECTED, 'NAVIGATION');
+        expect(manager.getStatus('sales')).to.include({ status: AccountStatus.DISCONNECTED, reason: 'NAVIGATION' });
+        expect(changes.lastCall.args[0]).to.equal('sales');
+        expect(changes.lastCall.args[2]).to.equal(AccountStatus.READY);
+    });
+
+    it('should re-emit client events with the account id', async function () {
+        const sales = manager.create('sales');
+        const support = manager.create('support');
+        expect(sales.listenerCount(Events.MESSAGE_RECEIVED)).to.equal(0);
+
+        const messages = sinon.spy();
+        manager.on(Events.MESSAGE_RECEIVED, messages);
+        sales.emit(Events.MESSAGE_RECEIVED, { body: 'hi' });
+        support.emit(Events.MESSAGE_RECEIVED, { body: 'hello' });
+        manager.create('late').emit(Events.MESSAGE_RECEIVED, { body: 'hey' });
+
+        expect(messages.args).to.eql([['sales', { body: 'hi' }], ['support', { body: 'hello' }], ['late', { body: 'hey' }]]);
+
+        initializations.forEach(({ resolve }) => resolve());
+        sales.pupBrowser = {};
+        expect(await manager.destroy('sales')).to.equal(true);
+        expect(Client.prototype.destroy.calledOn(sales)).to.equal(true);
+        expect(manager.has('sales')).to.equal(false);
+
+        sales.emit(Events.MESSAGE_RECEIVED, { body: 'gone' });
+        expect(messages.callCount).to.equal(3);
+        expect(await manager.destroy('sales')).to.equal(false);
+    });
+});
@@ -0,0 +1,490 @@
+const EventEmitter = require('events');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+
+const AIAssistant = require('../../src/structures/AIAssistant');
+const AIProvider = require('../../src/structures/providers/AIProvider');
+const PromptManager = require('../../src/structures/PromptManager');
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+/**
+ * Provider that streams the chunks set on the class
+ */
+class ScriptedProvider extends AIProvider {
+    async generateResponse() {
+        return { role: 'assistant', content: ScriptedProvider.chunks.join('') };
+    }
+
+    async *generateStream() {
+        for (const chunk of ScriptedProvider.chunks) {
+            if (chunk instanceof Error) throw chunk;
+            await new Promise(resolve => setTimeout(resolve, 500));
+            yield chunk;
+        }
+    }
+}
+AIProvider.registerProvider('scripted', ScriptedProvider);
+
+/**
+ * Provider that returns the responses set on the class, one per request
+ */
+class ToolCallingProvider extends AIProvider {
+    async generateResponse(systemPrompt, messages, options) {
+        ToolCallingProvider.requests.push({ messages: [...messages], tools: options.tools });
+        return ToolCallingProvider.responses.shift();
+    }
+}
+AIProvider.registerProvider('tool-calling', ToolCallingProvider);
+
+/**
+ * Provider that answers every question with the same text, and summaries with a numbered summary
+ */
+class MemoryProvider extends AIProvider {
+    async generateResponse(systemPrompt, messages) {
+        MemoryProvider.requests.push({ systemPrompt, messages });
+        if (systemPrompt.startsWith('You keep the memory')) {
+            if (MemoryProvider.failSummaries) throw new Error('provider down');
+            return { role: 'assistant', content: `summary ${++MemoryProvider.summaries}`, toolCalls: [] };
+        }
+        return { role: 'assistant', content: 'answer one two three', toolCalls: [] };
+    }
+}
+AIProvider.registerProvider('memory', MemoryProvider);
+
+describe('AIAssistant', function () {
+    let clock, client, chat, sent, assistant;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers();
+        sent = [];
+        chat = {
+            sendStateTyping: sinon.stub().resolves(true),
+            clearState: sinon.stub().resolves(true)
+        };
+        client = new EventEmitter();
+        client.getChatById = sinon.stub().resolves(chat);
+        client.sendMessage = sinon.spy(async (chatId, content) => {
+            const message = { chatId, content, edits: [] };
+            message.edit = sinon.spy(async text => message.edits.push(text));
+            sent.push(message);
+            return message;
+        });
+        assistant = new AIAssistant(client, { provider: 'scripted' });
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    describe('askStream', function () {
+        it('should edit a single message as the response grows', async function () {
+            ScriptedProvider.chunks = ['Hello', ' there', ', how', ' are', ' you?'];
+            const onChunk = sinon.spy();
+
+            const result = assistant.askStream('123@c.us', 'hi', { editInterval: 1000, onChunk });
+            await clock.tickAsync(3000);
+
+            expect(await result).to.equal('Hello there, how are you?');
+            expect(sent).to.have.length(1);
+            expect(sent[0].content).to.equal('Hello there');
+            expect(sent[0].edits).to.eql(['Hello there, how are', 'Hello there, how are you?']);
+            expect(onChunk.lastCall.args).to.eql([' you?', 'Hello there, how are you?']);
+            expect(chat.sendStateTyping.called).to.equal(true);
+            expect(chat.clearState.calledOnce).to.equal(true);
+
+            const thread = await assistant.createThread('123@c.us');
+            expect(thread._history.map(entry => entry.role)).to.eql(['user', 'assistant']);
+        });
+
+        it('should split the response into messages at sentence boundaries', async function () {
+            ScriptedProvider.chunks = ['First sentence. Sec', 'ond one! Third', ' and last'];
+
+            const result = assistant.askStream('123@c.us', 'hi', { delivery: 'split', minMessageLength: 10 });
+            await clock.tickAsync(1500);
+            await result;
+
+            expect(sent.map(message => message.content)).to.eql(['First sentence.', 'Second one!', 'Third and last']);
+            // typing is shown again after each message but the last
+            expect(chat.sendStateTyping.callCount).to.equal(3);
+        });
+
+        it('should send the fallback response when the stream fails before anything was sent', async function () {
+            ScriptedProvider.chunks = [new Error('provider down')];
+
+            const fallback = await assistant.askStream('123@c.us', 'hi', { fallbackResponse: 'Sorry, try again later.' });
+            expect(fallback).to.equal('Sorry, try again later.');
+            expect(sent.map(message => message.content)).to.eql(['Sorry, try again later.']);
+
+            await expect(assistant.askStream('123@c.us', 'hi')).to.be.rejectedWith('provider down');
+            expect(chat.clearState.callCount).to.equal(2);
+            expect(assistant.getStats().errors).to.equal(2);
+        });
+    });
+
+    describe('tool calls', function () {
+        beforeEach(function () {
+            clock.restore();
+            sinon.stub(console, 'error');
+            ToolCallingProvider.requests = [];
+            assistant = new AIAssistant(client, { provider: 'tool-calling', toolTimeout: 50 });
+        });
+
+        afterEach(function () {
+            console.error.restore();
+        });
+
+        it('should run parallel tool calls and send the results back with their ids', async function () {
+            const getWeather = sinon.stub().resolves({ temperature: 21 });
+            const getTime = sinon.stub().returns('12:00');
+            assistant.registerFunctions({
+                getWeather: {
+                    description: 'Get the weather',
+                    parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+                    handler: getWeather
+                },
+                getTime
+            });
+            ToolCallingProvider.responses = [
+                {
+                    content: '',
+                    toolCalls: [
+                        { id: 'call_1', name: 'getWeather', arguments: { city: 'Paris' } },
+                        { id: 'call_2', name: 'getTime', arguments: {} }
+                    ]
+                },
+                { content: 'It is 21 degrees at 12:00.', toolCalls: [] }
+            ];
+
+            expect(await assistant.ask('123@c.us', 'weather?')).to.equal('It is 21 degrees at 12:00.');
+
+            expect(getWeather.firstCall.args[0]).to.eql({ city: 'Paris' });
+            expect(getWeather.firstCall.args[1]).to.include({ chatId: '123@c.us', client });
+            expect(ToolCallingProvider.requests[0].tools.map(tool => tool.name)).to.eql(['getWeather', 'getTime']);
+            expect(ToolCallingProvider.requests[1].messages.slice(-3)).to.eql([
+                { role: 'assistant', content: '', toolCalls: ToolCallingProvider.requests[1].messages[1].toolCalls },
+                { role: 'tool', toolCallId: 'call_1', name: 'getWeather', content: '{"temperature":21}' },
+                { role: 'tool', toolCallId: 'call_2', name: 'getTime', content: '"12:00"' }
+            ]);
+
+            // only the question and the answer are kept
+            const thread = await assistant.createThread('123@c.us');
+            expect(thread._history).to.have.length(2);
+        });
+
+        it('should return invalid arguments, unknown tools and timeouts to the AI as errors', async function () {
+            const add = sinon.spy(({ a, b }) => a + b);
+            assistant.registerFunctions({
+                add: { handler: add, parameters: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] } },
+                slow: () => new Promise(() => {})
+            });
+            ToolCallingProvider.responses = [
+                {
+                    content: 'Let me check.',
+                    toolCalls: [
+                        { id: '1', name: 'add', arguments: { a: '1' } },
+                        { id: '2', name: 'missing', arguments: {} },
+                        { id: '3', name: 'slow', arguments: {} },
+                        { id: '4', name: 'add', arguments: '{not json' }
+                    ]
+                },
+                { content: 'Sorry.', toolCalls: [] }
+            ];
+
+            expect(await assistant.ask('123@c.us', 'add')).to.equal('Sorry.');
+            expect(add.called).to.equal(false);
+            const results = ToolCallingProvider.requests[1].messages.filter(msg => msg.role === 'tool').map(msg => JSON.parse(msg.content).error);
+            expect(results).to.eql([
+                'Invalid arguments: arguments.b is required; arguments.a must be of type number',
+                'Tool missing does not exist',
+                'Timed out after 50ms',
+                'The arguments are not valid JSON'
+            ]);
+        });
+
+        it('should stop after the maximum number of tool call rounds', async function () {
+            assistant.registerFunctions({ loop: () => 'again' });
+            const call = { content: '', toolCalls: [{ id: 'x', name: 'loop', arguments: {} }] };
+            ToolCallingProvider.responses = [call, call, call];
+
+            await expect(assistant.ask('123@c.us', 'go', { maxToolIterations: 2 })).to.be.rejectedWith('after 2 rounds');
+            expect(ToolCallingProvider.requests).to.have.length(3);
+            expect(() => assistant.registerFunctions({ 'bad name': () => {} })).to.throw('Invalid function name');
+        });
+
+        it('should convert tool calls to the format of each provider', function () {
+            const messages = [
+                { role: 'user', content: 'weather?' },
+                { role: 'assistant', content: '', toolCalls: [{ id: 'a', name: 'w', arguments: { city: 'Rome' } }, { id: 'b', name: 't', arguments: {} }] },
+                { role: 'tool', toolCallId: 'a', name: 'w', content: '{"c":20}' },
+                { role: 'tool', toolCallId: 'b', name: 't', content: '"noon"' }
+            ];
+
+            const openai = AIProvider.create('openai')._formatMessages('sys', messages);
+            expect(openai[2].tool_calls[0]).to.eql({ id: 'a', type: 'function', function: { name: 'w', arguments: '{"city":"Rome"}' } });
+            expect(openai[3]).to.eql({ role: 'tool', tool_call_id: 'a', content: '{"c":20}' });
+
+            const anthropic = AIProvider.create('anthropic')._formatMessages(messages);
+            expect(anthropic).to.have.length(3);
+            expect(anthropic[1].content[0]).to.eql({ type: 'tool_use', id: 'a', name: 'w', input: { city: 'Rome' } });
+            expect(anthropic[2].content.map(block => block.tool_use_id)).to.eql(['a', 'b']);
+
+            const google = AIProvider.create('google')._formatMessages('sys', messages);
+            expect(google[2].parts[0]).to.eql({ functionCall: { name: 'w', args: { city: 'Rome' } } });
+            expect(google[3]).to.eql({
+                role: 'function',
+                parts: [
+                    { functionResponse: { name: 'w', response: { result: { c: 20 } } } },
+                    { functionResponse: { name: 't', response: { result: 'noon' } } }
+                ]
+            });
+        });
+    });
+
+    describe('memory', function () {
+        beforeEach(function () {
+            clock.restore();
+            sinon.stub(console, 'error');
+            MemoryProvider.requests = [];
+            MemoryProvider.summaries = 0;
+            MemoryProvider.failSummaries = false;
+            // one token per word, and 4 per message
+            assistant = new AIAssistant(client, {
+                provider: 'memory',
+                tokenCounter: text => text.split(' ').length,
+                maxHistoryTokens: 30
+            });
+        });
+
+        afterEach(function () {
+            console.error.restore();
+        });
+
+        it('should evict the oldest turns over the token budget and summarize them', async function () {
+            const thread = await assistant.createThread('123@c.us');
+            await thread.ask('question one two three');
+            expect(MemoryProvider.requests).to.have.length(1);
+
+            await thread.ask('question four five six');
+            expect(thread._history.map(message => message.content)).to.eql(['question four five six', 'answer one two three']);
+            expect(thread.summary).to.equal('summary 1');
+            expect(MemoryProvider.requests[2].messages[0].content).to.include('User: question one two three\nAssistant: answer one two three');
+
+            thread.addContext('name', 'Ana');
+            await thread.ask('question seven');
+            expect(MemoryProvider.requests[3].systemPrompt).to.include('- name: Ana').and.include('Summary of the earlier conversation: summary 1');
+            expect(MemoryProvider.requests[4].messages[0].content).to.include('Pinned facts:\n- name: Ana').and.include('Current summary: summary 1');
+            expect(thread.summary).to.equal('summary 2');
+            expect(thread.getMemoryUsage()).to.eql({ budget: 30, history: 14, summary: 2, context: 3 });
+
+            // the summary and the memory options are saved with the thread
+            const saved = await assistant._storage.getThread('123@c.us');
+            expect(saved).to.include({ summary: 'summary 2' });
+        });
+
+        it('should use the budget of the chat and always keep the last message', async function () {
+            const thread = await assistant.createThread('123@c.us');
+            await thread.setMemoryOptions({ maxTokens: 5, summarize: false });
+            expect(thread.getMemoryOptions()).to.eql({ maxTokens: 5, summarize: false, summaryMaxTokens: 300 });
+
+            await thread.ask('a question longer than the budget');
+            expect(thread._history.map(message => message.role)).to.eql(['assistant']);
+            expect(MemoryProvider.requests[0].messages).to.eql([{ role: 'user', content: 'a question longer than the budget' }]);
+            expect(thread.summary).to.equal('');
+
+            await thread.setMemoryOptions({ summarize: true });
+            MemoryProvider.failSummaries = true;
+            await thread.ask('hi');
+            expect(thread.summary).to.equal('');
+            expect(console.error.firstCall.args[0]).to.equal('[Thread] Failed to summarize the conversation:');
+
+            const saved = await assistant._storage.getThread('123@c.us');
+            expect(saved.memory).to.eql({ maxTokens: 5, summarize: true });
+        });
+    });
+
+    describe('prompts', function () {
+        beforeEach(function () {
+            MemoryProvider.requests = [];
+            chat.name = 'Team';
+            client.getContactById = sinon.stub().resolves({ pushname: 'Ana' });
+            client.getChatLabels = sinon.stub().resolves([]);
+            client.getChatLabels.withArgs('2@c.us').resolves([{ id: '5', name: 'VIP' }]);
+        });
+
+        it('should pick the prompt of the chat, group, label or the default one and fill in its variables', async function () {
+            assistant = new AIAssistant(client, {
+                provider: 'memory',
+                systemPrompt: 'You help {{contactName}} in {{ locale }}. {{unknown}}',
+                prompts: {
+                    locale: 'fr',
+                    chats: { '1@c.us': 'Special' },
+                    groups: 'Group {{chatName}}',
+                    labels: { VIP: 'VIP {{tier}}' },
+                    variables: async () => ({ tier: 'gold' })
+                }
+            });
+
+            expect(await assistant.prompts.resolve('3@c.us')).to.eql({ text: 'You help Ana in fr. {{unknown}}', source: 'default', template: null });
+            expect(await assistant.prompts.resolve('1@c.us')).to.include({ text: 'Special', source: 'chat' });
+            expect(await assistant.prompts.resolve('123@g.us')).to.include({ text: 'Group Team', source: 'group' });
+            expect(await assistant.prompts.resolve('2@c.us')).to.include({ text: 'VIP gold', source: 'label' });
+
+            assistant.prompts.setForLabel('VIP', null);
+            expect(await assistant.prompts.resolve('2@c.us')).to.include({ source: 'default' });
+
+            const thread = await assistant.createThread('3@c.us');
+            thread.addContext('plan', { name: 'pro' });
+            await thread.ask('hi');
+            expect(MemoryProvider.requests[0].systemPrompt).to.equal(
+                'You help Ana in fr. {{unknown}}\n\nKnown facts about this conversation:\n- plan: {"name":"pro"}'
+            );
+        });
+
+        it('should fill in the business hours in their timezone', async function () {
+            assistant = new AIAssistant(client, {
+                provider: 'memory',
+                systemPrompt: 'We are {{businessStatus}}. Hours: {{businessHours}}',
+                prompts: { timezone: 'Europe/Paris', businessHours: { days: [1, 2, 3, 4, 5, 6], open: '09:00', close: '17:00' } }
+            });
+
+            // Monday 8 January 2024, 8:30 UTC is 9:30 in Paris
+            clock.setSystemTime(Date.UTC(2024, 0, 8, 8, 30));
+            expect((await assistant.prompts.resolve('3@c.us')).text).to.equal('We are open. Hours: Monday–Saturday 09:00–17:00 (Europe/Paris)');
+            clock.setSystemTime(Date.UTC(2024, 0, 7, 10, 0));
+            expect(assistant.prompts.isOpen()).to.equal(false);
+
+            assistant.prompts.options.businessHours = { days: [1, 2, 5] };
+            expect(assistant.prompts.describeBusinessHours()).to.equal('Monday, Tuesday, Friday 09:00–17:00 (Europe/Paris)');
+        });
+
+        it('should roll template versions out to a share of the chats and roll them back', async function () {
+            assistant = new AIAssistant(client, { provider: 'memory' });
+            const prompts = assistant.prompts;
+            await prompts.defineTemplate('support', 'v1 for {{contactName}}');
+            await prompts.defineTemplate('support', 'v2 for {{contactName}}', { description: 'Shorter answers' });
+            prompts.setDefault({ template: 'support' });
+
+            const ids = Array.from({ length: 50 }, (_, i) => `${i}@c.us`);
+            const early = ids.find(id => PromptManager._bucket(id) < 30);
+            const late = ids.find(id => PromptManager._bucket(id) >= 30);
+            const versions = async () => [
+                (await prompts.resolve(early)).template.version,
+                (await prompts.resolve(late)).template.version
+            ];
+
+            expect(await prompts.resolve(early)).to.eql({ text: 'v1 for Ana', source: 'default', template: { name: 'support', version: 1 } });
+            await prompts.rollout('support', 2, { percentage: 30 });
+            expect(await versions()).to.eql([2, 1]);
+            await prompts.rollback('support');
+            expect(await versions()).to.eql([1, 1]);
+
+            await prompts.rollout('support');
+            expect(await versions()).to.eql([2, 2]);
+            prompts.setForChat(late, { template: 'support', version: 1 });
+            expect(await versions()).to.eql([2, 1]);
+
+            await prompts.rollback('support');
+            expect(await versions()).to.eql([1, 1]);
+            await expect(prompts.rollback('support')).to.be.rejectedWith('no earlier version');
+            await expect(prompts.rollout('support', 3)).to.be.rejectedWith('has no version 3');
+
+            const [saved] = await assistant._storage.getPromptTemplates();
+            expect(saved).to.include({ name: 'support', active: 1, candidate: null });
+            expect(saved.versions.map(version => version.description)).to.eql([undefined, 'Shorter answers']);
+        });
+    });
+
+    describe('WhatsApp tools', function () {
+        beforeEach(function () {
+            clock.restore();
+            sinon.stub(console, 'error');
+            ToolCallingProvider.requests = [];
+            chat.isGroup = true;
+            chat.participants = [{ id: { _serialized: '1@c.us' }, isAdmin: true, isSuperAdmin: false }];
+            client.getLabels = sinon.stub().resolves([{ id: '1', name: 'New customer' }, { id: '2', name: 'Paid' }]);
+            client.getChatLabels = sinon.stub().resolves([{ id: '1', name: 'New customer' }]);
+            client.addOrRemoveLabels = sinon.stub().resolves();
+            client.getContactById = sinon.stub().resolves({
+                id: { _serialized: '2@c.us' },
+                getAbout: sinon.stub().resolves('Busy'),
+                getProfilePicUrl: sinon.stub().rejects(new Error('no picture'))
+            });
+        });
+
+        afterEach(function () {
+            console.error.restore();
+        });
+
+        it('should only offer the allowed tools, per chat', async function () {
+            assistant = new AIAssistant(client, {
+                provider: 'tool-calling',
+                whatsappTools: {
+                    allow: ['send_poll', 'add_labels', 'request_handoff'],
+                    permissions: { 'group@g.us': ['send_poll'] }
+                }
+            });
+            ToolCallingProvider.responses = [
+                { content: '', toolCalls: [{ id: '1', name: 'add_labels', arguments: { labels: ['paid'] } }] },
+                { content: 'Done', toolCalls: [] }
+            ];
+
+            await assistant.ask('group@g.us', 'label me');
+            expect(ToolCallingProvider.requests[0].tools.map(tool => tool.name)).to.eql(['send_poll']);
+            expect(JSON.parse(ToolCallingProvider.requests[1].messages.pop().content)).to.eql({
+                error: 'Tool add_labels is not available in this chat'
+            });
+            expect(client.addOrRemoveLabels.called).to.equal(false);
+
+            assistant.useWhatsAppTools({ allow: ['list_group_participants'], permissions: () => false });
+            ToolCallingProvider.requests = [];
+            ToolCallingProvider.responses = [{ content: 'No tools', toolCalls: [] }];
+            await assistant.ask('group@g.us', 'hi');
+            expect(ToolCallingProvider.requests[0].tools).to.equal(undefined);
+
+            expect(() => assistant.useWhatsAppTools({ allow: ['delete_chat'] })).to.throw('Unknown WhatsApp tools: delete_chat');
+        });
+
+        it('should act on the current chat with the client', async function () {
+            assistant = new AIAssistant(client, { provider: 'tool-calling', whatsappTools: {} });
+            ToolCallingProvider.responses = [
+                {
+                    content: '',
+                    toolCalls: [
+                        { id: '1', name: 'add_labels', arguments: { labels: ['paid'] } },
+                        { id: '2', name: 'list_group_participants', arguments: {} },
+                        { id: '3', name: 'get_contact_info', arguments: { contactId: '2@c.us' } },
+                        { id: '4', name: 'request_handoff', arguments: { reason: 'Refund' } }
+                    ]
+                },
+                { content: 'A colleague will take over.', toolCalls: [] }
+            ];
+            await assistant.ask('group@g.us', 'refund please');
+
+            const results = ToolCallingProvider.requests[1].messages.filter(msg => msg.role === 'tool').map(msg => JSON.parse(msg.content));
+            expect(client.addOrRemoveLabels.args).to.eql([[['1', '2'], ['group@g.us']]]);
+            expect(results[0]).to.eql({ labels: ['New customer', 'Paid'] });
+            expect(results[1].participants).to.eql([{ id: '1@c.us', isAdmin: true, isSuperAdmin: false }]);
+            expect(results[2]).to.eql({ error: 'Only the contact of this chat, or members of this group, can be looked up' });
+            expect(results[3]).to.eql({ handedOff: true });
+            expect(assistant.isInHumanMode('group@g.us')).to.equal(true);
+            expect(ToolCallingProvider.requests[0].tools).to.have.length(9);
+        });
+
+        it('should remove a reaction when asked to react with an empty string', async function () {
+            const message = { id: { remote: 'group@g.us', _serialized: 'true_group@g.us_1' }, react: sinon.stub().resolves() };
+            client.getMessageById = sinon.stub().resolves(message);
+            assistant = new AIAssistant(client, { provider: 'tool-calling', whatsappTools: { allow: ['react_to_message'] } });
+            ToolCallingProvider.responses = [
+                { content: '', toolCalls: [{ id: '1', name: 'react_to_message', arguments: { emoji: '', messageId: 'true_group@g.us_1' } }] },
+                { content: 'Removed', toolCalls: [] }
+            ];
+
+            await assistant.ask('group@g.us', 'remove your reaction');
+            expect(message.react.calledOnceWith('')).to.equal(true);
+            expect(JSON.parse(ToolCallingProvider.requests[1].messages.pop().content)).to.eql({ reacted: true, messageId: 'true_group@g.us_1' });
+        });
+    });
+});
@@ -182,7 +182,23 @@ describe('Chat', function () {
             expect(chat.muteExpiration).to.equal(0);
         });
     });
-  
+
+    describe('Drafts', function () {
+        it('can set a draft', async function () {
+            const draft = await chat.setDraft('draft from the bot', { mentions: [remoteId] });
+            expect(draft.text).to.equal('draft from the bot');
+            expect(draft.mentions).to.eql([remoteId]);
+
+            const stored = await chat.getDraft();
+            expect(stored.text).to.equal('draft from the bot');
+        });
+
+        it('can clear a draft', async function () {
+            await chat.clearDraft();
+            expect(await chat.getDraft()).to.equal(null);
+        });
+    });
+
     // eslint-disable-next-line mocha/no-skipped-tests
     describe.skip('Destructive operations', function () {
         it('can clear all messages from chat', async function () { 
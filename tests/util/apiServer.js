@@ -0,0 +1,244 @@
+const http = require('http');
+const EventEmitter = require('events');
+const fetch = require('node-fetch');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const ApiServer = require('../../src/util/ApiServer');
+const ChatFactory = require('../../src/factories/ChatFactory');
+const Message = require('../../src/structures/Message');
+const MessageMedia = require('../../src/structures/MessageMedia');
+const { ChatNotFoundError } = require('../../src/util/Errors');
+const { Events, MessageTypes } = require('../../src/util/Constants');
+
+const wid = user => ({ server: 'c.us', user, _serialized: `${user}@c.us` });
+
+function createClient() {
+    const client = new EventEmitter();
+    const chats = [
+        ChatFactory.create(client, { id: wid('222'), formattedTitle: 'Alice', isGroup: false, unreadCount: 2, t: 1700000000 }),
+        ChatFactory.create(client, {
+            id: { server: 'g.us', user: '123-456', _serialized: '123-456@g.us' },
+            formattedTitle: 'Team',
+            isGroup: true,
+            groupMetadata: {
+                owner: wid('111'),
+                desc: 'Our group',
+                participants: [{ id: wid('111'), isAdmin: true, isSuperAdmin: true }, { id: wid('222'), isAdmin: false, isSuperAdmin: false }]
+            }
+        })
+    ];
+
+    client.getChats = sinon.stub().resolves(chats);
+    client.getChatById = sinon.spy(async chatId => {
+        const chat = chats.find(chat => chat.id._serialized === chatId);
+        if (!chat) throw new ChatNotFoundError(`Chat not found: ${chatId}`, { chatId });
+        return chat;
+    });
+    client.sendMessage = sinon.spy(async (chatId, content) => new Message(client, {
+        id: { id: 'ABCDEF', remote: chatId, fromMe: true, _serialized: `true_${chatId}_ABCDEF` },
+        type: typeof content === 'string' ? MessageTypes.TEXT : MessageTypes.IMAGE,
+        body: typeof content === 'string' ? content : '',
+        from: '111@c.us',
+        to: chatId,
+        t: 1700000000
+    }));
+    client.getState = sinon.stub().resolves('CONNECTED');
+    client.requestPairingCode = sinon.stub().resolves('ABCD1234');
+    client.pupPage = {};
+    return { client, chats };
+}
+
+describe('ApiServer', function () {
+    let client, chats, api, baseUrl;
+
+    const request = (path, { method = 'GET', body, key = 'secret' } = {}) => fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(key ? { Authorization: `Bearer ${key}` } : {}) },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    beforeEach(async function () {
+        ({ client, chats } = createClient());
+        api = new ApiServer(client, { apiKey: 'secret', port: 0, basePath: '/api' });
+        const { port } = await api.listen();
+        baseUrl = `http://127.0.0.1:${port}/api`;
+    });
+
+    afterEach(async function () {
+        await api.close();
+    });
+
+    it('should require an API key', async function () {
+        expect(() => new ApiServer(client)).to.throw('requires an apiKey');
+
+        expect((await request('/status', { key: null })).status).to.equal(401);
+        expect((await request('/status', { key: 'wrong' })).status).to.equal(401);
+
+        const res = await fetch(`${baseUrl}/status`, { headers: { 'X-API-Key': 'secret' } });
+        expect(res.status).to.equal(200);
+    });
+
+    it('should report the QR and authentication state', async function () {
+        client.emit(Events.QR_RECEIVED, 'qr-data');
+        let status = await (await request('/status')).json();
+        expect(status).to.include({ status: 'QR', qr: 'qr-data', state: null });
+
+        const res = await request('/pairing-code', { method: 'POST', body: { phoneNumber: '12025550108' } });
+        expect(await res.json()).to.eql({ code: 'ABCD1234' });
+        expect(client.requestPairingCode.calledWith('12025550108', true)).to.equal(true);
+
+        expect((await request('/chats')).status).to.equal(503);
+
+        client.info = { wid: wid('111'), pushname: 'Bot', platform: 'android' };
+        client.emit(Events.AUTHENTICATED);
+        client.emit(Events.READY);
+        status = await (await request('/status')).json();
+        expect(status).to.include({ status: 'READY', qr: null, pairingCode: null, state: 'CONNECTED' });
+        expect(status.info).to.eql({ wid: '111@c.us', pushname: 'Bot', platform: 'android' });
+    });
+
+    describe('when ready', function () {
+        beforeEach(function () {
+            client.info = { wid: wid('111'), pushname: 'Bot', platform: 'android' };
+        });
+
+        it('should list and get chats', async function () {
+            const list = await (await request('/chats?isGroup=false')).json();
+            expect(list.map(chat => chat.id)).to.eql(['222@c.us']);
+            expect(list[0]).to.include({ name: 'Alice', unreadCount: 2 });
+
+            const group = await (await request('/groups/123-456%40g.us')).json();
+            expect(group).to.include({ owner: '111@c.us', description: 'Our group' });
+            expect(group.participants).to.have.lengthOf(2);
+
+            expect((await request('/groups/222@c.us')).status).to.equal(404);
+            const res = await request('/chats/999@c.us');
+            expect(res.status).to.equal(404);
+            expect(await res.json()).to.eql({ error: 'Chat not found: 999@c.us', code: 'CHAT_NOT_FOUND' });
+            expect((await request('/chats?limit=abc')).status).to.equal(400);
+        });
+
+        it('should send text and media messages', async function () {
+            let res = await request('/messages', { method: 'POST', body: { chatId: '222@c.us', text: 'hello' } });
+            expect(res.status).to.equal(201);
+            expect(await res.json()).to.include({ id: 'true_222@c.us_ABCDEF', body: 'hello', fromMe: true });
+
+            res = await request('/messages', {
+                method: 'POST',
+                body: { chatId: '222@c.us', text: 'look', media: { mimetype: 'image/png', data: 'aGVsbG8=' }, options: { sendMediaAsDocument: true } }
+            });
+            expect(res.status).to.equal(201);
+            const [, media, options] = client.sendMessage.secondCall.args;
+            expect(media).to.be.instanceOf(MessageMedia);
+            expect(options).to.eql({ sendMediaAsDocument: true, caption: 'look' });
+
+            res = await request('/messages', { method: 'POST', body: { chatId: '222@c.us' } });
+            expect(res.status).to.equal(400);
+            res = await request('/messages', { method: 'POST', body: { text: 'hello' } });
+            expect(await res.json()).to.eql({ error: 'body.chatId is required' });
+        });
+
+        it('should only download a mediaUrl from allowed hosts', async function () {
+            const fromUrl = sinon.stub(MessageMedia, 'fromUrl').resolves(new MessageMedia('image/png', 'aGVsbG8='));
+            try {
+                let res = await request('/messages', { method: 'POST', body: { chatId: '222@c.us', mediaUrl: 'http://169.254.169.254/latest' } });
+                expect(res.status).to.equal(403);
+                expect(fromUrl.called).to.equal(false);
+
+                api.options.allowMediaUrl = ['cdn.example.com'];
+                res = await request('/messages', { method: 'POST', body: { chatId: '222@c.us', mediaUrl: 'http://localhost/image.png' } });
+                expect(res.status).to.equal(403);
+                res = await request('/messages', { method: 'POST', body: { chatId: '222@c.us', mediaUrl: 'https://cdn.example.com/image.png' } });
+                expect(res.status).to.equal(201);
+                expect(fromUrl.calledOnceWith('https://cdn.example.com/image.png')).to.equal(true);
+            } finally {
+                fromUrl.restore();
+            }
+        });
+
+        it('should not follow redirects of an allowed mediaUrl', async function () {
+            const fetched = [];
+            const media = http.createServer((req, res) => {
+                fetched.push(req.url);
+                if (req.url === '/redirect') {
+                    res.writeHead(302, { Location: `http://localhost:${media.address().port}/internal.png` });
+                    return res.end();
+                }
+                res.writeHead(200, { 'Content-Type': 'image/png' });
+                res.end('secret');
+            });
+            await new Promise(resolve => media.listen(0, '127.0.0.1', resolve));
+
+            try {
+                api.options.allowMediaUrl = ['127.0.0.1'];
+                const res = await request('/messages', { method: 'POST', body: { chatId: '222@c.us', mediaUrl: `http://127.0.0.1:${media.address().port}/redirect` } });
+                expect(res.status).to.equal(400);
+                expect(fetched).to.eql(['/redirect']);
+                expect(client.sendMessage.called).to.equal(false);
+            } finally {
+                media.close();
+            }
+        });
+
+        it('should answer 413 to bodies that are too large', async function () {
+            api.options.maxBodySize = 16;
+            const res = await request('/messages', { method: 'POST', body: { chatId: '222@c.us', text: 'x'.repeat(64 * 1024) } });
+            expect(res.status).to.equal(413);
+            expect(await res.json()).to.eql({ error: 'Request body is too large' });
+        });
+
+        it('should reject malformed paths and hide internal errors', async function () {
+            let res = await request('/chats/%E0%A4%A');
+            expect(res.status).to.equal(400);
+            expect(await res.json()).to.eql({ error: 'Malformed URL encoding in path' });
+
+            client.getChats = sinon.stub().rejects(new Error('Evaluation failed: secret details'));
+            const consoleError = sinon.stub(console, 'error');
+            try {
+                res = await request('/chats');
+            } finally {
+                consoleError.restore();
+            }
+            expect(res.status).to.equal(500);
+            expect(await res.json()).to.eql({ error: 'Internal server error' });
+            expect(consoleError.firstCall.args[1].message).to.equal('Evaluation failed: secret details');
+        });
+
+        it('should manage group participants', async function () {
+            const group = chats[1];
+            group.addParticipants = sinon.stub().resolves({ '333@c.us': { code: 200 } });
+            group.setSubject = sinon.stub().resolves(true);
+
+            let res = await request('/groups/123-456@g.us/participants', { method: 'POST', body: { participants: ['333@c.us'] } });
+            expect(await res.json()).to.eql({ result: { '333@c.us': { code: 200 } } });
+
+            res = await request('/groups/123-456@g.us/subject', { method: 'PUT', body: { subject: 'New' } });
+            expect(await res.json()).to.eql({ success: true });
+            expect(group.setSubject.calledWith('New')).to.equal(true);
+
+            res = await request('/groups/123-456@g.us/participants', { method: 'POST', body: { participants: '333@c.us' } });
+            expect(res.status).to.equal(400);
+            expect((await request('/groups/123-456@g.us/subject')).status).to.equal(405);
+        });
+    });
+
+    it('should only route paths below the base path', async function () {
+        const res = await fetch(`${baseUrl}x/status`, { headers: { Authorization: 'Bearer secret' } });
+        expect(res.status).to.equal(404);
+        expect((await request('/status')).status).to.equal(200);
+    });
+
+    it('should describe every route in the OpenAPI document', async function () {
+        const res = await request('/openapi.json', { key: null });
+        expect(res.status).to.equal(200);
+
+        const spec = await res.json();
+        expect(spec.openapi).to.equal('3.0.3');
+        expect(Object.keys(spec.paths)).to.include.members(['/api/messages', '/api/chats/{chatId}/messages', '/api/groups/{groupId}/participants/remove']);
+        expect(spec.paths['/api/chats/{chatId}'].get.parameters[0]).to.include({ name: 'chatId', in: 'path', required: true });
+        expect(spec.paths['/api/messages'].post.requestBody.content['application/json'].schema.required).to.eql(['chatId']);
+        expect(spec.paths['/api/openapi.json'].get.security).to.eql([]);
+        expect(api.routes.every(route => spec.paths[api.options.basePath + route.path.replace(/:(\w+)/g, '{$1}')])).to.equal(true);
+    });
+});
@@ -0,0 +1,125 @@
+const EventEmitter = require('events');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+
+const Client = require('../../src/Client');
+const BrowserSupervisor = require('../../src/util/BrowserSupervisor');
+const { PageClosedError, NotRegisteredError } = require('../../src/util/Errors');
+const { Events } = require('../../src/util/Constants');
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+function createPage() {
+    const page = new EventEmitter();
+    page.evaluate = sinon.spy(() => new Promise(() => {}));
+    return page;
+}
+
+describe('BrowserSupervisor', function () {
+    let clock, client, supervisor, browser, page;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers();
+        client = new EventEmitter();
+        supervisor = new BrowserSupervisor(client, { restartDelay: 100 });
+        browser = new EventEmitter();
+        page = createPage();
+        supervisor.attach(browser, page);
+        client.reinitialize = sinon.spy(async () => supervisor.attach(new EventEmitter(), createPage()));
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    it('should reject calls in flight when the page crashes', async function () {
+        supervisor.options.restart = false;
+        const call = page.evaluate(() => 1);
+        expect(supervisor.pending).to.equal(1);
+
+        page.emit('error', new Error('Page crashed!'));
+
+        const err = await expect(call).to.be.rejectedWith(PageClosedError, 'Page crashed: Page crashed!');
+        expect(err).to.include({ code: 'PAGE_CLOSED', retryable: true });
+        expect(supervisor.pending).to.equal(0);
+        await expect(page.evaluate(() => 1)).to.be.rejectedWith(PageClosedError, 'call was not made');
+    });
+
+    it('should turn evaluation failures into typed errors', async function () {
+        const failing = createPage();
+        failing.evaluate = () => Promise.reject(new Error('Evaluation failed: Error: [wwebjs:NOT_REGISTERED] 123@c.us is not registered on WhatsApp'));
+        supervisor.attach(browser, failing);
+
+        const err = await expect(failing.evaluate(() => 1)).to.be.rejectedWith(NotRegisteredError, '123@c.us is not registered');
+        expect(err.code).to.equal('NOT_REGISTERED');
+    });
+
+    it('should relaunch the browser and emit restarting and restarted', async function () {
+        const restarting = sinon.spy();
+        const restarted = sinon.spy();
+        client.on(Events.RESTARTING, restarting);
+        client.on(Events.RESTARTED, restarted);
+
+        browser.emit('disconnected');
+        page.emit('close');
+        await clock.tickAsync(0);
+
+        expect(client.reinitialize.calledOnce).to.equal(true);
+        expect(restarting.firstCall.args[0]).to.eql({ reason: 'Browser disconnected', attempt: 1, restarts: 0 });
+        expect(restarted.firstCall.args[0]).to.include({ reason: 'Browser disconnected', attempt: 1, restarts: 1 });
+        expect(supervisor.restarting).to.equal(false);
+        await expect(page.evaluate(() => 1)).to.be.rejectedWith(PageClosedError, 'replaced');
+    });
+
+    it('should retry failed relaunches with backoff and then give up', async function () {
+        sinon.stub(console, 'error');
+        const disconnected = sinon.spy();
+        client.on(Events.DISCONNECTED, disconnected);
+        client.reinitialize = sinon.stub().rejects(new Error('launch failed'));
+        supervisor.options.maxAttempts = 3;
+
+        browser.emit('disconnected');
+        await clock.tickAsync(0);
+        expect(client.reinitialize.callCount).to.equal(1);
+
+        await clock.tickAsync(100);
+        expect(client.reinitialize.callCount).to.equal(2);
+
+        await clock.tickAsync(200);
+        console.error.restore();
+        expect(client.reinitialize.callCount).to.equal(3);
+        expect(disconnected.calledOnceWith('BROWSER_CRASHED')).to.equal(true);
+    });
+
+    it('should not restart after the browser was closed on purpose', async function () {
+        supervisor.stop();
+        browser.emit('disconnected');
+        await clock.tickAsync(0);
+
+        expect(client.reinitialize.called).to.equal(false);
+    });
+
+    it('should not restart when the client logs out', async function () {
+        const restarting = sinon.spy();
+        client.on(Events.RESTARTING, restarting);
+        client.supervisor = supervisor;
+        client.scheduler = { stop: sinon.stub() };
+        client.authStrategy = { logout: sinon.stub().resolves() };
+        client.pupPage = page;
+        client.pupBrowser = browser;
+        page.evaluate = sinon.stub().resolves();
+        browser.isConnected = () => false;
+        browser.close = sinon.spy(async () => browser.emit('disconnected'));
+        client._closeBrowser = Client.prototype._closeBrowser;
+
+        await Client.prototype.logout.call(client);
+        await clock.tickAsync(1000);
+
+        expect(browser.close.calledOnce).to.equal(true);
+        expect(client.authStrategy.logout.calledOnce).to.equal(true);
+        expect(restarting.called).to.equal(false);
+        expect(client.reinitialize.called).to.equal(false);
+    });
+});
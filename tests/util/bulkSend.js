@@ -0,0 +1,97 @@
+const EventEmitter = require('events');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const BulkSendJob = require('../../src/util/BulkSendJob');
+const { Events } = require('../../src/util/Constants');
+
+function createFakeClient() {
+    const client = new EventEmitter();
+    client.getNumberId = sinon.stub().callsFake(async id => id.startsWith('000') ? null : { _serialized: id });
+    client.sendMessage = sinon.stub().callsFake(async (chatId, content) => {
+        if (chatId.startsWith('999')) throw new Error('boom');
+        return { chatId, content };
+    });
+    return client;
+}
+
+describe('BulkSendJob', function () {
+    let clock;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    it('should report the result of each recipient', async function () {
+        const client = createFakeClient();
+        const progress = sinon.spy();
+        client.on(Events.BULK_SEND_PROGRESS, progress);
+
+        const recipients = ['+1 555 0100', { number: '0001', name: 'Nobody' }, { id: '9990@c.us' }, '123@g.us'];
+        const job = new BulkSendJob(client, recipients, recipient => `Hi ${recipient.name || 'there'}`);
+        job.start();
+
+        await clock.tickAsync(20000);
+        const report = await job.done;
+
+        expect(report.status).to.equal('completed');
+        expect(report.sent.map(result => result.chatId)).to.eql(['15550100@c.us', '123@g.us']);
+        expect(report.notRegistered.map(result => result.index)).to.eql([1]);
+        expect(report.failed[0].error.message).to.equal('boom');
+        expect(client.getNumberId.callCount).to.equal(3);
+        expect(progress.callCount).to.equal(4);
+    });
+
+    it('should wait between messages and while paused', async function () {
+        const client = createFakeClient();
+        const job = new BulkSendJob(client, ['1', '2'], 'hello', { minDelay: 1000, maxDelay: 1000 });
+        job.start();
+
+        await clock.tickAsync(0);
+        expect(client.sendMessage.callCount).to.equal(1);
+
+        job.pause();
+        await clock.tickAsync(5000);
+        expect(client.sendMessage.callCount).to.equal(1);
+        expect(job.status).to.equal('paused');
+
+        job.resume();
+        await clock.tickAsync(0);
+        expect(client.sendMessage.callCount).to.equal(2);
+        expect((await job.done).status).to.equal('completed');
+    });
+
+    it('should skip the remaining recipients when cancelled', async function () {
+        const client = createFakeClient();
+        const job = new BulkSendJob(client, ['1', '2', '3'], 'hello', { validate: false });
+        job.start();
+
+        await clock.tickAsync(0);
+        job.cancel();
+        const report = await job.done;
+
+        expect(report.status).to.equal('cancelled');
+        expect(report.sent).to.have.lengthOf(1);
+        expect(report.skipped).to.have.lengthOf(2);
+    });
+
+    it('should reject done when a listener throws', async function () {
+        const client = createFakeClient();
+        client.on(Events.BULK_SEND_PROGRESS, () => {
+            throw new Error('listener failed');
+        });
+
+        const job = new BulkSendJob(client, ['123@g.us'], 'hello');
+        const done = job.start();
+
+        await clock.tickAsync(0);
+        let error;
+        await done.catch(err => error = err);
+        expect(error.message).to.equal('listener failed');
+        expect(job.status).to.equal('failed');
+    });
+});
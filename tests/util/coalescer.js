@@ -0,0 +1,78 @@
+const EventEmitter = require('events');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const EventCoalescer = require('../../src/util/EventCoalescer');
+const { Events } = require('../../src/util/Constants');
+
+const msg = id => ({ id: { _serialized: id } });
+
+describe('EventCoalescer', function () {
+    let clock, client, coalescer;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers();
+        client = new EventEmitter();
+        coalescer = new EventCoalescer(client);
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    it('should debounce per key and deliver the latest event', async function () {
+        const listener = sinon.spy();
+        coalescer.debounce(Events.MESSAGE_ACK, 100, listener);
+
+        client.emit(Events.MESSAGE_ACK, msg('a'), 1);
+        client.emit(Events.MESSAGE_ACK, msg('b'), 1);
+        await clock.tickAsync(50);
+        client.emit(Events.MESSAGE_ACK, msg('a'), 2);
+
+        await clock.tickAsync(50);
+        expect(listener.args).to.eql([[msg('b'), 1]]);
+
+        await clock.tickAsync(50);
+        expect(listener.args).to.eql([[msg('b'), 1], [msg('a'), 2]]);
+    });
+
+    it('should throttle and deliver the trailing event', async function () {
+        const listener = sinon.spy();
+        coalescer.throttle(Events.STATE_CHANGED, 100, listener);
+
+        client.emit(Events.STATE_CHANGED, 'OPENING');
+        client.emit(Events.STATE_CHANGED, 'PAIRING');
+        client.emit(Events.STATE_CHANGED, 'CONNECTED');
+        expect(listener.args).to.eql([['OPENING']]);
+
+        await clock.tickAsync(100);
+        expect(listener.args).to.eql([['OPENING'], ['CONNECTED']]);
+    });
+
+    it('should batch events per window', async function () {
+        const listener = sinon.spy();
+        coalescer.batch(Events.MESSAGE_ACK, 100, listener, { dedupe: true });
+
+        client.emit(Events.MESSAGE_ACK, msg('a'), 1);
+        client.emit(Events.MESSAGE_ACK, msg('b'), 1);
+        client.emit(Events.MESSAGE_ACK, msg('a'), 2);
+
+        await clock.tickAsync(100);
+        expect(listener.calledOnce).to.equal(true);
+        expect(listener.firstCall.args[0]).to.eql([[msg('b'), 1], [msg('a'), 2]]);
+    });
+
+    it('should deliver pending events on flush and stop after unsubscribing', async function () {
+        const listener = sinon.spy();
+        const unsubscribe = coalescer.debounce(Events.BATTERY_CHANGED, 1000, listener);
+
+        client.emit(Events.BATTERY_CHANGED, { battery: 50 });
+        coalescer.flush();
+        expect(listener.calledOnce).to.equal(true);
+
+        unsubscribe();
+        client.emit(Events.BATTERY_CHANGED, { battery: 40 });
+        await clock.tickAsync(1000);
+        expect(listener.calledOnce).to.equal(true);
+    });
+});
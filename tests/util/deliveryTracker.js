@@ -0,0 +1,133 @@
+const EventEmitter = require('events');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+
+const DeliveryTracker = require('../../src/util/DeliveryTracker');
+const { Events, MessageAck } = require('../../src/util/Constants');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+function createMessage(id, ack = MessageAck.ACK_PENDING, type = 'chat') {
+    return { id: { _serialized: id }, ack, type, reload: sinon.stub().resolves(null) };
+}
+
+function createFakeClient() {
+    const client = new EventEmitter();
+    let sent = 0;
+    client._sendMessage = sinon.stub().callsFake(async () => createMessage(`retry-${++sent}`));
+    return client;
+}
+
+describe('DeliveryTracker', function () {
+    let clock, client, tracker, failed;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers();
+        client = createFakeClient();
+        tracker = new DeliveryTracker(client, { deadlineMs: 1000, maxRetries: 1 });
+        failed = sinon.spy();
+        client.on(Events.MESSAGE_DELIVERY_FAILED, failed);
+    });
+
+    afterEach(function () {
+        tracker.stop();
+        clock.restore();
+    });
+
+    it('should resend a message that is not delivered before the deadline', async function () {
+        tracker.track(createMessage('original'), '123@c.us', 'hello', { linkPreview: false });
+
+        await clock.tickAsync(999);
+        expect(client._sendMessage.called).to.equal(false);
+
+        await clock.tickAsync(1);
+        expect(client._sendMessage.args).to.eql([['123@c.us', 'hello', { linkPreview: false, trackDelivery: false }]]);
+        expect(tracker.size).to.equal(1);
+
+        client.emit(Events.MESSAGE_ACK, createMessage('retry-1', MessageAck.ACK_SERVER), MessageAck.ACK_SERVER);
+        expect(tracker.size).to.equal(0);
+        expect(failed.called).to.equal(false);
+    });
+
+    it('should resend a message on ACK_ERROR and emit message_delivery_failed after the last retry', async function () {
+        const message = createMessage('original');
+        tracker.track(message, '123@c.us', 'hello', {});
+
+        client.emit(Events.MESSAGE_ACK, createMessage('original', MessageAck.ACK_ERROR), MessageAck.ACK_ERROR);
+        await clock.tickAsync(0);
+        expect(client._sendMessage.calledOnce).to.equal(true);
+
+        await clock.tickAsync(1000);
+        expect(client._sendMessage.calledOnce).to.equal(true);
+        expect(failed.calledOnce).to.equal(true);
+        expect(failed.firstCall.args[0].id._serialized).to.equal('retry-1');
+        expect(failed.firstCall.args.slice(1)).to.eql(['TIMEOUT', 1]);
+        expect(tracker.size).to.equal(0);
+    });
+
+    it('should resolve waitForAck with the message once it reaches the ack', async function () {
+        const message = createMessage('original');
+        tracker.track(message, '123@c.us', 'hello', {});
+
+        const waiting = tracker.waitForAck(message, MessageAck.ACK_DEVICE);
+        const delivered = createMessage('original', MessageAck.ACK_DEVICE);
+        client.emit(Events.MESSAGE_ACK, delivered, MessageAck.ACK_DEVICE);
+
+        expect(await waiting).to.equal(delivered);
+        expect(tracker.size).to.equal(0);
+    });
+
+    it('should reject waitForAck when the message cannot be delivered or the wait times out', async function () {
+        const message = createMessage('original');
+        tracker.track(message, '123@c.us', 'hello', {});
+        const timedOut = expect(tracker.waitForAck(message, MessageAck.ACK_SERVER, 500)).to.be.rejectedWith('Timed out waiting for message ack');
+        const undelivered = expect(tracker.waitForAck(message, MessageAck.ACK_SERVER, 0)).to.be.rejectedWith('Message could not be delivered: TIMEOUT');
+
+        await clock.tickAsync(500);
+        await timedOut;
+
+        await clock.tickAsync(2000);
+        await undelivered;
+        expect(failed.calledOnce).to.equal(true);
+    });
+
+    it('should follow a resent copy through the ids of the messages it replaced', async function () {
+        const message = createMessage('original');
+        tracker.track(message, '123@c.us', 'hello', {});
+        const first = tracker.waitForAck(message, MessageAck.ACK_SERVER, 0);
+
+        await clock.tickAsync(1000);
+        // waiting on the original message after it was resent follows the copy
+        const second = tracker.waitForAck(message, MessageAck.ACK_SERVER, 0);
+        const delivered = createMessage('retry-1', MessageAck.ACK_SERVER);
+        client.emit(Events.MESSAGE_ACK, delivered, MessageAck.ACK_SERVER);
+
+        expect(await first).to.equal(delivered);
+        expect(await second).to.equal(delivered);
+        expect(tracker.size).to.equal(0);
+    });
+
+    it('should stop tracking a message that reaches its final ack below the awaited one', async function () {
+        const message = createMessage('original');
+        tracker.track(message, '123@c.us', 'hello', {});
+        const played = tracker.waitForAck(message, MessageAck.ACK_PLAYED, 0);
+
+        client.emit(Events.MESSAGE_ACK, createMessage('original', MessageAck.ACK_SERVER), MessageAck.ACK_SERVER);
+        expect(tracker.size).to.equal(1);
+
+        client.emit(Events.MESSAGE_ACK, createMessage('original', MessageAck.ACK_READ), MessageAck.ACK_READ);
+        await expect(played).to.be.rejectedWith('final ack');
+        expect(tracker.size).to.equal(0);
+
+        const voice = createMessage('voice', MessageAck.ACK_PENDING, 'ptt');
+        tracker.track(voice, '123@c.us', 'hello', {});
+        const listened = tracker.waitForAck(voice, MessageAck.ACK_PLAYED, 0);
+        client.emit(Events.MESSAGE_ACK, createMessage('voice', MessageAck.ACK_READ, 'ptt'), MessageAck.ACK_READ);
+        expect(tracker.size).to.equal(1);
+        client.emit(Events.MESSAGE_ACK, createMessage('voice', MessageAck.ACK_PLAYED, 'ptt'), MessageAck.ACK_PLAYED);
+        await listened;
+        expect(tracker.size).to.equal(0);
+    });
+});
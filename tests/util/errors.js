@@ -0,0 +1,78 @@
+const http = require('http');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const MessageMedia = require('../../src/structures/MessageMedia');
+const { LoadUtils } = require('../../src/util/Injected/Utils');
+const {
+    WWebJSError,
+    PageClosedError,
+    NotAuthenticatedError,
+    ChatNotFoundError,
+    RateLimitedError,
+    MediaDownloadError,
+    EvaluationError
+} = require('../../src/util/Errors');
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('Errors', function () {
+    it('should set codes and retryability', function () {
+        const err = new ChatNotFoundError('Chat not found: 1@g.us', { chatId: '1@g.us' });
+        expect(err).to.be.instanceOf(WWebJSError);
+        expect(err).to.include({ name: 'ChatNotFoundError', code: 'CHAT_NOT_FOUND', retryable: false, chatId: '1@g.us' });
+
+        expect(new PageClosedError().retryable).to.equal(true);
+        expect(new RateLimitedError().retryable).to.equal(true);
+        expect(new MediaDownloadError('failed', { status: 503 }).retryable).to.equal(true);
+        expect(new MediaDownloadError('failed', { status: 404 }).retryable).to.equal(false);
+    });
+
+    it('should turn page failures into typed errors', function () {
+        const coded = WWebJSError.from(new Error('Evaluation failed: Error: [wwebjs:CHAT_NOT_FOUND] Chat not found: 1@g.us\n    at foo'));
+        expect(coded).to.be.instanceOf(ChatNotFoundError);
+        expect(coded.message).to.equal('Chat not found: 1@g.us');
+        expect(coded.cause).to.be.instanceOf(Error);
+
+        expect(WWebJSError.from(new Error('Protocol error (Runtime.callFunctionOn): Target closed.'))).to.be.instanceOf(PageClosedError);
+        expect(WWebJSError.from(new Error('Evaluation failed: Error: rate-overlimit'))).to.be.instanceOf(RateLimitedError);
+        expect(WWebJSError.from(new Error('Evaluation failed: TypeError: Cannot read properties of undefined (reading \'Chat\')'), { authenticated: false }))
+            .to.be.instanceOf(NotAuthenticatedError);
+        expect(WWebJSError.from(new Error('Evaluation failed: TypeError: Cannot read properties of undefined (reading \'Chat\')')))
+            .to.be.instanceOf(EvaluationError);
+
+        const plain = new Error('Something else');
+        expect(WWebJSError.from(plain)).to.equal(plain);
+    });
+
+    it('should mark rate-limited server errors in the page', function () {
+        global.window = {};
+        try {
+            LoadUtils();
+            const rateLimited = Object.assign(new Error('ServerStatusCodeError'), { name: 'ServerStatusCodeError', statusCode: 429 });
+            expect(() => window.WWebJS.throwIfRateLimited(rateLimited)).to.throw('[wwebjs:RATE_LIMITED] Rate limited by WhatsApp');
+            expect(WWebJSError.from(new Error('Evaluation failed: Error: [wwebjs:RATE_LIMITED] Rate limited by WhatsApp'))).to.be.instanceOf(RateLimitedError);
+
+            expect(() => window.WWebJS.throwIfRateLimited(Object.assign(new Error('forbidden'), { statusCode: 403 }))).to.not.throw();
+        } finally {
+            delete global.window;
+        }
+    });
+
+    it('should throw MediaDownloadError when a URL cannot be downloaded', async function () {
+        const server = http.createServer((req, res) => {
+            res.statusCode = 404;
+            res.end('not here');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const url = `http://127.0.0.1:${server.address().port}/image.png`;
+            const err = await expect(MessageMedia.fromUrl(url)).to.be.rejectedWith(MediaDownloadError, 'HTTP 404');
+            expect(err).to.include({ status: 404, retryable: false });
+        } finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,81 @@
+const EventEmitter = require('events');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const ChatEventQueue = require('../../src/util/ChatEventQueue');
+const { Events } = require('../../src/util/Constants');
+
+function createMessage(from, body) {
+    return { id: { remote: from }, from, to: '111@c.us', fromMe: false, body };
+}
+
+describe('ChatEventQueue', function () {
+    let clock, client;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers();
+        client = new EventEmitter();
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    it('should process events of a chat in order and chats in parallel', async function () {
+        const queue = new ChatEventQueue(client);
+        const done = [];
+        client.on(Events.MESSAGE_RECEIVED, async msg => {
+            await new Promise(resolve => setTimeout(resolve, msg.body === 'slow' ? 100 : 10));
+            done.push(msg.body);
+        });
+
+        queue.push(Events.MESSAGE_RECEIVED, [createMessage('1@c.us', 'slow')]);
+        queue.push(Events.MESSAGE_RECEIVED, [createMessage('1@c.us', 'after slow')]);
+        queue.push(Events.MESSAGE_RECEIVED, [createMessage('2@c.us', 'other chat')]);
+
+        await clock.tickAsync(50);
+        expect(done).to.eql(['other chat']);
+
+        await clock.tickAsync(100);
+        expect(done).to.eql(['other chat', 'slow', 'after slow']);
+        expect(queue.stats.processed).to.equal(3);
+    });
+
+    it('should limit the number of chats processed at the same time', async function () {
+        const queue = new ChatEventQueue(client, { concurrency: 1 });
+        client.on(Events.MESSAGE_RECEIVED, () => new Promise(resolve => setTimeout(resolve, 10)));
+
+        queue.push(Events.MESSAGE_RECEIVED, [createMessage('1@c.us')]);
+        queue.push(Events.MESSAGE_RECEIVED, [createMessage('2@c.us')]);
+        await clock.tickAsync(0);
+
+        expect(queue.stats).to.include({ active: 1, pending: 1, chats: 2 });
+
+        await clock.tickAsync(20);
+        expect(queue.stats).to.include({ active: 0, pending: 0, processed: 2 });
+    });
+
+    it('should release a chat when a listener times out', async function () {
+        const queue = new ChatEventQueue(client, { timeout: 1000 });
+        const timedOut = sinon.spy();
+        const seen = [];
+        client.on(Events.EVENT_QUEUE_TIMEOUT, timedOut);
+        client.on(Events.MESSAGE_RECEIVED, msg => {
+            seen.push(msg.body);
+            if (msg.body === 'stuck') return new Promise(() => {});
+        });
+
+        queue.push(Events.MESSAGE_RECEIVED, [createMessage('1@c.us', 'stuck')]);
+        queue.push(Events.MESSAGE_RECEIVED, [createMessage('1@c.us', 'next')]);
+
+        await clock.tickAsync(1000);
+        expect(timedOut.calledOnceWith(Events.MESSAGE_RECEIVED, '1@c.us')).to.equal(true);
+        expect(seen).to.eql(['stuck', 'next']);
+    });
+
+    it('should not queue events without a chat', function () {
+        const queue = new ChatEventQueue(client);
+        expect(queue.push(Events.MESSAGE_RECEIVED, [{}])).to.equal(false);
+        expect(queue.push(Events.READY, [])).to.equal(false);
+    });
+});
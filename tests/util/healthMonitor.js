@@ -0,0 +1,112 @@
+const EventEmitter = require('events');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const HealthMonitor = require('../../src/util/HealthMonitor');
+const { Events, WAState } = require('../../src/util/Constants');
+
+function createClient(page) {
+    const client = new EventEmitter();
+    client.pupPage = {
+        closed: false,
+        isClosed() { return this.closed; },
+        evaluate: sinon.spy(async () => ({ hasStore: page.hasStore, state: page.state })),
+        reload: sinon.stub().resolves()
+    };
+    client.pupBrowser = { isConnected: () => true };
+    client.reinitialize = sinon.stub().resolves();
+    return client;
+}
+
+describe('HealthMonitor', function () {
+    let clock, page, client;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers();
+        page = { hasStore: true, state: WAState.CONNECTED };
+        client = createClient(page);
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    it('should report a healthy session and emit health_changed on changes', async function () {
+        const changed = sinon.spy();
+        client.on(Events.HEALTH_CHANGED, changed);
+        const monitor = new HealthMonitor(client, { stateTimeout: 1000 });
+
+        let report = await monitor.check();
+        expect(report).to.include({ healthy: true, hasStore: true, state: WAState.CONNECTED });
+        await monitor.check();
+        expect(changed.calledOnce).to.equal(true);
+
+        page.state = WAState.OPENING;
+        report = await monitor.check();
+        expect(report.healthy).to.equal(true);
+
+        await clock.tickAsync(1000);
+        report = await monitor.check();
+        expect(report).to.include({ healthy: false, consecutiveFailures: 1 });
+        expect(report.issues).to.eql(['STATE_STUCK']);
+        expect(changed.calledTwice).to.equal(true);
+        expect(changed.secondCall.args[1].healthy).to.equal(true);
+    });
+
+    it('should detect a missing Store, an unresponsive page and silence', async function () {
+        const monitor = new HealthMonitor(client, { timeout: 100, maxEventAge: 5000 });
+        monitor.start();
+
+        page.hasStore = false;
+        expect((await monitor.check()).issues).to.eql(['STORE_MISSING']);
+
+        client.pupPage.evaluate = () => new Promise(() => {});
+        const checking = monitor.check();
+        await clock.tickAsync(100);
+        expect((await checking).issues).to.eql(['EVALUATE_TIMEOUT']);
+
+        client.pupPage.closed = true;
+        await clock.tickAsync(5000);
+        expect((await monitor.check()).issues).to.eql(['PAGE_CLOSED', 'NO_RECENT_EVENTS']);
+
+        client.emit(Events.MESSAGE_RECEIVED, {});
+        expect((await monitor.check()).issues).to.eql(['PAGE_CLOSED']);
+        monitor.destroy();
+    });
+
+    it('should reload and then reinitialize with backoff', async function () {
+        const monitor = new HealthMonitor(client, { interval: 1000, failureThreshold: 2, minRecoveryDelay: 5000 });
+        monitor.start();
+        page.hasStore = false;
+
+        await clock.tickAsync(1000);
+        expect(client.pupPage.reload.called).to.equal(false);
+
+        await clock.tickAsync(1000);
+        expect(client.pupPage.reload.calledOnce).to.equal(true);
+
+        await clock.tickAsync(4000);
+        expect(client.reinitialize.called).to.equal(false);
+
+        await clock.tickAsync(1000);
+        expect(client.reinitialize.calledOnce).to.equal(true);
+        expect(monitor.report.recoveryAttempts).to.equal(1);
+
+        page.hasStore = true;
+        await clock.tickAsync(1000);
+        expect(monitor.report).to.include({ healthy: true, recoveryAttempts: 0 });
+        monitor.stop();
+    });
+
+    it('should not try to recover a logged out session', async function () {
+        const monitor = new HealthMonitor(client, { interval: 1000, failureThreshold: 1 });
+        monitor.start();
+        page.state = WAState.UNPAIRED;
+
+        await clock.tickAsync(3000);
+        expect(monitor.report.issues).to.eql(['LOGGED_OUT']);
+        expect(client.pupPage.reload.called).to.equal(false);
+        expect(client.reinitialize.called).to.equal(false);
+        monitor.stop();
+    });
+});
@@ -0,0 +1,125 @@
+const EventEmitter = require('events');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+
+const Client = require('../../src/Client');
+const LoginFlow = require('../../src/util/LoginFlow');
+const QRRenderer = require('../../src/util/QRRenderer');
+const { LoginError } = require('../../src/util/Errors');
+const { Events, LoginFailureReason } = require('../../src/util/Constants');
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('LoginFlow', function () {
+    let clock, client, codes;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers({ now: 1000 });
+        client = new EventEmitter();
+        client.options = { qrMaxRetries: 0 };
+        client.requestPairingCode = sinon.stub();
+        client.destroy = sinon.stub().resolves();
+        codes = [];
+        client.on(Events.LOGIN_CODE, code => codes.push(code));
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    it('should emit QR codes with their expiry and resolve once authenticated', async function () {
+        const qrs = [];
+        client.on(Events.QR_RECEIVED, qr => qrs.push(qr));
+        const flow = new LoginFlow(client);
+
+        await flow.handleQr('ref1');
+        await clock.tickAsync(60000);
+        await flow.handleQr('ref2');
+        client.emit(Events.AUTHENTICATED, { session: true });
+
+        expect(await flow.promise).to.eql({ method: 'qr', payload: { session: true } });
+        expect(qrs).to.eql(['ref1', 'ref2']);
+        expect(codes).to.eql([
+            { method: 'qr', code: 'ref1', attempt: 1, issuedAt: 1000, expiresAt: 61000 },
+            { method: 'qr', code: 'ref2', attempt: 2, issuedAt: 61000, expiresAt: 81000 }
+        ]);
+        expect(flow.active).to.equal(false);
+        expect(client.listenerCount(Events.AUTHENTICATED)).to.equal(0);
+    });
+
+    it('should fall back to a pairing code after the last QR code and renew it when it expires', async function () {
+        client.requestPairingCode.onFirstCall().resolves('ABCD1234');
+        client.requestPairingCode.onSecondCall().resolves('EFGH5678');
+        const flow = new LoginFlow(client, { phoneNumber: '12025550108', maxQrCodes: 2, pairingCodeLifetime: 120000 });
+
+        await flow.handleQr('ref1');
+        await flow.handleQr('ref2');
+        await flow.handleQr('ref3');
+        // WhatsApp Web keeps replacing the QR code, which is not shown anymore
+        await flow.handleQr('ref4');
+
+        expect(client.requestPairingCode.args).to.eql([['12025550108', true]]);
+        expect(codes.map(code => [code.method, code.code])).to.eql([['qr', 'ref1'], ['qr', 'ref2'], ['pairing', 'ABCD1234']]);
+        expect(codes[2].expiresAt).to.equal(1000 + 120000);
+
+        await clock.tickAsync(120000);
+        expect(codes[3]).to.include({ method: 'pairing', code: 'EFGH5678', attempt: 2 });
+
+        client.emit(Events.AUTHENTICATED);
+        expect(await flow.promise).to.include({ method: 'pairing' });
+        expect(client.destroy.called).to.equal(false);
+    });
+
+    it('should reject with a typed reason and destroy the client when it cannot log in', async function () {
+        const disconnected = sinon.spy();
+        client.on(Events.DISCONNECTED, disconnected);
+        const flow = new LoginFlow(client, { maxQrCodes: 1 });
+        await flow.handleQr('ref1');
+        await flow.handleQr('ref2');
+
+        const err = await flow.promise.catch(err => err);
+        expect(err).to.be.instanceOf(LoginError);
+        expect(err).to.include({ code: 'LOGIN_FAILED', reason: LoginFailureReason.QR_EXPIRED });
+        expect(disconnected.args).to.eql([['Max qrcode retries reached']]);
+        expect(client.destroy.calledOnce).to.equal(true);
+
+        client.requestPairingCode.rejects(new Error('bad number'));
+        const pairing = new LoginFlow(client, { method: 'pairing', phoneNumber: '1', timeout: 5000 });
+        await pairing.handleAuthenticationNeeded();
+        await expect(pairing.promise).to.be.rejectedWith(LoginError, 'bad number')
+            .and.eventually.have.property('reason', LoginFailureReason.PAIRING_FAILED);
+
+        const timed = new LoginFlow(client, { timeout: 5000 });
+        await clock.tickAsync(5000);
+        await expect(timed.promise).to.eventually.be.rejected.and.have.property('reason', LoginFailureReason.TIMEOUT);
+
+        const failed = new LoginFlow(client);
+        client.emit(Events.AUTHENTICATION_FAILURE, 'restore failed');
+        await expect(failed.promise).to.eventually.be.rejected.and.have.property('reason', LoginFailureReason.AUTH_FAILURE);
+
+        expect(() => new LoginFlow(client, { method: 'pairing' })).to.throw('phone number is required');
+    });
+
+    it('should resolve right away when the client is already authenticated', async function () {
+        client.pupPage = { evaluate: sinon.stub().resolves({ state: 'CONNECTED', authenticated: true }) };
+        client.initialize = sinon.stub().resolves();
+
+        expect(await Client.prototype.login.call(client)).to.eql({ method: 'session' });
+        expect(client.initialize.called).to.equal(false);
+        expect(client.listenerCount(Events.AUTHENTICATED)).to.equal(0);
+    });
+});
+
+describe('QRRenderer', function () {
+    it('should render QR codes as text, SVG and PNG', async function () {
+        const qr = '2@abc,def,ghi,jkl';
+
+        expect(await QRRenderer.toTerminal(qr)).to.match(/[▀▄█]/);
+        expect(await QRRenderer.toSVG(qr)).to.match(/^<svg /);
+        const png = await QRRenderer.toPNG(qr, { scale: 2 });
+        expect(png.subarray(1, 4).toString()).to.equal('PNG');
+        expect(await QRRenderer.toDataURL(qr)).to.match(/^data:image\/png;base64,/);
+    });
+});
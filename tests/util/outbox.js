@@ -0,0 +1,209 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+
+const Outbox = require('../../src/util/Outbox');
+const OutboxStore = require('../../src/structures/storage/OutboxStore');
+const MessageMedia = require('../../src/structures/MessageMedia');
+const Location = require('../../src/structures/Location');
+const List = require('../../src/structures/List');
+const Client = require('../../src/Client');
+const { Events } = require('../../src/util/Constants');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+function createFakeClient() {
+    const client = new EventEmitter();
+    client.authStrategy = {};
+    client._sendMessage = sinon.stub().callsFake(async (chatId, content) => ({ chatId, content }));
+    return client;
+}
+
+describe('Outbox', function () {
+    let clock;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers();
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    it('should resolve with the sent message', async function () {
+        const client = createFakeClient();
+        const outbox = new Outbox(client);
+        await outbox.start();
+
+        const promise = outbox.enqueue('123@c.us', 'hello');
+        await clock.tickAsync(0);
+
+        await expect(promise).to.eventually.eql({ chatId: '123@c.us', content: 'hello' });
+        expect(outbox.size).to.equal(0);
+    });
+
+    it('should not send before being started', async function () {
+        const client = createFakeClient();
+        const outbox = new Outbox(client);
+
+        outbox.enqueue('123@c.us', 'hello');
+        await clock.tickAsync(1000);
+        expect(client._sendMessage.called).to.equal(false);
+
+        await outbox.start();
+        await clock.tickAsync(0);
+        expect(client._sendMessage.calledOnce).to.equal(true);
+    });
+
+    it('should rate limit messages per chat', async function () {
+        const client = createFakeClient();
+        const outbox = new Outbox(client, { perChat: { capacity: 1, refillRate: 1 } });
+        await outbox.start();
+
+        outbox.enqueue('123@c.us', 'first');
+        outbox.enqueue('123@c.us', 'second');
+        outbox.enqueue('456@c.us', 'other chat');
+
+        await clock.tickAsync(10);
+        expect(client._sendMessage.args.map(args => args[1])).to.eql(['first', 'other chat']);
+
+        await clock.tickAsync(1000);
+        expect(client._sendMessage.args.map(args => args[1])).to.eql(['first', 'other chat', 'second']);
+    });
+
+    it('should rate limit messages globally', async function () {
+        const client = createFakeClient();
+        const outbox = new Outbox(client, { global: { capacity: 1, refillRate: 0.5 } });
+        await outbox.start();
+
+        outbox.enqueue('123@c.us', 'first');
+        outbox.enqueue('456@c.us', 'second');
+
+        await clock.tickAsync(1000);
+        expect(client._sendMessage.callCount).to.equal(1);
+
+        await clock.tickAsync(1000);
+        expect(client._sendMessage.callCount).to.equal(2);
+    });
+
+    it('should reject and emit when sending fails', async function () {
+        const client = createFakeClient();
+        const failed = sinon.spy();
+        client.on(Events.OUTBOX_MESSAGE_FAILED, failed);
+        client._sendMessage = sinon.stub().rejects(new Error('boom'));
+
+        const outbox = new Outbox(client);
+        await outbox.start();
+
+        const rejection = expect(outbox.enqueue('123@c.us', 'hello')).to.be.rejectedWith('boom');
+        await clock.tickAsync(0);
+
+        await rejection;
+        expect(failed.calledOnce).to.equal(true);
+        expect(outbox.size).to.equal(0);
+    });
+
+    it('should reject cancelled messages', async function () {
+        const client = createFakeClient();
+        const outbox = new Outbox(client);
+
+        const promise = outbox.enqueue('123@c.us', 'hello');
+        await clock.tickAsync(0);
+        const [entry] = outbox.getQueued();
+        const rejection = expect(promise).to.be.rejectedWith('removed from the outbox');
+
+        expect(await outbox.cancel(entry.id)).to.equal(true);
+        await rejection;
+        expect(await outbox.store.getAll()).to.have.lengthOf(0);
+    });
+
+    describe('Serialization', function () {
+        it('should round trip media content', function () {
+            const media = new MessageMedia('image/png', 'aGVsbG8=', 'hello.png', 5);
+            const restored = Outbox.deserializeContent(JSON.parse(JSON.stringify(Outbox.serializeContent(media))));
+
+            expect(restored).to.be.instanceOf(MessageMedia);
+            expect(restored).to.eql(media);
+        });
+
+        it('should round trip location content', function () {
+            const location = new Location(1.5, 2.5, { name: 'Somewhere', address: 'Street 1' });
+            const restored = Outbox.deserializeContent(Outbox.serializeContent(location));
+
+            expect(restored).to.be.instanceOf(Location);
+            expect(restored).to.eql(location);
+        });
+
+        it('should reject unsupported content', function () {
+            expect(() => Outbox.serializeContent({ foo: 'bar' })).to.throw('Unsupported content type');
+            expect(Outbox.canSerialize({ foo: 'bar' })).to.equal(false);
+            expect(Outbox.canSerialize('hello')).to.equal(true);
+        });
+
+        it('should send content it cannot persist right away', async function () {
+            const client = createFakeClient();
+            client.outbox = new Outbox(client);
+            const list = new List('Pick one', 'Options', [{ title: 'Section', rows: [{ title: 'Row' }] }]);
+
+            await Client.prototype.sendMessage.call(client, '123@c.us', list, {});
+            expect(client._sendMessage.calledOnceWith('123@c.us', list)).to.equal(true);
+            expect(await client.outbox.store.getAll()).to.have.lengthOf(0);
+        });
+    });
+
+    describe('FileOutboxStore', function () {
+        let dataPath;
+
+        beforeEach(function () {
+            clock.restore();
+            dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'wwebjs-outbox-'));
+        });
+
+        afterEach(function () {
+            fs.rmSync(dataPath, { recursive: true, force: true });
+            clock = sinon.useFakeTimers();
+        });
+
+        it('should not keep the client from starting when the store cannot be read', async function () {
+            fs.writeFileSync(path.join(dataPath, 'outbox.json'), '[{"id":');
+            const client = createFakeClient();
+            client.outbox = new Outbox(client, { store: 'file', storeOptions: { dataPath } });
+            client.scheduler = { start: sinon.stub().resolves() };
+            client.health = { start: sinon.spy() };
+            const consoleError = sinon.stub(console, 'error');
+
+            try {
+                await Client.prototype._startComponents.call(client);
+            } finally {
+                consoleError.restore();
+            }
+            expect(consoleError.calledOnce).to.equal(true);
+            expect(consoleError.firstCall.args[0]).to.equal('[Client] Failed to start the outbox:');
+            expect(client.scheduler.start.calledOnce).to.equal(true);
+            expect(client.health.start.calledOnce).to.equal(true);
+        });
+
+        it('should restore queued messages after a restart', async function () {
+            const first = new Outbox(createFakeClient(), { store: 'file', storeOptions: { dataPath } });
+            first.enqueue('123@c.us', 'survives restarts').catch(() => {});
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const client = createFakeClient();
+            const sent = sinon.spy();
+            client.on(Events.OUTBOX_MESSAGE_SENT, sent);
+
+            const second = new Outbox(client, { store: OutboxStore.create('file', { dataPath }) });
+            await second.start();
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(client._sendMessage.calledOnceWith('123@c.us', 'survives restarts')).to.equal(true);
+            expect(sent.calledOnce).to.equal(true);
+            expect(await second.store.getAll()).to.have.lengthOf(0);
+        });
+    });
+});
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+
+const RemoteAuthStore = require('../../src/structures/storage/RemoteAuthStore');
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+/**
+ * Minimal in-memory stand-in for an S3-compatible server
+ */
+function createS3Server() {
+    const objects = new Map();
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const url = new URL(req.url, 'http://localhost');
+            requests.push({ method: req.method, url, headers: req.headers, body });
+
+            if (!/^AWS4-HMAC-SHA256 Credential=minio\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/.test(req.headers.authorization)
+                || req.headers['x-amz-content-sha256'] !== crypto.createHash('sha256').update(body).digest('hex')) {
+                res.statusCode = 403;
+                return res.end('<Error><Code>SignatureDoesNotMatch</Code></Error>');
+            }
+
+            const key = decodeURIComponent(url.pathname.replace(/^\/bucket\/?/, ''));
+            if (req.method === 'PUT') {
+                objects.set(key, body);
+                res.end();
+            } else if (req.method === 'DELETE') {
+                objects.delete(key);
+                res.statusCode = 204;
+                res.end();
+            } else if (!key) {
+                const prefix = url.searchParams.get('prefix');
+                const keys = [...objects.keys()].filter(k => k.startsWith(prefix));
+                res.end(`<ListBucketResult><IsTruncated>false</IsTruncated>${keys.map(k => `<Contents><Key>${k}</Key></Contents>`).join('')}</ListBucketResult>`);
+            } else if (objects.has(key)) {
+                res.end(objects.get(key));
+            } else {
+                res.statusCode = 404;
+                res.end('<Error><Code>NoSuchKey</Code></Error>');
+            }
+        });
+    });
+
+    return { server, objects, requests };
+}
+
+describe('RemoteAuthStore', function () {
+    let root, zipPath, cwd;
+
+    beforeEach(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'wwebjs-test-'));
+        zipPath = path.join(root, 'RemoteAuth-one.zip');
+        cwd = process.cwd();
+        process.chdir(root);
+    });
+
+    afterEach(function () {
+        process.chdir(cwd);
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should save, verify and rotate backups in a directory', async function () {
+        const store = RemoteAuthStore.create('file', { dataPath: path.join(root, 'backups'), maxBackups: 2 });
+        expect(await store.sessionExists({ session: 'RemoteAuth-one' })).to.equal(false);
+
+        for (const content of ['first', 'second', 'third']) {
+            fs.writeFileSync(zipPath, content);
+            await store.save({ session: 'RemoteAuth-one' });
+        }
+
+        const manifest = await store.getManifest('RemoteAuth-one');
+        expect(manifest.backups).to.have.lengthOf(2);
+        expect(manifest.backups[0].checksum).to.equal(crypto.createHash('sha256').update('third').digest('hex'));
+        expect(await store.listObjects('RemoteAuth-one/')).to.have.lengthOf(3);
+
+        const target = path.join(root, 'restored.zip');
+        await store.extract({ session: 'RemoteAuth-one', path: target });
+        expect(fs.readFileSync(target, 'utf8')).to.equal('third');
+
+        // a corrupted backup is skipped for the previous one
+        const failures = [];
+        const onFailure = (err, backup, hasFallback) => failures.push([err.message, backup.key, hasFallback]);
+        fs.writeFileSync(store._resolve(manifest.backups[0].key), 'tampered');
+        expect(await store.extract({ session: 'RemoteAuth-one', path: target, onFailure })).to.eql(manifest.backups[1]);
+        expect(fs.readFileSync(target, 'utf8')).to.equal('second');
+        expect(failures).to.eql([[`Checksum mismatch for backup ${manifest.backups[0].key}`, manifest.backups[0].key, true]]);
+
+        fs.rmSync(store._resolve(manifest.backups[1].key));
+        await expect(store.extract({ session: 'RemoteAuth-one', path: target, onFailure })).to.be.rejectedWith('No valid backup found');
+        expect(failures[2]).to.eql([`Backup ${manifest.backups[1].key} is missing`, manifest.backups[1].key, false]);
+        expect(() => store._resolve('../outside')).to.throw('Invalid key');
+
+        await store.delete({ session: 'RemoteAuth-one' });
+        expect(await store.sessionExists({ session: 'RemoteAuth-one' })).to.equal(false);
+        expect(fs.readdirSync(path.join(root, 'backups'))).to.eql([]);
+    });
+
+    it('should fall back to an older backup when verifying the extracted one fails', async function () {
+        const store = RemoteAuthStore.create('file', { dataPath: path.join(root, 'backups') });
+        for (const content of ['good', 'broken']) {
+            fs.writeFileSync(zipPath, content);
+            await store.save({ session: 'RemoteAuth-one' });
+        }
+
+        const target = path.join(root, 'restored.zip');
+        const onFailure = sinon.spy();
+        const verify = async filePath => {
+            if (fs.readFileSync(filePath, 'utf8') === 'broken') throw new Error('invalid zip');
+        };
+        const [newest, previous] = (await store.getManifest('RemoteAuth-one')).backups;
+
+        expect(await store.extract({ session: 'RemoteAuth-one', path: target, onFailure, verify })).to.eql(previous);
+        expect(fs.readFileSync(target, 'utf8')).to.equal('good');
+        expect(onFailure.calledOnce).to.equal(true);
+        expect(onFailure.firstCall.args.slice(1)).to.eql([newest, true]);
+        expect(onFailure.firstCall.args[0].message).to.equal('invalid zip');
+    });
+
+    it('should save snapshots incrementally and restore the last good one', async function () {
+        const store = RemoteAuthStore.create('file', { dataPath: path.join(root, 'backups'), maxBackups: 2 });
+        const source = path.join(root, 'profile');
+        fs.mkdirSync(path.join(source, 'Default', 'IndexedDB'), { recursive: true });
+        fs.mkdirSync(path.join(source, 'Default', 'Cache'), { recursive: true });
+        fs.writeFileSync(path.join(source, 'Default', 'IndexedDB', 'a.ldb'), 'a');
+        fs.writeFileSync(path.join(source, 'Default', 'IndexedDB', 'b.ldb'), 'b');
+        fs.writeFileSync(path.join(source, 'Default', 'Cache', 'data_0'), 'cache');
+        const filter = relativePath => !relativePath.endsWith('Cache');
+
+        const first = await store.saveSnapshot({ session: 'RemoteAuth-one', path: source, filter });
+        expect(first).to.include({ type: 'snapshot', files: 2, uploaded: 2, size: 2 });
+
+        fs.writeFileSync(path.join(source, 'Default', 'IndexedDB', 'b.ldb'), 'changed');
+        const second = await store.saveSnapshot({ session: 'RemoteAuth-one', path: source, filter });
+        expect(second).to.include({ files: 2, uploaded: 1 });
+
+        const target = path.join(root, 'restored');
+        await store.restoreSnapshot({ session: 'RemoteAuth-one', path: target });
+        expect(fs.readFileSync(path.join(target, 'Default', 'IndexedDB', 'b.ldb'), 'utf8')).to.equal('changed');
+        expect(fs.existsSync(path.join(target, 'Default', 'Cache'))).to.equal(false);
+
+        // the changed file is only part of the newest snapshot
+        const changedHash = crypto.createHash('sha256').update('changed').digest('hex');
+        fs.writeFileSync(store._resolve(`RemoteAuth-one/objects/${changedHash}`), 'corrupt');
+        const onFailure = sinon.spy();
+        expect(await store.restoreSnapshot({ session: 'RemoteAuth-one', path: target, onFailure })).to.eql(first);
+        expect(fs.readFileSync(path.join(target, 'Default', 'IndexedDB', 'b.ldb'), 'utf8')).to.equal('b');
+        expect(onFailure.calledOnce).to.equal(true);
+        expect(onFailure.firstCall.args[0].message).to.match(/^Checksum mismatch for file Default\/IndexedDB\/b.ldb/);
+        expect(onFailure.firstCall.args[2]).to.equal(true);
+        expect(fs.readdirSync(root).filter(name => name.endsWith('.restoring'))).to.eql([]);
+
+        // objects only used by dropped snapshots are deleted
+        await store.saveSnapshot({ session: 'RemoteAuth-one', path: source, filter });
+        await store.saveSnapshot({ session: 'RemoteAuth-one', path: source, filter });
+        expect(await store.listObjects('RemoteAuth-one/objects/')).to.have.lengthOf(2);
+
+        await store.delete({ session: 'RemoteAuth-one' });
+        expect(fs.readdirSync(path.join(root, 'backups'))).to.eql([]);
+    });
+
+    it('should treat an unreadable manifest as missing', async function () {
+        const store = RemoteAuthStore.create('file', { dataPath: path.join(root, 'backups') });
+        await store.putObject('RemoteAuth-one/manifest.json', '{"backups": [');
+        const consoleError = sinon.stub(console, 'error');
+
+        try {
+            expect(await store.sessionExists({ session: 'RemoteAuth-one' })).to.equal(false);
+            await expect(store.extract({ session: 'RemoteAuth-one', path: path.join(root, 'restored.zip') })).to.be.rejectedWith('No backup found');
+
+            fs.writeFileSync(zipPath, 'fresh');
+            await store.save({ session: 'RemoteAuth-one' });
+        } finally {
+            consoleError.restore();
+        }
+        expect(consoleError.called).to.equal(true);
+        expect(await store.sessionExists({ session: 'RemoteAuth-one' })).to.equal(true);
+    });
+
+    it('should upload files again when their stored object is missing or corrupt', async function () {
+        const store = RemoteAuthStore.create('file', { dataPath: path.join(root, 'backups') });
+        const source = path.join(root, 'profile');
+        fs.mkdirSync(source);
+        fs.writeFileSync(path.join(source, 'a.ldb'), 'a');
+        fs.writeFileSync(path.join(source, 'b.ldb'), 'b');
+        const hash = data => crypto.createHash('sha256').update(data).digest('hex');
+
+        await store.saveSnapshot({ session: 'RemoteAuth-one', path: source });
+        fs.rmSync(store._resolve(`RemoteAuth-one/objects/${hash('a')}`));
+        expect(await store.saveSnapshot({ session: 'RemoteAuth-one', path: source })).to.include({ uploaded: 1 });
+
+        fs.writeFileSync(store._resolve(`RemoteAuth-one/objects/${hash('b')}`), 'corrupt');
+        await expect(store.restoreSnapshot({ session: 'RemoteAuth-one', path: path.join(root, 'restored') })).to.be.rejectedWith('No valid backup found');
+        expect(await store.saveSnapshot({ session: 'RemoteAuth-one', path: source })).to.include({ uploaded: 1 });
+
+        await store.restoreSnapshot({ session: 'RemoteAuth-one', path: path.join(root, 'restored') });
+        expect(fs.readFileSync(path.join(root, 'restored', 'b.ldb'), 'utf8')).to.equal('b');
+    });
+
+    it('should keep backups in an S3-compatible object store', async function () {
+        const { server, objects, requests } = createS3Server();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            expect(() => RemoteAuthStore.create('s3', { bucket: 'bucket' })).to.throw('endpoint and a bucket');
+            const store = RemoteAuthStore.create('s3', {
+                endpoint: `http://127.0.0.1:${server.address().port}`,
+                bucket: 'bucket',
+                accessKeyId: 'minio',
+                secretAccessKey: 'minio-secret',
+                maxBackups: 1
+            });
+
+            fs.writeFileSync(zipPath, 'old');
+            await store.save({ session: 'RemoteAuth-one' });
+            fs.writeFileSync(zipPath, 'new');
+            const backup = await store.save({ session: 'RemoteAuth-one' });
+
+            expect([...objects.keys()].sort()).to.eql([`wwebjs/${backup.key}`, 'wwebjs/RemoteAuth-one/manifest.json']);
+            expect(requests[0].url.pathname).to.match(/^\/bucket\/wwebjs\/RemoteAuth-one\/\d+-[0-9a-f]{8}\.zip$/);
+            expect(await store.sessionExists({ session: 'RemoteAuth-one' })).to.equal(true);
+
+            const target = path.join(root, 'restored.zip');
+            await store.extract({ session: 'RemoteAuth-one', path: target });
+            expect(fs.readFileSync(target, 'utf8')).to.equal('new');
+
+            await store.delete({ session: 'RemoteAuth-one' });
+            expect(objects.size).to.equal(0);
+
+            const wrongKey = RemoteAuthStore.create('s3', { ...store.options, accessKeyId: 'other' });
+            await expect(wrongKey.sessionExists({ session: 'RemoteAuth-one' })).to.be.rejectedWith('HTTP 403 (SignatureDoesNotMatch)');
+        } finally {
+            server.close();
+        }
+    });
+});
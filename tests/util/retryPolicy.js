@@ -0,0 +1,117 @@
+const EventEmitter = require('events');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+
+const RetryPolicy = require('../../src/util/RetryPolicy');
+const BrowserSupervisor = require('../../src/util/BrowserSupervisor');
+const { PageClosedError, ChatNotFoundError, EvaluationError, RateLimitedError } = require('../../src/util/Errors');
+const { Events, WAState } = require('../../src/util/Constants');
+
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('RetryPolicy', function () {
+    let clock, client, policy;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers();
+        client = new EventEmitter();
+        policy = new RetryPolicy(client, { minDelay: 100, jitter: 0 });
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    it('should retry transient errors with backoff and report every retry', async function () {
+        const onRetry = sinon.spy();
+        policy.options.onRetry = onRetry;
+        const call = sinon.stub();
+        call.onFirstCall().rejects(new PageClosedError());
+        call.onSecondCall().rejects(new PageClosedError());
+        call.resolves('ok');
+
+        const result = policy.run(call);
+        await clock.tickAsync(100);
+        expect(call.callCount).to.equal(2);
+        await clock.tickAsync(200);
+
+        expect(await result).to.equal('ok');
+        expect(call.args.map(args => args[0])).to.eql([1, 2, 3]);
+        expect(onRetry.args.map(([info]) => [info.attempt, info.delay])).to.eql([[1, 100], [2, 200]]);
+        expect(onRetry.firstCall.args[0].error).to.be.instanceOf(PageClosedError);
+    });
+
+    it('should not retry other errors or more often than allowed', async function () {
+        const notFound = sinon.stub().rejects(new ChatNotFoundError());
+        await expect(policy.run(notFound)).to.be.rejectedWith(ChatNotFoundError);
+        expect(notFound.callCount).to.equal(1);
+
+        const closed = sinon.stub().rejects(new PageClosedError());
+        const result = expect(policy.run(closed)).to.be.rejectedWith(PageClosedError);
+        await clock.tickAsync(1000);
+        await result;
+        expect(closed.callCount).to.equal(3);
+    });
+
+    it('should retry failed evaluations only while reconnecting, once connected', async function () {
+        const call = sinon.stub();
+        call.onFirstCall().rejects(new EvaluationError());
+        call.resolves('ok');
+
+        client.emit(Events.STATE_CHANGED, WAState.CONNECTED);
+        await expect(policy.run(call)).to.be.rejectedWith(EvaluationError);
+
+        client.emit(Events.STATE_CHANGED, WAState.OPENING);
+        call.resetHistory();
+        const result = policy.run(call);
+        await clock.tickAsync(5000);
+        expect(call.callCount).to.equal(1);
+
+        client.emit(Events.STATE_CHANGED, WAState.CONNECTED);
+        await clock.tickAsync(0);
+        expect(await result).to.equal('ok');
+        expect(call.callCount).to.equal(2);
+        expect(client.listenerCount(Events.RESTARTED)).to.equal(0);
+    });
+
+    it('should apply per-call overrides and honor retryAfter', async function () {
+        const call = sinon.stub().rejects(new RateLimitedError());
+        await expect(policy.withOptions({ attempts: 1 }, () => policy.run(call))).to.be.rejectedWith(RateLimitedError);
+        expect(call.callCount).to.equal(1);
+
+        const retryOn = sinon.stub().returns(true);
+        const failing = sinon.stub().rejects(new Error('custom'));
+        const result = expect(policy.withOptions({ retryOn, attempts: 2 }, () => policy.run(failing))).to.be.rejectedWith('custom');
+        await clock.tickAsync(100);
+        await result;
+        expect(failing.callCount).to.equal(2);
+        expect(policy.getOptions().attempts).to.equal(3);
+
+        expect(RetryPolicy.getDelay(3, policy.options)).to.equal(400);
+        expect(RetryPolicy.getDelay(10, policy.options)).to.equal(10000);
+        expect(RetryPolicy.getDelay(1, policy.options, new RateLimitedError('slow down', { retryAfter: 5000 }))).to.equal(5000);
+    });
+
+    it('should retry page calls on the relaunched page', async function () {
+        client.retryPolicy = policy;
+        const supervisor = new BrowserSupervisor(client, { restart: false });
+        const page = new EventEmitter();
+        page.evaluate = sinon.stub().rejects(new Error('Protocol error (Runtime.callFunctionOn): Target closed.'));
+        supervisor.attach(new EventEmitter(), page);
+
+        const relaunched = new EventEmitter();
+        const evaluate = relaunched.evaluate = sinon.stub().resolves(42);
+        const pageFunction = () => 42;
+        client.pupPage = page;
+        const call = page.evaluate(pageFunction);
+
+        supervisor.attach(new EventEmitter(), relaunched);
+        client.pupPage = relaunched;
+        await clock.tickAsync(100);
+
+        expect(await call).to.equal(42);
+        expect(evaluate.calledOnceWith(pageFunction)).to.equal(true);
+    });
+});
@@ -0,0 +1,116 @@
+const EventEmitter = require('events');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const EventRouter = require('../../src/util/EventRouter');
+const Message = require('../../src/structures/Message');
+const { Events, MessageTypes } = require('../../src/util/Constants');
+
+const ME = '111@c.us';
+
+function createFakeClient() {
+    const client = new EventEmitter();
+    client.info = { wid: { _serialized: ME } };
+    return client;
+}
+
+function createMessage(client, data = {}) {
+    const from = data.from || '222@c.us';
+    return new Message(client, {
+        id: { id: 'ABCDEF', remote: from, fromMe: false, _serialized: `false_${from}_ABCDEF` },
+        type: MessageTypes.TEXT,
+        body: '',
+        from,
+        to: ME,
+        ...data
+    });
+}
+
+describe('EventRouter', function () {
+    let client, router;
+
+    beforeEach(function () {
+        client = createFakeClient();
+        router = new EventRouter(client);
+    });
+
+    it('should only run handlers whose filters match', async function () {
+        const group = sinon.spy();
+        const media = sinon.spy();
+        const mentioned = sinon.spy();
+
+        router
+            .on({ chat: 'group' }, group)
+            .on({ hasMedia: true }, media)
+            .on({ mentionsMe: true }, mentioned);
+
+        await router.dispatch(Events.MESSAGE_RECEIVED, createMessage(client, { from: '123@g.us', author: '222@c.us', mentionedJidList: [ME] }));
+
+        expect(group.calledOnce).to.equal(true);
+        expect(media.called).to.equal(false);
+        expect(mentioned.calledOnce).to.equal(true);
+    });
+
+    it('should skip status updates unless asked for', async function () {
+        const any = sinon.spy();
+        const status = sinon.spy();
+        router.on(any).on({ chat: 'status' }, status);
+
+        await router.dispatch(Events.MESSAGE_RECEIVED, createMessage(client, { from: 'status@broadcast' }));
+
+        expect(any.called).to.equal(false);
+        expect(status.calledOnce).to.equal(true);
+    });
+
+    it('should parse commands', async function () {
+        const handler = sinon.spy();
+        router.on({ prefix: ['!', '/'], command: 'echo' }, handler);
+
+        await router.dispatch(Events.MESSAGE_RECEIVED, createMessage(client, { body: '/ECHO hello  world' }));
+        await router.dispatch(Events.MESSAGE_RECEIVED, createMessage(client, { body: '!other' }));
+
+        expect(handler.calledOnce).to.equal(true);
+        const ctx = handler.firstCall.args[1];
+        expect(ctx.command).to.equal('ECHO');
+        expect(ctx.args).to.eql(['hello', 'world']);
+    });
+
+    it('should run middleware around the handlers', async function () {
+        const calls = [];
+        router
+            .use(async (ctx, next) => {
+                calls.push('before');
+                await next();
+                calls.push('after');
+            })
+            .use({ fromMe: true }, () => calls.push('skipped'))
+            .on(() => calls.push('handler'));
+
+        await router.dispatch(Events.MESSAGE_RECEIVED, createMessage(client));
+
+        expect(calls).to.eql(['before', 'handler', 'after']);
+    });
+
+    it('should stop when middleware does not call next', async function () {
+        const handler = sinon.spy();
+        router.use(() => {}).on(handler);
+
+        await router.dispatch(Events.MESSAGE_RECEIVED, createMessage(client));
+
+        expect(handler.called).to.equal(false);
+    });
+
+    it('should isolate errors thrown by handlers', async function () {
+        const errors = sinon.spy();
+        const second = sinon.spy();
+        client.on(Events.ROUTER_ERROR, errors);
+
+        router.on(() => { throw new Error('boom'); }).on(second);
+        client.emit(Events.MESSAGE_RECEIVED, createMessage(client));
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(errors.calledOnce).to.equal(true);
+        expect(errors.firstCall.args[0].message).to.equal('boom');
+        expect(second.calledOnce).to.equal(true);
+    });
+});
@@ -0,0 +1,137 @@
+const EventEmitter = require('events');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+
+const MessageScheduler = require('../../src/util/MessageScheduler');
+const ScheduleStore = require('../../src/structures/storage/ScheduleStore');
+const { Events } = require('../../src/util/Constants');
+
+const expect = chai.expect;
+chai.use(chaiAsPromised);
+
+const HOUR = 60 * 60 * 1000;
+
+function createFakeClient() {
+    const client = new EventEmitter();
+    client.authStrategy = {};
+    client.sendMessage = sinon.stub().callsFake(async (chatId, content) => ({ chatId, content }));
+    return client;
+}
+
+describe('MessageScheduler', function () {
+    let clock;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers(Date.UTC(2024, 0, 1, 12));
+    });
+
+    afterEach(function () {
+        clock.restore();
+    });
+
+    it('should send a message at the scheduled time', async function () {
+        const client = createFakeClient();
+        const sent = sinon.spy();
+        client.on(Events.SCHEDULED_MESSAGE_SENT, sent);
+
+        const scheduler = new MessageScheduler(client);
+        await scheduler.start();
+        await scheduler.schedule('123@c.us', 'reminder', { at: Date.now() + HOUR });
+
+        await clock.tickAsync(HOUR - 1);
+        expect(client.sendMessage.called).to.equal(false);
+
+        await clock.tickAsync(1);
+        expect(client.sendMessage.calledOnceWith('123@c.us', 'reminder')).to.equal(true);
+        expect(sent.calledOnce).to.equal(true);
+        expect(await scheduler.list()).to.have.lengthOf(0);
+    });
+
+    it('should repeat messages and keep them in the store', async function () {
+        const client = createFakeClient();
+        const scheduler = new MessageScheduler(client);
+        await scheduler.start();
+        const job = await scheduler.schedule('123@c.us', 'digest', { at: Date.now() + HOUR, every: 'hour' });
+
+        await clock.tickAsync(3 * HOUR);
+        expect(client.sendMessage.callCount).to.equal(3);
+
+        const [stored] = await scheduler.store.getAll();
+        expect(stored.runs).to.equal(3);
+        expect(stored.at).to.equal(job.at + 3 * HOUR);
+    });
+
+    it('should keep the wall-clock time of daily messages across DST changes', function () {
+        const job = {
+            every: 'day',
+            timezone: 'Europe/Amsterdam',
+            startAt: MessageScheduler.parseTime('2024-03-30 09:00', 'Europe/Amsterdam')
+        };
+
+        expect(new Date(job.startAt).toISOString()).to.equal('2024-03-30T08:00:00.000Z');
+        expect(new Date(MessageScheduler.nextRun(job, job.startAt)).toISOString()).to.equal('2024-03-31T07:00:00.000Z');
+    });
+
+    it('should cancel and reschedule messages', async function () {
+        const client = createFakeClient();
+        const scheduler = new MessageScheduler(client);
+        await scheduler.start();
+
+        const cancelled = await scheduler.schedule('123@c.us', 'never', { at: Date.now() + HOUR });
+        const moved = await scheduler.schedule('123@c.us', 'later', { at: Date.now() + HOUR });
+
+        expect(await scheduler.cancel(cancelled.id)).to.equal(true);
+        await scheduler.reschedule(moved.id, { at: Date.now() + 2 * HOUR });
+
+        await clock.tickAsync(HOUR);
+        expect(client.sendMessage.called).to.equal(false);
+
+        await clock.tickAsync(HOUR);
+        expect(client.sendMessage.calledOnceWith('123@c.us', 'later')).to.equal(true);
+    });
+
+    it('should reject one-off messages in the past', async function () {
+        const scheduler = new MessageScheduler(createFakeClient());
+        await expect(scheduler.schedule('123@c.us', 'late', { at: Date.now() - 1 })).to.be.rejectedWith('in the past');
+    });
+
+    describe('Missed messages', function () {
+        async function restart(missed) {
+            const store = ScheduleStore.create('memory');
+            const first = new MessageScheduler(createFakeClient(), { store });
+            await first.schedule('123@c.us', 'missed', { at: Date.now() + HOUR, missed });
+
+            await clock.tickAsync(2 * HOUR);
+
+            const client = createFakeClient();
+            const emitted = sinon.spy();
+            client.on(Events.SCHEDULED_MESSAGE_MISSED, emitted);
+
+            const second = new MessageScheduler(client, { store });
+            await second.start();
+            await clock.tickAsync(0);
+
+            return { client, emitted, store };
+        }
+
+        it('should send missed messages late by default', async function () {
+            const { client, store } = await restart();
+            expect(client.sendMessage.calledOnce).to.equal(true);
+            expect(await store.getAll()).to.have.lengthOf(0);
+        });
+
+        it('should skip missed messages', async function () {
+            const { client, emitted, store } = await restart('skip');
+            expect(client.sendMessage.called).to.equal(false);
+            expect(emitted.called).to.equal(false);
+            expect(await store.getAll()).to.have.lengthOf(0);
+        });
+
+        it('should emit missed messages', async function () {
+            const { client, emitted } = await restart('emit');
+            expect(client.sendMessage.called).to.equal(false);
+            expect(emitted.calledOnce).to.equal(true);
+        });
+    });
+});
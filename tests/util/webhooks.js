@@ -0,0 +1,149 @@
+const http = require('http');
+const EventEmitter = require('events');
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const WebhookDispatcher = require('../../src/util/WebhookDispatcher');
+const Message = require('../../src/structures/Message');
+const { Events, MessageTypes } = require('../../src/util/Constants');
+
+function createMessage(client) {
+    return new Message(client, {
+        id: { id: 'ABCDEF', remote: '222@c.us', fromMe: false, _serialized: 'false_222@c.us_ABCDEF' },
+        type: MessageTypes.TEXT,
+        body: 'hello',
+        from: '222@c.us',
+        to: '111@c.us',
+        t: 1700000000
+    });
+}
+
+describe('WebhookDispatcher', function () {
+    let server, url, requests, respond, client;
+
+    before(async function () {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                requests.push({ headers: req.headers, body });
+                res.statusCode = respond(requests.length);
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/hook`;
+    });
+
+    after(function () {
+        server.close();
+    });
+
+    beforeEach(function () {
+        requests = [];
+        respond = () => 200;
+        client = new EventEmitter();
+    });
+
+    it('should post signed and serialized events', async function () {
+        const webhooks = new WebhookDispatcher(client, { endpoints: [{ url, secret: 'shh', events: [Events.MESSAGE_RECEIVED] }] });
+
+        await webhooks.dispatch(Events.MESSAGE_RECEIVED, createMessage(client));
+        await webhooks.dispatch(Events.MESSAGE_ACK, createMessage(client), 2);
+
+        expect(requests).to.have.lengthOf(1);
+        const [{ headers, body }] = requests;
+        expect(headers['x-webhook-event']).to.equal(Events.MESSAGE_RECEIVED);
+        expect(headers['x-webhook-signature']).to.equal(`sha256=${WebhookDispatcher.sign('shh', headers['x-webhook-timestamp'], body)}`);
+
+        const payload = JSON.parse(body);
+        expect(payload.data.message).to.include({ id: 'false_222@c.us_ABCDEF', chatId: '222@c.us', body: 'hello', fromMe: false });
+        expect(payload.data.message).to.not.have.property('client');
+    });
+
+    it('should retry failed deliveries', async function () {
+        respond = count => count < 3 ? 503 : 200;
+        const webhooks = new WebhookDispatcher(client, { endpoints: [{ url }], retryDelay: 5 });
+
+        await webhooks.dispatch(Events.STATE_CHANGED, 'CONNECTED');
+
+        expect(requests).to.have.lengthOf(3);
+        expect(new Set(requests.map(request => request.headers['x-webhook-id'])).size).to.equal(1);
+        expect(webhooks.deadLetters).to.have.lengthOf(0);
+    });
+
+    it('should dead-letter deliveries that keep failing', async function () {
+        respond = () => 500;
+        const failed = sinon.spy();
+        client.on(Events.WEBHOOK_FAILED, failed);
+        const webhooks = new WebhookDispatcher(client, { endpoints: [{ url }], maxRetries: 2, retryDelay: 5 });
+
+        await webhooks.dispatch(Events.STATE_CHANGED, 'CONNECTED');
+
+        expect(requests).to.have.lengthOf(3);
+        expect(webhooks.deadLetters).to.have.lengthOf(1);
+        expect(webhooks.deadLetters[0]).to.include({ error: 'HTTP 500', attempts: 3 });
+        expect(failed.calledOnce).to.equal(true);
+
+        respond = () => 200;
+        expect(await webhooks.redeliver()).to.equal(1);
+        expect(webhooks.deadLetters).to.have.lengthOf(0);
+    });
+
+    it('should dead-letter deliveries waiting for a retry when stopped', async function () {
+        respond = () => 503;
+        const webhooks = new WebhookDispatcher(client, { endpoints: [{ url }], retryDelay: 60000 });
+
+        const dispatched = webhooks.dispatch(Events.STATE_CHANGED, 'CONNECTED');
+        while (!requests.length || !webhooks._timers.size) await new Promise(resolve => setTimeout(resolve, 5));
+        webhooks.stop();
+        await dispatched;
+
+        expect(requests).to.have.lengthOf(1);
+        expect(webhooks.deadLetters).to.have.lengthOf(1);
+        expect(webhooks.deadLetters[0]).to.include({ error: 'Dispatcher stopped', attempts: 2 });
+        expect(webhooks.pending).to.equal(0);
+    });
+
+    it('should not retry rejected deliveries', async function () {
+        respond = () => 400;
+        const webhooks = new WebhookDispatcher(client, { endpoints: [{ url }], retryDelay: 5 });
+
+        await webhooks.dispatch(Events.STATE_CHANGED, 'CONNECTED');
+
+        expect(requests).to.have.lengthOf(1);
+        expect(webhooks.deadLetters).to.have.lengthOf(1);
+    });
+
+    it('should subscribe to client events and apply filters', async function () {
+        const webhooks = new WebhookDispatcher(client, {
+            endpoints: [{ url, events: [Events.STATE_CHANGED], filter: (event, state) => state !== 'OPENING' }]
+        });
+
+        client.emit(Events.STATE_CHANGED, 'OPENING');
+        client.emit(Events.STATE_CHANGED, 'CONNECTED');
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(requests.map(request => JSON.parse(request.body).data.state)).to.eql(['CONNECTED']);
+        webhooks.stop();
+        expect(client.listenerCount(Events.STATE_CHANGED)).to.equal(0);
+    });
+
+    it('should log events that cannot be dispatched', async function () {
+        const webhooks = new WebhookDispatcher(client, { endpoints: [{ url, events: [Events.STATE_CHANGED] }] });
+        const createPayload = sinon.stub(WebhookDispatcher, 'createPayload').throws(new Error('cannot serialize'));
+        const consoleError = sinon.stub(console, 'error');
+        try {
+            client.emit(Events.STATE_CHANGED, 'CONNECTED');
+            await new Promise(resolve => setImmediate(resolve));
+        } finally {
+            consoleError.restore();
+            createPayload.restore();
+            webhooks.stop();
+        }
+
+        expect(consoleError.calledOnce).to.equal(true);
+        expect(consoleError.firstCall.args[1].message).to.equal('cannot serialize');
+        expect(requests).to.have.lengthOf(0);
+    });
+});